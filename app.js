@@ -0,0 +1,50 @@
+import express from "express";
+import dotenv from "dotenv";
+import cors from "cors";
+import userRoutes from "./routes/userRoutes.js";
+import noteRoutes from "./routes/noteRoutes.js";
+import notebookRoutes from "./routes/notebookRoutes.js";
+import publicRoutes from "./routes/publicRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import { errorHandler } from "./middleware/errorHandler.js";
+import swaggerUi from "swagger-ui-express";
+import swaggerSpec from "./config/swaggerConfig.js";
+import { rateLimitConfig } from "./config/rateLimit.js";
+
+// Load environment variables from a .env file into process.env.
+dotenv.config();
+
+// Initialize the Express application.
+const app = express();
+
+// Take the client IP address from X-Forwarded-For when the app runs behind the configured proxies.
+app.set("trust proxy", rateLimitConfig.trustProxy);
+
+// Middleware to parse JSON bodies from incoming requests.
+app.use(express.json());
+
+// Middleware to enable Cross-Origin Resource Sharing (CORS).
+// ETag is exposed so browser clients can send it back as If-Match.
+app.use(cors({ exposedHeaders: ["ETag"] }));
+
+// Routes
+app.use("/api/user", userRoutes);
+app.use("/api/notes", noteRoutes);
+app.use("/api/notebooks", notebookRoutes);
+app.use("/api/public", publicRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/notifications", notificationRoutes);
+
+// Serve Swagger API documentation.
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+// Start page
+app.get("/", (req, res) => {
+  res.send("Swing Notes API is running!");
+});
+
+// Global error handling middleware.
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,19 @@
+export const attachmentConfig = {
+  // Name of the storage driver that keeps the files: "local" writes them to `localDir`.
+  driver: process.env.ATTACHMENT_STORAGE_DRIVER || "local",
+  // Directory the "local" driver keeps files in.
+  localDir: process.env.ATTACHMENT_LOCAL_DIR || "attachments",
+  // Largest file that can be attached to a note, in bytes.
+  maxFileBytes: Number(
+    process.env.ATTACHMENT_MAX_FILE_BYTES || 10 * 1024 * 1024
+  ),
+  // Content types that can be uploaded, comma-separated. HTML, SVG and other types browsers run scripts
+  // from are left out on purpose.
+  allowedTypes: (
+    process.env.ATTACHMENT_ALLOWED_TYPES ||
+    "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,text/csv"
+  )
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean),
+};
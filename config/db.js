@@ -8,11 +8,60 @@ dotenv.config();
 const { Pool } = pg;
 
 // Create a new PostgreSQL connection pool.
-const pool = new Pool({
+let pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: {
     rejectUnauthorized: false, // Doesn't work without false, FIX THIS
   },
 });
 
-export { pool };
+/**
+ * Runs a callback inside a database transaction on a single pooled client.
+ * The transaction is committed when the callback resolves and rolled back when it throws.
+ * @param {function(object): Promise<any>} callback - Receives the client; all queries of the transaction must use it.
+ * @returns {Promise<any>} The value the callback resolved to.
+ */
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Runs a callback in a savepoint of an open transaction, so a failure only rolls back what the callback did.
+ * @param {object} client - A client of an open transaction.
+ * @param {function(): Promise<any>} callback - The work to run; it must use `client`.
+ * @returns {Promise<any>} The value the callback resolved to.
+ * @throws {Error} The error of the callback, after rolling back to the savepoint.
+ */
+const withSavepoint = async (client, callback) => {
+  await client.query("SAVEPOINT operation");
+  try {
+    const result = await callback();
+    await client.query("RELEASE SAVEPOINT operation");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK TO SAVEPOINT operation");
+    throw error;
+  }
+};
+
+/**
+ * Replaces the connection pool, e.g. with an in-process database in tests.
+ * Modules that imported `pool` use the new pool from then on, since ES module bindings are live.
+ * @param {object} newPool - An object with the `query` and `connect` methods of a pg Pool.
+ */
+const setPool = (newPool) => {
+  pool = newPool;
+};
+
+export { pool, withTransaction, withSavepoint, setPool };
@@ -5,6 +5,11 @@ if (!process.env.JWT_SECRET) {
 
 export const jwtConfig = {
   secret: process.env.JWT_SECRET,
-  lifetime: process.env.JWT_LIFETIME || "1h",
+  // Access tokens are short-lived; clients get new ones with their refresh token.
+  lifetime: process.env.JWT_LIFETIME || "15m",
   algorithm: "HS256",
+  // Number of days a login session (and its refresh tokens) stays valid.
+  refreshTokenLifetimeDays: Number(
+    process.env.REFRESH_TOKEN_LIFETIME_DAYS || 30
+  ),
 };
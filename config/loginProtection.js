@@ -0,0 +1,16 @@
+export const loginProtectionConfig = {
+  // Failed logins for one username before the account is temporarily locked.
+  maxFailedAttempts: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5),
+  // Failed logins from one IP address, across all usernames, before the IP is blocked from logging in.
+  maxFailedAttemptsPerIp: Number(
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP || 20
+  ),
+  // Failed logins older than this many minutes no longer count.
+  attemptWindowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15),
+  // How long a temporary lockout lasts, in minutes.
+  lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15),
+  // Delay added to the response of a failed login, doubled with every further failure. Set to 0 to disable.
+  delayBaseMs: Number(process.env.LOGIN_DELAY_BASE_MS ?? 250),
+  // Upper bound of that delay, in milliseconds.
+  delayMaxMs: Number(process.env.LOGIN_DELAY_MAX_MS ?? 4000),
+};
@@ -0,0 +1,8 @@
+export const mailConfig = {
+  // Name of the transport that delivers mail: "console" logs it, "file" writes it to `fileDir`.
+  transport: process.env.MAIL_TRANSPORT || "console",
+  // Sender address of all outgoing mail.
+  from: process.env.MAIL_FROM || "Swing Notes <no-reply@localhost>",
+  // Directory the "file" transport writes mail to.
+  fileDir: process.env.MAIL_FILE_DIR || "mail-out",
+};
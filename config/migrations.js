@@ -0,0 +1,4 @@
+export const migrationConfig = {
+  // Apply pending migrations when the server starts, before it accepts requests.
+  runOnStartup: process.env.MIGRATE_ON_STARTUP === "true",
+};
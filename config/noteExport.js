@@ -0,0 +1,4 @@
+export const noteExportConfig = {
+  // Number of notes read from the database at a time while an export streams.
+  batchSize: Number(process.env.NOTE_EXPORT_BATCH_SIZE || 200),
+};
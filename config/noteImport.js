@@ -0,0 +1,16 @@
+export const noteImportConfig = {
+  // Largest file that can be uploaded for an import, in bytes.
+  maxFileBytes: Number(
+    process.env.NOTE_IMPORT_MAX_FILE_BYTES || 10 * 1024 * 1024
+  ),
+  // Largest total size of the files in an uploaded zip archive once uncompressed, in bytes.
+  maxUncompressedBytes: Number(
+    process.env.NOTE_IMPORT_MAX_UNCOMPRESSED_BYTES || 50 * 1024 * 1024
+  ),
+  // Files of at least this many bytes are imported in the background; the upload returns a job to poll.
+  backgroundMinBytes: Number(
+    process.env.NOTE_IMPORT_BACKGROUND_MIN_BYTES || 256 * 1024
+  ),
+  // Background imports without a heartbeat for this many seconds were interrupted (e.g. by a restart) and are failed.
+  staleAfterSeconds: Number(process.env.NOTE_IMPORT_STALE_SECONDS || 120),
+};
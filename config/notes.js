@@ -0,0 +1,8 @@
+export const noteConfig = {
+  // Maximum length of the text of a plain text note, in characters.
+  maxPlainTextLength: Number(process.env.NOTE_MAX_PLAIN_TEXT_LENGTH || 300),
+  // Maximum length of the text of a Markdown note, in characters.
+  maxMarkdownLength: Number(process.env.NOTE_MAX_MARKDOWN_LENGTH || 20000),
+  // Maximum number of checklist items of a note.
+  maxItems: Number(process.env.NOTE_MAX_ITEMS || 500),
+};
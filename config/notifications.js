@@ -0,0 +1,23 @@
+export const notificationConfig = {
+  // How often the reminder job fires due reminders and delivers pending notifications, in seconds.
+  // Set to 0 to disable the job.
+  pollIntervalSeconds: Number(process.env.REMINDER_POLL_INTERVAL_SECONDS ?? 30),
+  // Maximum number of reminders fired, and of deliveries attempted, per run.
+  batchSize: Number(process.env.REMINDER_BATCH_SIZE || 100),
+  // Channels notifications are delivered through, comma-separated: "in_app" stores them in the feed at
+  // GET /api/notifications, "webhook" posts them to the user's webhooks.
+  channels: (process.env.NOTIFICATION_CHANNELS || "in_app,webhook")
+    .split(",")
+    .map((channel) => channel.trim())
+    .filter(Boolean),
+  // Number of attempts to deliver a notification through a channel before giving up.
+  maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 5),
+  // Delay before the first retry of a failed delivery, in seconds; it doubles with every further attempt.
+  retryBaseSeconds: Number(process.env.NOTIFICATION_RETRY_BASE_SECONDS || 60),
+  // How long a webhook endpoint has to answer, in milliseconds.
+  webhookTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+  // Maximum number of webhooks per user.
+  maxWebhooksPerUser: Number(process.env.WEBHOOK_MAX_PER_USER || 5),
+  // Whether webhooks may point to localhost and private network addresses, e.g. for local development.
+  allowPrivateWebhookHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true",
+};
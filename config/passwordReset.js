@@ -0,0 +1,8 @@
+export const passwordResetConfig = {
+  // Number of minutes a password reset token stays valid.
+  tokenLifetimeMinutes: Number(
+    process.env.PASSWORD_RESET_TOKEN_LIFETIME_MINUTES || 30
+  ),
+  // Page of the client app that asks for the new password. The token is appended as `?token=`.
+  url: process.env.PASSWORD_RESET_URL || "http://localhost:5000/reset-password",
+};
@@ -0,0 +1,60 @@
+/**
+ * Parses the TRUST_PROXY setting into a value for Express's "trust proxy" setting.
+ * @param {string | undefined} value - "true", "false", a number of proxy hops, or a comma-separated list of
+ *                                     proxy addresses and subnets (e.g. "loopback, 10.0.0.0/8").
+ * @returns {boolean | number | string} The setting.
+ */
+const parseTrustProxy = (value = "false") => {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+export const rateLimitConfig = {
+  // Where counters are kept: "memory" (per server process) or "postgres" (shared by all instances).
+  store: process.env.RATE_LIMIT_STORE || "memory",
+  // Proxies in front of the app whose X-Forwarded-For header is trusted for the client IP address, which
+  // anonymous clients are limited by. Without it, every client behind a proxy shares the proxy's address.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  // "fixed" counts requests per window; "sliding" also weighs in the previous window, so bursts
+  // at a window boundary cannot reach twice the limit.
+  algorithm: process.env.RATE_LIMIT_ALGORITHM || "sliding",
+  // Limits per route group. Anonymous routes are limited per IP, authenticated ones per user.
+  policies: {
+    // Signup, login, token refresh and password reset.
+    auth: {
+      max: Number(process.env.RATE_LIMIT_AUTH_MAX || 10),
+      windowSeconds: Number(process.env.RATE_LIMIT_AUTH_WINDOW_SECONDS || 60),
+    },
+    // Public note links, read without logging in.
+    public: {
+      max: Number(process.env.RATE_LIMIT_PUBLIC_MAX || 30),
+      windowSeconds: Number(process.env.RATE_LIMIT_PUBLIC_WINDOW_SECONDS || 60),
+    },
+    // Note search, which is more expensive than other reads.
+    search: {
+      max: Number(process.env.RATE_LIMIT_SEARCH_MAX || 30),
+      windowSeconds: Number(process.env.RATE_LIMIT_SEARCH_WINDOW_SECONDS || 60),
+    },
+    // Note exports, which read every note of the user.
+    export: {
+      max: Number(process.env.RATE_LIMIT_EXPORT_MAX || 10),
+      windowSeconds: Number(
+        process.env.RATE_LIMIT_EXPORT_WINDOW_SECONDS || 3600
+      ),
+    },
+    // Note imports, which create many notes at once.
+    import: {
+      max: Number(process.env.RATE_LIMIT_IMPORT_MAX || 10),
+      windowSeconds: Number(
+        process.env.RATE_LIMIT_IMPORT_WINDOW_SECONDS || 3600
+      ),
+    },
+    // All other authenticated routes.
+    api: {
+      max: Number(process.env.RATE_LIMIT_API_MAX || 300),
+      windowSeconds: Number(process.env.RATE_LIMIT_API_WINDOW_SECONDS || 60),
+    },
+  },
+};
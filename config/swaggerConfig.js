@@ -12,7 +12,7 @@ const options = {
       title: "Swing Notes API",
       version: "1.0.0",
       description:
-        "API for managing personal notes, with user authentication and search functionality.",
+        "API for managing personal notes, with user authentication and search functionality. All endpoints are rate-limited; responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers, and requests over the limit fail with 429.",
     },
     servers: [
       {
@@ -42,6 +42,16 @@ const options = {
               type: "string",
               description: "Descriptive error message.",
             },
+            code: {
+              type: "string",
+              description:
+                "Optional machine-readable error code for errors clients need to tell apart (e.g., 'ACCOUNT_TEMPORARILY_LOCKED').",
+            },
+            details: {
+              type: "object",
+              description:
+                "Optional extra information about the error (e.g., the current version of a resource).",
+            },
           },
           example: {
             status: "fail",
@@ -49,6 +59,82 @@ const options = {
           },
         },
       },
+      parameters: {
+        Limit: {
+          name: "limit",
+          in: "query",
+          required: false,
+          description: "Maximum number of notes to return (1-100).",
+          schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+        },
+        Cursor: {
+          name: "cursor",
+          in: "query",
+          required: false,
+          description:
+            "Opaque cursor from `pagination.nextCursor` of the previous page. Must be used with the same sort and order.",
+          schema: { type: "string" },
+        },
+        Order: {
+          name: "order",
+          in: "query",
+          required: false,
+          description: "Sort direction.",
+          schema: { type: "string", enum: ["asc", "desc"], default: "desc" },
+        },
+        CreatedAfter: {
+          name: "createdAfter",
+          in: "query",
+          required: false,
+          description: "Only include notes created on or after this date.",
+          schema: { type: "string", format: "date-time" },
+        },
+        CreatedBefore: {
+          name: "createdBefore",
+          in: "query",
+          required: false,
+          description: "Only include notes created on or before this date.",
+          schema: { type: "string", format: "date-time" },
+        },
+        ModifiedAfter: {
+          name: "modifiedAfter",
+          in: "query",
+          required: false,
+          description: "Only include notes modified on or after this date.",
+          schema: { type: "string", format: "date-time" },
+        },
+        Tags: {
+          name: "tags",
+          in: "query",
+          required: false,
+          description:
+            "Comma separated tag names to filter by (e.g., work,ideas).",
+          schema: { type: "string" },
+        },
+        TagMode: {
+          name: "tagMode",
+          in: "query",
+          required: false,
+          description:
+            "Whether notes need any of the given tags or all of them.",
+          schema: { type: "string", enum: ["any", "all"], default: "any" },
+        },
+        IfMatch: {
+          name: "If-Match",
+          in: "header",
+          required: false,
+          description:
+            'ETag of the note as last read by the client (e.g., "3"). The request fails with 412 if the note has changed since.',
+          schema: { type: "string" },
+        },
+        ModifiedBefore: {
+          name: "modifiedBefore",
+          in: "query",
+          required: false,
+          description: "Only include notes modified on or before this date.",
+          schema: { type: "string", format: "date-time" },
+        },
+      },
       responses: {
         BadRequest: {
           description: "Bad request (e.g., missing fields, invalid format).",
@@ -121,6 +207,61 @@ const options = {
             },
           },
         },
+        PreconditionFailed: {
+          description:
+            "Precondition failed (the resource has changed since the client read it).",
+          content: {
+            "application/json": {
+              schema: {
+                $ref: "#/components/schemas/ErrorResponse",
+              },
+              example: {
+                status: "fail",
+                message:
+                  "Note has been modified since you last read it. Fetch the latest version and try again.",
+                details: {
+                  currentVersion: 4,
+                  etag: '"4"',
+                  modified_at: "2024-05-15T11:30:00.000Z",
+                },
+              },
+            },
+          },
+        },
+        TooManyRequests: {
+          description:
+            "Too many requests (the rate limit of the endpoint was reached). Retry after the number of seconds in the Retry-After header.",
+          headers: {
+            "Retry-After": {
+              description: "Seconds until the client can make requests again.",
+              schema: { type: "integer" },
+            },
+            "RateLimit-Limit": {
+              description: "Maximum number of requests within the window.",
+              schema: { type: "integer" },
+            },
+            "RateLimit-Remaining": {
+              description: "Requests left within the current window.",
+              schema: { type: "integer" },
+            },
+            "RateLimit-Reset": {
+              description: "Seconds until the current window ends.",
+              schema: { type: "integer" },
+            },
+          },
+          content: {
+            "application/json": {
+              schema: {
+                $ref: "#/components/schemas/ErrorResponse",
+              },
+              example: {
+                status: "fail",
+                message: "Too many requests. Please try again later.",
+                code: "RATE_LIMITED",
+              },
+            },
+          },
+        },
         InternalServerError: {
           description: "Internal server error.",
           content: {
@@ -0,0 +1,6 @@
+export const trashConfig = {
+  // Number of days a note stays in the trash before it is purged for good.
+  retentionDays: Number(process.env.TRASH_RETENTION_DAYS || 30),
+  // How often the purge job runs, in minutes. Set to 0 to disable the job.
+  purgeIntervalMinutes: Number(process.env.TRASH_PURGE_INTERVAL_MINUTES ?? 60),
+};
@@ -0,0 +1,10 @@
+export const twoFactorConfig = {
+  // Name of the service shown in authenticator apps.
+  issuer: process.env.TWO_FACTOR_ISSUER || "Swing Notes",
+  // How long the challenge token returned by login stays valid for entering the code.
+  challengeLifetime: process.env.TWO_FACTOR_CHALLENGE_LIFETIME || "5m",
+  // Number of one-time recovery codes issued when two-factor authentication is enabled.
+  recoveryCodeCount: Number(process.env.TWO_FACTOR_RECOVERY_CODE_COUNT || 10),
+  // Number of 30 second time steps accepted before and after the current one, to allow for clock drift.
+  window: 1,
+};
@@ -0,0 +1,308 @@
+import * as adminService from "../services/adminService.js";
+import {
+  validate,
+  adminListUsersSchema,
+  adminStatsSchema,
+  auditLogQuerySchema,
+} from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *         username:
+ *           type: string
+ *           example: johndoe
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           example: user
+ *         locked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the account was locked, or null if it is not locked.
+ *           example: null
+ *         password_reset_required:
+ *           type: boolean
+ *           description: Whether the user must reset their password before they can log in.
+ *           example: false
+ *         note_count:
+ *           type: integer
+ *           description: Number of notes the user owns, not counting the trash.
+ *           example: 12
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T10:00:00.000Z
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: 3f2504e0-4f89-11d3-9a0c-0305e82c3301
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the administrator who performed the action.
+ *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *         actor_username:
+ *           type: string
+ *           nullable: true
+ *           description: Username of the administrator, or null if the account no longer exists.
+ *           example: admin
+ *         action:
+ *           type: string
+ *           enum: [list_users, view_user, lock_user, unlock_user, force_password_reset, delete_user, view_stats, view_audit_log]
+ *           example: lock_user
+ *         target_user_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the user the action was performed on, if any.
+ *           example: b2c3d4e5-f6a7-8901-2345-67890abcdef1
+ *         target_username:
+ *           type: string
+ *           nullable: true
+ *           description: Username of the target user, or null if there is none or it was deleted.
+ *           example: janedoe
+ *         details:
+ *           type: object
+ *           description: Extra information about the action, such as search filters or the username of a deleted user.
+ *           example: {}
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           example: 203.0.113.7
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T10:00:00.000Z
+ *     UsageStats:
+ *       type: object
+ *       properties:
+ *         recentDays:
+ *           type: integer
+ *           description: The number of days counted as recent.
+ *           example: 7
+ *         users:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 120 }
+ *             admins: { type: integer, example: 2 }
+ *             locked: { type: integer, example: 1 }
+ *             recent: { type: integer, description: Sign-ups in the recent period., example: 9 }
+ *         notes:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, description: Notes not in the trash., example: 1450 }
+ *             trashed: { type: integer, example: 37 }
+ *             recent: { type: integer, description: Notes created in the recent period., example: 210 }
+ *         notebooks:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 95 }
+ *         tags:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 310 }
+ *         shares:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 44 }
+ *         publicLinks:
+ *           type: object
+ *           properties:
+ *             total: { type: integer, example: 12 }
+ *         sessions:
+ *           type: object
+ *           properties:
+ *             active: { type: integer, example: 87 }
+ */
+
+/**
+ * Builds the actor recorded in the audit trail from the request.
+ * @param {object} req - The Express request object, with `req.user.id`.
+ * @returns {object} `{ id, ip }` of the administrator.
+ */
+const toActor = (req) => ({ id: req.user.id, ip: req.ip || null });
+
+/**
+ * Lists and searches users.
+ * @param {object} req - The Express request object, with `req.user.id` and search and pagination options in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listUsers = async (req, res, next) => {
+  try {
+    const query = validate(adminListUsersSchema, req.query);
+    const page = await adminService.listUsersService(toActor(req), query);
+    res.status(200).json({
+      status: "success",
+      message: "Users retrieved successfully!",
+      data: page.users,
+      pagination: {
+        limit: query.limit,
+        total: page.total,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a single user.
+ * @param {object} req - The Express request object, with `req.user.id` and the user ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await adminService.getUserService(toActor(req), req.params.id);
+    res.status(200).json({
+      status: "success",
+      message: "User retrieved successfully!",
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Locks a user account and ends all of its sessions.
+ * @param {object} req - The Express request object, with `req.user.id` and the user ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const lockUser = async (req, res, next) => {
+  try {
+    const user = await adminService.setUserLockedService(
+      toActor(req),
+      req.params.id,
+      true
+    );
+    res.status(200).json({
+      status: "success",
+      message: "User locked successfully!",
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlocks a user account.
+ * @param {object} req - The Express request object, with `req.user.id` and the user ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await adminService.setUserLockedService(
+      toActor(req),
+      req.params.id,
+      false
+    );
+    res.status(200).json({
+      status: "success",
+      message: "User unlocked successfully!",
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requires a user to reset their password and ends all of their sessions.
+ * @param {object} req - The Express request object, with `req.user.id` and the user ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await adminService.forcePasswordResetService(
+      toActor(req),
+      req.params.id
+    );
+    res.status(200).json({
+      status: "success",
+      message: "Password reset required for user!",
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a user account.
+ * @param {object} req - The Express request object, with `req.user.id` and the user ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const deleteUser = async (req, res, next) => {
+  try {
+    await adminService.deleteUserService(toActor(req), req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves usage statistics.
+ * @param {object} req - The Express request object, with `req.user.id` and an optional `days` in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getStats = async (req, res, next) => {
+  try {
+    const { days } = validate(adminStatsSchema, req.query);
+    const stats = await adminService.getStatsService(toActor(req), days);
+    res.status(200).json({
+      status: "success",
+      message: "Usage statistics retrieved successfully!",
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a page of the audit trail.
+ * @param {object} req - The Express request object, with `req.user.id` and filter and pagination options in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const query = validate(auditLogQuerySchema, req.query);
+    const page = await adminService.getAuditLogService(toActor(req), query);
+    res.status(200).json({
+      status: "success",
+      message: "Audit log retrieved successfully!",
+      data: page.entries,
+      pagination: {
+        limit: query.limit,
+        total: page.total,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
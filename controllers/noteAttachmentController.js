@@ -0,0 +1,164 @@
+import { pipeline } from "stream";
+import * as noteAttachmentService from "../services/noteAttachmentService.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NoteAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the attachment.
+ *           example: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *         note_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the note the file is attached to.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         uploader_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the user who uploaded the file; null once that user is deleted.
+ *           example: b2c3d4e5-f6a7-8901-2345-67890abcdef1
+ *         file_name:
+ *           type: string
+ *           example: whiteboard.png
+ *         content_type:
+ *           type: string
+ *           example: image/png
+ *         size:
+ *           type: integer
+ *           description: Size of the file in bytes.
+ *           example: 48213
+ *         checksum:
+ *           type: string
+ *           description: Hex-encoded SHA-256 checksum of the file, also sent as the ETag of the download.
+ *           example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the file was uploaded.
+ *           example: 2024-05-15T10:00:00.000Z
+ */
+
+/**
+ * Lists the attachments of a note the user can read.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listAttachments = async (req, res, next) => {
+  try {
+    const attachments = await noteAttachmentService.listAttachmentsService(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Attachments retrieved successfully!",
+      data: attachments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attaches the uploaded file to a note the user can edit.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and the upload in `req.file`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const uploadAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('Upload the file to attach in the "file" field.', 400);
+    }
+    const attachment = await noteAttachmentService.uploadAttachmentService(
+      req.params.id,
+      req.user.id,
+      {
+        fileName: req.file.originalname,
+        contentType: req.file.mimetype,
+        data: req.file.buffer,
+      }
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "File attached successfully!",
+      data: attachment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Downloads an attachment. The file is streamed from storage and always sent as a download, never shown
+ * inline, so uploaded files cannot run in the API's origin. The checksum is the ETag, so clients can
+ * revalidate with `If-None-Match`.
+ * @param {object} req - The Express request object, with `req.user.id` and the note and attachment IDs in
+ *                      `req.params.id` and `req.params.attachmentId`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const downloadAttachment = async (req, res, next) => {
+  try {
+    const { attachment, stream } =
+      await noteAttachmentService.getAttachmentContentService(
+        req.params.id,
+        req.params.attachmentId,
+        req.user.id
+      );
+
+    res.attachment(attachment.file_name);
+    res.set({
+      "Content-Type": attachment.content_type,
+      "Content-Length": String(attachment.size),
+      ETag: `"${attachment.checksum}"`,
+      "Cache-Control": "private, no-cache",
+      "X-Content-Type-Options": "nosniff",
+    });
+    if (req.fresh) {
+      stream.destroy();
+      res.status(304).end();
+      return;
+    }
+
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("Attachment download failed:", error.message);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes an attachment of a note the user can edit, and its file.
+ * @param {object} req - The Express request object, with `req.user.id` and the note and attachment IDs in
+ *                      `req.params.id` and `req.params.attachmentId`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const deleteAttachment = async (req, res, next) => {
+  try {
+    await noteAttachmentService.deleteAttachmentService(
+      req.params.id,
+      req.params.attachmentId,
+      req.user.id
+    );
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
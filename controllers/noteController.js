@@ -4,7 +4,16 @@ import {
   validate,
   createNoteSchema,
   updateNoteSchema,
+  getNoteQuerySchema,
+  listNotesSchema,
+  searchNotesSchema,
+  bulkNoteRequestSchema,
+  bulkNoteOperationSchema,
+  noteChangesQuerySchema,
+  pushNoteChangesSchema,
+  noteChangeSchema,
 } from "../utils/validation.js";
+import { toEtag, parseIfMatch } from "../utils/etag.js";
 
 /**
  * @swagger
@@ -23,14 +32,61 @@ import {
  *           format: uuid
  *           description: ID of the user who owns the note.
  *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *         notebook_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the notebook the note is in, or null for the top level.
+ *           example: 7c9e6679-7425-40de-944b-e07fc1f90ae7
  *         title:
  *           type: string
  *           description: Title of the note (max 50 chars).
  *           example: My Awesome Note
  *         text:
  *           type: string
- *           description: Content of the note (max 300 chars).
+ *           description: Content of the note, as written.
  *           example: This is the text of the note. It can be quite long, but not too long!
+ *         content_format:
+ *           type: string
+ *           enum: [plain, markdown]
+ *           description: Format of the text.
+ *           example: plain
+ *         reminder_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the reminder of the note fires next, or null if it has none.
+ *           example: 2024-05-20T08:00:00.000Z
+ *         reminder_rule:
+ *           type: string
+ *           nullable: true
+ *           description: Recurrence rule of the reminder, or null for a one-off reminder.
+ *           example: FREQ=WEEKLY
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Timestamp when the note was moved to the trash (trash listing only).
+ *           example: 2024-05-16T09:00:00.000Z
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Tag names of the note, sorted alphabetically.
+ *           example: [ideas, work]
+ *         permission:
+ *           type: string
+ *           enum: [owner, edit, read]
+ *           description: Access level of the authenticated user (single note and shared-with-me only).
+ *           example: edit
+ *         owner_username:
+ *           type: string
+ *           description: Username of the note owner (shared-with-me only).
+ *           example: johndoe
+ *         version:
+ *           type: integer
+ *           description: Version of the note, increased on every update. Returned as the ETag header.
+ *           example: 3
  *         created_at:
  *           type: string
  *           format: date-time
@@ -41,6 +97,44 @@ import {
  *           format: date-time
  *           description: Timestamp when the note was last modified.
  *           example: 2024-05-15T11:30:00.000Z
+ *     NoteMetadata:
+ *       type: object
+ *       description: Outline extracted from the note's content. Plain text notes have no headings or checklist items.
+ *       properties:
+ *         headings:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               level: { type: integer, minimum: 1, maximum: 6, example: 2 }
+ *               text: { type: string, example: Action items }
+ *               line: { type: integer, description: 1-based line of the heading in the text., example: 5 }
+ *         links:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               text: { type: string, example: Meeting recording }
+ *               url: { type: string, example: "https://example.com/recording" }
+ *         checklist:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               text: { type: string, example: Send the minutes }
+ *               done: { type: boolean, example: false }
+ *               line: { type: integer, description: 1-based line of the item in the text., example: 7 }
+ *     NoteDetail:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Note'
+ *         - type: object
+ *           properties:
+ *             metadata:
+ *               $ref: '#/components/schemas/NoteMetadata'
+ *             html:
+ *               type: string
+ *               description: The content rendered as sanitized HTML (with `render=html` only). Raw HTML in the text is escaped and only http(s), mailto and relative links are kept.
+ *               example: "<h2>Action items</h2>\n<ul>\n<li class=\"task-list-item\"><input type=\"checkbox\" disabled> Send the minutes</li>\n</ul>"
  *     CreateNoteRequest:
  *       type: object
  *       required:
@@ -53,8 +147,37 @@ import {
  *           example: My First Note
  *         text:
  *           type: string
- *           description: Content of the note (max 300 chars).
+ *           description: Content of the note (max 300 chars for plain text, 20000 for Markdown by default).
  *           example: This is the text content of my very first note. It's quite interesting.
+ *         contentFormat:
+ *           type: string
+ *           enum: [plain, markdown]
+ *           default: plain
+ *           description: Format of the text. Markdown notes can be rendered as HTML and allow longer texts.
+ *           example: markdown
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Optional tag names (max 20, each max 30 chars). Missing tags are created.
+ *           example: [work, ideas]
+ *         notebookId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Optional notebook to place the note in. Defaults to the top level.
+ *           example: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *         reminderAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Optional time to be reminded of the note at. The owner is notified through the feed at /notifications and their webhooks.
+ *           example: 2024-05-20T08:00:00.000Z
+ *         reminderRule:
+ *           type: string
+ *           nullable: true
+ *           description: Optional recurrence rule of the reminder, a subset of iCalendar RRULE with FREQ (HOURLY, DAILY, WEEKLY, MONTHLY or YEARLY), INTERVAL and UNTIL, computed in UTC. Needs a reminderAt.
+ *           example: FREQ=WEEKLY;INTERVAL=2;UNTIL=20251231T235959Z
  *     UpdateNoteRequest:
  *       type: object
  *       properties:
@@ -64,26 +187,349 @@ import {
  *           example: Updated Note Title
  *         text:
  *           type: string
- *           description: New content for the note (max 300 chars).
+ *           description: New content for the note, within the limit of its content format.
  *           example: The text content has been updated for this note.
+ *         contentFormat:
+ *           type: string
+ *           enum: [plain, markdown]
+ *           description: New format of the text. The text, new or current, must fit the format's limit.
+ *           example: markdown
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Replaces all tags of the note. Send an empty array to remove all tags.
+ *           example: [work]
+ *         notebookId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Moves the note to this notebook. Send null to move it to the top level.
+ *           example: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *         reminderAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: New reminder time. Send null to remove the reminder, which also removes its recurrence.
+ *           example: 2024-05-20T08:00:00.000Z
+ *         reminderRule:
+ *           type: string
+ *           nullable: true
+ *           description: New recurrence rule of the reminder. Send null to make it a one-off reminder.
+ *           example: FREQ=DAILY
  *       minProperties: 1
- *       description: At least one of 'title' or 'text' must be provided.
+ *       description: At least one of 'title', 'text', 'contentFormat', 'tags', 'notebookId', 'reminderAt' or 'reminderRule' must be provided.
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           description: Maximum number of notes in this page.
+ *           example: 20
+ *         total:
+ *           type: integer
+ *           description: Total number of notes matching the filters, across all pages.
+ *           example: 134
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Opaque cursor to pass as `cursor` to fetch the next page, or null on the last page.
+ *           example: eyJzb3J0IjoibW9kaWZpZWRfYXQiLCJvcmRlciI6ImRlc2MifQ
+ *     SearchResult:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Note'
+ *         - type: object
+ *           properties:
+ *             rank:
+ *               type: number
+ *               description: Relevance of the note to the query (fulltext mode only).
+ *               example: 0.6079271
+ *             title_highlight:
+ *               type: string
+ *               description: HTML of the title, escaped, with matching words wrapped in <mark> tags (fulltext mode only).
+ *               example: My <mark>Meeting</mark> Note
+ *             text_highlight:
+ *               type: string
+ *               description: HTML snippets of the text, escaped, with matching words wrapped in <mark> tags (fulltext mode only).
+ *               example: Agenda for the <mark>meeting</mark> on Monday
+ *     BulkNoteOperation:
+ *       type: object
+ *       required: [op]
+ *       properties:
+ *         op:
+ *           type: string
+ *           enum: [create, update, delete]
+ *           description: What to do.
+ *           example: update
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the note to update or delete. Not allowed for creations.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         ifMatch:
+ *           type: string
+ *           description: Works like the If-Match header of the single-note endpoints. The operation fails with 412 if the note has changed.
+ *           example: '"3"'
+ *         note:
+ *           type: object
+ *           description: The note fields, as in CreateNoteRequest for creations and UpdateNoteRequest for updates. Not allowed for deletions.
+ *           example: { text: Changed offline }
+ *     BulkNoteRequest:
+ *       type: object
+ *       required: [operations]
+ *       properties:
+ *         atomic:
+ *           type: boolean
+ *           default: false
+ *           description: If true, either every operation is applied or none is. If false, the operations that succeed are applied even if others fail.
+ *         operations:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 100
+ *           items:
+ *             $ref: '#/components/schemas/BulkNoteOperation'
+ *     BulkNoteResult:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *           description: Position of the operation in the request.
+ *           example: 0
+ *         op:
+ *           type: string
+ *           nullable: true
+ *           example: update
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the note; for creations, the ID of the new note.
+ *         statusCode:
+ *           type: integer
+ *           description: The status the single-note endpoint would have answered with (201, 200 or 204 on success). 424 means the operation was not applied because another one failed in an atomic batch.
+ *           example: 200
+ *         etag:
+ *           type: string
+ *           description: ETag of the created or updated note.
+ *           example: '"4"'
+ *         note:
+ *           $ref: '#/components/schemas/Note'
+ *         error:
+ *           type: object
+ *           description: Why the operation failed, with the same message, code and details as the single-note endpoint.
+ *           properties:
+ *             message: { type: string, example: "Note not found or you do not have permission to update it." }
+ *             code: { type: string }
+ *             details: { type: object }
+ *     BulkNoteResponse:
+ *       type: object
+ *       properties:
+ *         status: { type: string, example: "success" }
+ *         message: { type: string, example: "Some operations failed; the others were applied." }
+ *         data:
+ *           type: object
+ *           properties:
+ *             atomic: { type: boolean, example: false }
+ *             applied:
+ *               type: boolean
+ *               description: Whether any change was committed.
+ *               example: true
+ *             succeeded: { type: integer, example: 2 }
+ *             failed: { type: integer, example: 1 }
+ *             results:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BulkNoteResult'
+ *     NoteChange:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [upsert, delete]
+ *           description: "`upsert` for a created or updated note, `delete` for a tombstone of a note that was moved to the trash or deleted permanently."
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the note.
+ *         note:
+ *           $ref: '#/components/schemas/Note'
+ *         deleted_at:
+ *           type: string
+ *           format: date-time
+ *           description: When the note was deleted (tombstones only).
+ *     NoteChangesResponse:
+ *       type: object
+ *       properties:
+ *         status: { type: string, example: "success" }
+ *         message: { type: string, example: "Note changes retrieved successfully!" }
+ *         data:
+ *           type: object
+ *           properties:
+ *             changes:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NoteChange'
+ *             syncToken:
+ *               type: string
+ *               description: Opaque token to send as `since` on the next sync.
+ *               example: eyJ4aWQiOiI3NTQiLCJpZCI6IjAwMDAwMDAwLTAwMDAtMDAwMC0wMDAwLTAwMDAwMDAwMDAwMCJ9
+ *             hasMore:
+ *               type: boolean
+ *               description: True if there are more changes to fetch right away with the new sync token.
+ *     PushNoteChange:
+ *       type: object
+ *       required: [id]
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the note. New notes use an ID generated by the client.
+ *         baseVersion:
+ *           type: integer
+ *           description: The server version of the note the change is based on. Omit it (and baseModifiedAt) for new notes.
+ *           example: 3
+ *         baseModifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Alternative to baseVersion, the `modified_at` of the server's note the change is based on.
+ *         deleted:
+ *           type: boolean
+ *           default: false
+ *           description: Moves the note to the trash. Requires baseVersion or baseModifiedAt.
+ *         note:
+ *           type: object
+ *           description: The note fields, as in CreateNoteRequest for new notes and UpdateNoteRequest otherwise. Not allowed for deletions.
+ *           example: { title: Written offline, text: On the train }
+ *     PushNoteChangesRequest:
+ *       type: object
+ *       required: [changes]
+ *       properties:
+ *         changes:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 100
+ *           items:
+ *             $ref: '#/components/schemas/PushNoteChange'
+ *     PushNoteChangeResult:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *           description: Position of the change in the request.
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         statusCode:
+ *           type: integer
+ *           description: 201 (created), 200 (updated) or 204 (deleted) on success; 409 on a conflict; otherwise the status of the single-note endpoints.
+ *           example: 409
+ *         etag:
+ *           type: string
+ *           description: ETag of the created or updated note.
+ *         note:
+ *           $ref: '#/components/schemas/Note'
+ *         error:
+ *           type: object
+ *           description: "Why the change was not applied. Conflicts have code `SYNC_CONFLICT` and details with the `reason` (`modified`, `deleted` or `exists`) and the server's `note` or `deleted_at`."
+ *           properties:
+ *             message: { type: string, example: "Note was changed on the server since the client's base version." }
+ *             code: { type: string, example: SYNC_CONFLICT }
+ *             details: { type: object }
+ *     PushNoteChangesResponse:
+ *       type: object
+ *       properties:
+ *         status: { type: string, example: "success" }
+ *         message: { type: string, example: "Some changes were not applied." }
+ *         data:
+ *           type: object
+ *           properties:
+ *             succeeded: { type: integer, example: 4 }
+ *             conflicts: { type: integer, example: 1 }
+ *             failed:
+ *               type: integer
+ *               description: Number of changes not applied, conflicts included.
+ *               example: 1
+ *             results:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PushNoteChangeResult'
  */
 
 /**
- * Retrieves all notes for the authenticated user.
- * @param {object} req - The Express request object, containing `req.user.id`.
+ * Retrieves a page of notes for the authenticated user.
+ * Supports `limit`, `cursor`, `sort`, `order` and created/modified date range filters as query parameters.
+ * @param {object} req - The Express request object, containing `req.user.id` and pagination options in `req.query`.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function.
  */
 export const getNotes = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const notes = await noteService.getNotesService(userId);
+    const query = validate(listNotesSchema, req.query);
+    const page = await noteService.getNotesService(userId, query);
     res.status(200).json({
       status: "success",
       message: "Notes retrieved successfully!",
-      data: notes,
+      data: page.notes,
+      pagination: {
+        limit: query.limit,
+        total: page.total,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a page of the notes other users have shared with the authenticated user.
+ * Supports the same query parameters as `getNotes`.
+ * @param {object} req - The Express request object, containing `req.user.id` and pagination options in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getSharedWithMe = async (req, res, next) => {
+  try {
+    const query = validate(listNotesSchema, req.query);
+    const page = await noteService.getSharedNotesService(req.user.id, query);
+    res.status(200).json({
+      status: "success",
+      message: "Shared notes retrieved successfully!",
+      data: page.notes,
+      pagination: {
+        limit: query.limit,
+        total: page.total,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a single note the authenticated user owns or that is shared with them, with the metadata extracted
+ * from its content and, with `?render=html`, the content rendered as sanitized HTML.
+ * The note version is returned in the `ETag` header, to be sent back as `If-Match` on update or delete.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id` and
+ *                      the optional `render` query parameter.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getNote = async (req, res, next) => {
+  try {
+    const { render } = validate(getNoteQuerySchema, req.query);
+    const note = await noteService.getNoteService(req.params.id, req.user.id, {
+      render,
+    });
+
+    res.set("ETag", toEtag(note));
+    res.status(200).json({
+      status: "success",
+      message: "Note retrieved successfully!",
+      data: note,
     });
   } catch (error) {
     next(error);
@@ -99,10 +545,25 @@ export const getNotes = async (req, res, next) => {
 export const createNote = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { title, text } = validate(createNoteSchema, req.body);
+    const {
+      title,
+      text,
+      contentFormat,
+      tags,
+      notebookId,
+      reminderAt,
+      reminderRule,
+    } = validate(createNoteSchema, req.body);
 
-    const newNote = await noteService.createNoteService(userId, title, text);
+    const newNote = await noteService.createNoteService(userId, title, text, {
+      tags,
+      notebookId,
+      contentFormat,
+      reminderAt,
+      reminderRule,
+    });
 
+    res.set("ETag", toEtag(newNote));
     res.status(201).json({
       status: "success",
       message: "Note created successfully!",
@@ -116,6 +577,7 @@ export const createNote = async (req, res, next) => {
 /**
  * Updates an existing note belonging to the authenticated user.
  * Note ID is passed as a query parameter for PUT requests.
+ * An optional `If-Match` header makes the update fail with 412 if the note has changed since it was read.
  * @param {object} req - The Express request object, with `req.user.id`, note ID in query, and updates in body.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function.
@@ -136,7 +598,7 @@ export const updateNote = async (req, res, next) => {
 
     if (Object.keys(updates).length === 0) {
       throw new AppError(
-        "No valid fields provided for update (title or text).",
+        "No valid fields provided for update (title, text, contentFormat, tags, notebookId, reminderAt or reminderRule).",
         400
       );
     }
@@ -144,9 +606,11 @@ export const updateNote = async (req, res, next) => {
     const updatedNote = await noteService.updateNoteService(
       noteId,
       userId,
-      updates
+      updates,
+      { expectedVersions: parseIfMatch(req.headers["if-match"]) }
     );
 
+    res.set("ETag", toEtag(updatedNote));
     res.status(200).json({
       status: "success",
       message: "Note updated successfully!",
@@ -158,8 +622,9 @@ export const updateNote = async (req, res, next) => {
 };
 
 /**
- * Deletes a note belonging to the authenticated user.
+ * Deletes a note belonging to the authenticated user by moving it to the trash.
  * Note ID is passed as a query parameter for DELETE requests.
+ * An optional `If-Match` header makes the deletion fail with 412 if the note has changed since it was read.
  * @param {object} req - The Express request object, with `req.user.id` and note ID in query.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function.
@@ -176,7 +641,9 @@ export const deleteNote = async (req, res, next) => {
       );
     }
 
-    await noteService.deleteNoteService(noteId, userId);
+    await noteService.deleteNoteService(noteId, userId, {
+      expectedVersions: parseIfMatch(req.headers["if-match"]),
+    });
 
     res.status(204).send();
   } catch (error) {
@@ -185,32 +652,254 @@ export const deleteNote = async (req, res, next) => {
 };
 
 /**
- * Searches for notes by title for the authenticated user.
- * Search term is passed as a query parameter.
- * @param {object} req - The Express request object, with `req.user.id` and search query in `req.query.q`.
+ * Lists the trashed notes of the authenticated user.
+ * @param {object} req - The Express request object, containing `req.user.id`.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function.
  */
-export const searchNotes = async (req, res, next) => {
+export const getTrash = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const searchTerm = req.query.q;
+    const notes = await noteService.getTrashService(req.user.id);
+    res.status(200).json({
+      status: "success",
+      message: "Trashed notes retrieved successfully!",
+      data: notes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restores a trashed note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const restoreNote = async (req, res, next) => {
+  try {
+    const note = await noteService.restoreNoteService(
+      req.params.id,
+      req.user.id
+    );
+
+    res.set("ETag", toEtag(note));
+    res.status(200).json({
+      status: "success",
+      message: "Note restored successfully!",
+      data: note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently deletes a trashed note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const permanentlyDeleteNote = async (req, res, next) => {
+  try {
+    await noteService.permanentlyDeleteNoteService(req.params.id, req.user.id);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validates one operation of a bulk request, with the same note rules as the single-note endpoints.
+ * @param {object} operation - The operation from the request body.
+ * @returns {object} `{ op, id, note, expectedVersions }`, or `{ op, id, error }` if the operation is invalid.
+ */
+const parseBulkOperation = (operation) => {
+  try {
+    const { op, id, ifMatch, note } = validate(
+      bulkNoteOperationSchema,
+      operation
+    );
+    return {
+      op,
+      id,
+      note:
+        op === "delete"
+          ? undefined
+          : validate(
+              op === "create" ? createNoteSchema : updateNoteSchema,
+              note
+            ),
+      expectedVersions: parseIfMatch(ifMatch),
+    };
+  } catch (error) {
+    return { op: operation?.op, id: operation?.id, error };
+  }
+};
+
+/**
+ * Runs a batch of note creations, updates and deletions in one transaction.
+ * Responds with 200 if every operation succeeded and 207 (Multi-Status) otherwise, with a result per operation.
+ * @param {object} req - The Express request object, with `req.user.id` and `{ atomic, operations }` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const bulkNotes = async (req, res, next) => {
+  try {
+    const { atomic, operations } = validate(bulkNoteRequestSchema, req.body);
+
+    const { applied, results } = await noteService.bulkNoteOperationsService(
+      req.user.id,
+      operations.map(parseBulkOperation),
+      { atomic }
+    );
+
+    const failed = results.filter((result) => result.error).length;
+    let message = "All operations applied successfully!";
+    if (!applied) {
+      message = "No operations were applied.";
+    } else if (failed > 0) {
+      message = "Some operations failed; the others were applied.";
+    }
+
+    res.status(failed > 0 ? 207 : 200).json({
+      status: "success",
+      message: message,
+      data: {
+        atomic,
+        applied,
+        succeeded: results.length - failed,
+        failed,
+        results: results.map((result) =>
+          result.note ? { ...result, etag: toEtag(result.note) } : result
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (!searchTerm || searchTerm.trim() === "") {
-      throw new AppError("Search query (q) is required.", 400);
+/**
+ * Retrieves the changes to the authenticated user's notes since an earlier sync (the change feed).
+ * @param {object} req - The Express request object, with `req.user.id` and `since` and `limit` in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getNoteChanges = async (req, res, next) => {
+  try {
+    const query = validate(noteChangesQuerySchema, req.query);
+    const feed = await noteService.getNoteChangesService(req.user.id, query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Note changes retrieved successfully!",
+      data: feed,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validates one change of a push, with the same note rules as the single-note endpoints.
+ * @param {object} change - The change from the request body.
+ * @returns {object} The validated change, or `{ id, error }` if the change is invalid.
+ */
+const parseNoteChange = (change) => {
+  try {
+    const { note, ...rest } = validate(noteChangeSchema, change);
+    if (rest.deleted) {
+      return rest;
     }
+    const isNew =
+      rest.baseVersion === undefined && rest.baseModifiedAt === undefined;
+    return {
+      ...rest,
+      note: validate(isNew ? createNoteSchema : updateNoteSchema, note),
+    };
+  } catch (error) {
+    return { id: change?.id, error };
+  }
+};
 
-    const notes = await noteService.searchNotesService(userId, searchTerm);
+/**
+ * Applies changes an offline client made to the authenticated user's notes.
+ * Responds with 200 if every change was applied and 207 (Multi-Status) otherwise, with a result per change.
+ * @param {object} req - The Express request object, with `req.user.id` and `{ changes }` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const pushNoteChanges = async (req, res, next) => {
+  try {
+    const { changes } = validate(pushNoteChangesSchema, req.body);
+
+    const results = await noteService.pushNoteChangesService(
+      req.user.id,
+      changes.map(parseNoteChange)
+    );
+
+    const failed = results.filter((result) => result.error).length;
+    const conflicts = results.filter(
+      (result) => result.error?.code === "SYNC_CONFLICT"
+    ).length;
+
+    res.status(failed > 0 ? 207 : 200).json({
+      status: "success",
+      message:
+        failed > 0
+          ? "Some changes were not applied."
+          : "All changes applied successfully!",
+      data: {
+        succeeded: results.length - failed,
+        conflicts,
+        failed,
+        results: results.map((result) =>
+          result.note ? { ...result, etag: toEtag(result.note) } : result
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Searches notes for the authenticated user.
+ * Search term and mode are passed as query parameters. The default "fulltext" mode
+ * searches title and text with ranking and highlights, "substring" matches titles only.
+ * Results are paginated the same way as `getNotes`.
+ * @param {object} req - The Express request object, with `req.user.id`, search query in `req.query.q`, optional `req.query.mode` and pagination options.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const searchNotes = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const query = validate(searchNotesSchema, req.query);
+
+    const page = await noteService.searchNotesService(
+      userId,
+      query.q,
+      query.mode,
+      query
+    );
 
     let message = "Notes found successfully!";
-    if (notes.length === 0) {
+    if (page.total === 0) {
       message = "No notes found matching your search criteria.";
     }
 
     res.status(200).json({
       status: "success",
       message: message,
-      data: notes,
+      data: page.notes,
+      pagination: {
+        limit: query.limit,
+        total: page.total,
+        nextCursor: page.nextCursor,
+      },
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,125 @@
+import * as noteExportService from "../services/noteExportService.js";
+import { validate, exportNotesQuerySchema } from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExportedNote:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         title:
+ *           type: string
+ *           example: Shopping list
+ *         text:
+ *           type: string
+ *           example: Milk, eggs, bread
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [home]
+ *         notebook:
+ *           type: string
+ *           nullable: true
+ *           description: Path of the note's notebook, with the names of its parent notebooks.
+ *           example: Personal/Errands
+ *         notebook_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         version:
+ *           type: integer
+ *           example: 3
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         modified_at:
+ *           type: string
+ *           format: date-time
+ *     NoteExport:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           example: swing-notes
+ *         version:
+ *           type: integer
+ *           description: Version of the export format.
+ *           example: 1
+ *         exported_at:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ExportedNote'
+ */
+
+/**
+ * Writes a chunk to the response, waiting for the client to catch up if the response buffer is full.
+ * @param {object} res - The Express response object.
+ * @param {string|Buffer} chunk - The chunk to write.
+ * @returns {Promise<void>} Resolves once more can be written.
+ * @throws {Error} If the client closed the connection.
+ */
+const writeChunk = (res, chunk) =>
+  new Promise((resolve, reject) => {
+    if (res.destroyed) {
+      reject(new Error("Client closed the connection."));
+      return;
+    }
+    if (res.write(chunk)) {
+      resolve();
+      return;
+    }
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      reject(new Error("Client closed the connection."));
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+
+/**
+ * Streams every note of the authenticated user as a download, in the format given by `req.query.format`.
+ * If the export fails after the download has started, the connection is closed, so clients never
+ * mistake a truncated export for a complete one.
+ * @param {object} req - The Express request object, with `req.user.id` and `format` in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const exportNotes = async (req, res, next) => {
+  try {
+    const { format } = validate(exportNotesQuerySchema, req.query);
+    const { contentType, extension } = noteExportService.EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200).set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="swing-notes-${date}.${extension}"`,
+      "Cache-Control": "no-store",
+    });
+
+    await noteExportService.exportNotesService(req.user.id, format, (chunk) =>
+      writeChunk(res, chunk)
+    );
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      next(error);
+      return;
+    }
+    console.error("Error exporting notes:", error.message);
+    res.destroy();
+  }
+};
@@ -0,0 +1,179 @@
+import * as noteImportService from "../services/noteImportService.js";
+import { startNoteImportJob } from "../jobs/noteImportJob.js";
+import { noteImportConfig } from "../config/noteImport.js";
+import { AppError } from "../utils/appError.js";
+import { validate, importNotesSchema } from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NoteImportItem:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *           description: Position of the item in the file.
+ *         source:
+ *           type: string
+ *           description: Where the item came from, e.g. `notes[3]` in a JSON file, `note[3]` in an ENEX file or the path of a Markdown file.
+ *           example: Work/Roadmap.md
+ *         status:
+ *           type: string
+ *           enum: [created, skipped, failed]
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the created note, or of the existing note a skipped item duplicates.
+ *         title:
+ *           type: string
+ *           example: Roadmap
+ *         error:
+ *           type: string
+ *           description: Why the item was skipped or failed.
+ *           example: Text cannot exceed 300 characters.
+ *     NoteImportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         format:
+ *           type: string
+ *           enum: [json, markdown, enex]
+ *         file_name:
+ *           type: string
+ *           example: notes.enex
+ *         status:
+ *           type: string
+ *           enum: [pending, running, completed, failed]
+ *           description: "`failed` means the import stopped on an unexpected error, could not read the file or was interrupted by a server restart; see `error`. Failed items do not fail the import."
+ *         total:
+ *           type: integer
+ *           description: Number of items in the file; 0 until a background import has read the file.
+ *           example: 120
+ *         created:
+ *           type: integer
+ *           example: 117
+ *         skipped:
+ *           type: integer
+ *           description: Items that were not notes, or notes imported before (same ID).
+ *           example: 1
+ *         failed:
+ *           type: integer
+ *           description: Items that could not be imported, e.g. because they failed validation.
+ *           example: 2
+ *         items:
+ *           type: array
+ *           description: The report, one entry per item, once the import is finished.
+ *           items:
+ *             $ref: '#/components/schemas/NoteImportItem'
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     NoteImportResponse:
+ *       type: object
+ *       properties:
+ *         status: { type: string, example: "success" }
+ *         message: { type: string, example: "Import finished." }
+ *         data:
+ *           $ref: '#/components/schemas/NoteImportJob'
+ */
+
+/**
+ * Imports notes from an uploaded JSON export, zip of Markdown files or Evernote export.
+ * Small files are imported right away (200); files of at least `noteImportConfig.backgroundMinBytes` are
+ * read and imported in the background (202), and the response points to the job to poll.
+ * @param {object} req - The Express request object, with `req.user.id`, the upload in `req.file` and an optional
+ *                      `format` in `req.body`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const importNotes = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('Upload the file to import in the "file" field.', 400);
+    }
+    const { buffer, originalname, size } = req.file;
+    const fields = validate(importNotesSchema, req.body ?? {});
+    const format =
+      fields.format ||
+      noteImportService.detectImportFormat(originalname, buffer);
+    if (!format) {
+      throw new AppError(
+        "Unsupported file type. Upload a .json, .zip (Markdown) or .enex file, or set the format field.",
+        400
+      );
+    }
+
+    const fileName = originalname ? originalname.slice(0, 255) : null;
+
+    if (size >= noteImportConfig.backgroundMinBytes) {
+      // Large files are not even read on the request: the job reads them off the event loop.
+      const job = await noteImportService.createImportJobService(req.user.id, {
+        format,
+        fileName,
+        total: 0,
+      });
+      startNoteImportJob(job.id, req.user.id, buffer, format);
+      res.status(202).location(`/api/notes/import/${job.id}`).json({
+        status: "success",
+        message: "Import started. Poll the import for its progress.",
+        data: job,
+      });
+      return;
+    }
+
+    const items = noteImportService.readImportFile(buffer, format);
+    const job = await noteImportService.createImportJobService(req.user.id, {
+      format,
+      fileName,
+      total: items.length,
+    });
+    const finished = await noteImportService.runImportJobService(
+      job.id,
+      req.user.id,
+      items
+    );
+    res.status(200).json({
+      status: "success",
+      message: "Import finished.",
+      data: finished,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves an import of the authenticated user with its progress, and its report once it is finished.
+ * @param {object} req - The Express request object, with `req.user.id` and the job ID in `req.params.jobId`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getImportJob = async (req, res, next) => {
+  try {
+    const job = await noteImportService.getImportJobService(
+      req.params.jobId,
+      req.user.id
+    );
+    res.status(200).json({
+      status: "success",
+      message: "Import retrieved successfully!",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
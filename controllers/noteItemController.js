@@ -0,0 +1,221 @@
+import * as noteItemService from "../services/noteItemService.js";
+import {
+  validate,
+  createNoteItemSchema,
+  updateNoteItemSchema,
+  reorderNoteItemsSchema,
+} from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NoteItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the item.
+ *           example: 3f2504e0-4f89-41d3-9a0c-0305e82c3301
+ *         note_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the note the item belongs to.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         text:
+ *           type: string
+ *           description: What needs to be done (max 500 chars).
+ *           example: Send the minutes
+ *         done:
+ *           type: boolean
+ *           example: false
+ *         due_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the item is due, if it has a due date.
+ *           example: 2024-05-20T17:00:00.000Z
+ *         position:
+ *           type: integer
+ *           description: Place of the item in the checklist, starting at 0.
+ *           example: 0
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the item was checked off; null while it is open.
+ *           example: null
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T10:00:00.000Z
+ *         modified_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T11:30:00.000Z
+ *     CreateNoteItemRequest:
+ *       type: object
+ *       required: [text]
+ *       properties:
+ *         text:
+ *           type: string
+ *           description: What needs to be done (max 500 chars).
+ *           example: Send the minutes
+ *         done:
+ *           type: boolean
+ *           default: false
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Optional due date, as an ISO 8601 date or date-time.
+ *           example: 2024-05-20T17:00:00.000Z
+ *         position:
+ *           type: integer
+ *           minimum: 0
+ *           description: Where to insert the item; 0 is the top. Defaults to the end of the list.
+ *           example: 0
+ *     UpdateNoteItemRequest:
+ *       type: object
+ *       minProperties: 1
+ *       description: Only the fields sent are changed.
+ *       properties:
+ *         text:
+ *           type: string
+ *           example: Send the minutes to the team
+ *         done:
+ *           type: boolean
+ *           description: Checks the item off or opens it again.
+ *           example: true
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: New due date; null removes it.
+ *         position:
+ *           type: integer
+ *           minimum: 0
+ *           description: Moves the item; positions past the end move it last.
+ *           example: 2
+ */
+
+/**
+ * Lists the checklist items of a note the user can read, in order.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listItems = async (req, res, next) => {
+  try {
+    const items = await noteItemService.listItemsService(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Items retrieved successfully!",
+      data: items,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adds a checklist item to a note the user can edit.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and the item in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const createItem = async (req, res, next) => {
+  try {
+    const item = await noteItemService.createItemService(
+      req.params.id,
+      req.user.id,
+      validate(createNoteItemSchema, req.body)
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Item created successfully!",
+      data: item,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Partially updates a checklist item of a note the user can edit.
+ * @param {object} req - The Express request object, with `req.user.id`, the note and item IDs in
+ *                      `req.params.id` and `req.params.itemId`, and the changes in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const updateItem = async (req, res, next) => {
+  try {
+    const item = await noteItemService.updateItemService(
+      req.params.id,
+      req.params.itemId,
+      req.user.id,
+      validate(updateNoteItemSchema, req.body)
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Item updated successfully!",
+      data: item,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Puts the checklist items of a note the user can edit in a new order.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and `itemIds` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const reorderItems = async (req, res, next) => {
+  try {
+    const { itemIds } = validate(reorderNoteItemsSchema, req.body);
+    const items = await noteItemService.reorderItemsService(
+      req.params.id,
+      req.user.id,
+      itemIds
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Items reordered successfully!",
+      data: items,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a checklist item of a note the user can edit.
+ * @param {object} req - The Express request object, with `req.user.id` and the note and item IDs in
+ *                      `req.params.id` and `req.params.itemId`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const deleteItem = async (req, res, next) => {
+  try {
+    await noteItemService.deleteItemService(
+      req.params.id,
+      req.params.itemId,
+      req.user.id
+    );
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,180 @@
+import * as noteRevisionService from "../services/noteRevisionService.js";
+import { validate, revisionDiffSchema } from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NoteRevision:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the revision.
+ *           example: 0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0
+ *         note_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the note the revision belongs to.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         author_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the user whose change replaced this content.
+ *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *         action:
+ *           type: string
+ *           enum: [update, restore, delete]
+ *           description: The change that replaced this content. `restore` is a revision or the note being restored from the trash.
+ *           example: update
+ *         title:
+ *           type: string
+ *           description: Title of the note before the change.
+ *           example: My Awesome Note
+ *         text:
+ *           type: string
+ *           description: Text of the note before the change.
+ *           example: This is the text of the note before it was edited.
+ *         content_format:
+ *           type: string
+ *           enum: [plain, markdown]
+ *           description: Content format of the note before the change.
+ *           example: plain
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the change was made.
+ *           example: 2024-05-15T11:30:00.000Z
+ *     DiffPart:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [equal, insert, delete]
+ *           example: insert
+ *         value:
+ *           type: string
+ *           example: "updated "
+ *     RevisionDiff:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: object
+ *           properties:
+ *             id: { type: string, format: uuid }
+ *             created_at: { type: string, format: date-time }
+ *         to:
+ *           type: object
+ *           properties:
+ *             id: { type: string, description: "Revision ID, or 'current' for the current note." }
+ *             created_at: { type: string, format: date-time }
+ *         title:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DiffPart'
+ *         text:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DiffPart'
+ */
+
+/**
+ * Lists the revisions of a note owned by the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listRevisions = async (req, res, next) => {
+  try {
+    const revisions = await noteRevisionService.listRevisionsService(
+      req.params.id,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Revisions retrieved successfully!",
+      data: revisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a single revision of a note owned by the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and `id`/`revisionId` in `req.params`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getRevision = async (req, res, next) => {
+  try {
+    const revision = await noteRevisionService.getRevisionService(
+      req.params.id,
+      req.params.revisionId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Revision retrieved successfully!",
+      data: revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shows a word-level diff between two revisions of a note, or between a revision and the current note.
+ * Revision IDs are passed as the `from` and `to` query parameters.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id` and revision IDs in `req.query`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const diffRevisions = async (req, res, next) => {
+  try {
+    const { from, to } = validate(revisionDiffSchema, req.query);
+
+    const diff = await noteRevisionService.diffRevisionsService(
+      req.params.id,
+      from,
+      to,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Diff created successfully!",
+      data: diff,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restores an old revision of a note as a new update.
+ * @param {object} req - The Express request object, with `req.user.id` and `id`/`revisionId` in `req.params`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const restoreRevision = async (req, res, next) => {
+  try {
+    const note = await noteRevisionService.restoreRevisionService(
+      req.params.id,
+      req.params.revisionId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Revision restored successfully!",
+      data: note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
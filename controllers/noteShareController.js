@@ -0,0 +1,171 @@
+import * as noteShareService from "../services/noteShareService.js";
+import {
+  validate,
+  createShareSchema,
+  updateShareSchema,
+} from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NoteShare:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the share.
+ *           example: 0f8fad5b-d9cb-469f-a165-70867728950e
+ *         note_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the shared note.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the user the note is shared with.
+ *           example: b2c3d4e5-f6a7-8901-2345-67890abcdef1
+ *         username:
+ *           type: string
+ *           description: Username of the user the note is shared with.
+ *           example: janedoe
+ *         permission:
+ *           type: string
+ *           enum: [read, edit]
+ *           description: "`read` allows viewing the note, `edit` also allows updating and deleting it."
+ *           example: edit
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the note was shared.
+ *           example: 2024-05-15T10:00:00.000Z
+ *         modified_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the permission was last changed.
+ *           example: 2024-05-15T11:30:00.000Z
+ *     CreateShareRequest:
+ *       type: object
+ *       required:
+ *         - username
+ *       properties:
+ *         username:
+ *           type: string
+ *           description: Username of the user to share the note with.
+ *           example: janedoe
+ *         permission:
+ *           type: string
+ *           enum: [read, edit]
+ *           default: read
+ *           example: edit
+ *     UpdateShareRequest:
+ *       type: object
+ *       required:
+ *         - permission
+ *       properties:
+ *         permission:
+ *           type: string
+ *           enum: [read, edit]
+ *           example: read
+ */
+
+/**
+ * Lists the users a note of the authenticated user is shared with.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listShares = async (req, res, next) => {
+  try {
+    const shares = await noteShareService.listSharesService(
+      req.params.id,
+      req.user.id
+    );
+    res.status(200).json({
+      status: "success",
+      message: "Note shares retrieved successfully!",
+      data: shares,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shares a note of the authenticated user with another user.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and the username and permission in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const createShare = async (req, res, next) => {
+  try {
+    const { username, permission } = validate(createShareSchema, req.body);
+
+    const share = await noteShareService.createShareService(
+      req.params.id,
+      req.user.id,
+      username,
+      permission
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Note shared successfully!",
+      data: share,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Changes the permission of a share on a note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`,
+ *                      the share ID in `req.params.shareId` and the new permission in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const updateShare = async (req, res, next) => {
+  try {
+    const { permission } = validate(updateShareSchema, req.body);
+
+    const share = await noteShareService.updateShareService(
+      req.params.id,
+      req.params.shareId,
+      req.user.id,
+      permission
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Note share updated successfully!",
+      data: share,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes a share on a note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and the share ID in `req.params.shareId`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const revokeShare = async (req, res, next) => {
+  try {
+    await noteShareService.revokeShareService(
+      req.params.id,
+      req.params.shareId,
+      req.user.id
+    );
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,227 @@
+import * as notebookService from "../services/notebookService.js";
+import {
+  validate,
+  createNotebookSchema,
+  updateNotebookSchema,
+  notebookContentsSchema,
+  deleteNotebookSchema,
+} from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notebook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the notebook.
+ *           example: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the user who owns the notebook.
+ *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *         parent_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the parent notebook, or null for a top-level notebook.
+ *           example: null
+ *         name:
+ *           type: string
+ *           description: Name of the notebook (max 50 chars).
+ *           example: Work
+ *         note_count:
+ *           type: integer
+ *           description: Number of notes (not in the trash) directly in the notebook (notebook list only).
+ *           example: 4
+ *         depth:
+ *           type: integer
+ *           description: Nesting level below the requested notebook, 1 for direct children (contents only).
+ *           example: 1
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the notebook was created.
+ *           example: 2024-05-15T10:00:00.000Z
+ *         modified_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the notebook was last renamed or moved.
+ *           example: 2024-05-15T11:30:00.000Z
+ *     CreateNotebookRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Name of the notebook (max 50 chars).
+ *           example: Work
+ *         parentId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Optional parent notebook. Defaults to the top level.
+ *           example: null
+ *     UpdateNotebookRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: New name for the notebook (max 50 chars).
+ *           example: Projects
+ *         parentId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Moves the notebook into this notebook. Send null to move it to the top level.
+ *           example: 7c9e6679-7425-40de-944b-e07fc1f90ae7
+ *       minProperties: 1
+ *       description: At least one of 'name' or 'parentId' must be provided.
+ *     NotebookContents:
+ *       type: object
+ *       properties:
+ *         notebook:
+ *           $ref: '#/components/schemas/Notebook'
+ *         notebooks:
+ *           type: array
+ *           description: Sub-notebooks, parents before their children.
+ *           items:
+ *             $ref: '#/components/schemas/Notebook'
+ *         notes:
+ *           type: array
+ *           description: Notes in the notebook (and in all sub-notebooks when recursive), sorted by title.
+ *           items:
+ *             $ref: '#/components/schemas/Note'
+ */
+
+/**
+ * Lists the notebooks of the authenticated user.
+ * @param {object} req - The Express request object, containing `req.user.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listNotebooks = async (req, res, next) => {
+  try {
+    const notebooks = await notebookService.listNotebooksService(req.user.id);
+    res.status(200).json({
+      status: "success",
+      message: "Notebooks retrieved successfully!",
+      data: notebooks,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a notebook for the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and notebook data in body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const createNotebook = async (req, res, next) => {
+  try {
+    const { name, parentId } = validate(createNotebookSchema, req.body);
+
+    const notebook = await notebookService.createNotebookService(
+      req.user.id,
+      name,
+      parentId
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Notebook created successfully!",
+      data: notebook,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a notebook of the authenticated user with its sub-notebooks and notes.
+ * @param {object} req - The Express request object, with `req.user.id`, the notebook ID in `req.params.id`
+ *                      and an optional `recursive` query parameter.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getNotebookContents = async (req, res, next) => {
+  try {
+    const { recursive } = validate(notebookContentsSchema, req.query);
+
+    const contents = await notebookService.getNotebookContentsService(
+      req.params.id,
+      req.user.id,
+      recursive
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notebook retrieved successfully!",
+      data: contents,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Renames and/or moves a notebook of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`, the notebook ID in `req.params.id` and updates in body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const updateNotebook = async (req, res, next) => {
+  try {
+    const updates = validate(updateNotebookSchema, req.body);
+
+    const notebook = await notebookService.updateNotebookService(
+      req.params.id,
+      req.user.id,
+      updates
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notebook updated successfully!",
+      data: notebook,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a notebook of the authenticated user.
+ * The `mode` query parameter chooses between moving the contents to the top level ("root")
+ * and deleting all sub-notebooks while trashing their notes ("cascade").
+ * @param {object} req - The Express request object, with `req.user.id`, the notebook ID in `req.params.id`
+ *                      and an optional `mode` query parameter.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const deleteNotebook = async (req, res, next) => {
+  try {
+    const { mode } = validate(deleteNotebookSchema, req.query);
+
+    const result = await notebookService.deleteNotebookService(
+      req.params.id,
+      req.user.id,
+      mode
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notebook deleted successfully!",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,218 @@
+import * as notificationService from "../services/notificationService.js";
+import * as webhookService from "../services/webhookService.js";
+import {
+  validate,
+  listNotificationsSchema,
+  updateNotificationSchema,
+  createWebhookSchema,
+} from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Unique ID of the notification, also sent to webhooks as X-Notification-Id.
+ *           example: 9b2f6a1e-3c4d-4e5f-8a7b-1c2d3e4f5a6b
+ *         note_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: ID of the note the notification is about, or null if the note was deleted since.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         type:
+ *           type: string
+ *           description: What happened; "reminder" when the reminder of a note fired.
+ *           example: reminder
+ *         title:
+ *           type: string
+ *           description: Title of the note at the time of the notification.
+ *           example: Weekly review
+ *         data:
+ *           type: object
+ *           description: Details of the notification. Reminders have the reminder_at that fired and the next_reminder_at of recurring reminders (null after the last one).
+ *           example: { reminder_at: "2024-05-20T08:00:00.000Z", next_reminder_at: "2024-05-27T08:00:00.000Z" }
+ *         read_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the notification was marked read; null while it is unread.
+ *           example: null
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-20T08:00:12.000Z
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: 2c1d0e9f-8a7b-4c6d-9e5f-4a3b2c1d0e9f
+ *         url:
+ *           type: string
+ *           description: The URL notifications are posted to.
+ *           example: "https://example.com/hooks/notes"
+ *         secret:
+ *           type: string
+ *           description: Key of the HMAC-SHA256 signature of every request, only returned when the webhook is created. The X-Webhook-Signature header is "sha256=" followed by the hex HMAC of the X-Webhook-Timestamp, a dot and the raw body.
+ *           example: 6f1c0a9d3e2b4c5a8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c
+ *         last_status:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status of the last delivery attempt, or null if the endpoint did not answer.
+ *           example: 200
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the last delivery attempt failed, or null if it succeeded.
+ *           example: null
+ *         last_attempt_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           example: 2024-05-20T08:00:13.000Z
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T10:00:00.000Z
+ */
+
+/**
+ * Retrieves a page of the authenticated user's notifications, newest first.
+ * @param {object} req - The Express request object, with `req.user.id` and the filters in the query.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listNotifications = async (req, res, next) => {
+  try {
+    const query = validate(listNotificationsSchema, req.query);
+    const page = await notificationService.getNotificationsService(
+      req.user.id,
+      query
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notifications retrieved successfully!",
+      data: page.notifications,
+      unreadCount: page.unreadCount,
+      pagination: {
+        limit: query.limit,
+        total: page.total,
+        nextCursor: page.nextCursor,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Marks a notification of the authenticated user read or unread.
+ * @param {object} req - The Express request object, with `req.user.id`, the notification ID in
+ *                      `req.params.id` and `read` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const updateNotification = async (req, res, next) => {
+  try {
+    const { read } = validate(updateNotificationSchema, req.body);
+    const notification = await notificationService.updateNotificationService(
+      req.params.id,
+      req.user.id,
+      read
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notification updated successfully!",
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Marks all unread notifications of the authenticated user read.
+ * @param {object} req - The Express request object, with `req.user.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const updated = await notificationService.markAllNotificationsReadService(
+      req.user.id
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "Notifications marked as read!",
+      data: { updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the webhooks of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await webhookService.listWebhooksService(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Webhooks retrieved successfully!",
+      data: webhooks,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adds a webhook for the authenticated user. The response holds its signing secret, which is not shown again.
+ * @param {object} req - The Express request object, with `req.user.id` and `url` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { url } = validate(createWebhookSchema, req.body);
+    const webhook = await webhookService.createWebhookService(req.user.id, url);
+
+    res.status(201).json({
+      status: "success",
+      message: "Webhook created successfully!",
+      data: webhook,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a webhook of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and the webhook ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    await webhookService.deleteWebhookService(req.params.id, req.user.id);
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,183 @@
+import * as publicLinkService from "../services/publicLinkService.js";
+import { validate, createPublicLinkSchema } from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PublicLink:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the link.
+ *           example: 9b2f5a7e-3c1d-4e8f-a6b5-0d9c8e7f6a5b
+ *         note_id:
+ *           type: string
+ *           format: uuid
+ *           description: ID of the published note.
+ *           example: 1a2b3c4d-5e6f-7890-abcd-ef0123456789
+ *         token:
+ *           type: string
+ *           description: Unguessable token identifying the link. Only returned when the link is created, since only its hash is stored.
+ *           example: q3Z0vK9yYl2r8m1wJ6xHcPz4TbN5sRdU7aE0fGhIjKo
+ *         url:
+ *           type: string
+ *           description: Path of the public note for this link. Only returned when the link is created.
+ *           example: /api/public/notes/q3Z0vK9yYl2r8m1wJ6xHcPz4TbN5sRdU7aE0fGhIjKo
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the link stops working, or null if it never expires.
+ *           example: 2024-06-15T10:00:00.000Z
+ *         has_password:
+ *           type: boolean
+ *           description: Whether visitors must send a password to read the note.
+ *           example: false
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the link was created.
+ *           example: 2024-05-15T10:00:00.000Z
+ *     CreatePublicLinkRequest:
+ *       type: object
+ *       properties:
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Optional expiry, must be in the future. Links without expiry work until revoked.
+ *           example: 2024-06-15T10:00:00.000Z
+ *         password:
+ *           type: string
+ *           description: Optional password (4-72 chars) visitors must send in the X-Link-Password header.
+ *           example: open sesame
+ *     PublicNote:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: My Awesome Note
+ *         text:
+ *           type: string
+ *           example: This is the text of the note.
+ *         content_format:
+ *           type: string
+ *           enum: [plain, markdown]
+ *           example: plain
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T10:00:00.000Z
+ *         modified_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T11:30:00.000Z
+ */
+
+/**
+ * Adds the public note path to a link object.
+ * @param {object} link - The link object.
+ * @returns {object} The link with a `url` property.
+ */
+const withUrl = (link) => ({
+  ...link,
+  url: `/api/public/notes/${link.token}`,
+});
+
+/**
+ * Lists the public links of a note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id` and the note ID in `req.params.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listPublicLinks = async (req, res, next) => {
+  try {
+    const links = await publicLinkService.listPublicLinksService(
+      req.params.id,
+      req.user.id
+    );
+    res.status(200).json({
+      status: "success",
+      message: "Public links retrieved successfully!",
+      data: links,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates a public link for a note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and optional `expiresAt` and `password` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const createPublicLink = async (req, res, next) => {
+  try {
+    const options = validate(createPublicLinkSchema, req.body ?? {});
+
+    const link = await publicLinkService.createPublicLinkService(
+      req.params.id,
+      req.user.id,
+      options
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "Public link created successfully!",
+      data: withUrl(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes a public link of a note of the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`, the note ID in `req.params.id`
+ *                      and the link ID in `req.params.linkId`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const revokePublicLink = async (req, res, next) => {
+  try {
+    await publicLinkService.revokePublicLinkService(
+      req.params.id,
+      req.params.linkId,
+      req.user.id
+    );
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves a note through a public link. Does not require authentication.
+ * Password protected links expect the password in the `X-Link-Password` header.
+ * @param {object} req - The Express request object, with the link token in `req.params.token`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const getPublicNote = async (req, res, next) => {
+  try {
+    const note = await publicLinkService.getPublicNoteService(
+      req.params.token,
+      req.headers["x-link-password"]
+    );
+
+    // Public notes can be revoked at any time, so shared caches must not keep them.
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+      status: "success",
+      message: "Note retrieved successfully!",
+      data: note,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
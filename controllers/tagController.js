@@ -0,0 +1,85 @@
+import * as tagService from "../services/tagService.js";
+import { validate, renameTagSchema } from "../utils/validation.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: Generated unique ID for the tag.
+ *           example: 5d4c3b2a-1f0e-9d8c-7b6a-5f4e3d2c1b0a
+ *         name:
+ *           type: string
+ *           description: Tag name, lowercase (max 30 chars).
+ *           example: work
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the tag was first used.
+ *           example: 2024-05-15T10:00:00.000Z
+ *         note_count:
+ *           type: integer
+ *           description: Number of notes (not in the trash) using the tag.
+ *           example: 12
+ *     RenameTagRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: New tag name. If another tag already has this name, the two tags are merged.
+ *           example: projects
+ */
+
+/**
+ * Lists the tags of the authenticated user with their usage counts.
+ * @param {object} req - The Express request object, containing `req.user.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const listTags = async (req, res, next) => {
+  try {
+    const tags = await tagService.listTagsService(req.user.id);
+    res.status(200).json({
+      status: "success",
+      message: "Tags retrieved successfully!",
+      data: tags,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Renames a tag of the authenticated user, or merges it into an existing tag with the new name.
+ * @param {object} req - The Express request object, with `req.user.id`, the tag ID in `req.params.tagId` and the new name in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function.
+ */
+export const renameTag = async (req, res, next) => {
+  try {
+    const { name } = validate(renameTagSchema, req.body);
+
+    const { tag, merged } = await tagService.renameTagService(
+      req.params.tagId,
+      req.user.id,
+      name
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: merged
+        ? "Tag merged successfully!"
+        : "Tag renamed successfully!",
+      data: tag,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -51,13 +51,204 @@
  *               example: john_doe
  *             token:
  *               type: string
- *               description: "JSON Web Token for authentication."
+ *               description: "Short-lived JSON Web Token (access token) for authentication."
  *               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *             refreshToken:
+ *               type: string
+ *               description: "Single-use token for getting a new access token from /user/refresh."
+ *               example: "Jx0p3mQ4yZ1vT8kN2rW6sB9cF5hL7dA0eG3iK1oU4nE"
+ *     UserProfile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: a1b2c3d4-e5f6-7890-1234-567890abcdef
+ *         username:
+ *           type: string
+ *           example: john_doe
+ *         email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Email address used for password resets, or null if none is set.
+ *           example: john@example.com
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           example: user
+ *         two_factor_enabled:
+ *           type: boolean
+ *           description: Whether logging in requires a code from an authenticator app.
+ *           example: false
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-05-15T10:00:00.000Z
+ *     UpdateProfileRequest:
+ *       type: object
+ *       description: At least one field is required.
+ *       properties:
+ *         username:
+ *           type: string
+ *           description: New unique username (3-50 characters).
+ *           example: johnny
+ *         email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: New email address, or null to remove it.
+ *           example: john@example.com
+ *     ChangePasswordRequest:
+ *       type: object
+ *       required:
+ *         - currentPassword
+ *         - newPassword
+ *       properties:
+ *         currentPassword:
+ *           type: string
+ *           example: securepassword123
+ *         newPassword:
+ *           type: string
+ *           description: New password (min 6 characters, different from the current one).
+ *           example: evenmoresecure456
+ *     ForgotPasswordRequest:
+ *       type: object
+ *       description: Exactly one of username or email is required.
+ *       properties:
+ *         username:
+ *           type: string
+ *           example: john_doe
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: john@example.com
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *         - newPassword
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: The reset token from the password reset email.
+ *           example: "mD3kP9xQ2vL7nR4tB8wY1cF6hJ0sA5eG2iK9oU3zX7q"
+ *         newPassword:
+ *           type: string
+ *           description: New password (min 6 characters).
+ *           example: evenmoresecure456
+ *     RefreshRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: The refresh token from the last login or refresh.
+ *           example: "Jx0p3mQ4yZ1vT8kN2rW6sB9cF5hL7dA0eG3iK1oU4nE"
+ *     RefreshResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: success
+ *         message:
+ *           type: string
+ *           example: Token refreshed successfully!
+ *         data:
+ *           type: object
+ *           properties:
+ *             token:
+ *               type: string
+ *               description: "New access token."
+ *               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *             refreshToken:
+ *               type: string
+ *               description: "New refresh token. The one sent in the request can no longer be used."
+ *               example: "bT5nR2wQ8zX1cV4mK7jH0gF3dS6aP9oI2uY5tE8rW1q"
+ *     TwoFactorChallengeResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: success
+ *         message:
+ *           type: string
+ *           example: Two-factor authentication required.
+ *         data:
+ *           type: object
+ *           properties:
+ *             twoFactorRequired:
+ *               type: boolean
+ *               example: true
+ *             challengeToken:
+ *               type: string
+ *               description: "Short-lived token to send to /user/login/2fa with a code. It is not an access token."
+ *               example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     TwoFactorLoginRequest:
+ *       type: object
+ *       description: Exactly one of code or recoveryCode is required.
+ *       required:
+ *         - challengeToken
+ *       properties:
+ *         challengeToken:
+ *           type: string
+ *           description: The challenge token returned by /user/login.
+ *           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *         code:
+ *           type: string
+ *           description: The current 6 digit code from the authenticator app.
+ *           example: "492039"
+ *         recoveryCode:
+ *           type: string
+ *           description: One of the recovery codes issued when two-factor authentication was enabled. Each works once.
+ *           example: "k3j9d-x2m4q"
+ *     TwoFactorSetup:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 encoded TOTP secret, for entering into an authenticator app by hand.
+ *           example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *         otpauthUri:
+ *           type: string
+ *           description: otpauth URI of the secret, usually shown as a QR code.
+ *           example: "otpauth://totp/Swing%20Notes%3Ajohn_doe?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Swing+Notes&algorithm=SHA1&digits=6&period=30"
+ *     VerifyTwoFactorRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: The current 6 digit code from the authenticator app.
+ *           example: "492039"
+ *     DisableTwoFactorRequest:
+ *       type: object
+ *       required:
+ *         - password
+ *       properties:
+ *         password:
+ *           type: string
+ *           description: The current password of the account.
+ *           example: securepassword123
  *
  */
 
 import * as userService from "../services/userService.js";
-import { validate, signupSchema, loginSchema } from "../utils/validation.js";
+import {
+  validate,
+  signupSchema,
+  loginSchema,
+  refreshTokenSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorLoginSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema,
+} from "../utils/validation.js";
 import { AppError } from "../utils/appError.js";
 
 /**
@@ -87,6 +278,7 @@ export const signup = async (req, res, next) => {
         id: userData.id,
         username: userData.username,
         token: userData.token,
+        refreshToken: userData.refreshToken,
       },
     });
   } catch (error) {
@@ -111,9 +303,21 @@ export const login = async (req, res, next) => {
 
     // Call the userService to handle the login logic, which includes verifying credentials
     // and generating a JWT.
-    const userData = await userService.login(username, password);
+    const userData = await userService.login(username, password, req.ip);
+
+    // With two-factor authentication, the client has to send a code with the challenge token first.
+    if (userData.twoFactorRequired) {
+      return res.status(200).json({
+        status: "success",
+        message: "Two-factor authentication required.",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: userData.challengeToken,
+        },
+      });
+    }
 
-    // If login is successful, send a 200 OK status with user details and the token.
+    // If login is successful, send a 200 OK status with user details and the tokens.
     res.status(200).json({
       status: "success",
       message: "User logged in successfully!",
@@ -121,6 +325,7 @@ export const login = async (req, res, next) => {
         id: userData.id,
         username: userData.username,
         token: userData.token,
+        refreshToken: userData.refreshToken,
       },
     });
   } catch (error) {
@@ -129,6 +334,315 @@ export const login = async (req, res, next) => {
   }
 };
 
+/**
+ * Handles the second step of a login with two-factor authentication.
+ * Validates the request body and exchanges the challenge token and code for the session tokens.
+ * @param {object} req - The Express request object, containing `challengeToken` and `code` or `recoveryCode` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const loginTwoFactor = async (req, res, next) => {
+  try {
+    // Validate request body against twoFactorLoginSchema using Joi.
+    const { challengeToken, code, recoveryCode } = validate(
+      twoFactorLoginSchema,
+      req.body
+    );
+
+    // Call the userService to check the code and start a session.
+    const userData = await userService.completeTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      req.ip
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: "User logged in successfully!",
+      data: userData,
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles access token refresh.
+ * Validates the request body, calls the userService to rotate the refresh token,
+ * and sends back a new access token and refresh token.
+ * If an error occurs, it is passed to the next middleware.
+ * @param {object} req - The Express request object, containing the refresh token in the body.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    // Validate request body against refreshTokenSchema using Joi.
+    const { refreshToken } = validate(refreshTokenSchema, req.body);
+
+    // Call the userService to exchange the refresh token for new tokens.
+    const tokens = await userService.refreshSession(refreshToken);
+
+    // Send a 200 OK status with the new tokens.
+    res.status(200).json({
+      status: "success",
+      message: "Token refreshed successfully!",
+      data: tokens,
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles logout of the current session.
+ * Revokes the session the access token belongs to (set by `authMiddleware`) and sends a 204 No Content response.
+ * @param {object} req - The Express request object, expected to have `req.user.sessionId` from `authMiddleware`.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const logout = async (req, res, next) => {
+  try {
+    // Call the userService to revoke the current session.
+    await userService.logout(req.user.sessionId);
+
+    res.status(204).send();
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles logout of every session of the authenticated user.
+ * Revokes all sessions of the user (set by `authMiddleware`) and sends a 204 No Content response.
+ * @param {object} req - The Express request object, expected to have `req.user.id` from `authMiddleware`.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    // Call the userService to revoke all sessions of the user.
+    await userService.logoutAll(req.user.id);
+
+    res.status(204).send();
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles retrieval of the authenticated user's profile.
+ * @param {object} req - The Express request object, expected to have `req.user.id` from `authMiddleware`.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    // Call the userService to retrieve the profile, without the password hash.
+    const profile = await userService.getProfile(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile retrieved successfully!",
+      data: profile,
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles updates of the authenticated user's profile (username and/or email).
+ * @param {object} req - The Express request object, with `req.user.id` and the fields to update in the body.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const updateMe = async (req, res, next) => {
+  try {
+    // Validate request body against updateProfileSchema using Joi.
+    const updates = validate(updateProfileSchema, req.body ?? {});
+
+    // Call the userService to update the profile.
+    const profile = await userService.updateProfile(req.user.id, updates);
+
+    res.status(200).json({
+      status: "success",
+      message: "Profile updated successfully!",
+      data: profile,
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles password changes of the authenticated user.
+ * All existing sessions are revoked; the response carries new tokens for the current client.
+ * @param {object} req - The Express request object, with `req.user.id` and the current and new password in the body.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    // Validate request body against changePasswordSchema using Joi.
+    const { currentPassword, newPassword } = validate(
+      changePasswordSchema,
+      req.body
+    );
+
+    // Call the userService to change the password and start a new session.
+    const tokens = await userService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      req.ip
+    );
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Password changed successfully! All other sessions have been logged out.",
+      data: tokens,
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Starts the setup of two-factor authentication for the authenticated user.
+ * @param {object} req - The Express request object, with `req.user.id`.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    // Call the userService to generate a new secret.
+    const setup = await userService.setupTwoFactor(req.user.id);
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Add the secret to your authenticator app, then confirm it with a code.",
+      data: setup,
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Confirms the setup of two-factor authentication with a code, which enables it.
+ * @param {object} req - The Express request object, with `req.user.id` and `code` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const verifyTwoFactor = async (req, res, next) => {
+  try {
+    // Validate request body against verifyTwoFactorSchema using Joi.
+    const { code } = validate(verifyTwoFactorSchema, req.body);
+
+    // Call the userService to check the code and enable two-factor authentication.
+    const { recoveryCodes } = await userService.enableTwoFactor(
+      req.user.id,
+      code
+    );
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Two-factor authentication enabled! Store the recovery codes somewhere safe, they are only shown once.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Disables two-factor authentication for the authenticated user, after confirming their password.
+ * @param {object} req - The Express request object, with `req.user.id` and `password` in the body.
+ * @param {object} res - The Express response object.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    // Validate request body against disableTwoFactorSchema using Joi.
+    const { password } = validate(disableTwoFactorSchema, req.body);
+
+    // Call the userService to check the password and disable two-factor authentication.
+    await userService.disableTwoFactor(req.user.id, password, req.ip);
+
+    res.status(200).json({
+      status: "success",
+      message: "Two-factor authentication disabled.",
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles password reset requests ("forgot password").
+ * Always responds with 202 Accepted, whether or not the account exists, so usernames and emails cannot be probed.
+ * @param {object} req - The Express request object, with a username or email in the body.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    // Validate request body against forgotPasswordSchema using Joi.
+    const identifier = validate(forgotPasswordSchema, req.body);
+
+    // Call the userService to create and mail a reset token, if the account exists.
+    await userService.requestPasswordReset(identifier);
+
+    res.status(202).json({
+      status: "success",
+      message:
+        "If the account exists and has an email address, a password reset email has been sent.",
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
+/**
+ * Handles password resets with a reset token.
+ * @param {object} req - The Express request object, with the reset token and new password in the body.
+ * @param {object} res - The Express response object, used to send back the API response.
+ * @param {function} next - The next middleware function in the Express pipeline.
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    // Validate request body against resetPasswordSchema using Joi.
+    const { token, newPassword } = validate(resetPasswordSchema, req.body);
+
+    // Call the userService to set the new password.
+    await userService.resetPassword(token, newPassword);
+
+    res.status(200).json({
+      status: "success",
+      message:
+        "Password reset successfully! Please log in with your new password.",
+    });
+  } catch (error) {
+    // Pass any errors to the Express error handling middleware.
+    next(error);
+  }
+};
+
 /**
  * Handles deletion of the currently authenticated user's account.
  * Extracts the user ID from the request (set by `authMiddleware`),
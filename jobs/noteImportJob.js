@@ -0,0 +1,78 @@
+import { Worker } from "worker_threads";
+import {
+  runImportJobService,
+  touchImportJobService,
+  failImportJobService,
+} from "../services/noteImportService.js";
+import { noteImportConfig } from "../config/noteImport.js";
+
+/**
+ * Reads and validates an import file in a worker thread, so large files do not block the event loop.
+ * @param {Buffer} buffer - The file.
+ * @param {string} format - A key of `IMPORT_FORMATS`.
+ * @returns {Promise<Array<object>>} The items to import, see `readImportFile`.
+ * @throws {Error} If the file cannot be read, with the reason as message.
+ */
+const readImportFileInWorker = (buffer, format) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("./noteImportWorker.js", import.meta.url),
+      {
+        workerData: { buffer, format },
+      }
+    );
+    worker.once("message", ({ items, error }) =>
+      error ? reject(new Error(error)) : resolve(items)
+    );
+    worker.once("error", reject);
+    worker.once("exit", (code) =>
+      reject(
+        new Error(`The import file reader stopped with exit code ${code}.`)
+      )
+    );
+  });
+
+/**
+ * Runs an import job in the background of this process, after the current request has been answered: the file
+ * is read in a worker thread and its notes are then imported. The job records its progress and report itself;
+ * clients poll it with `GET /api/notes/import/:jobId`. While it runs, the job keeps its heartbeat up, so it is
+ * not failed as interrupted. Files that cannot be read and unexpected failures mark the job failed and are logged.
+ * @param {string} jobId - The ID of the job.
+ * @param {string} userId - The ID of the user importing notes.
+ * @param {Buffer} buffer - The uploaded file.
+ * @param {string} format - A key of `IMPORT_FORMATS`.
+ */
+export const startNoteImportJob = (jobId, userId, buffer, format) => {
+  const heartbeat = setInterval(
+    () =>
+      touchImportJobService(jobId).catch((error) =>
+        console.error(`Note import ${jobId} heartbeat failed:`, error.message)
+      ),
+    (noteImportConfig.staleAfterSeconds * 1000) / 4
+  );
+  heartbeat.unref();
+
+  setImmediate(async () => {
+    try {
+      let items;
+      try {
+        items = await readImportFileInWorker(buffer, format);
+      } catch (error) {
+        await failImportJobService(jobId, error.message);
+        console.error(
+          `Note import ${jobId} could not read the file:`,
+          error.message
+        );
+        return;
+      }
+      const job = await runImportJobService(jobId, userId, items);
+      console.log(
+        `Note import ${jobId}: ${job.created} created, ${job.skipped} skipped, ${job.failed} failed.`
+      );
+    } catch (error) {
+      console.error(`Note import ${jobId} failed:`, error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  });
+};
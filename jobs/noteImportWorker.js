@@ -0,0 +1,14 @@
+// Worker thread of background imports (see jobs/noteImportJob.js): reads and validates one import file and
+// posts back `{ items }`, or `{ error }` with the reason the file cannot be read.
+import { parentPort, workerData } from "worker_threads";
+import { readImportFile } from "../services/noteImportService.js";
+
+const { buffer, format } = workerData;
+
+try {
+  // The buffer arrives as a plain Uint8Array.
+  const file = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  parentPort.postMessage({ items: readImportFile(file, format) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,46 @@
+import {
+  fireDueRemindersService,
+  deliverNotificationsService,
+} from "../services/notificationService.js";
+import { notificationConfig } from "../config/notifications.js";
+
+/**
+ * Starts the in-process job that fires due reminders and delivers the notifications they queue.
+ * It runs once right away and then every `notificationConfig.pollIntervalSeconds`; a run that is still busy
+ * when the next one is due makes that one skip. Reminders and deliveries are claimed with row locks, so the
+ * job can run in several server instances at once. Failures are logged and retried on the next run.
+ * @returns {function} A function that stops the job.
+ */
+export const startReminderJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const fired = await fireDueRemindersService();
+      if (fired > 0) {
+        console.log(`Reminders: fired ${fired} reminder(s).`);
+      }
+      const { delivered, failed } = await deliverNotificationsService();
+      if (delivered + failed > 0) {
+        console.log(
+          `Notifications: ${delivered} delivered, ${failed} failed (to be retried unless out of attempts).`
+        );
+      }
+    } catch (error) {
+      console.error("Reminder job failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, notificationConfig.pollIntervalSeconds * 1000);
+  // Do not keep the process alive just for this job.
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
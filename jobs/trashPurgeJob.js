@@ -0,0 +1,28 @@
+import { purgeTrashService } from "../services/noteService.js";
+import { trashConfig } from "../config/trash.js";
+
+/**
+ * Starts the in-process job that permanently deletes notes that have been in the trash
+ * longer than `trashConfig.retentionDays`. It runs once right away and then every
+ * `trashConfig.purgeIntervalMinutes`. Failures are logged and retried on the next run.
+ * @returns {function} A function that stops the job.
+ */
+export const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeTrashService(trashConfig.retentionDays);
+      if (purged > 0) {
+        console.log(`Trash purge: permanently deleted ${purged} note(s).`);
+      }
+    } catch (error) {
+      console.error("Trash purge failed:", error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, trashConfig.purgeIntervalMinutes * 60 * 1000);
+  // Do not keep the process alive just for this job.
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,66 @@
+import { mailConfig } from "../config/mail.js";
+import { AppError } from "../utils/appError.js";
+import { createConsoleTransport, createFileTransport } from "./transports.js";
+
+/**
+ * Factories of the available transports, by name. A factory receives `mailConfig` and returns
+ * an object with an async `send({ from, to, subject, text })` method.
+ */
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+// The transport in use, created on first use from `mailConfig.transport`.
+let activeTransport = null;
+
+/**
+ * Makes a transport available under a name, so it can be selected with `MAIL_TRANSPORT`.
+ * Used to plug in real delivery (e.g., SMTP or an email API) without changing the callers of `sendMail`.
+ * @param {string} name - The name of the transport.
+ * @param {function} factory - A function that receives `mailConfig` and returns the transport.
+ */
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * Replaces the transport in use, e.g., with one that records messages in tests.
+ * Pass null to go back to the transport selected by `MAIL_TRANSPORT`.
+ * @param {object | null} transport - An object with an async `send(message)` method, or null.
+ */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Returns the transport in use, creating it from the configuration on first use.
+ * @returns {object} The transport.
+ * @throws {AppError} If `MAIL_TRANSPORT` names an unknown transport.
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[mailConfig.transport];
+    if (!factory) {
+      throw new AppError(
+        `Unknown mail transport "${mailConfig.transport}".`,
+        500
+      );
+    }
+    activeTransport = factory(mailConfig);
+  }
+  return activeTransport;
+};
+
+/**
+ * Sends a plain text email through the configured transport.
+ * @param {object} message - The message.
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain text body.
+ * @returns {Promise<void>}
+ * @throws {Error} If the transport is unknown or fails to deliver the message.
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({ from: mailConfig.from, to, subject, text });
+};
@@ -0,0 +1,37 @@
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import crypto from "crypto";
+
+/**
+ * Formats a message as plain text, with the headers on top.
+ * @param {object} message - The message, with `from`, `to`, `subject` and `text`.
+ * @returns {string} The formatted message.
+ */
+const formatMessage = ({ from, to, subject, text }) =>
+  `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toUTCString()}\n\n${text}\n`;
+
+/**
+ * Creates a transport that prints every message to the console. Meant for local development.
+ * @returns {object} The transport, with a `send(message)` method.
+ */
+export const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`----- Mail -----\n${formatMessage(message)}----------------`);
+  },
+});
+
+/**
+ * Creates a transport that writes every message to its own `.eml` file. Meant for local development and testing.
+ * @param {object} config - The mail configuration, with `fileDir`.
+ * @returns {object} The transport, with a `send(message)` method.
+ */
+export const createFileTransport = ({ fileDir }) => ({
+  send: async (message) => {
+    await mkdir(fileDir, { recursive: true });
+    // Timestamp first, so the files sort in the order they were sent.
+    const fileName = `${Date.now()}-${crypto
+      .randomBytes(4)
+      .toString("hex")}.eml`;
+    await writeFile(join(fileDir, fileName), formatMessage(message), "utf8");
+  },
+});
@@ -1,17 +1,20 @@
 import jwt from "jsonwebtoken";
 import { AppError } from "../utils/appError.js";
 import { jwtConfig } from "../config/jwt.js";
+import { getActiveSession } from "../models/sessionModel.js";
 
 /**
  * Middleware function to authenticate requests using JSON Web Tokens (JWT).
  * It checks for a 'Bearer' token in the Authorization header, verifies its validity,
- * and attaches the decoded user ID to the request object (`req.user.id`).
- * If the token is missing, invalid, or expired, it throws an `AppError`.
+ * checks that the session the token belongs to has not been revoked,
+ * and attaches the decoded user ID, session ID and role to the request object
+ * (`req.user.id`, `req.user.sessionId`, `req.user.role`).
+ * If the token is missing, invalid, expired, or its session is revoked, it throws an `AppError`.
  * @param {object} req - The Express request object.
  * @param {object} res - The Express response object.
  * @param {function} next - The next middleware function in the Express pipeline.
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   let token;
 
   // Check if the Authorization header exists and starts with 'Bearer'.
@@ -30,16 +33,11 @@ export const authMiddleware = (req, res, next) => {
     );
   }
 
+  let decoded;
   try {
     // Verify the token using the secret key from jwtConfig.
     // This decodes the token and checks its signature and expiration.
-    const decoded = jwt.verify(token, jwtConfig.secret);
-
-    // Attach the decoded user ID to the request object, making it accessible in subsequent middleware or route handlers.
-    req.user = { id: decoded.id };
-
-    // Call the next middleware or route handler.
-    next();
+    decoded = jwt.verify(token, jwtConfig.secret);
   } catch (error) {
     // Handle different types of JWT errors.
     if (error.name === "JsonWebTokenError") {
@@ -55,4 +53,52 @@ export const authMiddleware = (req, res, next) => {
     // For any other authentication failure.
     return next(new AppError("Failed to authenticate token.", 401));
   }
+
+  // Tokens issued before sessions existed carry no session ID and cannot be revoked, so they are rejected.
+  if (!decoded.sid) {
+    return next(new AppError("Invalid token. Please log in again.", 401));
+  }
+
+  try {
+    // Check that the session has not been ended by logout, logout-all or refresh token reuse.
+    const session = await getActiveSession(decoded.sid, decoded.id);
+    if (!session) {
+      return next(
+        new AppError("Your session has been revoked. Please log in again.", 401)
+      );
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Attach the decoded user ID, session ID and role to the request object, making them accessible in subsequent middleware or route handlers.
+  // Tokens issued before roles existed carry no role and get the least privileged one.
+  req.user = {
+    id: decoded.id,
+    sessionId: decoded.sid,
+    role: decoded.role || "user",
+  };
+
+  // Call the next middleware or route handler.
+  next();
 };
+
+/**
+ * Creates a middleware function that only lets requests through if the authenticated user has one of the given roles.
+ * Must be used after `authMiddleware`, which sets `req.user.role`.
+ * @param {...string} roles - The roles allowed to access the route (e.g., "admin").
+ * @returns {function} The Express middleware function.
+ */
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    // Reject the request if the user's role is not one of the allowed roles.
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(
+        new AppError("You do not have permission to perform this action.", 403)
+      );
+    }
+
+    // Call the next middleware or route handler.
+    next();
+  };
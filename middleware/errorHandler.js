@@ -1,5 +1,16 @@
 import { AppError } from "../utils/appError.js";
 
+// Logs every error that reaches the handler. Replaceable with `setErrorLogger`.
+let logError = (err) => console.error("ERROR: ", err);
+
+/**
+ * Replaces the function the error handler logs errors with, e.g. to keep expected errors out of test output.
+ * @param {function(Error): void} logger - Called with every error that reaches the handler.
+ */
+export const setErrorLogger = (logger) => {
+  logError = logger;
+};
+
 /**
  * Global error handling middleware for Express applications.
  * This middleware catches errors passed by `next(error)` calls in routes or other middleware.
@@ -11,8 +22,8 @@ import { AppError } from "../utils/appError.js";
  * @param {function} next - The next middleware function (though typically not called in a terminal error handler).
  */
 export const errorHandler = (err, req, res, next) => {
-  // Log the full error object to the console for debugging purposes.
-  console.error("ERROR: ", err);
+  // Log the full error object for debugging purposes.
+  logError(err);
 
   // Initialize default status code, message, and status for generic errors.
   let statusCode = err.statusCode || 500;
@@ -37,9 +48,22 @@ export const errorHandler = (err, req, res, next) => {
     status = "fail"; // Indicate a client-side failure.
   }
 
-  // Send the error response to the client with the determined status code and JSON body.
-  res.status(statusCode).json({
+  // Build the error response body, including extra details for operational errors that carry them.
+  const body = {
     status: status,
     message: message,
-  });
+  };
+  if (err instanceof AppError && err.code) {
+    body.code = err.code;
+  }
+  if (err instanceof AppError && err.details) {
+    body.details = err.details;
+    // Errors that tell the client when to try again also set the standard Retry-After header.
+    if (err.details.retryAfterSeconds) {
+      res.set("Retry-After", String(err.details.retryAfterSeconds));
+    }
+  }
+
+  // Send the error response to the client with the determined status code and JSON body.
+  res.status(statusCode).json(body);
 };
@@ -0,0 +1,135 @@
+import { AppError } from "../utils/appError.js";
+import { rateLimitConfig } from "../config/rateLimit.js";
+import { getRateLimitStore } from "../rateLimit/store.js";
+
+/**
+ * Identifies the client of a request: the user on authenticated routes (after `authMiddleware`),
+ * the IP address otherwise.
+ * @param {object} req - The Express request object.
+ * @returns {string} The client key.
+ */
+export const defaultKeyGenerator = (req) =>
+  req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+/**
+ * Estimates how long a client that is over the limit of a sliding window has to wait.
+ * The previous window counts less and less as time passes, and the current window becomes the previous one.
+ * @param {object} state - The state of the window.
+ * @param {number} state.max - The limit.
+ * @param {number} state.current - Requests in the current window.
+ * @param {number} state.previous - Requests in the previous window.
+ * @param {number} state.untilWindowEnd - Milliseconds until the current window ends.
+ * @param {number} state.windowMs - Length of a window, in milliseconds.
+ * @returns {number} The wait, in milliseconds.
+ */
+const slidingRetryAfterMs = ({
+  max,
+  current,
+  previous,
+  untilWindowEnd,
+  windowMs,
+}) => {
+  if (current < max) {
+    // There is room in the current window once enough of the previous window has slid out.
+    return Math.max(
+      untilWindowEnd - (windowMs * (max - current)) / previous,
+      0
+    );
+  }
+  // Wait for the next window, and for enough of this window to slide out of it.
+  return untilWindowEnd + windowMs * (1 - max / current);
+};
+
+/**
+ * Creates a middleware that limits how many requests a client can make within a time window.
+ * Requests are counted in buckets of the configured store (see `rateLimit/store.js`), so limits are
+ * kept per process with the memory store, or shared by all instances with the Postgres store.
+ * Every response carries `RateLimit-Policy`, `RateLimit-Limit`, `RateLimit-Remaining` and `RateLimit-Reset`
+ * headers. When the limit is reached, the request fails with 429 and a `Retry-After` header.
+ * If the store fails, requests are let through rather than failing the API.
+ * @param {object} options - Rate limit settings.
+ * @param {string} [options.name="default"] - Name of the limiter. Limiters with the same name share their counters.
+ * @param {number} options.max - Maximum number of requests per client within a window.
+ * @param {number} options.windowSeconds - Length of the window, in seconds.
+ * @param {string} [options.algorithm] - "fixed" or "sliding"; defaults to `rateLimitConfig.algorithm`.
+ * @param {function} [options.keyGenerator] - Returns the key identifying the client; defaults to `defaultKeyGenerator`.
+ * @param {object} [options.store] - The store to count in; defaults to the configured store.
+ * @returns {function} The Express middleware.
+ */
+export const createRateLimiter = ({
+  name = "default",
+  max,
+  windowSeconds,
+  algorithm = rateLimitConfig.algorithm,
+  keyGenerator = defaultKeyGenerator,
+  store,
+}) => {
+  const windowMs = windowSeconds * 1000;
+
+  return async (req, res, next) => {
+    const clientKey = `${name}:${keyGenerator(req)}`;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const untilWindowEnd = windowStart + windowMs - now;
+
+    let count;
+    let retryAfterMs = untilWindowEnd;
+    try {
+      const limiterStore = store || getRateLimitStore();
+      // Buckets live for two windows, so the sliding window can still read the previous one.
+      const current = await limiterStore.increment(
+        `${clientKey}:${windowStart}`,
+        new Date(windowStart + 2 * windowMs)
+      );
+      count = current;
+
+      if (algorithm === "sliding") {
+        const previous = await limiterStore.get(
+          `${clientKey}:${windowStart - windowMs}`
+        );
+        // Weigh the previous window by how much of it still overlaps the sliding window.
+        count = current + Math.floor((previous * untilWindowEnd) / windowMs);
+        retryAfterMs = slidingRetryAfterMs({
+          max,
+          current,
+          previous,
+          untilWindowEnd,
+          windowMs,
+        });
+      }
+    } catch (error) {
+      console.error("Rate limiter store failed:", error.message);
+      return next();
+    }
+
+    res.set("RateLimit-Policy", `${max};w=${windowSeconds}`);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - count, 0)));
+    res.set("RateLimit-Reset", String(Math.ceil(untilWindowEnd / 1000)));
+
+    if (count > max) {
+      res.set(
+        "Retry-After",
+        String(Math.max(Math.ceil(retryAfterMs / 1000), 1))
+      );
+      return next(
+        new AppError(
+          "Too many requests. Please try again later.",
+          429,
+          undefined,
+          "RATE_LIMITED"
+        )
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Creates a rate limiter for one of the policies in `rateLimitConfig.policies` (e.g., "auth", "search", "api").
+ * Limiters created for the same policy share their counters.
+ * @param {string} policy - The name of the policy.
+ * @returns {function} The Express middleware.
+ */
+export const rateLimit = (policy) =>
+  createRateLimiter({ name: policy, ...rateLimitConfig.policies[policy] });
@@ -0,0 +1,46 @@
+import multer from "multer";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Creates middleware that accepts a single file from a multipart/form-data request and keeps it in memory
+ * as `req.file` (with `buffer`, `originalname` and `size`). The other form fields end up in `req.body`.
+ * Upload errors are turned into AppErrors: 413 for files over the size limit, 400 otherwise.
+ * @param {string} field - The name of the form field holding the file.
+ * @param {object} options - Upload limits.
+ * @param {number} options.maxBytes - Largest accepted file, in bytes.
+ * @returns {function} The Express middleware.
+ */
+export const uploadFile = (field, { maxBytes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    // Browsers send file names as UTF-8 without saying so.
+    defParamCharset: "utf8",
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        next();
+        return;
+      }
+      if (error.code === "LIMIT_FILE_SIZE") {
+        next(
+          new AppError(
+            `The file is too large. The maximum size is ${maxBytes} bytes.`,
+            413
+          )
+        );
+        return;
+      }
+      if (error instanceof multer.MulterError) {
+        next(
+          new AppError(`Upload a single file in the "${field}" field.`, 400)
+        );
+        return;
+      }
+      // Malformed multipart bodies.
+      next(new AppError(error.message, 400));
+    });
+  };
+};
@@ -0,0 +1,68 @@
+import { pool } from "./config/db.js";
+import {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+} from "./utils/migrator.js";
+
+const USAGE = `Usage: node migrate.js <command>
+
+Commands:
+  up            Apply all pending migrations
+  down [steps]  Revert the last applied migration, or the last <steps> migrations
+  status        List all migrations and whether they are applied`;
+
+/**
+ * Runs a migration command from the command line.
+ * @param {Array<string>} args - The command line arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+const run = async ([command, ...rest]) => {
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp();
+      if (applied.length === 0) {
+        console.log("Database is up to date.");
+      }
+      return 0;
+    }
+    case "down": {
+      const steps = rest[0] === undefined ? 1 : Number(rest[0]);
+      if (!Number.isInteger(steps) || steps < 1) {
+        console.error("Steps must be a positive whole number.");
+        return 1;
+      }
+      const reverted = await migrateDown({ steps });
+      if (reverted.length === 0) {
+        console.log("No migrations to revert.");
+      }
+      return 0;
+    }
+    case "status": {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const appliedAt = migration.applied_at
+          ? new Date(migration.applied_at).toISOString()
+          : "";
+        console.log(
+          `${migration.state.padEnd(8)} ${migration.version}_${
+            migration.name
+          } ${appliedAt}`.trimEnd()
+        );
+      }
+      return 0;
+    }
+    default:
+      console.error(USAGE);
+      return 1;
+  }
+};
+
+try {
+  process.exitCode = await run(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
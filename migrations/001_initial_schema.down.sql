@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS update_note_modified_at ON notes;
+DROP FUNCTION IF EXISTS update_modified_at_column();
+DROP TABLE IF EXISTS notes;
+DROP TABLE IF EXISTS users;
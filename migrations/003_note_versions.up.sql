@@ -0,0 +1,2 @@
+-- Note versions, used as ETags for optimistic concurrency control.
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
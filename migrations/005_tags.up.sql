@@ -0,0 +1,28 @@
+-- Tags, scoped to each user, linked to notes many-to-many.
+CREATE TABLE IF NOT EXISTS tags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    name VARCHAR(30) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_tags_user_name UNIQUE (user_id, name),
+    CONSTRAINT fk_tag_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS note_tags (
+    note_id UUID NOT NULL,
+    tag_id UUID NOT NULL,
+    PRIMARY KEY (note_id, tag_id),
+    CONSTRAINT fk_note_tag_note
+        FOREIGN KEY (note_id)
+        REFERENCES notes(id)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_note_tag_tag
+        FOREIGN KEY (tag_id)
+        REFERENCES tags(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_tags_tag_id ON note_tags(tag_id);
@@ -0,0 +1,30 @@
+-- Notebooks, nested through parent_id. Notes outside any notebook have a NULL notebook_id.
+CREATE TABLE IF NOT EXISTS notebooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    parent_id UUID,
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    modified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_notebook_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_notebook_parent
+        FOREIGN KEY (parent_id)
+        REFERENCES notebooks(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notebooks_user_id ON notebooks(user_id);
+CREATE INDEX IF NOT EXISTS idx_notebooks_parent_id ON notebooks(parent_id);
+
+CREATE OR REPLACE TRIGGER update_notebook_modified_at
+BEFORE UPDATE ON notebooks
+FOR EACH ROW
+EXECUTE FUNCTION update_modified_at_column();
+
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS notebook_id UUID
+    REFERENCES notebooks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_notebook_id ON notes(notebook_id);
@@ -0,0 +1,25 @@
+-- Notes shared with other users at read or edit level.
+CREATE TABLE IF NOT EXISTS note_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    note_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    permission VARCHAR(10) NOT NULL CHECK (permission IN ('read', 'edit')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    modified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_note_shares_note_user UNIQUE (note_id, user_id),
+    CONSTRAINT fk_share_note
+        FOREIGN KEY (note_id)
+        REFERENCES notes(id)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_share_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_shares_user_id ON note_shares(user_id);
+
+CREATE OR REPLACE TRIGGER update_note_share_modified_at
+BEFORE UPDATE ON note_shares
+FOR EACH ROW
+EXECUTE FUNCTION update_modified_at_column();
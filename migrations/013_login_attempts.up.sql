@@ -0,0 +1,7 @@
+-- Failed login counters, keyed by "username:<name>" or "ip:<address>".
+CREATE TABLE IF NOT EXISTS login_attempts (
+    key VARCHAR(100) PRIMARY KEY,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP WITH TIME ZONE
+);
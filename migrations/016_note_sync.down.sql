@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS record_note_tombstone ON notes;
+DROP FUNCTION IF EXISTS record_note_tombstone();
+DROP TABLE IF EXISTS note_tombstones;
+DROP TRIGGER IF EXISTS set_note_change_xid ON notes;
+DROP FUNCTION IF EXISTS set_note_change_xid();
+DROP INDEX IF EXISTS idx_notes_user_change;
+ALTER TABLE notes DROP COLUMN IF EXISTS change_xid;
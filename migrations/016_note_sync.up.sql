@@ -0,0 +1,54 @@
+-- Change feed for offline sync. Every insert or update of a note records the ID of the transaction that
+-- wrote it, so clients can fetch the notes changed since their last sync.
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS change_xid XID8;
+UPDATE notes SET change_xid = pg_current_xact_id() WHERE change_xid IS NULL;
+ALTER TABLE notes ALTER COLUMN change_xid SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_user_change ON notes(user_id, change_xid, id);
+
+CREATE OR REPLACE FUNCTION set_note_change_xid()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.change_xid = pg_current_xact_id();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE TRIGGER set_note_change_xid
+BEFORE INSERT OR UPDATE ON notes
+FOR EACH ROW
+EXECUTE FUNCTION set_note_change_xid();
+
+-- Notes that were deleted permanently (from the trash or by the purge job), so the change feed can
+-- report them to clients that still have a copy.
+CREATE TABLE IF NOT EXISTS note_tombstones (
+    note_id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    change_xid XID8 NOT NULL DEFAULT pg_current_xact_id(),
+    CONSTRAINT fk_tombstone_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_tombstones_user_change ON note_tombstones(user_id, change_xid, note_id);
+
+-- Notes deleted together with their user need no tombstone; the user row is already gone by then.
+CREATE OR REPLACE FUNCTION record_note_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+        INSERT INTO note_tombstones (note_id, user_id)
+        VALUES (OLD.id, OLD.user_id)
+        ON CONFLICT (note_id) DO UPDATE
+        SET user_id = EXCLUDED.user_id, deleted_at = NOW(), change_xid = pg_current_xact_id();
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE TRIGGER record_note_tombstone
+AFTER DELETE ON notes
+FOR EACH ROW
+EXECUTE FUNCTION record_note_tombstone();
@@ -0,0 +1,24 @@
+-- Files attached to notes. Only the metadata lives here; the content is kept by the storage driver
+-- (see storage/storage.js) under `storage_key`.
+CREATE TABLE IF NOT EXISTS note_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    note_id UUID NOT NULL,
+    uploader_id UUID,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NOT NULL,
+    size INTEGER NOT NULL CHECK (size >= 0),
+    -- Hex-encoded SHA-256 of the content.
+    checksum CHAR(64) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_attachment_note
+        FOREIGN KEY (note_id)
+        REFERENCES notes(id)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_attachment_uploader
+        FOREIGN KEY (uploader_id)
+        REFERENCES users(id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_attachments_note_id ON note_attachments(note_id, created_at);
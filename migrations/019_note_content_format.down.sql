@@ -0,0 +1,15 @@
+ALTER TABLE note_revisions DROP COLUMN IF EXISTS content_format;
+
+DROP INDEX IF EXISTS idx_notes_search_vector;
+ALTER TABLE notes DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE notes DROP COLUMN IF EXISTS plain_text;
+ALTER TABLE notes DROP COLUMN IF EXISTS content_format;
+ALTER TABLE notes ALTER COLUMN text TYPE VARCHAR(300) USING left(text, 300);
+
+ALTER TABLE notes ADD COLUMN search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(text, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_notes_search_vector ON notes USING GIN (search_vector);
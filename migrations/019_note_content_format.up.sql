@@ -0,0 +1,22 @@
+-- Notes can be written in Markdown, which allows longer texts than plain notes. The length limits are
+-- enforced by the API (see config/notes.js), so the text column no longer has one.
+-- The search vector depends on the text column, so it is dropped and created again.
+DROP INDEX IF EXISTS idx_notes_search_vector;
+ALTER TABLE notes DROP COLUMN IF EXISTS search_vector;
+
+ALTER TABLE notes ALTER COLUMN text TYPE TEXT;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS content_format VARCHAR(20) NOT NULL DEFAULT 'plain'
+    CHECK (content_format IN ('plain', 'markdown'));
+-- Text of Markdown notes as rendered, without the markup; null for plain notes.
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS plain_text TEXT;
+
+-- Full-text search over the title and the rendered text, so searches do not match Markdown syntax.
+ALTER TABLE notes ADD COLUMN search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(plain_text, text, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_notes_search_vector ON notes USING GIN (search_vector);
+
+ALTER TABLE note_revisions ADD COLUMN IF NOT EXISTS content_format VARCHAR(20) NOT NULL DEFAULT 'plain';
@@ -0,0 +1,26 @@
+-- Checklist items of notes, in the order given by `position` (0, 1, 2, ... within a note).
+CREATE TABLE IF NOT EXISTS note_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    note_id UUID NOT NULL,
+    text VARCHAR(500) NOT NULL,
+    done BOOLEAN NOT NULL DEFAULT FALSE,
+    due_at TIMESTAMP WITH TIME ZONE,
+    position INTEGER NOT NULL CHECK (position >= 0),
+    -- When the item was last checked off; null while it is open.
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    modified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_item_note
+        FOREIGN KEY (note_id)
+        REFERENCES notes(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_items_note_id ON note_items(note_id, position);
+-- Used by the note list filters on open and due items.
+CREATE INDEX IF NOT EXISTS idx_note_items_open ON note_items(note_id, due_at) WHERE NOT done;
+
+CREATE OR REPLACE TRIGGER update_note_item_modified_at
+BEFORE UPDATE ON note_items
+FOR EACH ROW
+EXECUTE FUNCTION update_modified_at_column();
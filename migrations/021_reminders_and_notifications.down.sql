@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS notifications;
+
+DROP INDEX IF EXISTS idx_notes_reminder_at;
+ALTER TABLE notes DROP COLUMN IF EXISTS reminder_rule;
+ALTER TABLE notes DROP COLUMN IF EXISTS reminder_at;
@@ -0,0 +1,70 @@
+-- Reminder of a note: when it fires next and, for recurring reminders, its rule (see utils/recurrence.js).
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS reminder_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS reminder_rule VARCHAR(255);
+
+-- Used by the reminder job to find due reminders.
+CREATE INDEX IF NOT EXISTS idx_notes_reminder_at ON notes(reminder_at)
+    WHERE reminder_at IS NOT NULL AND deleted_at IS NULL;
+
+-- The in-app notifications feed. The ID is given by the notification, so delivering it again is a no-op.
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL,
+    note_id UUID,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_notification_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_notification_note
+        FOREIGN KEY (note_id)
+        REFERENCES notes(id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC, id DESC);
+
+-- Outbox of notifications to deliver, one row per notification and channel (see notifications/channels.js).
+-- Workers claim due rows with FOR UPDATE SKIP LOCKED and push `next_attempt_at` ahead while they deliver.
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    channel VARCHAR(50) NOT NULL,
+    notification JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_delivery_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_pending ON notification_deliveries(next_attempt_at)
+    WHERE status = 'pending';
+
+-- Outgoing webhooks notifications are posted to, signed with `secret`.
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    secret CHAR(64) NOT NULL,
+    -- Outcome of the last delivery attempt, for the user to check the endpoint.
+    last_status INTEGER,
+    last_error TEXT,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_webhook_user
+        FOREIGN KEY (user_id)
+        REFERENCES users(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id, created_at);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_note_import_jobs_unfinished;
+ALTER TABLE note_import_jobs DROP COLUMN IF EXISTS heartbeat_at;
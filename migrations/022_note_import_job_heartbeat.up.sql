@@ -0,0 +1,7 @@
+-- Background imports run in the server process that received the upload and record a heartbeat while they
+-- run. A pending or running import whose heartbeat stopped was interrupted (e.g. by a restart) and is failed.
+ALTER TABLE note_import_jobs
+    ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_note_import_jobs_unfinished ON note_import_jobs(heartbeat_at)
+    WHERE status IN ('pending', 'running');
@@ -0,0 +1,15 @@
+-- Outcome of posting a notification to each webhook, so retries only post to the webhooks that have not
+-- accepted the notification yet.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    webhook_id UUID NOT NULL,
+    notification_id UUID NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (webhook_id, notification_id),
+    CONSTRAINT fk_webhook_delivery_webhook
+        FOREIGN KEY (webhook_id)
+        REFERENCES webhooks(id)
+        ON DELETE CASCADE
+);
@@ -0,0 +1,6 @@
+-- The tokens cannot be recovered from their hashes, so the existing links are removed.
+DELETE FROM note_public_links;
+ALTER TABLE note_public_links ADD COLUMN IF NOT EXISTS token VARCHAR(64) UNIQUE NOT NULL;
+
+DROP INDEX IF EXISTS idx_note_public_links_token_hash;
+ALTER TABLE note_public_links DROP COLUMN IF EXISTS token_hash;
@@ -0,0 +1,11 @@
+-- Public link tokens are stored as SHA-256 hashes, like refresh and password reset tokens, so reading the
+-- database does not give access to every published note. Existing links keep working: their tokens are
+-- hashed in place.
+ALTER TABLE note_public_links ADD COLUMN IF NOT EXISTS token_hash CHAR(64);
+UPDATE note_public_links
+SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex')
+WHERE token_hash IS NULL;
+ALTER TABLE note_public_links ALTER COLUMN token_hash SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_note_public_links_token_hash ON note_public_links(token_hash);
+
+ALTER TABLE note_public_links DROP COLUMN IF EXISTS token;
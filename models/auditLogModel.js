@@ -0,0 +1,120 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for an audit log entry, with the usernames of the actor and target when they still exist.
+ */
+const AUDIT_LOG_COLUMNS = `a.id, a.actor_id, actor.username AS actor_username, a.action,
+  a.target_user_id, target.username AS target_username, a.details, a.ip, a.created_at`;
+
+/**
+ * Records an action in the audit trail.
+ * @param {object} entry - The audit log entry.
+ * @param {string} entry.actorId - The ID of the user who performed the action.
+ * @param {string} entry.action - The action performed (e.g., "lock_user").
+ * @param {string | null} [entry.targetUserId=null] - The ID of the user the action was performed on.
+ * @param {object} [entry.details={}] - Extra information about the action.
+ * @param {string | null} [entry.ip=null] - The IP address the request came from.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the created entry or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createAuditLog = async (
+  { actorId, action, targetUserId = null, details = {}, ip = null },
+  client = pool
+) => {
+  try {
+    const query = `
+      INSERT INTO audit_logs (actor_id, action, target_user_id, details, ip)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, actor_id, action, target_user_id, details, ip, created_at;
+    `;
+    const values = [actorId, action, targetUserId, details, ip];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createAuditLog:", error.message);
+    throw new AppError("Could not record audit log entry.", 500);
+  }
+};
+
+/**
+ * Retrieves a page of audit log entries, newest first.
+ * @param {object} options - Filter and pagination options.
+ * @param {string} [options.action] - Only return entries for this action.
+ * @param {string} [options.actorId] - Only return entries of actions performed by this user.
+ * @param {string} [options.targetUserId] - Only return entries of actions performed on this user.
+ * @param {number} options.limit - The maximum number of entries to return.
+ * @param {object} [options.cursor] - The `{ value, id }` (creation time and ID) of the last entry of the previous page.
+ * @returns {Promise<object>} - `{ entries, total, nextCursor }`, where `nextCursor` is the `{ value, id }`
+ *                              of the last returned entry, or null when there are no more entries.
+ * @throws {AppError} If there is a database error.
+ */
+export const getAuditLogs = async ({
+  action,
+  actorId,
+  targetUserId,
+  limit,
+  cursor,
+}) => {
+  try {
+    const filterValues = [];
+    const filterConditions = ["TRUE"];
+    for (const [column, value] of [
+      ["a.action", action],
+      ["a.actor_id", actorId],
+      ["a.target_user_id", targetUserId],
+    ]) {
+      if (value) {
+        filterValues.push(value);
+        filterConditions.push(`${column} = $${filterValues.length}`);
+      }
+    }
+
+    const pageValues = [...filterValues];
+    const pageConditions = [...filterConditions];
+    if (cursor) {
+      pageValues.push(cursor.value, cursor.id);
+      pageConditions.push(
+        `(a.created_at, a.id) < ($${pageValues.length - 1}::timestamptz, $${
+          pageValues.length
+        }::uuid)`
+      );
+    }
+    // Fetch one extra row to find out whether there is a next page.
+    pageValues.push(limit + 1);
+
+    const pageQuery = `
+      SELECT ${AUDIT_LOG_COLUMNS}, a.created_at::text AS sort_value
+      FROM audit_logs a
+      LEFT JOIN users actor ON actor.id = a.actor_id
+      LEFT JOIN users target ON target.id = a.target_user_id
+      WHERE ${pageConditions.join(" AND ")}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${pageValues.length};
+    `;
+    const countQuery = `
+      SELECT COUNT(*)::int AS total
+      FROM audit_logs a
+      WHERE ${filterConditions.join(" AND ")};
+    `;
+
+    const [pageResult, countResult] = await Promise.all([
+      pool.query(pageQuery, pageValues),
+      pool.query(countQuery, filterValues),
+    ]);
+
+    const hasMore = pageResult.rows.length > limit;
+    const rows = hasMore ? pageResult.rows.slice(0, limit) : pageResult.rows;
+    const last = rows[rows.length - 1];
+
+    return {
+      entries: rows.map(({ sort_value, ...entry }) => entry),
+      total: countResult.rows[0].total,
+      nextCursor: hasMore ? { value: last.sort_value, id: last.id } : null,
+    };
+  } catch (error) {
+    console.error("Error in getAuditLogs:", error.message);
+    throw new AppError("Could not retrieve audit log.", 500);
+  }
+};
@@ -0,0 +1,110 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Builds the key under which failed logins for a username are counted.
+ * @param {string} username - The username tried.
+ * @returns {string} The attempt key.
+ */
+export const usernameAttemptKey = (username) => `username:${username}`;
+
+/**
+ * Builds the key under which failed logins from an IP address are counted.
+ * @param {string} ip - The IP address of the client.
+ * @returns {string} The attempt key.
+ */
+export const ipAttemptKey = (ip) => `ip:${ip}`;
+
+/**
+ * Retrieves the lockouts that are still in effect for any of the given keys.
+ * @param {Array<string>} keys - The attempt keys (e.g., "username:johndoe", "ip:203.0.113.7").
+ * @returns {Promise<Array<object>>} - A promise that resolves to `{ key, locked_until }` rows of the active lockouts.
+ * @throws {AppError} If there is a database error.
+ */
+export const getActiveLockouts = async (keys) => {
+  try {
+    const query = `
+      SELECT key, locked_until
+      FROM login_attempts
+      WHERE key = ANY($1::text[]) AND locked_until > NOW();
+    `;
+    const values = [keys];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getActiveLockouts:", error.message);
+    throw new AppError("Could not check login attempts.", 500);
+  }
+};
+
+/**
+ * Records a failed login for a key and locks the key once it reaches the maximum number of failures.
+ * Failures older than the attempt window are forgotten, so the count starts again at 1.
+ * @param {string} key - The attempt key (e.g., "username:johndoe" or "ip:203.0.113.7").
+ * @param {object} limits - The limits of the key.
+ * @param {number} limits.maxAttempts - Failures within the window that lock the key.
+ * @param {number} limits.windowMinutes - Length of the attempt window, in minutes.
+ * @param {number} limits.lockoutMinutes - How long the key stays locked, in minutes.
+ * @returns {Promise<object>} - A promise that resolves to `{ failed_count, locked_until }` after the failure.
+ * @throws {AppError} If there is a database error.
+ */
+export const recordFailedLogin = async (
+  key,
+  { maxAttempts, windowMinutes, lockoutMinutes }
+) => {
+  try {
+    // In the UPDATE, `login_attempts` holds the row before this failure. A row whose first failure is older
+    // than the window starts counting again at 1; otherwise the count goes up by 1.
+    const query = `
+      INSERT INTO login_attempts (key, failed_count, first_failed_at, locked_until)
+      VALUES (
+        $1, 1, NOW(),
+        CASE WHEN $2::int <= 1 THEN NOW() + make_interval(mins => $4::int) END
+      )
+      ON CONFLICT (key) DO UPDATE SET
+        failed_count = CASE
+          WHEN login_attempts.first_failed_at <= NOW() - make_interval(mins => $3::int) THEN 1
+          ELSE login_attempts.failed_count + 1
+        END,
+        first_failed_at = CASE
+          WHEN login_attempts.first_failed_at <= NOW() - make_interval(mins => $3::int) THEN NOW()
+          ELSE login_attempts.first_failed_at
+        END,
+        locked_until = CASE
+          WHEN login_attempts.first_failed_at <= NOW() - make_interval(mins => $3::int) THEN
+            CASE WHEN $2::int <= 1 THEN NOW() + make_interval(mins => $4::int) END
+          WHEN login_attempts.failed_count + 1 >= $2::int THEN NOW() + make_interval(mins => $4::int)
+          ELSE login_attempts.locked_until
+        END
+      RETURNING failed_count, locked_until;
+    `;
+    const values = [key, maxAttempts, windowMinutes, lockoutMinutes];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  } catch (error) {
+    console.error("Error in recordFailedLogin:", error.message);
+    throw new AppError("Could not record login attempt.", 500);
+  }
+};
+
+/**
+ * Forgets the failed logins and any lockout of the given keys.
+ * @param {Array<string>} keys - The attempt keys.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of cleared keys.
+ * @throws {AppError} If there is a database error.
+ */
+export const clearLoginAttempts = async (keys, client = pool) => {
+  try {
+    const query = `
+      DELETE FROM login_attempts
+      WHERE key = ANY($1::text[]);
+    `;
+    const values = [keys];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in clearLoginAttempts:", error.message);
+    throw new AppError("Could not clear login attempts.", 500);
+  }
+};
@@ -0,0 +1,191 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for an attachment. The storage key is internal and only returned where it is needed.
+ */
+const ATTACHMENT_COLUMNS = `id, note_id, uploader_id, file_name, content_type, size, checksum, created_at`;
+
+/**
+ * Stores the metadata of an attachment whose content has been saved by the storage driver.
+ * @param {object} attachment - `{ id, noteId, uploaderId, fileName, contentType, size, checksum, storageKey }`.
+ * @returns {Promise<object>} - A promise that resolves to the created attachment object.
+ * @throws {AppError} If there is a database error, e.g. because the note was deleted in the meantime.
+ */
+export const createAttachment = async ({
+  id,
+  noteId,
+  uploaderId,
+  fileName,
+  contentType,
+  size,
+  checksum,
+  storageKey,
+}) => {
+  try {
+    const query = `
+      INSERT INTO note_attachments
+        (id, note_id, uploader_id, file_name, content_type, size, checksum, storage_key)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${ATTACHMENT_COLUMNS};
+    `;
+    const values = [
+      id,
+      noteId,
+      uploaderId,
+      fileName,
+      contentType,
+      size,
+      checksum,
+      storageKey,
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  } catch (error) {
+    console.error("Error in createAttachment:", error.message);
+    throw new AppError("Could not save attachment.", 500);
+  }
+};
+
+/**
+ * Retrieves all attachments of a note.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of attachment objects, oldest first.
+ * @throws {AppError} If there is a database error.
+ */
+export const getAttachmentsByNoteId = async (noteId) => {
+  try {
+    const query = `
+      SELECT ${ATTACHMENT_COLUMNS}
+      FROM note_attachments
+      WHERE note_id = $1
+      ORDER BY created_at, id;
+    `;
+    const values = [noteId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getAttachmentsByNoteId:", error.message);
+    throw new AppError("Could not retrieve attachments.", 500);
+  }
+};
+
+/**
+ * Retrieves one attachment of a note, with its storage key.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @param {string} noteId - The ID of the note the attachment belongs to.
+ * @returns {Promise<object | null>} - A promise that resolves to the attachment object or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const getAttachmentById = async (attachmentId, noteId) => {
+  try {
+    const query = `
+      SELECT ${ATTACHMENT_COLUMNS}, storage_key
+      FROM note_attachments
+      WHERE id = $1 AND note_id = $2;
+    `;
+    const values = [attachmentId, noteId];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getAttachmentById:", error.message);
+    throw new AppError("Could not retrieve attachment.", 500);
+  }
+};
+
+/**
+ * Deletes the metadata of an attachment.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @param {string} noteId - The ID of the note the attachment belongs to.
+ * @returns {Promise<string | null>} - A promise that resolves to the storage key of the deleted attachment,
+ *                                     or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteAttachment = async (attachmentId, noteId) => {
+  try {
+    const query = `
+      DELETE FROM note_attachments
+      WHERE id = $1 AND note_id = $2
+      RETURNING storage_key;
+    `;
+    const values = [attachmentId, noteId];
+    const result = await pool.query(query, values);
+    return result.rows[0]?.storage_key ?? null;
+  } catch (error) {
+    console.error("Error in deleteAttachment:", error.message);
+    throw new AppError("Could not delete attachment.", 500);
+  }
+};
+
+/**
+ * Retrieves the storage keys of the attachments of a note, before the note is deleted for good
+ * (which deletes the attachment rows with it).
+ * @param {string} noteId - The ID of the note.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<string>>} - The storage keys.
+ * @throws {AppError} If there is a database error.
+ */
+export const getStorageKeysByNoteId = async (noteId, client = pool) => {
+  try {
+    const query = `SELECT storage_key FROM note_attachments WHERE note_id = $1;`;
+    const values = [noteId];
+    const result = await client.query(query, values);
+    return result.rows.map((row) => row.storage_key);
+  } catch (error) {
+    console.error("Error in getStorageKeysByNoteId:", error.message);
+    throw new AppError("Could not retrieve attachments.", 500);
+  }
+};
+
+/**
+ * Retrieves the storage keys of the attachments of every note a user owns, before the user is deleted.
+ * Attachments the user uploaded to notes shared with them belong to those notes and are not included.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<string>>} - The storage keys.
+ * @throws {AppError} If there is a database error.
+ */
+export const getStorageKeysByUserId = async (userId, client = pool) => {
+  try {
+    const query = `
+      SELECT a.storage_key
+      FROM note_attachments a
+      JOIN notes n ON n.id = a.note_id
+      WHERE n.user_id = $1;
+    `;
+    const values = [userId];
+    const result = await client.query(query, values);
+    return result.rows.map((row) => row.storage_key);
+  } catch (error) {
+    console.error("Error in getStorageKeysByUserId:", error.message);
+    throw new AppError("Could not retrieve attachments.", 500);
+  }
+};
+
+/**
+ * Retrieves the storage keys of the attachments of notes that have been in the trash longer than
+ * the retention period, before they are purged (see `purgeTrashedNotes`).
+ * @param {number} retentionDays - Number of days trashed notes are kept.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<string>>} - The storage keys.
+ * @throws {AppError} If there is a database error.
+ */
+export const getStorageKeysOfExpiredTrash = async (
+  retentionDays,
+  client = pool
+) => {
+  try {
+    const query = `
+      SELECT a.storage_key
+      FROM note_attachments a
+      JOIN notes n ON n.id = a.note_id
+      WHERE n.deleted_at < NOW() - make_interval(days => $1);
+    `;
+    const values = [retentionDays];
+    const result = await client.query(query, values);
+    return result.rows.map((row) => row.storage_key);
+  } catch (error) {
+    console.error("Error in getStorageKeysOfExpiredTrash:", error.message);
+    throw new AppError("Could not retrieve attachments.", 500);
+  }
+};
@@ -0,0 +1,190 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for an import job by every query in this model.
+ */
+const JOB_COLUMNS = `id, user_id, format, file_name, status, total, created, skipped, failed, items, error,
+  created_at, started_at, finished_at`;
+
+/**
+ * Creates a pending import job.
+ * @param {string} userId - The ID of the user importing notes.
+ * @param {object} job - `{ format, fileName, total }`, where `total` is the number of items in the file, or 0 if
+ *                       the file is read in the background.
+ * @returns {Promise<object>} - The created job.
+ * @throws {AppError} If there is a database error.
+ */
+export const createImportJob = async (userId, { format, fileName, total }) => {
+  try {
+    const query = `
+      INSERT INTO note_import_jobs (user_id, format, file_name, total)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${JOB_COLUMNS};
+    `;
+    const values = [userId, format, fileName, total];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  } catch (error) {
+    console.error("Error in createImportJob:", error.message);
+    throw new AppError("Could not start import.", 500);
+  }
+};
+
+/**
+ * Retrieves an import job. Ensures the job belongs to the specified user.
+ * @param {string} jobId - The ID of the job.
+ * @param {string} userId - The ID of the user who started the job.
+ * @returns {Promise<object | null>} - The job, or null if not found/owned.
+ * @throws {AppError} If there is a database error.
+ */
+export const getImportJobByIdAndUserId = async (jobId, userId) => {
+  try {
+    const query = `
+      SELECT ${JOB_COLUMNS}
+      FROM note_import_jobs
+      WHERE id = $1 AND user_id = $2;
+    `;
+    const values = [jobId, userId];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getImportJobByIdAndUserId:", error.message);
+    throw new AppError("Could not retrieve import.", 500);
+  }
+};
+
+/**
+ * Marks an import job as running.
+ * @param {string} jobId - The ID of the job.
+ * @param {number} total - The number of items in the file.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const markImportJobRunning = async (jobId, total) => {
+  try {
+    const query = `
+      UPDATE note_import_jobs
+      SET status = 'running', total = $2, started_at = NOW(), heartbeat_at = NOW()
+      WHERE id = $1;
+    `;
+    const values = [jobId, total];
+    await pool.query(query, values);
+  } catch (error) {
+    console.error("Error in markImportJobRunning:", error.message);
+    throw new AppError("Could not update import.", 500);
+  }
+};
+
+/**
+ * Records the progress of a running import job, so clients polling it can show how far it got.
+ * @param {string} jobId - The ID of the job.
+ * @param {object} counts - `{ created, skipped, failed }` so far.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const updateImportJobProgress = async (
+  jobId,
+  { created, skipped, failed }
+) => {
+  try {
+    const query = `
+      UPDATE note_import_jobs
+      SET created = $2, skipped = $3, failed = $4, heartbeat_at = NOW()
+      WHERE id = $1;
+    `;
+    const values = [jobId, created, skipped, failed];
+    await pool.query(query, values);
+  } catch (error) {
+    console.error("Error in updateImportJobProgress:", error.message);
+    throw new AppError("Could not update import.", 500);
+  }
+};
+
+/**
+ * Finishes an import job with its report.
+ * @param {string} jobId - The ID of the job.
+ * @param {object} report - `{ status, created, skipped, failed, items, error }`, where `status` is "completed"
+ *                          or "failed" and `error` tells why a failed job stopped.
+ * @returns {Promise<object>} - The finished job.
+ * @throws {AppError} If there is a database error.
+ */
+export const finishImportJob = async (
+  jobId,
+  { status, created, skipped, failed, items, error = null }
+) => {
+  try {
+    const query = `
+      UPDATE note_import_jobs
+      SET status = $2, created = $3, skipped = $4, failed = $5, items = $6::jsonb, error = $7,
+        finished_at = NOW()
+      WHERE id = $1
+      RETURNING ${JOB_COLUMNS};
+    `;
+    const values = [
+      jobId,
+      status,
+      created,
+      skipped,
+      failed,
+      JSON.stringify(items),
+      error,
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  } catch (dbError) {
+    console.error("Error in finishImportJob:", dbError.message);
+    throw new AppError("Could not update import.", 500);
+  }
+};
+
+/**
+ * Records that a pending or running import job is still being worked on, see `failStaleImportJobs`.
+ * @param {string} jobId - The ID of the job.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const touchImportJob = async (jobId) => {
+  try {
+    const query = `
+      UPDATE note_import_jobs
+      SET heartbeat_at = NOW()
+      WHERE id = $1 AND status IN ('pending', 'running');
+    `;
+    const values = [jobId];
+    await pool.query(query, values);
+  } catch (error) {
+    console.error("Error in touchImportJob:", error.message);
+    throw new AppError("Could not update import.", 500);
+  }
+};
+
+/**
+ * Fails pending and running import jobs whose heartbeat stopped, because the process running them went away.
+ * @param {number} staleAfterSeconds - How long a job may go without a heartbeat.
+ * @param {string} message - The error recorded on the failed jobs.
+ * @param {string} [jobId] - Only check this job.
+ * @returns {Promise<number>} - The number of jobs failed.
+ * @throws {AppError} If there is a database error.
+ */
+export const failStaleImportJobs = async (
+  staleAfterSeconds,
+  message,
+  jobId = null
+) => {
+  try {
+    const query = `
+      UPDATE note_import_jobs
+      SET status = 'failed', error = $2, finished_at = NOW()
+      WHERE status IN ('pending', 'running')
+        AND heartbeat_at < NOW() - make_interval(secs => $1)
+        AND ($3::uuid IS NULL OR id = $3);
+    `;
+    const values = [staleAfterSeconds, message, jobId];
+    const result = await pool.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in failStaleImportJobs:", error.message);
+    throw new AppError("Could not update imports.", 500);
+  }
+};
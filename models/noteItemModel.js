@@ -0,0 +1,241 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for a checklist item.
+ */
+const ITEM_COLUMNS = `id, note_id, text, done, due_at, position, completed_at, created_at, modified_at`;
+
+/**
+ * Retrieves all checklist items of a note, in order.
+ * @param {string} noteId - The ID of the note.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of item objects.
+ * @throws {AppError} If there is a database error.
+ */
+export const getItemsByNoteId = async (noteId, client = pool) => {
+  try {
+    const query = `
+      SELECT ${ITEM_COLUMNS}
+      FROM note_items
+      WHERE note_id = $1
+      ORDER BY position, created_at, id;
+    `;
+    const values = [noteId];
+    const result = await client.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getItemsByNoteId:", error.message);
+    throw new AppError("Could not retrieve checklist items.", 500);
+  }
+};
+
+/**
+ * Retrieves one checklist item of a note.
+ * @param {string} itemId - The ID of the item.
+ * @param {string} noteId - The ID of the note the item belongs to.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the item object or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const getItemById = async (itemId, noteId, client = pool) => {
+  try {
+    const query = `
+      SELECT ${ITEM_COLUMNS}
+      FROM note_items
+      WHERE id = $1 AND note_id = $2;
+    `;
+    const values = [itemId, noteId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getItemById:", error.message);
+    throw new AppError("Could not retrieve checklist item.", 500);
+  }
+};
+
+/**
+ * Counts the checklist items of a note.
+ * @param {string} noteId - The ID of the note.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - A promise that resolves to the number of items.
+ * @throws {AppError} If there is a database error.
+ */
+export const countItems = async (noteId, client = pool) => {
+  try {
+    const query = `SELECT COUNT(*)::int AS count FROM note_items WHERE note_id = $1;`;
+    const values = [noteId];
+    const result = await client.query(query, values);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error("Error in countItems:", error.message);
+    throw new AppError("Could not count checklist items.", 500);
+  }
+};
+
+/**
+ * Adds a checklist item to a note at a position, moving the items from that position on one place down.
+ * Positions must be kept consistent by locking the note first (see `getNoteForUpdate`).
+ * @param {string} noteId - The ID of the note.
+ * @param {object} item - `{ text, done, dueAt, position }`; `position` must be between 0 and the number of items.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object>} - A promise that resolves to the created item object.
+ * @throws {AppError} If there is a database error.
+ */
+export const createItem = async (
+  noteId,
+  { text, done, dueAt, position },
+  client
+) => {
+  try {
+    const query = `
+      WITH shifted AS (
+        UPDATE note_items SET position = position + 1
+        WHERE note_id = $1 AND position >= $5
+      )
+      INSERT INTO note_items (note_id, text, done, due_at, position, completed_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $3 THEN NOW() END)
+      RETURNING ${ITEM_COLUMNS};
+    `;
+    const values = [noteId, text, done, dueAt, position];
+    const result = await client.query(query, values);
+    return result.rows[0];
+  } catch (error) {
+    console.error("Error in createItem:", error.message);
+    throw new AppError("Could not create checklist item.", 500);
+  }
+};
+
+/**
+ * Updates the text, done flag and/or due date of a checklist item.
+ * Checking an item off records when it was completed; opening it again clears that.
+ * @param {string} itemId - The ID of the item.
+ * @param {string} noteId - The ID of the note the item belongs to.
+ * @param {object} updates - The fields to update: `text`, `done` and/or `dueAt` (null removes the due date).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the updated item object or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const updateItem = async (itemId, noteId, updates, client = pool) => {
+  try {
+    const setClauses = [];
+    const values = [itemId, noteId];
+    let valueIndex = 3; // $1 is itemId, $2 is noteId
+
+    if (updates.text !== undefined) {
+      setClauses.push(`text = $${valueIndex++}`);
+      values.push(updates.text);
+    }
+    if (updates.done !== undefined) {
+      setClauses.push(
+        `done = $${valueIndex}`,
+        `completed_at = CASE WHEN $${valueIndex} THEN COALESCE(completed_at, NOW()) END`
+      );
+      valueIndex++;
+      values.push(updates.done);
+    }
+    if (updates.dueAt !== undefined) {
+      setClauses.push(`due_at = $${valueIndex++}`);
+      values.push(updates.dueAt);
+    }
+    if (!setClauses.length) {
+      return getItemById(itemId, noteId, client);
+    }
+
+    const query = `
+      UPDATE note_items
+      SET ${setClauses.join(", ")}
+      WHERE id = $1 AND note_id = $2
+      RETURNING ${ITEM_COLUMNS};
+    `;
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in updateItem:", error.message);
+    throw new AppError("Could not update checklist item.", 500);
+  }
+};
+
+/**
+ * Moves a checklist item to another position, shifting the items in between by one place.
+ * Positions must be kept consistent by locking the note first (see `getNoteForUpdate`).
+ * @param {string} itemId - The ID of the item.
+ * @param {string} noteId - The ID of the note the item belongs to.
+ * @param {number} from - The current position of the item.
+ * @param {number} to - The new position, less than the number of items.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const moveItem = async (itemId, noteId, from, to, client) => {
+  try {
+    const query = `
+      UPDATE note_items
+      SET position = CASE
+        WHEN id = $1 THEN $4
+        WHEN $4::int < $3::int THEN position + 1
+        ELSE position - 1
+      END
+      WHERE note_id = $2 AND position BETWEEN LEAST($3::int, $4::int) AND GREATEST($3::int, $4::int);
+    `;
+    const values = [itemId, noteId, from, to];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in moveItem:", error.message);
+    throw new AppError("Could not move checklist item.", 500);
+  }
+};
+
+/**
+ * Puts the checklist items of a note in a new order.
+ * @param {string} noteId - The ID of the note.
+ * @param {Array<string>} itemIds - The IDs of all items of the note, in their new order.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const reorderItems = async (noteId, itemIds, client) => {
+  try {
+    const query = `
+      UPDATE note_items i
+      SET position = o.ordinality - 1
+      FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, ordinality)
+      WHERE i.id = o.id AND i.note_id = $1 AND i.position <> o.ordinality - 1;
+    `;
+    const values = [noteId, itemIds];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in reorderItems:", error.message);
+    throw new AppError("Could not reorder checklist items.", 500);
+  }
+};
+
+/**
+ * Deletes a checklist item and closes the gap it leaves in the order.
+ * @param {string} itemId - The ID of the item.
+ * @param {string} noteId - The ID of the note the item belongs to.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<boolean>} - True if the item was deleted, false if it was not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteItem = async (itemId, noteId, client) => {
+  try {
+    const query = `
+      WITH deleted AS (
+        DELETE FROM note_items
+        WHERE id = $1 AND note_id = $2
+        RETURNING position
+      ), shifted AS (
+        UPDATE note_items SET position = position - 1
+        WHERE note_id = $2 AND position > (SELECT position FROM deleted)
+      )
+      SELECT COUNT(*)::int AS count FROM deleted;
+    `;
+    const values = [itemId, noteId];
+    const result = await client.query(query, values);
+    return result.rows[0].count > 0;
+  } catch (error) {
+    console.error("Error in deleteItem:", error.message);
+    throw new AppError("Could not delete checklist item.", 500);
+  }
+};
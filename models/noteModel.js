@@ -1,47 +1,276 @@
 import { pool } from "../config/db.js";
 import { AppError } from "../utils/appError.js";
+import {
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  toHighlightHtml,
+} from "../utils/searchQuery.js";
+
+/**
+ * Columns returned for a note by every query in this model.
+ */
+const NOTE_COLUMNS = `id, user_id, notebook_id, title, text, content_format, version, created_at, modified_at,
+  reminder_at, reminder_rule,
+  ARRAY(
+    SELECT t.name FROM note_tags nt JOIN tags t ON t.id = nt.tag_id
+    WHERE nt.note_id = notes.id ORDER BY t.name
+  ) AS tags`;
+
+/**
+ * Fields notes can be sorted by, with the SQL expression and type used for keyset cursor comparisons.
+ * "relevance" is only available for full-text search, where `tsq` is the parsed query.
+ */
+const SORT_FIELDS = {
+  created_at: { expression: "created_at", type: "timestamptz" },
+  modified_at: { expression: "modified_at", type: "timestamptz" },
+  title: { expression: "title", type: "text" },
+  relevance: { expression: "ts_rank(search_vector, tsq)", type: "real" },
+};
+
+/**
+ * Access level of the requesting user (`$2`) on a note: "owner", or the permission of a share with them.
+ */
+const NOTE_PERMISSION = `CASE WHEN user_id = $2 THEN 'owner' ELSE (
+    SELECT s.permission FROM note_shares s WHERE s.note_id = notes.id AND s.user_id = $2
+  ) END AS permission`;
+
+/**
+ * Matches notes the requesting user (`$2`) owns or that are shared with them.
+ */
+const NOTE_ACCESS_CONDITION = `(user_id = $2 OR EXISTS (
+    SELECT 1 FROM note_shares s WHERE s.note_id = notes.id AND s.user_id = $2
+  ))`;
+
+/**
+ * Date range filters accepted by the list and search queries, mapped to their SQL condition.
+ */
+const DATE_FILTERS = {
+  createdAfter: "created_at >=",
+  createdBefore: "created_at <=",
+  modifiedAfter: "modified_at >=",
+  modifiedBefore: "modified_at <=",
+};
+
+/**
+ * Matches notes with at least one checklist item that is not done.
+ */
+const OPEN_ITEMS_CONDITION = `EXISTS (
+    SELECT 1 FROM note_items i WHERE i.note_id = notes.id AND NOT i.done
+  )`;
+
+/**
+ * Builds the condition matching notes by tag name.
+ * In "any" mode a note needs at least one of the tags, in "all" mode it needs every tag.
+ * @param {string} placeholder - The placeholder of the tag name array parameter (e.g., "$3").
+ * @param {string} mode - "any" or "all".
+ * @returns {string} The SQL condition.
+ */
+const buildTagCondition = (placeholder, mode) => {
+  const noteTags = `ARRAY(
+    SELECT t.name::text FROM note_tags nt JOIN tags t ON t.id = nt.tag_id
+    WHERE nt.note_id = notes.id
+  )`;
+  const operator = mode === "all" ? "<@" : "&&";
+  return `${placeholder}::text[] ${operator} ${noteTags}`;
+};
+
+/**
+ * Runs a paginated note query together with a count of all matching notes.
+ * Uses keyset pagination on (sort field, id) so pages stay stable while notes are added.
+ * @param {object} params - The query parts.
+ * @param {string} params.columns - The columns to select.
+ * @param {string} params.from - The FROM clause.
+ * @param {Array<string>} params.conditions - WHERE conditions shared by the page and count queries.
+ * @param {Array<any>} params.values - Values referenced by `conditions`.
+ * @param {object} options - Pagination options.
+ * @param {number} options.limit - Maximum number of notes to return.
+ * @param {string} options.sort - A key of SORT_FIELDS.
+ * @param {string} options.order - "asc" or "desc".
+ * @param {object} [options.cursor] - The `{ value, id }` of the last note of the previous page.
+ * @param {object} [options.filters] - Optional date range filters (see DATE_FILTERS), plus `tags`
+ *                                     (array of tag names), `tagMode` ("any" or "all"), `hasOpenItems`
+ *                                     (true for notes with checklist items that are not done, false for notes
+ *                                     without) and `itemsDueBefore` (notes with open items due before a date).
+ * @returns {Promise<object>} - `{ notes, total, nextCursor }`, where `nextCursor` is the `{ value, id }`
+ *                              of the last returned note, or null when there are no more notes.
+ */
+const queryNotePage = async (
+  { columns, from, conditions, values },
+  options
+) => {
+  const sortField = SORT_FIELDS[options.sort];
+  const filterValues = [...values];
+  const filterConditions = [...conditions];
+
+  for (const [key, condition] of Object.entries(DATE_FILTERS)) {
+    if (options.filters && options.filters[key]) {
+      filterValues.push(options.filters[key]);
+      filterConditions.push(`${condition} $${filterValues.length}`);
+    }
+  }
+
+  if (options.filters && options.filters.tags && options.filters.tags.length) {
+    filterValues.push(options.filters.tags);
+    filterConditions.push(
+      buildTagCondition(`$${filterValues.length}`, options.filters.tagMode)
+    );
+  }
+
+  if (options.filters && options.filters.hasOpenItems !== undefined) {
+    filterConditions.push(
+      options.filters.hasOpenItems
+        ? OPEN_ITEMS_CONDITION
+        : `NOT ${OPEN_ITEMS_CONDITION}`
+    );
+  }
+
+  if (options.filters && options.filters.itemsDueBefore) {
+    filterValues.push(options.filters.itemsDueBefore);
+    filterConditions.push(`EXISTS (
+      SELECT 1 FROM note_items i
+      WHERE i.note_id = notes.id AND NOT i.done AND i.due_at < $${filterValues.length}
+    )`);
+  }
+
+  const pageValues = [...filterValues];
+  const pageConditions = [...filterConditions];
+  const direction = options.order === "asc" ? "ASC" : "DESC";
+
+  if (options.cursor) {
+    pageValues.push(options.cursor.value, options.cursor.id);
+    const comparator = options.order === "asc" ? ">" : "<";
+    pageConditions.push(
+      `(${sortField.expression}, id) ${comparator} ($${
+        pageValues.length - 1
+      }::${sortField.type}, $${pageValues.length}::uuid)`
+    );
+  }
+
+  // Fetch one extra row to find out whether there is a next page.
+  pageValues.push(options.limit + 1);
+
+  const pageQuery = `
+    SELECT ${columns}, ${sortField.expression}::text AS sort_value
+    FROM ${from}
+    WHERE ${pageConditions.join(" AND ")}
+    ORDER BY ${sortField.expression} ${direction}, id ${direction}
+    LIMIT $${pageValues.length};
+  `;
+  const countQuery = `
+    SELECT COUNT(*)::int AS total
+    FROM ${from}
+    WHERE ${filterConditions.join(" AND ")};
+  `;
+
+  const [pageResult, countResult] = await Promise.all([
+    pool.query(pageQuery, pageValues),
+    pool.query(countQuery, filterValues),
+  ]);
+
+  const hasMore = pageResult.rows.length > options.limit;
+  const rows = hasMore
+    ? pageResult.rows.slice(0, options.limit)
+    : pageResult.rows;
+  const last = rows[rows.length - 1];
+
+  return {
+    notes: rows.map(({ sort_value, ...note }) => note),
+    total: countResult.rows[0].total,
+    nextCursor: hasMore ? { value: last.sort_value, id: last.id } : null,
+  };
+};
 
 /**
  * Creates a new note in the database for a specific user.
  * @param {string} userId - The ID of the user who owns the note.
  * @param {string} title - The title of the note.
  * @param {string} text - The text content of the note.
+ * @param {string | null} [notebookId=null] - The ID of the notebook the note is in, or null for the top level.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @param {object} [options] - Optional settings.
+ * @param {string | null} [options.id=null] - The ID of the note, e.g. one an offline client generated; null generates one.
+ * @param {Date | null} [options.createdAt=null] - The creation time, e.g. of an imported note; null uses the current time.
+ * @param {Date | null} [options.modifiedAt=null] - The last modification time; null uses the current time.
+ * @param {string} [options.contentFormat="plain"] - The format of the text, "plain" or "markdown".
+ * @param {string | null} [options.plainText=null] - The rendered text of a Markdown note, indexed for search
+ *                                                   instead of the text; null for plain notes.
+ * @param {Date | null} [options.reminderAt=null] - When the reminder of the note fires; null for no reminder.
+ * @param {string | null} [options.reminderRule=null] - The recurrence rule of the reminder; null for a one-off.
  * @returns {Promise<object | null>} - A promise that resolves to the created note object or null.
- * @throws {AppError} If there is a database error.
+ * @throws {AppError} 409 if a note with the ID exists already, or if there is a database error.
  */
-export const createNote = async (userId, title, text) => {
+export const createNote = async (
+  userId,
+  title,
+  text,
+  notebookId = null,
+  client = pool,
+  {
+    id = null,
+    createdAt = null,
+    modifiedAt = null,
+    contentFormat = "plain",
+    plainText = null,
+    reminderAt = null,
+    reminderRule = null,
+  } = {}
+) => {
   try {
     const query = `
-      INSERT INTO notes (user_id, title, text)
-      VALUES ($1, $2, $3)
-      RETURNING id, user_id, title, text, created_at, modified_at;
+      INSERT INTO notes (
+        id, user_id, title, text, notebook_id, created_at, modified_at, content_format, plain_text,
+        reminder_at, reminder_rule
+      )
+      VALUES (
+        COALESCE($5::uuid, uuid_generate_v4()), $1, $2, $3, $4,
+        COALESCE($6::timestamptz, CURRENT_TIMESTAMP), COALESCE($7::timestamptz, CURRENT_TIMESTAMP), $8, $9,
+        $10, $11
+      )
+      RETURNING ${NOTE_COLUMNS};
     `;
-    const values = [userId, title, text];
-    const result = await pool.query(query, values);
+    const values = [
+      userId,
+      title,
+      text,
+      notebookId,
+      id,
+      createdAt,
+      modifiedAt,
+      contentFormat,
+      plainText,
+      reminderAt,
+      reminderRule,
+    ];
+    const result = await client.query(query, values);
     return result.rows[0] || null;
   } catch (error) {
     console.error("Error in createNote:", error.message);
+    // '23505' is the PostgreSQL error code for unique_violation; only client-chosen IDs can collide.
+    if (error.code === "23505") {
+      throw new AppError("A note with this ID already exists.", 409);
+    }
     throw new AppError("Could not create note.", 500);
   }
 };
 
 /**
- * Retrieves all notes for a specific user from the database.
+ * Retrieves a page of notes for a specific user from the database.
  * @param {string} userId - The ID of the user whose notes are to be retrieved.
- * @returns {Promise<Array<object>>} - A promise that resolves to an array of note objects.
+ * @param {object} options - Pagination, sorting and filtering options (see `queryNotePage`).
+ * @returns {Promise<object>} - A promise that resolves to `{ notes, total, nextCursor }`.
  * @throws {AppError} If there is a database error.
  */
-export const getNotesByUserId = async (userId) => {
+export const getNotesByUserId = async (userId, options) => {
   try {
-    const query = `
-      SELECT id, user_id, title, text, created_at, modified_at
-      FROM notes
-      WHERE user_id = $1
-      ORDER BY modified_at DESC;
-    `;
-    const values = [userId];
-    const result = await pool.query(query, values);
-    return result.rows;
+    return await queryNotePage(
+      {
+        columns: NOTE_COLUMNS,
+        from: "notes",
+        conditions: ["user_id = $1", "deleted_at IS NULL"],
+        values: [userId],
+      },
+      options
+    );
   } catch (error) {
     console.error("Error in getNotesByUserId:", error.message);
     throw new AppError("Could not retrieve notes.", 500);
@@ -50,16 +279,23 @@ export const getNotesByUserId = async (userId) => {
 
 /**
  * Updates an existing note in the database.
- * Only allows updating title and/or text. Ensures the note belongs to the specified user.
+ * Only allows updating title, text, content format (with the rendered `plainText`), notebook and/or reminder.
+ * Ensures the note belongs to the specified user.
+ * The version is bumped even without title or text, so tag changes also produce a new version.
  * @param {string} id - The ID of the note to update.
  * @param {string} userId - The ID of the user who owns the note (for ownership check).
  * @param {object} updates - An object containing the fields to update (e.g., { title: 'New Title' }).
+ *                           A null `notebookId` moves the note to the top level. `plainText` is the rendered
+ *                           text of a Markdown note, null for plain notes. A null `reminderAt` or `reminderRule`
+ *                           removes the reminder or its recurrence.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
  * @returns {Promise<object | null>} - A promise that resolves to the updated note object or null if not found/owned.
  * @throws {AppError} If there is a database error.
  */
-export const updateNote = async (id, userId, updates) => {
+export const updateNote = async (id, userId, updates, client = pool) => {
   try {
-    const setClauses = [];
+    // Every update bumps the version, which is used as the note's ETag.
+    const setClauses = ["version = version + 1"];
     const values = [id, userId];
     let valueIndex = 3; // Start from 3 because $1 is id, $2 is userId
 
@@ -72,19 +308,35 @@ export const updateNote = async (id, userId, updates) => {
       setClauses.push(`text = $${valueIndex++}`);
       values.push(updates.text);
     }
-
-    if (setClauses.length === 0) {
-      return null;
+    if (updates.contentFormat !== undefined) {
+      setClauses.push(`content_format = $${valueIndex++}`);
+      values.push(updates.contentFormat);
+    }
+    if (updates.plainText !== undefined) {
+      setClauses.push(`plain_text = $${valueIndex++}`);
+      values.push(updates.plainText);
+    }
+    if (updates.notebookId !== undefined) {
+      setClauses.push(`notebook_id = $${valueIndex++}`);
+      values.push(updates.notebookId);
+    }
+    if (updates.reminderAt !== undefined) {
+      setClauses.push(`reminder_at = $${valueIndex++}`);
+      values.push(updates.reminderAt);
+    }
+    if (updates.reminderRule !== undefined) {
+      setClauses.push(`reminder_rule = $${valueIndex++}`);
+      values.push(updates.reminderRule);
     }
 
     const query = `
       UPDATE notes
       SET ${setClauses.join(", ")}
-      WHERE id = $1 AND user_id = $2
-      RETURNING id, user_id, title, text, created_at, modified_at;
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+      RETURNING ${NOTE_COLUMNS};
     `;
 
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0] || null;
   } catch (error) {
     console.error("Error in updateNote:", error.message);
@@ -93,21 +345,24 @@ export const updateNote = async (id, userId, updates) => {
 };
 
 /**
- * Deletes a note from the database. Ensures the note belongs to the specified user.
+ * Moves a note to the trash. Ensures the note belongs to the specified user.
+ * Trashed notes are hidden from listings and search until restored or purged.
  * @param {string} id - The ID of the note to delete.
  * @param {string} userId - The ID of the user who owns the note (for ownership check).
- * @returns {Promise<boolean>} - True if the note was deleted, otherwise false.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<boolean>} - True if the note was moved to the trash, otherwise false.
  * @throws {AppError} If there is a database error.
  */
-export const deleteNote = async (id, userId) => {
+export const deleteNote = async (id, userId, client = pool) => {
   try {
     const query = `
-      DELETE FROM notes
-      WHERE id = $1 AND user_id = $2
+      UPDATE notes
+      SET deleted_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
       RETURNING id;
     `;
     const values = [id, userId];
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     return result.rowCount > 0;
   } catch (error) {
     console.error("Error in deleteNote:", error.message);
@@ -115,29 +370,248 @@ export const deleteNote = async (id, userId) => {
   }
 };
 
+/**
+ * Retrieves all trashed notes for a specific user, most recently deleted first.
+ * @param {string} userId - The ID of the user whose trash is to be retrieved.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of note objects with `deleted_at`.
+ * @throws {AppError} If there is a database error.
+ */
+export const getTrashedNotesByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT ${NOTE_COLUMNS}, deleted_at
+      FROM notes
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC;
+    `;
+    const values = [userId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getTrashedNotesByUserId:", error.message);
+    throw new AppError("Could not retrieve trashed notes.", 500);
+  }
+};
+
+/**
+ * Restores a trashed note and bumps its version. Ensures the note belongs to the specified user.
+ * @param {string} id - The ID of the note to restore.
+ * @param {string} userId - The ID of the user who owns the note (for ownership check).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the restored note object or null if not in the trash.
+ * @throws {AppError} If there is a database error.
+ */
+export const restoreNote = async (id, userId, client = pool) => {
+  try {
+    const query = `
+      UPDATE notes
+      SET deleted_at = NULL, version = version + 1
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+      RETURNING ${NOTE_COLUMNS};
+    `;
+    const values = [id, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in restoreNote:", error.message);
+    throw new AppError("Could not restore note.", 500);
+  }
+};
+
+/**
+ * Permanently deletes a trashed note with its revision history. Ensures the note belongs to the specified user.
+ * @param {string} id - The ID of the note to delete.
+ * @param {string} userId - The ID of the user who owns the note (for ownership check).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<boolean>} - True if the note was deleted, otherwise false.
+ * @throws {AppError} If there is a database error.
+ */
+export const permanentlyDeleteNote = async (id, userId, client = pool) => {
+  try {
+    // Revisions have no foreign key to their note, so they are deleted along with it.
+    const query = `
+      WITH deleted AS (
+        DELETE FROM notes
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+        RETURNING id
+      ), deleted_revisions AS (
+        DELETE FROM note_revisions
+        WHERE note_id IN (SELECT id FROM deleted)
+      )
+      SELECT id FROM deleted;
+    `;
+    const values = [id, userId];
+    const result = await client.query(query, values);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error("Error in permanentlyDeleteNote:", error.message);
+    throw new AppError("Could not permanently delete note.", 500);
+  }
+};
+
+/**
+ * Permanently deletes all notes that have been in the trash longer than the retention period,
+ * with their revision history.
+ * @param {number} retentionDays - Number of days trashed notes are kept.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of purged notes.
+ * @throws {AppError} If there is a database error.
+ */
+export const purgeTrashedNotes = async (retentionDays, client = pool) => {
+  try {
+    const query = `
+      WITH deleted AS (
+        DELETE FROM notes
+        WHERE deleted_at < NOW() - make_interval(days => $1)
+        RETURNING id
+      ), deleted_revisions AS (
+        DELETE FROM note_revisions
+        WHERE note_id IN (SELECT id FROM deleted)
+      )
+      SELECT COUNT(*)::int AS purged FROM deleted;
+    `;
+    const values = [retentionDays];
+    const result = await client.query(query, values);
+    return result.rows[0].purged;
+  } catch (error) {
+    console.error("Error in purgeTrashedNotes:", error.message);
+    throw new AppError("Could not purge trashed notes.", 500);
+  }
+};
+
+/**
+ * Options passed to `ts_headline` when highlighting matches in the note title and text.
+ * Matches are wrapped in markers that `toHighlightHtml` turns into `<mark>` tags once the content is escaped;
+ * up to two fragments of the text are returned.
+ */
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+const TEXT_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "`;
+// The markers are removed from the title and text first, so every marker in a headline is one `ts_headline` added.
+const HIGHLIGHT_MARKERS = `${HIGHLIGHT_START}${HIGHLIGHT_STOP}`;
+
+/**
+ * Full-text searches the title and text of a user's notes. Markdown notes are matched and highlighted by
+ * their rendered text, so the markup itself is not searchable.
+ * Results include their relevance (title matches weigh more than text matches)
+ * and highlighted snippets of the matching title and text as HTML, with the content escaped and matches
+ * wrapped in `<mark>` tags.
+ * @param {string} userId - The ID of the user whose notes are to be searched.
+ * @param {string} tsQuery - A `to_tsquery` expression, see `buildTsQuery` in utils/searchQuery.js.
+ * @param {object} options - Pagination, sorting and filtering options (see `queryNotePage`).
+ * @returns {Promise<object>} - A promise that resolves to `{ notes, total, nextCursor }`, where each note
+ *                              has `rank`, `title_highlight` and `text_highlight`.
+ * @throws {AppError} If there is a database error.
+ */
+export const searchNotesFullText = async (userId, tsQuery, options) => {
+  try {
+    const page = await queryNotePage(
+      {
+        columns: `${NOTE_COLUMNS},
+          ts_rank(search_vector, tsq) AS rank,
+          ts_headline('english', translate(title, '${HIGHLIGHT_MARKERS}', ''), tsq, '${TITLE_HEADLINE_OPTIONS}') AS title_highlight,
+          ts_headline('english', translate(coalesce(plain_text, text), '${HIGHLIGHT_MARKERS}', ''), tsq, '${TEXT_HEADLINE_OPTIONS}') AS text_highlight`,
+        from: "notes, to_tsquery('english', $2) AS tsq",
+        conditions: [
+          "user_id = $1",
+          "deleted_at IS NULL",
+          "search_vector @@ tsq",
+        ],
+        values: [userId, tsQuery],
+      },
+      options
+    );
+    return {
+      ...page,
+      notes: page.notes.map((note) => ({
+        ...note,
+        title_highlight: toHighlightHtml(note.title_highlight),
+        text_highlight: toHighlightHtml(note.text_highlight),
+      })),
+    };
+  } catch (error) {
+    console.error("Error in searchNotesFullText:", error.message);
+    throw new AppError("Could not search notes.", 500);
+  }
+};
+
 /**
  * Searches for notes by title for a specific user.
  * The search is case-insensitive and supports partial matches.
  * @param {string} userId - The ID of the user whose notes are to be searched.
  * @param {string} searchTerm - The term to search for in note titles.
- * @returns {Promise<Array<object>>} - A promise that resolves to an array of matching note objects.
+ * @param {object} options - Pagination, sorting and filtering options (see `queryNotePage`).
+ * @returns {Promise<object>} - A promise that resolves to `{ notes, total, nextCursor }`.
+ * @throws {AppError} If there is a database error.
+ */
+export const searchNotesByTitle = async (userId, searchTerm, options) => {
+  try {
+    return await queryNotePage(
+      {
+        columns: NOTE_COLUMNS,
+        from: "notes",
+        // Use ILIKE for case-insensitive partial match
+        conditions: ["user_id = $1", "deleted_at IS NULL", "title ILIKE $2"],
+        values: [userId, `%${searchTerm}%`],
+      },
+      options
+    );
+  } catch (error) {
+    console.error("Error in searchNotesByTitle:", error.message);
+    throw new AppError("Could not search notes.", 500);
+  }
+};
+
+/**
+ * Retrieves a page of the notes (not in the trash) other users have shared with a user.
+ * @param {string} userId - The ID of the user the notes are shared with.
+ * @param {object} options - Pagination, sorting and filtering options (see `queryNotePage`).
+ * @returns {Promise<object>} - A promise that resolves to `{ notes, total, nextCursor }`, where each note
+ *                              has the share `permission` and the `owner_username`.
  * @throws {AppError} If there is a database error.
  */
-export const searchNotesByTitle = async (userId, searchTerm) => {
+export const getNotesSharedWithUserId = async (userId, options) => {
+  try {
+    return await queryNotePage(
+      {
+        columns: `${NOTE_COLUMNS},
+          (SELECT s.permission FROM note_shares s WHERE s.note_id = notes.id AND s.user_id = $1) AS permission,
+          (SELECT u.username FROM users u WHERE u.id = notes.user_id) AS owner_username`,
+        from: "notes",
+        conditions: [
+          "id IN (SELECT note_id FROM note_shares WHERE user_id = $1)",
+          "deleted_at IS NULL",
+        ],
+        values: [userId],
+      },
+      options
+    );
+  } catch (error) {
+    console.error("Error in getNotesSharedWithUserId:", error.message);
+    throw new AppError("Could not retrieve shared notes.", 500);
+  }
+};
+
+/**
+ * Retrieves a single note the user owns or that is shared with them.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user requesting the note.
+ * @returns {Promise<object | null>} - A promise that resolves to the note object with the user's `permission`
+ *                                     ("owner", "edit" or "read"), or null if not found/accessible.
+ * @throws {AppError} If there is a database error.
+ */
+export const getAccessibleNoteById = async (noteId, userId) => {
   try {
     const query = `
-      SELECT id, user_id, title, text, created_at, modified_at
+      SELECT ${NOTE_COLUMNS}, ${NOTE_PERMISSION}
       FROM notes
-      WHERE user_id = $1 AND title ILIKE $2
-      ORDER BY modified_at DESC;
+      WHERE id = $1 AND ${NOTE_ACCESS_CONDITION} AND deleted_at IS NULL;
     `;
-    // Use ILIKE for case-insensitive partial match
-    const values = [userId, `%${searchTerm}%`];
+    const values = [noteId, userId];
     const result = await pool.query(query, values);
-    return result.rows;
+    return result.rows[0] || null;
   } catch (error) {
-    console.error("Error in searchNotesByTitle:", error.message);
-    throw new AppError("Could not search notes.", 500);
+    console.error("Error in getAccessibleNoteById:", error.message);
+    throw new AppError("Could not retrieve note by ID.", 500);
   }
 };
 
@@ -146,9 +620,9 @@ export const searchNotesByTitle = async (userId, searchTerm) => {
 export const getNoteByIdAndUserId = async (noteId, userId) => {
   try {
     const query = `
-      SELECT id, user_id, title, text, created_at, modified_at
+      SELECT ${NOTE_COLUMNS}
       FROM notes
-      WHERE id = $1 AND user_id = $2;
+      WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL;
     `;
     const values = [noteId, userId];
     const result = await pool.query(query, values);
@@ -158,3 +632,396 @@ export const getNoteByIdAndUserId = async (noteId, userId) => {
     throw new AppError("Could not retrieve note by ID.", 500);
   }
 };
+
+/**
+ * Retrieves a single note by ID and locks it until the surrounding transaction ends,
+ * so concurrent updates of the same note are applied one after another.
+ * Notes shared with the user are returned too; check `permission` before changing them.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user requesting the note (for access check).
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the note object with the user's `permission`
+ *                                     ("owner", "edit" or "read"), or null if not found/accessible.
+ * @throws {AppError} If there is a database error.
+ */
+export const getNoteForUpdate = async (noteId, userId, client) => {
+  try {
+    const query = `
+      SELECT ${NOTE_COLUMNS}, ${NOTE_PERMISSION}
+      FROM notes
+      WHERE id = $1 AND ${NOTE_ACCESS_CONDITION} AND deleted_at IS NULL
+      FOR UPDATE;
+    `;
+    const values = [noteId, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getNoteForUpdate:", error.message);
+    throw new AppError("Could not retrieve note by ID.", 500);
+  }
+};
+
+/**
+ * Bumps the version of every note that uses a tag, so clients see the tag change as a note update.
+ * @param {string} tagId - The ID of the tag.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of updated notes.
+ * @throws {AppError} If there is a database error.
+ */
+export const touchNotesWithTag = async (tagId, client = pool) => {
+  try {
+    const query = `
+      UPDATE notes
+      SET version = version + 1
+      WHERE id IN (SELECT note_id FROM note_tags WHERE tag_id = $1);
+    `;
+    const values = [tagId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in touchNotesWithTag:", error.message);
+    throw new AppError("Could not update notes with tag.", 500);
+  }
+};
+
+/**
+ * Bumps the version of a note, which also updates its `modified_at`, so clients see changes to its
+ * checklist items as a note update.
+ * @param {string} noteId - The ID of the note.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - The new `{ version, modified_at }` of the note, or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const touchNote = async (noteId, client = pool) => {
+  try {
+    const query = `
+      UPDATE notes
+      SET version = version + 1
+      WHERE id = $1
+      RETURNING version, modified_at;
+    `;
+    const values = [noteId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in touchNote:", error.message);
+    throw new AppError("Could not update note.", 500);
+  }
+};
+
+/**
+ * Locks notes (not in the trash) whose reminder is due, oldest first, so they can be fired.
+ * Notes another transaction has locked already are skipped rather than waited for, so several instances of the
+ * reminder job can run at once without firing a reminder twice.
+ * @param {Date} now - The time reminders are due by.
+ * @param {number} limit - The maximum number of notes to lock.
+ * @param {object} client - A client of an open transaction, which holds the locks until it ends.
+ * @returns {Promise<Array<object>>} - The `{ id, user_id, title, reminder_at, reminder_rule }` of the notes.
+ * @throws {AppError} If there is a database error.
+ */
+export const claimDueReminders = async (now, limit, client) => {
+  try {
+    const query = `
+      SELECT id, user_id, title, reminder_at, reminder_rule
+      FROM notes
+      WHERE reminder_at <= $1 AND deleted_at IS NULL
+      ORDER BY reminder_at
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED;
+    `;
+    const values = [now, limit];
+    const result = await client.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in claimDueReminders:", error.message);
+    throw new AppError("Could not retrieve due reminders.", 500);
+  }
+};
+
+/**
+ * Moves the reminder of a note to its next occurrence, or removes it (with its rule) after the last one.
+ * Bumps the version, as the note changes for clients.
+ * @param {string} noteId - The ID of the note.
+ * @param {Date | null} reminderAt - The next occurrence, or null to remove the reminder.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const advanceNoteReminder = async (
+  noteId,
+  reminderAt,
+  client = pool
+) => {
+  try {
+    const query = `
+      UPDATE notes
+      SET version = version + 1,
+        reminder_at = $2,
+        reminder_rule = CASE WHEN $2::timestamptz IS NULL THEN NULL ELSE reminder_rule END
+      WHERE id = $1;
+    `;
+    const values = [noteId, reminderAt];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in advanceNoteReminder:", error.message);
+    throw new AppError("Could not update note reminder.", 500);
+  }
+};
+
+/**
+ * Retrieves the notes (not in the trash) inside any of the given notebooks.
+ * @param {Array<string>} notebookIds - The IDs of the notebooks.
+ * @param {string} userId - The ID of the user who owns the notes (for ownership check).
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of note objects, sorted by title.
+ * @throws {AppError} If there is a database error.
+ */
+export const getNotesByNotebookIds = async (notebookIds, userId) => {
+  try {
+    const query = `
+      SELECT ${NOTE_COLUMNS}
+      FROM notes
+      WHERE notebook_id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL
+      ORDER BY title, id;
+    `;
+    const values = [notebookIds, userId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getNotesByNotebookIds:", error.message);
+    throw new AppError("Could not retrieve notebook notes.", 500);
+  }
+};
+
+/**
+ * Moves the notes (not in the trash) of a notebook to the top level, bumping their version.
+ * @param {string} notebookId - The ID of the notebook.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of moved notes.
+ * @throws {AppError} If there is a database error.
+ */
+export const moveNotebookNotesToRoot = async (
+  notebookId,
+  userId,
+  client = pool
+) => {
+  try {
+    const query = `
+      UPDATE notes
+      SET notebook_id = NULL, version = version + 1
+      WHERE notebook_id = $1 AND user_id = $2 AND deleted_at IS NULL;
+    `;
+    const values = [notebookId, userId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in moveNotebookNotesToRoot:", error.message);
+    throw new AppError("Could not move notebook notes.", 500);
+  }
+};
+
+/**
+ * Moves every note (not in the trash) inside any of the given notebooks to the trash.
+ * @param {Array<string>} notebookIds - The IDs of the notebooks.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<object>>} - The trashed notes, with the title, text and content format they had
+ *                                     when deleted.
+ * @throws {AppError} If there is a database error.
+ */
+export const trashNotesInNotebooks = async (
+  notebookIds,
+  userId,
+  client = pool
+) => {
+  try {
+    const query = `
+      UPDATE notes
+      SET deleted_at = NOW()
+      WHERE notebook_id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL
+      RETURNING id, user_id, title, text, content_format;
+    `;
+    const values = [notebookIds, userId];
+    const result = await client.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in trashNotesInNotebooks:", error.message);
+    throw new AppError("Could not delete notebook notes.", 500);
+  }
+};
+
+/**
+ * Retrieves the sync horizon: the ID of the oldest transaction that may still be running.
+ * Every change written by an older transaction is committed (or rolled back), so a change feed
+ * that stops at the horizon never skips a change that commits later.
+ * @returns {Promise<string>} - The transaction ID, as a decimal string.
+ * @throws {AppError} If there is a database error.
+ */
+export const getSyncHorizon = async () => {
+  try {
+    const query = `SELECT pg_snapshot_xmin(pg_current_snapshot())::text AS horizon;`;
+    const result = await pool.query(query, []);
+    return result.rows[0].horizon;
+  } catch (error) {
+    console.error("Error in getSyncHorizon:", error.message);
+    throw new AppError("Could not read the sync position.", 500);
+  }
+};
+
+/**
+ * Retrieves the changes to a user's notes after a feed position, oldest first.
+ * Notes in the trash and permanently deleted notes (see `note_tombstones`) are returned as deletions.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {object} options - Feed options.
+ * @param {object} options.after - The `{ xid, id }` position to continue after.
+ * @param {string} options.horizon - Only changes of transactions older than this are returned (see `getSyncHorizon`).
+ * @param {number} options.limit - Maximum number of changes to return.
+ * @returns {Promise<Array<object>>} - `{ type, id, xid, deleted_at, note }` per change, where `type` is "upsert"
+ *                                     (with the current `note`) or "delete" (with `deleted_at`).
+ * @throws {AppError} If there is a database error.
+ */
+export const getNoteChanges = async (userId, { after, horizon, limit }) => {
+  try {
+    // The changed IDs are picked first and joined with the notes, so the page and the note contents come
+    // from the same snapshot.
+    const query = `
+      WITH changes AS (
+        SELECT change_xid, id AS change_id,
+          CASE WHEN deleted_at IS NULL THEN 'upsert' ELSE 'delete' END AS change_type,
+          deleted_at AS change_deleted_at
+        FROM notes
+        WHERE user_id = $1
+        UNION ALL
+        SELECT change_xid, note_id, 'delete', deleted_at
+        FROM note_tombstones
+        WHERE user_id = $1
+      ), page AS (
+        SELECT * FROM changes
+        WHERE (change_xid, change_id) > ($2::xid8, $3::uuid) AND change_xid < $4::xid8
+        ORDER BY change_xid, change_id
+        LIMIT $5
+      )
+      SELECT page.change_type AS type, page.change_id AS change_id, page.change_xid::text AS xid,
+        page.change_deleted_at AS deleted_at, ${NOTE_COLUMNS}
+      FROM page
+      LEFT JOIN notes ON notes.id = page.change_id AND page.change_type = 'upsert'
+      ORDER BY page.change_xid, page.change_id;
+    `;
+    const values = [userId, after.xid, after.id, horizon, limit];
+    const result = await pool.query(query, values);
+    return result.rows.map(({ type, change_id, xid, deleted_at, ...note }) =>
+      type === "upsert"
+        ? { type, id: change_id, xid, note }
+        : { type, id: change_id, xid, deleted_at }
+    );
+  } catch (error) {
+    console.error("Error in getNoteChanges:", error.message);
+    throw new AppError("Could not retrieve note changes.", 500);
+  }
+};
+
+/**
+ * Retrieves a note owned by a user for a sync change and locks it for the rest of the transaction.
+ * Unlike `getNoteForUpdate`, notes in the trash are returned too, with their `deleted_at`.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user who owns the note.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object | null>} - The note with `deleted_at`, or null if the user owns no such note.
+ * @throws {AppError} If there is a database error.
+ */
+export const getOwnedNoteForSync = async (noteId, userId, client) => {
+  try {
+    const query = `
+      SELECT ${NOTE_COLUMNS}, deleted_at
+      FROM notes
+      WHERE id = $1 AND user_id = $2
+      FOR UPDATE;
+    `;
+    const values = [noteId, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getOwnedNoteForSync:", error.message);
+    throw new AppError("Could not retrieve note by ID.", 500);
+  }
+};
+
+/**
+ * Retrieves the tombstone of a permanently deleted note of a user.
+ * @param {string} noteId - The ID of the deleted note.
+ * @param {string} userId - The ID of the user who owned the note.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - `{ note_id, deleted_at }`, or null if there is no tombstone.
+ * @throws {AppError} If there is a database error.
+ */
+export const getNoteTombstone = async (noteId, userId, client = pool) => {
+  try {
+    const query = `
+      SELECT note_id, deleted_at
+      FROM note_tombstones
+      WHERE note_id = $1 AND user_id = $2;
+    `;
+    const values = [noteId, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getNoteTombstone:", error.message);
+    throw new AppError("Could not retrieve deleted note.", 500);
+  }
+};
+
+/**
+ * Opens the `note_export` cursor over every note of a user that is not in the trash, oldest first,
+ * with the path of its notebook (e.g., "Work/Projects"). Read the rows with `fetchNoteExportBatch`.
+ * The cursor lives until the end of the transaction, so exports read one consistent snapshot.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const openNoteExportCursor = async (userId, client) => {
+  try {
+    const query = `
+      DECLARE note_export NO SCROLL CURSOR FOR
+      WITH RECURSIVE notebook_paths (notebook_key, path, visited) AS (
+        SELECT id, name::text, ARRAY[id]
+        FROM notebooks
+        WHERE user_id = $1 AND parent_id IS NULL
+        UNION ALL
+        SELECT nb.id, np.path || '/' || nb.name, np.visited || nb.id
+        FROM notebooks nb
+        JOIN notebook_paths np ON nb.parent_id = np.notebook_key
+        WHERE nb.id <> ALL(np.visited)
+      )
+      SELECT ${NOTE_COLUMNS}, notebook_paths.path AS notebook_path
+      FROM notes
+      LEFT JOIN notebook_paths ON notebook_paths.notebook_key = notes.notebook_id
+      WHERE notes.user_id = $1 AND notes.deleted_at IS NULL
+      ORDER BY notes.created_at, notes.id;
+    `;
+    const values = [userId];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in openNoteExportCursor:", error.message);
+    throw new AppError("Could not export notes.", 500);
+  }
+};
+
+/**
+ * Reads the next rows of the `note_export` cursor opened by `openNoteExportCursor`.
+ * @param {number} size - Maximum number of notes to read.
+ * @param {object} client - The client the cursor was opened on.
+ * @returns {Promise<Array<object>>} - The notes with `notebook_path`; empty once the cursor is exhausted.
+ * @throws {AppError} If there is a database error.
+ */
+export const fetchNoteExportBatch = async (size, client) => {
+  try {
+    // FETCH does not take parameters; the size is a number from the configuration.
+    const query = `FETCH ${Math.trunc(size)} FROM note_export;`;
+    const result = await client.query(query, []);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in fetchNoteExportBatch:", error.message);
+    throw new AppError("Could not export notes.", 500);
+  }
+};
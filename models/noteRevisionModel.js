@@ -0,0 +1,92 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Stores an immutable revision of a note, holding its content before a change.
+ * @param {object} revision - The revision to store.
+ * @param {string} revision.noteId - The ID of the note the revision belongs to.
+ * @param {string} revision.userId - The ID of the user who owns the note.
+ * @param {string} revision.authorId - The ID of the user who made the change.
+ * @param {string} revision.action - The change that replaced this content ("update", "restore" or "delete");
+ *                                   "restore" is a revision or the note being restored from the trash.
+ * @param {string} revision.title - The title of the note before the change.
+ * @param {string} revision.text - The text of the note before the change.
+ * @param {string} [revision.contentFormat="plain"] - The content format of the note before the change.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the created revision object or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createRevision = async (
+  { noteId, userId, authorId, action, title, text, contentFormat = "plain" },
+  client = pool
+) => {
+  try {
+    const query = `
+      INSERT INTO note_revisions (note_id, user_id, author_id, action, title, text, content_format)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, note_id, author_id, action, title, text, content_format, created_at;
+    `;
+    const values = [
+      noteId,
+      userId,
+      authorId,
+      action,
+      title,
+      text,
+      contentFormat,
+    ];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createRevision:", error.message);
+    throw new AppError("Could not save note revision.", 500);
+  }
+};
+
+/**
+ * Retrieves all revisions of a note, newest first.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user who owns the note (for ownership check).
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of revision objects.
+ * @throws {AppError} If there is a database error.
+ */
+export const getRevisionsByNoteId = async (noteId, userId) => {
+  try {
+    const query = `
+      SELECT id, note_id, author_id, action, title, text, content_format, created_at
+      FROM note_revisions
+      WHERE note_id = $1 AND user_id = $2
+      ORDER BY created_at DESC, id DESC;
+    `;
+    const values = [noteId, userId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getRevisionsByNoteId:", error.message);
+    throw new AppError("Could not retrieve note revisions.", 500);
+  }
+};
+
+/**
+ * Retrieves a single revision of a note.
+ * @param {string} revisionId - The ID of the revision.
+ * @param {string} noteId - The ID of the note the revision belongs to.
+ * @param {string} userId - The ID of the user who owns the note (for ownership check).
+ * @returns {Promise<object | null>} - A promise that resolves to the revision object or null if not found/owned.
+ * @throws {AppError} If there is a database error.
+ */
+export const getRevisionById = async (revisionId, noteId, userId) => {
+  try {
+    const query = `
+      SELECT id, note_id, author_id, action, title, text, content_format, created_at
+      FROM note_revisions
+      WHERE id = $1 AND note_id = $2 AND user_id = $3;
+    `;
+    const values = [revisionId, noteId, userId];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getRevisionById:", error.message);
+    throw new AppError("Could not retrieve note revision.", 500);
+  }
+};
@@ -0,0 +1,138 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for a share, including the username of the user the note is shared with.
+ */
+const SHARE_COLUMNS = `s.id, s.note_id, s.user_id, u.username, s.permission, s.created_at, s.modified_at`;
+
+/**
+ * Shares a note with another user.
+ * @param {string} noteId - The ID of the note to share.
+ * @param {string} userId - The ID of the user the note is shared with.
+ * @param {string} permission - The share level, "read" or "edit".
+ * @returns {Promise<object | null>} - A promise that resolves to the created share object,
+ *                                     or null if the note is already shared with the user.
+ * @throws {AppError} If there is a database error.
+ */
+export const createShare = async (noteId, userId, permission) => {
+  try {
+    const query = `
+      WITH inserted AS (
+        INSERT INTO note_shares (note_id, user_id, permission)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (note_id, user_id) DO NOTHING
+        RETURNING *
+      )
+      SELECT ${SHARE_COLUMNS}
+      FROM inserted s
+      JOIN users u ON u.id = s.user_id;
+    `;
+    const values = [noteId, userId, permission];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createShare:", error.message);
+    throw new AppError("Could not share note.", 500);
+  }
+};
+
+/**
+ * Retrieves all shares of a note.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of share objects, oldest first.
+ * @throws {AppError} If there is a database error.
+ */
+export const getSharesByNoteId = async (noteId) => {
+  try {
+    const query = `
+      SELECT ${SHARE_COLUMNS}
+      FROM note_shares s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.note_id = $1
+      ORDER BY s.created_at, s.id;
+    `;
+    const values = [noteId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getSharesByNoteId:", error.message);
+    throw new AppError("Could not retrieve note shares.", 500);
+  }
+};
+
+/**
+ * Changes the permission of a share.
+ * @param {string} shareId - The ID of the share.
+ * @param {string} noteId - The ID of the note the share belongs to.
+ * @param {string} permission - The new share level, "read" or "edit".
+ * @returns {Promise<object | null>} - A promise that resolves to the updated share object or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const updateSharePermission = async (shareId, noteId, permission) => {
+  try {
+    const query = `
+      WITH updated AS (
+        UPDATE note_shares
+        SET permission = $3
+        WHERE id = $1 AND note_id = $2
+        RETURNING *
+      )
+      SELECT ${SHARE_COLUMNS}
+      FROM updated s
+      JOIN users u ON u.id = s.user_id;
+    `;
+    const values = [shareId, noteId, permission];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in updateSharePermission:", error.message);
+    throw new AppError("Could not update note share.", 500);
+  }
+};
+
+/**
+ * Revokes a share.
+ * @param {string} shareId - The ID of the share.
+ * @param {string} noteId - The ID of the note the share belongs to.
+ * @returns {Promise<boolean>} - True if the share was deleted, otherwise false.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteShare = async (shareId, noteId) => {
+  try {
+    const query = `
+      DELETE FROM note_shares
+      WHERE id = $1 AND note_id = $2
+      RETURNING id;
+    `;
+    const values = [shareId, noteId];
+    const result = await pool.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in deleteShare:", error.message);
+    throw new AppError("Could not revoke note share.", 500);
+  }
+};
+
+/**
+ * Deletes every share involving a user: notes shared with them and shares of the notes they own.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of deleted shares.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteSharesForUser = async (userId, client = pool) => {
+  try {
+    const query = `
+      DELETE FROM note_shares
+      WHERE user_id = $1
+        OR note_id IN (SELECT id FROM notes WHERE user_id = $1);
+    `;
+    const values = [userId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in deleteSharesForUser:", error.message);
+    throw new AppError("Could not delete note shares.", 500);
+  }
+};
@@ -0,0 +1,269 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Creates a new notebook for a specific user.
+ * @param {string} userId - The ID of the user who owns the notebook.
+ * @param {string} name - The name of the notebook.
+ * @param {string | null} parentId - The ID of the parent notebook, or null for a top-level notebook.
+ * @returns {Promise<object | null>} - A promise that resolves to the created notebook object or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createNotebook = async (userId, name, parentId) => {
+  try {
+    const query = `
+      INSERT INTO notebooks (user_id, name, parent_id)
+      VALUES ($1, $2, $3)
+      RETURNING id, user_id, parent_id, name, created_at, modified_at;
+    `;
+    const values = [userId, name, parentId];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createNotebook:", error.message);
+    throw new AppError("Could not create notebook.", 500);
+  }
+};
+
+/**
+ * Retrieves all notebooks of a user, with the number of notes (not in the trash) directly in each.
+ * @param {string} userId - The ID of the user whose notebooks are to be retrieved.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of notebook objects.
+ * @throws {AppError} If there is a database error.
+ */
+export const getNotebooksByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT nb.id, nb.user_id, nb.parent_id, nb.name, nb.created_at, nb.modified_at,
+        COUNT(n.id)::int AS note_count
+      FROM notebooks nb
+      LEFT JOIN notes n ON n.notebook_id = nb.id AND n.deleted_at IS NULL
+      WHERE nb.user_id = $1
+      GROUP BY nb.id
+      ORDER BY nb.name;
+    `;
+    const values = [userId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getNotebooksByUserId:", error.message);
+    throw new AppError("Could not retrieve notebooks.", 500);
+  }
+};
+
+/**
+ * Retrieves a single notebook by ID. Ensures the notebook belongs to the specified user.
+ * @param {string} notebookId - The ID of the notebook.
+ * @param {string} userId - The ID of the user who owns the notebook (for ownership check).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the notebook object or null if not found/owned.
+ * @throws {AppError} If there is a database error.
+ */
+export const getNotebookByIdAndUserId = async (
+  notebookId,
+  userId,
+  client = pool
+) => {
+  try {
+    const query = `
+      SELECT id, user_id, parent_id, name, created_at, modified_at
+      FROM notebooks
+      WHERE id = $1 AND user_id = $2;
+    `;
+    const values = [notebookId, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getNotebookByIdAndUserId:", error.message);
+    throw new AppError("Could not retrieve notebook by ID.", 500);
+  }
+};
+
+/**
+ * Retrieves a notebook of a user by its name and parent, e.g. to find the notebooks of an imported notebook path.
+ * @param {string} userId - The ID of the user who owns the notebook.
+ * @param {string | null} parentId - The ID of the parent notebook, or null for a top-level notebook.
+ * @param {string} name - The name of the notebook.
+ * @returns {Promise<object | null>} - A promise that resolves to the oldest matching notebook, or null if there is none.
+ * @throws {AppError} If there is a database error.
+ */
+export const findNotebookByName = async (userId, parentId, name) => {
+  try {
+    const query = `
+      SELECT id, user_id, parent_id, name, created_at, modified_at
+      FROM notebooks
+      WHERE user_id = $1 AND parent_id IS NOT DISTINCT FROM $2::uuid AND name = $3
+      ORDER BY created_at
+      LIMIT 1;
+    `;
+    const values = [userId, parentId, name];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in findNotebookByName:", error.message);
+    throw new AppError("Could not retrieve notebook.", 500);
+  }
+};
+
+/**
+ * Locks all notebooks of a user until the end of the transaction, so moves of their notebooks run one at a time
+ * and each one checks for cycles against the tree the previous one left.
+ * @param {string} userId - The ID of the user.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const lockNotebooksByUserId = async (userId, client) => {
+  try {
+    // A fixed order, so two transactions locking the same notebooks do not deadlock.
+    const query = `
+      SELECT id FROM notebooks
+      WHERE user_id = $1
+      ORDER BY id
+      FOR UPDATE;
+    `;
+    const values = [userId];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in lockNotebooksByUserId:", error.message);
+    throw new AppError("Could not update notebook.", 500);
+  }
+};
+
+/**
+ * Retrieves all notebooks nested (at any depth) inside a notebook, ordered so that
+ * parents come before their children. A notebook already on the path is not visited again, so a parent
+ * cycle cannot make the query run forever.
+ * @param {string} notebookId - The ID of the notebook.
+ * @param {string} userId - The ID of the user who owns the notebook (for ownership check).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of notebook objects with `depth`
+ *                                     (1 for direct children).
+ * @throws {AppError} If there is a database error.
+ */
+export const getNotebookDescendants = async (
+  notebookId,
+  userId,
+  client = pool
+) => {
+  try {
+    const query = `
+      WITH RECURSIVE descendants AS (
+        SELECT id, user_id, parent_id, name, created_at, modified_at, 1 AS depth, ARRAY[$1::uuid, id] AS path
+        FROM notebooks
+        WHERE parent_id = $1 AND user_id = $2
+        UNION ALL
+        SELECT nb.id, nb.user_id, nb.parent_id, nb.name, nb.created_at, nb.modified_at, d.depth + 1, d.path || nb.id
+        FROM notebooks nb
+        JOIN descendants d ON nb.parent_id = d.id
+        WHERE nb.id <> ALL(d.path)
+      )
+      SELECT id, user_id, parent_id, name, created_at, modified_at, depth FROM descendants
+      ORDER BY depth, name;
+    `;
+    const values = [notebookId, userId];
+    const result = await client.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getNotebookDescendants:", error.message);
+    throw new AppError("Could not retrieve notebook contents.", 500);
+  }
+};
+
+/**
+ * Updates the name and/or parent of a notebook. Ensures the notebook belongs to the specified user.
+ * @param {string} notebookId - The ID of the notebook to update.
+ * @param {string} userId - The ID of the user who owns the notebook (for ownership check).
+ * @param {object} updates - The fields to update (`name`, `parentId`; a null parentId moves it to the top level).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the updated notebook object or null if not found/owned.
+ * @throws {AppError} If there is a database error.
+ */
+export const updateNotebook = async (
+  notebookId,
+  userId,
+  updates,
+  client = pool
+) => {
+  try {
+    const setClauses = [];
+    const values = [notebookId, userId];
+
+    if (updates.name !== undefined) {
+      values.push(updates.name);
+      setClauses.push(`name = $${values.length}`);
+    }
+    if (updates.parentId !== undefined) {
+      values.push(updates.parentId);
+      setClauses.push(`parent_id = $${values.length}`);
+    }
+
+    if (setClauses.length === 0) {
+      return null;
+    }
+
+    const query = `
+      UPDATE notebooks
+      SET ${setClauses.join(", ")}
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, user_id, parent_id, name, created_at, modified_at;
+    `;
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in updateNotebook:", error.message);
+    throw new AppError("Could not update notebook.", 500);
+  }
+};
+
+/**
+ * Moves the direct child notebooks of a notebook to the top level.
+ * @param {string} notebookId - The ID of the parent notebook.
+ * @param {string} userId - The ID of the user who owns the notebooks.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of moved notebooks.
+ * @throws {AppError} If there is a database error.
+ */
+export const moveChildNotebooksToRoot = async (
+  notebookId,
+  userId,
+  client = pool
+) => {
+  try {
+    const query = `
+      UPDATE notebooks
+      SET parent_id = NULL
+      WHERE parent_id = $1 AND user_id = $2;
+    `;
+    const values = [notebookId, userId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in moveChildNotebooksToRoot:", error.message);
+    throw new AppError("Could not move notebooks.", 500);
+  }
+};
+
+/**
+ * Deletes notebooks. Ensures the notebooks belong to the specified user.
+ * Notes still referencing a deleted notebook are moved to the top level by the foreign key.
+ * @param {Array<string>} notebookIds - The IDs of the notebooks to delete.
+ * @param {string} userId - The ID of the user who owns the notebooks (for ownership check).
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of deleted notebooks.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteNotebooks = async (notebookIds, userId, client = pool) => {
+  try {
+    const query = `
+      DELETE FROM notebooks
+      WHERE id = ANY($1::uuid[]) AND user_id = $2;
+    `;
+    const values = [notebookIds, userId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in deleteNotebooks:", error.message);
+    throw new AppError("Could not delete notebook.", 500);
+  }
+};
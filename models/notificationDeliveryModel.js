@@ -0,0 +1,94 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Queues a notification for delivery through each of the given channels.
+ * @param {object} notification - The notification, with `userId`; stored as it is and handed to the channel.
+ * @param {Array<string>} channels - The names of the channels.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const createDeliveries = async (
+  notification,
+  channels,
+  client = pool
+) => {
+  try {
+    const query = `
+      INSERT INTO notification_deliveries (user_id, channel, notification)
+      SELECT $1::uuid, channel, $3::jsonb
+      FROM unnest($2::text[]) AS channel;
+    `;
+    const values = [notification.userId, channels, notification];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in createDeliveries:", error.message);
+    throw new AppError("Could not queue notification.", 500);
+  }
+};
+
+/**
+ * Claims pending deliveries that are due, oldest first, by moving their next attempt `leaseSeconds` ahead
+ * and counting the attempt. Rows another transaction is claiming are skipped, so concurrent workers never
+ * claim the same delivery; a delivery whose worker dies before finishing becomes due again after the lease.
+ * @param {Date} now - The time deliveries are due by.
+ * @param {number} limit - The maximum number of deliveries to claim.
+ * @param {number} leaseSeconds - How long the claim lasts.
+ * @returns {Promise<Array<object>>} - The `{ id, channel, notification, attempts }` of the claimed deliveries.
+ * @throws {AppError} If there is a database error.
+ */
+export const claimDueDeliveries = async (now, limit, leaseSeconds) => {
+  try {
+    const query = `
+      UPDATE notification_deliveries
+      SET attempts = attempts + 1,
+        next_attempt_at = $1::timestamptz + make_interval(secs => $3)
+      WHERE id IN (
+        SELECT id FROM notification_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= $1
+        ORDER BY next_attempt_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, channel, notification, attempts;
+    `;
+    const values = [now, limit, leaseSeconds];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in claimDueDeliveries:", error.message);
+    throw new AppError("Could not claim notification deliveries.", 500);
+  }
+};
+
+/**
+ * Records the outcome of a delivery attempt.
+ * @param {string} deliveryId - The ID of the delivery.
+ * @param {object} outcome - What happened.
+ * @param {string} outcome.status - "delivered", "pending" (to try again) or "failed" (given up).
+ * @param {string | null} [outcome.error=null] - Why the attempt failed.
+ * @param {Date | null} [outcome.retryAt=null] - When to try again, for "pending".
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const finishDelivery = async (
+  deliveryId,
+  { status, error = null, retryAt = null }
+) => {
+  try {
+    const query = `
+      UPDATE notification_deliveries
+      SET status = $2::varchar,
+        last_error = $3,
+        next_attempt_at = COALESCE($4::timestamptz, next_attempt_at),
+        delivered_at = CASE WHEN $2::varchar = 'delivered' THEN NOW() END
+      WHERE id = $1;
+    `;
+    const values = [deliveryId, status, error, retryAt];
+    await pool.query(query, values);
+  } catch (dbError) {
+    console.error("Error in finishDelivery:", dbError.message);
+    throw new AppError("Could not update notification delivery.", 500);
+  }
+};
@@ -0,0 +1,155 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for a notification.
+ */
+const NOTIFICATION_COLUMNS = `id, note_id, type, title, data, read_at, created_at`;
+
+/**
+ * Stores a notification in its user's feed. A notification that is stored already is left as it is,
+ * so a delivery that is retried does not show up twice.
+ * @param {object} notification - `{ id, userId, noteId, type, title, data, createdAt }`.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const createNotification = async (
+  { id, userId, noteId, type, title, data, createdAt },
+  client = pool
+) => {
+  try {
+    // The note may have been deleted since the notification was sent.
+    const query = `
+      INSERT INTO notifications (id, user_id, note_id, type, title, data, created_at)
+      VALUES ($1, $2, (SELECT id FROM notes WHERE id = $3), $4, $5, $6, $7)
+      ON CONFLICT (id) DO NOTHING;
+    `;
+    const values = [id, userId, noteId, type, title, data, createdAt];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in createNotification:", error.message);
+    throw new AppError("Could not store notification.", 500);
+  }
+};
+
+/**
+ * Retrieves a page of a user's notifications, newest first.
+ * @param {string} userId - The ID of the user.
+ * @param {object} options - Filter and pagination options.
+ * @param {boolean} [options.unread] - true only returns unread notifications, false only read ones.
+ * @param {number} options.limit - The maximum number of notifications to return.
+ * @param {object} [options.cursor] - The `{ value, id }` (creation time and ID) of the last notification of the
+ *                                    previous page.
+ * @returns {Promise<object>} - `{ notifications, total, unreadCount, nextCursor }`, where `total` counts the
+ *                              notifications matching the filter and `nextCursor` is the `{ value, id }` of the
+ *                              last returned notification, or null when there are no more.
+ * @throws {AppError} If there is a database error.
+ */
+export const getNotificationsByUserId = async (
+  userId,
+  { unread, limit, cursor }
+) => {
+  try {
+    const filterConditions = ["user_id = $1"];
+    if (unread !== undefined) {
+      filterConditions.push(unread ? "read_at IS NULL" : "read_at IS NOT NULL");
+    }
+
+    const pageValues = [userId];
+    const pageConditions = [...filterConditions];
+    if (cursor) {
+      pageValues.push(cursor.value, cursor.id);
+      pageConditions.push(
+        `(created_at, id) < ($${pageValues.length - 1}::timestamptz, $${
+          pageValues.length
+        }::uuid)`
+      );
+    }
+    // Fetch one extra row to find out whether there is a next page.
+    pageValues.push(limit + 1);
+
+    const pageQuery = `
+      SELECT ${NOTIFICATION_COLUMNS}, created_at::text AS sort_value
+      FROM notifications
+      WHERE ${pageConditions.join(" AND ")}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${pageValues.length};
+    `;
+    const countQuery = `
+      SELECT
+        COUNT(*) FILTER (WHERE ${filterConditions.join(" AND ")})::int AS total,
+        COUNT(*) FILTER (WHERE read_at IS NULL)::int AS unread_count
+      FROM notifications
+      WHERE user_id = $1;
+    `;
+
+    const [pageResult, countResult] = await Promise.all([
+      pool.query(pageQuery, pageValues),
+      pool.query(countQuery, [userId]),
+    ]);
+
+    const hasMore = pageResult.rows.length > limit;
+    const rows = hasMore ? pageResult.rows.slice(0, limit) : pageResult.rows;
+    const last = rows[rows.length - 1];
+
+    return {
+      notifications: rows.map(
+        ({ sort_value, ...notification }) => notification
+      ),
+      total: countResult.rows[0].total,
+      unreadCount: countResult.rows[0].unread_count,
+      nextCursor: hasMore ? { value: last.sort_value, id: last.id } : null,
+    };
+  } catch (error) {
+    console.error("Error in getNotificationsByUserId:", error.message);
+    throw new AppError("Could not retrieve notifications.", 500);
+  }
+};
+
+/**
+ * Marks a notification of a user read or unread.
+ * @param {string} notificationId - The ID of the notification.
+ * @param {string} userId - The ID of the user the notification belongs to.
+ * @param {boolean} read - true marks it read, false unread.
+ * @returns {Promise<object | null>} - The updated notification, or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const markNotificationRead = async (notificationId, userId, read) => {
+  try {
+    const query = `
+      UPDATE notifications
+      SET read_at = CASE WHEN $3 THEN COALESCE(read_at, NOW()) END
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${NOTIFICATION_COLUMNS};
+    `;
+    const values = [notificationId, userId, read];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in markNotificationRead:", error.message);
+    throw new AppError("Could not update notification.", 500);
+  }
+};
+
+/**
+ * Marks all unread notifications of a user read.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} - The number of notifications marked read.
+ * @throws {AppError} If there is a database error.
+ */
+export const markAllNotificationsRead = async (userId) => {
+  try {
+    const query = `
+      UPDATE notifications
+      SET read_at = NOW()
+      WHERE user_id = $1 AND read_at IS NULL;
+    `;
+    const values = [userId];
+    const result = await pool.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in markAllNotificationsRead:", error.message);
+    throw new AppError("Could not update notifications.", 500);
+  }
+};
@@ -0,0 +1,110 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Stores a password reset token of a user. Only the hash of the token is stored.
+ * @param {string} userId - The ID of the user who asked for the reset.
+ * @param {string} tokenHash - The SHA-256 hash of the reset token.
+ * @param {Date} expiresAt - When the token stops working.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to the stored token row or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createPasswordResetToken = async (
+  userId,
+  tokenHash,
+  expiresAt,
+  client = pool
+) => {
+  try {
+    // SQL query to insert the reset token hash for the user.
+    const query = `
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+      VALUES ($1, $2, $3)
+      RETURNING id, user_id, expires_at, created_at;
+    `;
+    const values = [userId, tokenHash, expiresAt];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createPasswordResetToken:", error.message);
+    throw new AppError("Could not create password reset token.", 500);
+  }
+};
+
+/**
+ * Deletes the password reset tokens of a user that have not been used, so only the newest one works.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} The number of deleted tokens.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteUnusedPasswordResetTokens = async (
+  userId,
+  client = pool
+) => {
+  try {
+    // SQL query to remove every pending token of the user. Used tokens are kept as a record.
+    const query = `
+      DELETE FROM password_reset_tokens
+      WHERE user_id = $1 AND used_at IS NULL;
+    `;
+    const values = [userId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in deleteUnusedPasswordResetTokens:", error.message);
+    throw new AppError("Could not delete password reset tokens.", 500);
+  }
+};
+
+/**
+ * Retrieves a password reset token by token hash, and locks it until the surrounding
+ * transaction ends so it can only be used once.
+ * @param {string} tokenHash - The SHA-256 hash of the reset token.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to `{ id, user_id, username, expires_at, used_at }`
+ *                                   or null if no such token exists.
+ * @throws {AppError} If there is a database error.
+ */
+export const getPasswordResetTokenForUpdate = async (tokenHash, client) => {
+  try {
+    // SQL query to select the token by its hash, with the username of its user.
+    const query = `
+      SELECT t.id, t.user_id, u.username, t.expires_at, t.used_at
+      FROM password_reset_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = $1
+      FOR UPDATE OF t;
+    `;
+    const values = [tokenHash];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getPasswordResetTokenForUpdate:", error.message);
+    throw new AppError("Could not retrieve password reset token.", 500);
+  }
+};
+
+/**
+ * Marks a password reset token as used.
+ * @param {string} tokenId - The ID of the reset token.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const markPasswordResetTokenUsed = async (tokenId, client = pool) => {
+  try {
+    // SQL query to record when the token was used.
+    const query = `
+      UPDATE password_reset_tokens
+      SET used_at = NOW()
+      WHERE id = $1;
+    `;
+    const values = [tokenId];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in markPasswordResetTokenUsed:", error.message);
+    throw new AppError("Could not update password reset token.", 500);
+  }
+};
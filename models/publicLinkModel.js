@@ -0,0 +1,136 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for a public link. The token is only stored as a hash, and neither hash is returned,
+ * only whether a password is set.
+ */
+const LINK_COLUMNS = `id, note_id, expires_at, password_hash IS NOT NULL AS has_password, created_at`;
+
+/**
+ * Creates a public link for a note.
+ * @param {string} noteId - The ID of the note to publish.
+ * @param {string} tokenHash - The SHA-256 hash of the unguessable token identifying the link.
+ * @param {string | null} passwordHash - The bcrypt hash of the link password, or null for no password.
+ * @param {Date | null} expiresAt - When the link stops working, or null for no expiry.
+ * @returns {Promise<object | null>} - A promise that resolves to the created link object or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createPublicLink = async (
+  noteId,
+  tokenHash,
+  passwordHash,
+  expiresAt
+) => {
+  try {
+    const query = `
+      INSERT INTO note_public_links (note_id, token_hash, password_hash, expires_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${LINK_COLUMNS};
+    `;
+    const values = [noteId, tokenHash, passwordHash, expiresAt];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createPublicLink:", error.message);
+    throw new AppError("Could not create public link.", 500);
+  }
+};
+
+/**
+ * Retrieves all public links of a note, including expired ones, newest first.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of link objects.
+ * @throws {AppError} If there is a database error.
+ */
+export const getPublicLinksByNoteId = async (noteId) => {
+  try {
+    const query = `
+      SELECT ${LINK_COLUMNS}
+      FROM note_public_links
+      WHERE note_id = $1
+      ORDER BY created_at DESC, id DESC;
+    `;
+    const values = [noteId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getPublicLinksByNoteId:", error.message);
+    throw new AppError("Could not retrieve public links.", 500);
+  }
+};
+
+/**
+ * Revokes a public link of a note.
+ * @param {string} linkId - The ID of the link.
+ * @param {string} noteId - The ID of the note the link belongs to.
+ * @returns {Promise<boolean>} - True if the link was deleted, otherwise false.
+ * @throws {AppError} If there is a database error.
+ */
+export const deletePublicLink = async (linkId, noteId) => {
+  try {
+    const query = `
+      DELETE FROM note_public_links
+      WHERE id = $1 AND note_id = $2
+      RETURNING id;
+    `;
+    const values = [linkId, noteId];
+    const result = await pool.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in deletePublicLink:", error.message);
+    throw new AppError("Could not revoke public link.", 500);
+  }
+};
+
+/**
+ * Revokes every public link of the given notes.
+ * @param {Array<string>} noteIds - The IDs of the notes.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} - The number of revoked links.
+ * @throws {AppError} If there is a database error.
+ */
+export const deletePublicLinksForNotes = async (noteIds, client = pool) => {
+  try {
+    const query = `
+      DELETE FROM note_public_links
+      WHERE note_id = ANY($1::uuid[]);
+    `;
+    const values = [noteIds];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in deletePublicLinksForNotes:", error.message);
+    throw new AppError("Could not revoke public links.", 500);
+  }
+};
+
+/**
+ * Retrieves the note published by a link, if the link has not expired and the note is not in the trash.
+ * @param {string} tokenHash - The SHA-256 hash of the token of the link.
+ * @returns {Promise<object | null>} - A promise that resolves to `{ password_hash, note }`, where `note` holds
+ *                                     only the publicly visible fields, or null if the link is not valid.
+ * @throws {AppError} If there is a database error.
+ */
+export const getPublicNoteByTokenHash = async (tokenHash) => {
+  try {
+    const query = `
+      SELECT l.password_hash, n.title, n.text, n.content_format, n.created_at, n.modified_at
+      FROM note_public_links l
+      JOIN notes n ON n.id = l.note_id
+      WHERE l.token_hash = $1
+        AND (l.expires_at IS NULL OR l.expires_at > NOW())
+        AND n.deleted_at IS NULL;
+    `;
+    const values = [tokenHash];
+    const result = await pool.query(query, values);
+    if (!result.rows[0]) {
+      return null;
+    }
+    const { password_hash, ...note } = result.rows[0];
+    return { password_hash, note };
+  } catch (error) {
+    console.error("Error in getPublicNoteByTokenHash:", error.message);
+    throw new AppError("Could not retrieve public note.", 500);
+  }
+};
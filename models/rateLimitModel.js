@@ -0,0 +1,67 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Counts a request in a rate limit bucket, creating the bucket if needed.
+ * @param {string} key - The bucket key (limiter name, client key and window start).
+ * @param {Date} expiresAt - When the bucket is no longer needed and can be deleted.
+ * @returns {Promise<number>} - The number of requests in the bucket, including this one.
+ * @throws {AppError} If there is a database error.
+ */
+export const incrementRateLimitBucket = async (key, expiresAt) => {
+  try {
+    const query = `
+      INSERT INTO rate_limit_buckets (key, count, expires_at)
+      VALUES ($1, 1, $2)
+      ON CONFLICT (key) DO UPDATE SET count = rate_limit_buckets.count + 1
+      RETURNING count;
+    `;
+    const values = [key, expiresAt];
+    const result = await pool.query(query, values);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error("Error in incrementRateLimitBucket:", error.message);
+    throw new AppError("Could not update rate limit.", 500);
+  }
+};
+
+/**
+ * Retrieves the number of requests in a rate limit bucket.
+ * @param {string} key - The bucket key.
+ * @returns {Promise<number>} - The number of requests, or 0 if the bucket does not exist or has expired.
+ * @throws {AppError} If there is a database error.
+ */
+export const getRateLimitBucketCount = async (key) => {
+  try {
+    const query = `
+      SELECT count
+      FROM rate_limit_buckets
+      WHERE key = $1 AND expires_at > NOW();
+    `;
+    const values = [key];
+    const result = await pool.query(query, values);
+    return result.rows[0] ? result.rows[0].count : 0;
+  } catch (error) {
+    console.error("Error in getRateLimitBucketCount:", error.message);
+    throw new AppError("Could not retrieve rate limit.", 500);
+  }
+};
+
+/**
+ * Deletes the rate limit buckets that have expired.
+ * @returns {Promise<number>} - The number of deleted buckets.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteExpiredRateLimitBuckets = async () => {
+  try {
+    const query = `
+      DELETE FROM rate_limit_buckets
+      WHERE expires_at <= NOW();
+    `;
+    const result = await pool.query(query);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in deleteExpiredRateLimitBuckets:", error.message);
+    throw new AppError("Could not delete expired rate limits.", 500);
+  }
+};
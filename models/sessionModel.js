@@ -0,0 +1,181 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Creates a new session for a user. A session groups all refresh tokens issued
+ * from one login (the token family) and is what access tokens are bound to.
+ * @param {string} userId - The ID of the user who logged in.
+ * @param {Date} expiresAt - When the session ends and its refresh tokens stop working.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to the created session object or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createSession = async (userId, expiresAt, client = pool) => {
+  try {
+    // SQL query to insert a new session for the user.
+    const query = `
+      INSERT INTO sessions (user_id, expires_at)
+      VALUES ($1, $2)
+      RETURNING id, user_id, created_at, expires_at, revoked_at;
+    `;
+    const values = [userId, expiresAt];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createSession:", error.message);
+    throw new AppError("Could not create session.", 500);
+  }
+};
+
+/**
+ * Retrieves a session of a user if it has not been revoked and has not expired.
+ * @param {string} sessionId - The ID of the session.
+ * @param {string} userId - The ID of the user the session belongs to.
+ * @returns {Promise<object | null>} A promise that resolves to the session object or null if it is not active.
+ * @throws {AppError} If there is a database error.
+ */
+export const getActiveSession = async (sessionId, userId) => {
+  try {
+    // SQL query to select the session only while it is still usable.
+    const query = `
+      SELECT id, user_id, created_at, expires_at, revoked_at
+      FROM sessions
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW();
+    `;
+    const values = [sessionId, userId];
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getActiveSession:", error.message);
+    throw new AppError("Could not retrieve session.", 500);
+  }
+};
+
+/**
+ * Revokes a session, which invalidates its access tokens and every refresh token in its family.
+ * @param {string} sessionId - The ID of the session.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<boolean>} True if an active session was revoked, otherwise false.
+ * @throws {AppError} If there is a database error.
+ */
+export const revokeSession = async (sessionId, client = pool) => {
+  try {
+    // SQL query to mark the session as revoked, leaving already revoked sessions untouched.
+    const query = `
+      UPDATE sessions
+      SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL;
+    `;
+    const values = [sessionId];
+    const result = await client.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in revokeSession:", error.message);
+    throw new AppError("Could not revoke session.", 500);
+  }
+};
+
+/**
+ * Revokes every active session of a user.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<number>} The number of revoked sessions.
+ * @throws {AppError} If there is a database error.
+ */
+export const revokeAllSessionsForUser = async (userId, client = pool) => {
+  try {
+    // SQL query to mark all of the user's sessions as revoked.
+    const query = `
+      UPDATE sessions
+      SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL;
+    `;
+    const values = [userId];
+    const result = await client.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    console.error("Error in revokeAllSessionsForUser:", error.message);
+    throw new AppError("Could not revoke sessions.", 500);
+  }
+};
+
+/**
+ * Stores a refresh token of a session. Only the hash of the token is stored.
+ * @param {string} sessionId - The ID of the session the token belongs to.
+ * @param {string} tokenHash - The SHA-256 hash of the refresh token.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to the stored token row or null.
+ * @throws {AppError} If there is a database error.
+ */
+export const createRefreshToken = async (
+  sessionId,
+  tokenHash,
+  client = pool
+) => {
+  try {
+    // SQL query to insert the refresh token hash for the session.
+    const query = `
+      INSERT INTO refresh_tokens (session_id, token_hash)
+      VALUES ($1, $2)
+      RETURNING id, session_id, created_at;
+    `;
+    const values = [sessionId, tokenHash];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in createRefreshToken:", error.message);
+    throw new AppError("Could not create refresh token.", 500);
+  }
+};
+
+/**
+ * Retrieves a refresh token with its session by token hash, and locks the token
+ * until the surrounding transaction ends so it can only be rotated once.
+ * @param {string} tokenHash - The SHA-256 hash of the refresh token.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to `{ id, session_id, used_at, user_id,
+ *                                   role, expires_at, revoked_at }` or null if no such token exists.
+ * @throws {AppError} If there is a database error.
+ */
+export const getRefreshTokenForUpdate = async (tokenHash, client) => {
+  try {
+    // SQL query to select the token together with the state of its session and the current role of its user.
+    const query = `
+      SELECT rt.id, rt.session_id, rt.used_at, s.user_id, u.role, s.expires_at, s.revoked_at
+      FROM refresh_tokens rt
+      JOIN sessions s ON s.id = rt.session_id
+      JOIN users u ON u.id = s.user_id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt;
+    `;
+    const values = [tokenHash];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getRefreshTokenForUpdate:", error.message);
+    throw new AppError("Could not retrieve refresh token.", 500);
+  }
+};
+
+/**
+ * Marks a refresh token as used, after it has been exchanged for a new one.
+ * @param {string} tokenId - The ID of the refresh token.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const markRefreshTokenUsed = async (tokenId, client = pool) => {
+  try {
+    // SQL query to record when the token was rotated.
+    const query = `
+      UPDATE refresh_tokens
+      SET used_at = NOW()
+      WHERE id = $1;
+    `;
+    const values = [tokenId];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in markRefreshTokenUsed:", error.message);
+    throw new AppError("Could not update refresh token.", 500);
+  }
+};
@@ -0,0 +1,56 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Retrieves usage statistics across all users.
+ * @param {number} recentDays - The number of days counted as "recent" for sign-ups and new notes.
+ * @returns {Promise<object>} - A promise that resolves to `{ users, notes, notebooks, tags, shares,
+ *                              publicLinks, sessions }`, each an object of counts.
+ * @throws {AppError} If there is a database error.
+ */
+export const getUsageStats = async (recentDays) => {
+  try {
+    const query = `
+      SELECT
+        (SELECT COUNT(*)::int FROM users) AS users_total,
+        (SELECT COUNT(*)::int FROM users WHERE role = 'admin') AS users_admins,
+        (SELECT COUNT(*)::int FROM users WHERE locked_at IS NOT NULL) AS users_locked,
+        (SELECT COUNT(*)::int FROM users
+          WHERE created_at > NOW() - make_interval(days => $1)) AS users_recent,
+        (SELECT COUNT(*)::int FROM notes WHERE deleted_at IS NULL) AS notes_total,
+        (SELECT COUNT(*)::int FROM notes WHERE deleted_at IS NOT NULL) AS notes_trashed,
+        (SELECT COUNT(*)::int FROM notes
+          WHERE created_at > NOW() - make_interval(days => $1)) AS notes_recent,
+        (SELECT COUNT(*)::int FROM notebooks) AS notebooks_total,
+        (SELECT COUNT(*)::int FROM tags) AS tags_total,
+        (SELECT COUNT(*)::int FROM note_shares) AS shares_total,
+        (SELECT COUNT(*)::int FROM note_public_links) AS public_links_total,
+        (SELECT COUNT(*)::int FROM sessions
+          WHERE revoked_at IS NULL AND expires_at > NOW()) AS sessions_active;
+    `;
+    const values = [recentDays];
+    const result = await pool.query(query, values);
+    const row = result.rows[0];
+    return {
+      users: {
+        total: row.users_total,
+        admins: row.users_admins,
+        locked: row.users_locked,
+        recent: row.users_recent,
+      },
+      notes: {
+        total: row.notes_total,
+        trashed: row.notes_trashed,
+        recent: row.notes_recent,
+      },
+      notebooks: { total: row.notebooks_total },
+      tags: { total: row.tags_total },
+      shares: { total: row.shares_total },
+      publicLinks: { total: row.public_links_total },
+      sessions: { active: row.sessions_active },
+    };
+  } catch (error) {
+    console.error("Error in getUsageStats:", error.message);
+    throw new AppError("Could not retrieve usage statistics.", 500);
+  }
+};
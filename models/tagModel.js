@@ -0,0 +1,168 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Replaces the tags of a note. Tags that do not exist yet for the user are created.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user who owns the note and its tags.
+ * @param {Array<string>} names - The tag names the note should have.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<Array<string>>} - A promise that resolves to the note's tag names, sorted.
+ * @throws {AppError} If there is a database error.
+ */
+export const setNoteTags = async (noteId, userId, names, client = pool) => {
+  try {
+    await client.query(
+      `
+      INSERT INTO tags (user_id, name)
+      SELECT $1, unnest($2::text[])
+      ON CONFLICT (user_id, name) DO NOTHING;
+    `,
+      [userId, names]
+    );
+    await client.query("DELETE FROM note_tags WHERE note_id = $1;", [noteId]);
+    await client.query(
+      `
+      INSERT INTO note_tags (note_id, tag_id)
+      SELECT $1, id FROM tags
+      WHERE user_id = $2 AND name = ANY($3::text[]);
+    `,
+      [noteId, userId, names]
+    );
+    return [...names].sort();
+  } catch (error) {
+    console.error("Error in setNoteTags:", error.message);
+    throw new AppError("Could not save note tags.", 500);
+  }
+};
+
+/**
+ * Retrieves all tags of a user with the number of notes (not in the trash) using each tag.
+ * @param {string} userId - The ID of the user whose tags are to be retrieved.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of tag objects with `note_count`.
+ * @throws {AppError} If there is a database error.
+ */
+export const getTagsWithUsage = async (userId) => {
+  try {
+    const query = `
+      SELECT t.id, t.name, t.created_at, COUNT(n.id)::int AS note_count
+      FROM tags t
+      LEFT JOIN note_tags nt ON nt.tag_id = t.id
+      LEFT JOIN notes n ON n.id = nt.note_id AND n.deleted_at IS NULL
+      WHERE t.user_id = $1
+      GROUP BY t.id
+      ORDER BY t.name;
+    `;
+    const values = [userId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getTagsWithUsage:", error.message);
+    throw new AppError("Could not retrieve tags.", 500);
+  }
+};
+
+/**
+ * Retrieves a tag by ID and locks it until the surrounding transaction ends.
+ * @param {string} tagId - The ID of the tag.
+ * @param {string} userId - The ID of the user who owns the tag (for ownership check).
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the tag object or null if not found/owned.
+ * @throws {AppError} If there is a database error.
+ */
+export const getTagForUpdate = async (tagId, userId, client) => {
+  try {
+    const query = `
+      SELECT id, name, created_at
+      FROM tags
+      WHERE id = $1 AND user_id = $2
+      FOR UPDATE;
+    `;
+    const values = [tagId, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getTagForUpdate:", error.message);
+    throw new AppError("Could not retrieve tag.", 500);
+  }
+};
+
+/**
+ * Retrieves a tag of a user by name.
+ * @param {string} name - The tag name.
+ * @param {string} userId - The ID of the user who owns the tag.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the tag object or null if not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const getTagByName = async (name, userId, client = pool) => {
+  try {
+    const query = `
+      SELECT id, name, created_at
+      FROM tags
+      WHERE name = $1 AND user_id = $2;
+    `;
+    const values = [name, userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getTagByName:", error.message);
+    throw new AppError("Could not retrieve tag.", 500);
+  }
+};
+
+/**
+ * Renames a tag. Every note using the tag shows the new name.
+ * @param {string} tagId - The ID of the tag.
+ * @param {string} name - The new tag name.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} - A promise that resolves to the renamed tag object or null.
+ * @throws {AppError} 409 if the user already has a tag with the name, or 500 on other database errors.
+ */
+export const renameTag = async (tagId, name, client = pool) => {
+  try {
+    const query = `
+      UPDATE tags
+      SET name = $2
+      WHERE id = $1
+      RETURNING id, name, created_at;
+    `;
+    const values = [tagId, name];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in renameTag:", error.message);
+    // '23505' is the PostgreSQL error code for unique_violation; the user already has a tag with this name.
+    if (error.code === "23505") {
+      throw new AppError("A tag with this name already exists.", 409);
+    }
+    throw new AppError("Could not rename tag.", 500);
+  }
+};
+
+/**
+ * Merges one tag into another: every note using the source tag gets the target tag,
+ * and the source tag is deleted.
+ * @param {string} sourceTagId - The ID of the tag to merge away.
+ * @param {string} targetTagId - The ID of the tag to merge into.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const mergeTags = async (sourceTagId, targetTagId, client = pool) => {
+  try {
+    await client.query(
+      `
+      INSERT INTO note_tags (note_id, tag_id)
+      SELECT note_id, $2 FROM note_tags WHERE tag_id = $1
+      ON CONFLICT DO NOTHING;
+    `,
+      [sourceTagId, targetTagId]
+    );
+    // Deleting the tag also removes its note_tags rows (ON DELETE CASCADE).
+    await client.query("DELETE FROM tags WHERE id = $1;", [sourceTagId]);
+  } catch (error) {
+    console.error("Error in mergeTags:", error.message);
+    throw new AppError("Could not merge tags.", 500);
+  }
+};
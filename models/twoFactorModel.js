@@ -0,0 +1,202 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Retrieves a user with their two-factor authentication settings.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to `{ id, username, role, password_hash, locked_at,
+ *                                   password_reset_required, totp_secret, totp_enabled_at, totp_last_used_step }`
+ *                                   or null if no user is found.
+ * @throws {AppError} If there is a database error.
+ */
+export const getTwoFactorState = async (userId, client = pool) => {
+  try {
+    // SQL query to select the user with their account state and TOTP settings.
+    const query = `
+      SELECT id, username, role, password_hash, locked_at, password_reset_required,
+        totp_secret, totp_enabled_at, totp_last_used_step
+      FROM users
+      WHERE id = $1;
+    `;
+    const values = [userId];
+    const result = await client.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error("Error in getTwoFactorState:", error.message);
+    throw new AppError("Could not retrieve two-factor settings.", 500);
+  }
+};
+
+/**
+ * Stores a new TOTP secret for a user who is setting up two-factor authentication.
+ * The secret only takes effect once it is confirmed with `enableTotp`; users who have
+ * two-factor authentication enabled already are left untouched.
+ * @param {string} userId - The ID of the user.
+ * @param {string} secret - The base32 encoded TOTP secret.
+ * @returns {Promise<boolean>} True if the secret was stored, false if two-factor authentication is already enabled.
+ * @throws {AppError} If there is a database error.
+ */
+export const setPendingTotpSecret = async (userId, secret) => {
+  try {
+    // SQL query to replace any earlier unconfirmed secret.
+    const query = `
+      UPDATE users
+      SET totp_secret = $2, totp_last_used_step = NULL
+      WHERE id = $1 AND totp_enabled_at IS NULL;
+    `;
+    const values = [userId, secret];
+    const result = await pool.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in setPendingTotpSecret:", error.message);
+    throw new AppError("Could not store two-factor secret.", 500);
+  }
+};
+
+/**
+ * Enables two-factor authentication with the pending TOTP secret of a user.
+ * @param {string} userId - The ID of the user.
+ * @param {number} step - The time step of the code that confirmed the secret, so it cannot be used again.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<boolean>} True if two-factor authentication was enabled.
+ * @throws {AppError} If there is a database error.
+ */
+export const enableTotp = async (userId, step, client = pool) => {
+  try {
+    // SQL query to confirm the pending secret.
+    const query = `
+      UPDATE users
+      SET totp_enabled_at = NOW(), totp_last_used_step = $2
+      WHERE id = $1 AND totp_secret IS NOT NULL AND totp_enabled_at IS NULL;
+    `;
+    const values = [userId, step];
+    const result = await client.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in enableTotp:", error.message);
+    throw new AppError("Could not enable two-factor authentication.", 500);
+  }
+};
+
+/**
+ * Disables two-factor authentication of a user and forgets their TOTP secret.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const disableTotp = async (userId, client = pool) => {
+  try {
+    // SQL query to clear every TOTP setting of the user.
+    const query = `
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+      WHERE id = $1;
+    `;
+    const values = [userId];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in disableTotp:", error.message);
+    throw new AppError("Could not disable two-factor authentication.", 500);
+  }
+};
+
+/**
+ * Records that a TOTP code was used, unless a code of the same or a later time step was used before.
+ * This makes every code single-use, even within its validity window.
+ * @param {string} userId - The ID of the user.
+ * @param {number} step - The time step of the code.
+ * @returns {Promise<boolean>} True if the code had not been used yet.
+ * @throws {AppError} If there is a database error.
+ */
+export const markTotpStepUsed = async (userId, step) => {
+  try {
+    // SQL query to move the last used step forward, in one statement so concurrent logins cannot both use a code.
+    const query = `
+      UPDATE users
+      SET totp_last_used_step = $2
+      WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2);
+    `;
+    const values = [userId, step];
+    const result = await pool.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in markTotpStepUsed:", error.message);
+    throw new AppError("Could not update two-factor settings.", 500);
+  }
+};
+
+/**
+ * Stores recovery codes of a user. Only the hashes of the codes are stored.
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} codeHashes - The SHA-256 hashes of the recovery codes.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const createRecoveryCodes = async (
+  userId,
+  codeHashes,
+  client = pool
+) => {
+  try {
+    // SQL query to insert one row per code hash.
+    const query = `
+      INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+      SELECT $1, code_hash
+      FROM unnest($2::text[]) AS code_hash;
+    `;
+    const values = [userId, codeHashes];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in createRecoveryCodes:", error.message);
+    throw new AppError("Could not store recovery codes.", 500);
+  }
+};
+
+/**
+ * Uses up a recovery code of a user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} codeHash - The SHA-256 hash of the recovery code.
+ * @returns {Promise<boolean>} True if the code existed and had not been used yet.
+ * @throws {AppError} If there is a database error.
+ */
+export const useRecoveryCode = async (userId, codeHash) => {
+  try {
+    // SQL query to mark the code as used, only if it is still unused.
+    const query = `
+      UPDATE two_factor_recovery_codes
+      SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL;
+    `;
+    const values = [userId, codeHash];
+    const result = await pool.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in useRecoveryCode:", error.message);
+    throw new AppError("Could not use recovery code.", 500);
+  }
+};
+
+/**
+ * Deletes every recovery code of a user.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteRecoveryCodes = async (userId, client = pool) => {
+  try {
+    // SQL query to remove all recovery codes of the user.
+    const query = `
+      DELETE FROM two_factor_recovery_codes
+      WHERE user_id = $1;
+    `;
+    const values = [userId];
+    await client.query(query, values);
+  } catch (error) {
+    console.error("Error in deleteRecoveryCodes:", error.message);
+    throw new AppError("Could not delete recovery codes.", 500);
+  }
+};
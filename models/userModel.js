@@ -5,17 +5,17 @@ import { AppError } from "../utils/appError.js";
  * Inserts a new user into the 'users' table in the database.
  * @param {string} username - The username of the new user.
  * @param {string} passwordHash - The hashed password of the new user.
- * @returns {Promise<object | null>} A promise that resolves to the created user object (id, username, created_at)
+ * @returns {Promise<object | null>} A promise that resolves to the created user object (id, username, role, created_at)
  *                                   or null if the user could not be created.
  * @throws {AppError} If there is a database error during user creation.
  */
 export const createUser = async (username, passwordHash) => {
   try {
-    // SQL query to insert a new user. It returns the id, username, and creation timestamp.
+    // SQL query to insert a new user. It returns the id, username, role, and creation timestamp.
     const query = `
       INSERT INTO users (username, password_hash)
       VALUES ($1, $2)
-      RETURNING id, username, created_at;
+      RETURNING id, username, role, created_at;
     `;
     // Values to be inserted into the query.
     const values = [username, passwordHash];
@@ -34,7 +34,8 @@ export const createUser = async (username, passwordHash) => {
 /**
  * Retrieves a user from the 'users' table based on their username.
  * @param {string} username - The username to search for.
- * @returns {Promise<object | null>} A promise that resolves to the user object (id, username, password_hash, created_at)
+ * @returns {Promise<object | null>} A promise that resolves to the user object (id, username, email, password_hash,
+ *                                   role, locked_at, password_reset_required, two_factor_enabled, created_at)
  *                                   or null if no user is found with the given username.
  * @throws {AppError} If there is a database error during user retrieval.
  */
@@ -42,7 +43,8 @@ export const findUserByUsername = async (username) => {
   try {
     // SQL query to select a user by their username.
     const query = `
-      SELECT id, username, password_hash, created_at
+      SELECT id, username, email, password_hash, role, locked_at, password_reset_required,
+        totp_enabled_at IS NOT NULL AS two_factor_enabled, created_at
       FROM users
       WHERE username = $1;
     `;
@@ -60,14 +62,176 @@ export const findUserByUsername = async (username) => {
   }
 };
 
+/**
+ * Columns returned for the profile of a user. The password hash is never included.
+ */
+const PROFILE_COLUMNS = `id, username, email, role, totp_enabled_at IS NOT NULL AS two_factor_enabled, created_at`;
+
+/**
+ * Retrieves the profile of a user.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object | null>} A promise that resolves to the profile (id, username, email, role, two_factor_enabled, created_at)
+ *                                   or null if no user is found.
+ * @throws {AppError} If there is a database error during user retrieval.
+ */
+export const getUserProfile = async (userId) => {
+  try {
+    // SQL query to select the profile of a user by their ID.
+    const query = `
+      SELECT ${PROFILE_COLUMNS}
+      FROM users
+      WHERE id = $1;
+    `;
+    // Values to be used in the query.
+    const values = [userId];
+    // Execute the query.
+    const result = await pool.query(query, values);
+    // Return the first row (the profile) or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in getUserProfile:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not retrieve user.", 500);
+  }
+};
+
+/**
+ * Retrieves a user from the 'users' table based on their email address.
+ * @param {string} email - The email address to search for (stored in lower case).
+ * @returns {Promise<object | null>} A promise that resolves to the user object (id, username, email)
+ *                                   or null if no user has the given email address.
+ * @throws {AppError} If there is a database error during user retrieval.
+ */
+export const findUserByEmail = async (email) => {
+  try {
+    // SQL query to select a user by their email address.
+    const query = `
+      SELECT id, username, email
+      FROM users
+      WHERE email = $1;
+    `;
+    // Values to be used in the query.
+    const values = [email];
+    // Execute the query.
+    const result = await pool.query(query, values);
+    // Return the first row (the user) or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in findUserByEmail:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not retrieve user.", 500);
+  }
+};
+
+/**
+ * Updates the profile fields of a user. Only the given fields are changed.
+ * @param {string} userId - The ID of the user.
+ * @param {object} updates - The fields to update: `username` and/or `email` (null removes the email address).
+ * @returns {Promise<object | null>} A promise that resolves to the updated profile or null if no user is found.
+ * @throws {AppError} If there is a database error during the update.
+ */
+export const updateUserProfile = async (userId, updates) => {
+  try {
+    // Build the SET clause from the given fields only.
+    const fields = [];
+    const values = [userId];
+    if (updates.username !== undefined) {
+      values.push(updates.username);
+      fields.push(`username = $${values.length}`);
+    }
+    if (updates.email !== undefined) {
+      values.push(updates.email);
+      fields.push(`email = $${values.length}`);
+    }
+
+    // SQL query to update the profile and return it.
+    const query = `
+      UPDATE users
+      SET ${fields.join(", ")}
+      WHERE id = $1
+      RETURNING ${PROFILE_COLUMNS};
+    `;
+    // Execute the query.
+    const result = await pool.query(query, values);
+    // Return the updated profile or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in updateUserProfile:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not update user.", 500);
+  }
+};
+
+/**
+ * Retrieves the username, password hash and role of a user, for verifying their current password.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object | null>} A promise that resolves to `{ id, username, role, password_hash }` or null if no user is found.
+ * @throws {AppError} If there is a database error during user retrieval.
+ */
+export const getUserCredentialsById = async (userId) => {
+  try {
+    // SQL query to select the credentials of a user by their ID.
+    const query = `
+      SELECT id, username, role, password_hash
+      FROM users
+      WHERE id = $1;
+    `;
+    // Values to be used in the query.
+    const values = [userId];
+    // Execute the query.
+    const result = await pool.query(query, values);
+    // Return the first row or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in getUserCredentialsById:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not retrieve user.", 500);
+  }
+};
+
+/**
+ * Replaces the password hash of a user. Also clears a password reset required by an administrator.
+ * @param {string} userId - The ID of the user.
+ * @param {string} passwordHash - The new hashed password.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<boolean>} A promise that resolves to true if the password was updated, false if no user is found.
+ * @throws {AppError} If there is a database error during the update.
+ */
+export const updatePassword = async (userId, passwordHash, client = pool) => {
+  try {
+    // SQL query to set the new password hash.
+    const query = `
+      UPDATE users
+      SET password_hash = $2, password_reset_required = FALSE
+      WHERE id = $1;
+    `;
+    // Values to be used in the query.
+    const values = [userId, passwordHash];
+    // Execute the query.
+    const result = await client.query(query, values);
+    // Return true if the user was updated.
+    return result.rowCount > 0;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in updatePassword:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not update password.", 500);
+  }
+};
+
 /**
  * Deletes a user from the 'users' table based on their user ID.
  * @param {string} userId - The ID of the user to delete.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
  * @returns {Promise<boolean>} A promise that resolves to true if the user was successfully deleted,
  *                                  false otherwise (e.g., user not found).
  * @throws {AppError} If there is a database error during user deletion.
  */
-export const deleteUser = async (userId) => {
+export const deleteUser = async (userId, client = pool) => {
   try {
     // SQL query to delete a user by their ID.
     const query = `
@@ -78,7 +242,7 @@ export const deleteUser = async (userId) => {
     // Values to be used in the query.
     const values = [userId];
     // Execute the query.
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     // Return true if at least one row was affected (meaning a user was deleted), otherwise false.
     return result.rowCount > 0;
   } catch (error) {
@@ -88,3 +252,187 @@ export const deleteUser = async (userId) => {
     throw new AppError("Could not delete user.", 500);
   }
 };
+
+/**
+ * Columns returned for a user in the admin API. The password hash is never included.
+ */
+const ADMIN_USER_COLUMNS = `id, username, email, role, locked_at, password_reset_required, created_at`;
+
+/**
+ * Retrieves a user by ID, with the number of notes they own (not counting the trash).
+ * @param {string} userId - The ID of the user.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to the user object or null if no user is found.
+ * @throws {AppError} If there is a database error during user retrieval.
+ */
+export const findUserById = async (userId, client = pool) => {
+  try {
+    // SQL query to select a user by ID together with their note count.
+    const query = `
+      SELECT ${ADMIN_USER_COLUMNS},
+        (SELECT COUNT(*)::int FROM notes n WHERE n.user_id = users.id AND n.deleted_at IS NULL) AS note_count
+      FROM users
+      WHERE id = $1;
+    `;
+    // Values to be used in the query.
+    const values = [userId];
+    // Execute the query.
+    const result = await client.query(query, values);
+    // Return the first row (the user) or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in findUserById:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not retrieve user.", 500);
+  }
+};
+
+/**
+ * Retrieves a page of users, newest first, optionally filtered by username, role and lock state.
+ * @param {object} options - Search and pagination options.
+ * @param {string} [options.search] - Case-insensitive partial match on the username.
+ * @param {string} [options.role] - Only return users with this role.
+ * @param {boolean} [options.locked] - Only return locked (true) or unlocked (false) users.
+ * @param {number} options.limit - The maximum number of users to return.
+ * @param {object} [options.cursor] - The `{ value, id }` (creation time and ID) of the last user of the previous page.
+ * @returns {Promise<object>} A promise that resolves to `{ users, total, nextCursor }`, where `nextCursor` is the
+ *                            `{ value, id }` of the last returned user, or null when there are no more users.
+ * @throws {AppError} If there is a database error during user retrieval.
+ */
+export const searchUsers = async ({ search, role, locked, limit, cursor }) => {
+  try {
+    // Build the filter conditions shared by the page and count queries.
+    const filterValues = [];
+    const filterConditions = ["TRUE"];
+    if (search) {
+      filterValues.push(`%${search}%`);
+      filterConditions.push(`username ILIKE $${filterValues.length}`);
+    }
+    if (role) {
+      filterValues.push(role);
+      filterConditions.push(`role = $${filterValues.length}`);
+    }
+    if (locked !== undefined) {
+      filterConditions.push(
+        locked ? "locked_at IS NOT NULL" : "locked_at IS NULL"
+      );
+    }
+
+    // Continue after the last user of the previous page.
+    const pageValues = [...filterValues];
+    const pageConditions = [...filterConditions];
+    if (cursor) {
+      pageValues.push(cursor.value, cursor.id);
+      pageConditions.push(
+        `(created_at, id) < ($${pageValues.length - 1}::timestamptz, $${
+          pageValues.length
+        }::uuid)`
+      );
+    }
+    // Fetch one extra row to find out whether there is a next page.
+    pageValues.push(limit + 1);
+
+    const pageQuery = `
+      SELECT ${ADMIN_USER_COLUMNS}, created_at::text AS sort_value,
+        (SELECT COUNT(*)::int FROM notes n WHERE n.user_id = users.id AND n.deleted_at IS NULL) AS note_count
+      FROM users
+      WHERE ${pageConditions.join(" AND ")}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${pageValues.length};
+    `;
+    const countQuery = `
+      SELECT COUNT(*)::int AS total
+      FROM users
+      WHERE ${filterConditions.join(" AND ")};
+    `;
+
+    // Execute both queries.
+    const [pageResult, countResult] = await Promise.all([
+      pool.query(pageQuery, pageValues),
+      pool.query(countQuery, filterValues),
+    ]);
+
+    const hasMore = pageResult.rows.length > limit;
+    const rows = hasMore ? pageResult.rows.slice(0, limit) : pageResult.rows;
+    const last = rows[rows.length - 1];
+
+    // Return the page without the internal sort value.
+    return {
+      users: rows.map(({ sort_value, ...user }) => user),
+      total: countResult.rows[0].total,
+      nextCursor: hasMore ? { value: last.sort_value, id: last.id } : null,
+    };
+  } catch (error) {
+    // Log the error.
+    console.error("Error in searchUsers:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not retrieve users.", 500);
+  }
+};
+
+/**
+ * Locks or unlocks a user account. Locked users cannot log in.
+ * @param {string} userId - The ID of the user.
+ * @param {boolean} locked - True to lock the account, false to unlock it.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to the updated user object or null if no user is found.
+ * @throws {AppError} If there is a database error during the update.
+ */
+export const setUserLocked = async (userId, locked, client = pool) => {
+  try {
+    // SQL query to set or clear the lock timestamp. An already locked account keeps its original timestamp.
+    const query = `
+      UPDATE users
+      SET locked_at = CASE WHEN $2::boolean THEN COALESCE(locked_at, NOW()) ELSE NULL END
+      WHERE id = $1
+      RETURNING ${ADMIN_USER_COLUMNS};
+    `;
+    // Values to be used in the query.
+    const values = [userId, locked];
+    // Execute the query.
+    const result = await client.query(query, values);
+    // Return the updated user or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in setUserLocked:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not update user.", 500);
+  }
+};
+
+/**
+ * Sets whether a user must reset their password before they can log in again.
+ * @param {string} userId - The ID of the user.
+ * @param {boolean} required - True to require a password reset, false to clear the requirement.
+ * @param {object} [client=pool] - The pool, or a client of an open transaction.
+ * @returns {Promise<object | null>} A promise that resolves to the updated user object or null if no user is found.
+ * @throws {AppError} If there is a database error during the update.
+ */
+export const setPasswordResetRequired = async (
+  userId,
+  required,
+  client = pool
+) => {
+  try {
+    // SQL query to set the password reset flag.
+    const query = `
+      UPDATE users
+      SET password_reset_required = $2
+      WHERE id = $1
+      RETURNING ${ADMIN_USER_COLUMNS};
+    `;
+    // Values to be used in the query.
+    const values = [userId, required];
+    // Execute the query.
+    const result = await client.query(query, values);
+    // Return the updated user or null if no user is found.
+    return result.rows[0] || null;
+  } catch (error) {
+    // Log the error.
+    console.error("Error in setPasswordResetRequired:", error.message);
+    // Re-throw an AppError with a 500 status code for database errors.
+    throw new AppError("Could not update user.", 500);
+  }
+};
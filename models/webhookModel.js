@@ -0,0 +1,157 @@
+import { pool } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Columns returned for a webhook. The secret is only returned when the webhook is created.
+ */
+const WEBHOOK_COLUMNS = `id, url, last_status, last_error, last_attempt_at, created_at`;
+
+/**
+ * Retrieves the webhooks of a user, oldest first.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} - An array of webhook objects, without their secrets.
+ * @throws {AppError} If there is a database error.
+ */
+export const getWebhooksByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT ${WEBHOOK_COLUMNS}
+      FROM webhooks
+      WHERE user_id = $1
+      ORDER BY created_at, id;
+    `;
+    const values = [userId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getWebhooksByUserId:", error.message);
+    throw new AppError("Could not retrieve webhooks.", 500);
+  }
+};
+
+/**
+ * Retrieves what is needed to post a notification to the webhooks of a user that have not accepted it yet.
+ * @param {string} userId - The ID of the user.
+ * @param {string} notificationId - The ID of the notification.
+ * @returns {Promise<Array<object>>} - The `{ id, url, secret }` of the webhooks.
+ * @throws {AppError} If there is a database error.
+ */
+export const getWebhookTargets = async (userId, notificationId) => {
+  try {
+    const query = `
+      SELECT w.id, w.url, w.secret
+      FROM webhooks w
+      WHERE w.user_id = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM webhook_deliveries d
+          WHERE d.webhook_id = w.id AND d.notification_id = $2 AND d.delivered_at IS NOT NULL
+        )
+      ORDER BY w.created_at, w.id;
+    `;
+    const values = [userId, notificationId];
+    const result = await pool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    console.error("Error in getWebhookTargets:", error.message);
+    throw new AppError("Could not retrieve webhooks.", 500);
+  }
+};
+
+/**
+ * Counts the webhooks of a user.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} - The number of webhooks.
+ * @throws {AppError} If there is a database error.
+ */
+export const countWebhooks = async (userId) => {
+  try {
+    const query = `SELECT COUNT(*)::int AS count FROM webhooks WHERE user_id = $1;`;
+    const values = [userId];
+    const result = await pool.query(query, values);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error("Error in countWebhooks:", error.message);
+    throw new AppError("Could not count webhooks.", 500);
+  }
+};
+
+/**
+ * Creates a webhook.
+ * @param {string} userId - The ID of the user.
+ * @param {string} url - The URL notifications are posted to.
+ * @param {string} secret - The hex-encoded secret payloads are signed with.
+ * @returns {Promise<object>} - The created webhook, with its secret.
+ * @throws {AppError} If there is a database error.
+ */
+export const createWebhook = async (userId, url, secret) => {
+  try {
+    const query = `
+      INSERT INTO webhooks (user_id, url, secret)
+      VALUES ($1, $2, $3)
+      RETURNING ${WEBHOOK_COLUMNS}, secret;
+    `;
+    const values = [userId, url, secret];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  } catch (error) {
+    console.error("Error in createWebhook:", error.message);
+    throw new AppError("Could not create webhook.", 500);
+  }
+};
+
+/**
+ * Deletes a webhook of a user.
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {string} userId - The ID of the user (for ownership check).
+ * @returns {Promise<boolean>} - True if the webhook was deleted, false if it was not found.
+ * @throws {AppError} If there is a database error.
+ */
+export const deleteWebhook = async (webhookId, userId) => {
+  try {
+    const query = `DELETE FROM webhooks WHERE id = $1 AND user_id = $2;`;
+    const values = [webhookId, userId];
+    const result = await pool.query(query, values);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error("Error in deleteWebhook:", error.message);
+    throw new AppError("Could not delete webhook.", 500);
+  }
+};
+
+/**
+ * Records the outcome of an attempt to post a notification to a webhook, both on the webhook (as its last
+ * attempt) and for the notification, so a webhook that accepted it is not posted to again.
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {string} notificationId - The ID of the notification.
+ * @param {number | null} status - The HTTP status the endpoint answered with, or null if it did not answer.
+ * @param {string | null} error - Why the attempt failed, or null if it succeeded.
+ * @returns {Promise<void>}
+ * @throws {AppError} If there is a database error.
+ */
+export const recordWebhookAttempt = async (
+  webhookId,
+  notificationId,
+  status,
+  error
+) => {
+  try {
+    const query = `
+      WITH attempt AS (
+        INSERT INTO webhook_deliveries (webhook_id, notification_id, attempts, last_error, delivered_at)
+        VALUES ($1, $4, 1, $3, CASE WHEN $3::text IS NULL THEN NOW() END)
+        ON CONFLICT (webhook_id, notification_id) DO UPDATE
+        SET attempts = webhook_deliveries.attempts + 1,
+          last_error = EXCLUDED.last_error,
+          delivered_at = EXCLUDED.delivered_at
+      )
+      UPDATE webhooks
+      SET last_status = $2, last_error = $3, last_attempt_at = NOW()
+      WHERE id = $1;
+    `;
+    const values = [webhookId, status, error, notificationId];
+    await pool.query(query, values);
+  } catch (dbError) {
+    console.error("Error in recordWebhookAttempt:", dbError.message);
+    throw new AppError("Could not update webhook.", 500);
+  }
+};
@@ -0,0 +1,57 @@
+import { notificationConfig } from "../config/notifications.js";
+import { createInAppChannel } from "./inAppChannel.js";
+import { createWebhookChannel } from "./webhookChannel.js";
+
+/**
+ * Factories of the available notification channels, by name. A factory receives `notificationConfig` and
+ * returns a channel that must provide:
+ * - `deliver(notification)`: delivers `{ id, userId, noteId, type, title, data, createdAt }` to its user and
+ *   rejects if it could not, to have the delivery retried later. A notification can be delivered more than
+ *   once (e.g., after a crash), which channels should tell by its `id`.
+ */
+const channelFactories = {
+  in_app: createInAppChannel,
+  webhook: createWebhookChannel,
+};
+
+// The channels in use by name, created on first use from `notificationConfig.channels`.
+let activeChannels = null;
+
+/**
+ * Makes a channel available under a name, so it can be selected with `NOTIFICATION_CHANNELS`
+ * (e.g., email or push notifications).
+ * @param {string} name - The name of the channel.
+ * @param {function} factory - A function that receives `notificationConfig` and returns the channel.
+ */
+export const registerNotificationChannel = (name, factory) => {
+  channelFactories[name] = factory;
+};
+
+/**
+ * Replaces the channels in use, e.g., with ones that record notifications in tests.
+ * Pass null to go back to the channels selected by `NOTIFICATION_CHANNELS`.
+ * @param {object | null} channels - The channels by name, or null.
+ */
+export const setNotificationChannels = (channels) => {
+  activeChannels = channels;
+};
+
+/**
+ * Returns the channels in use by name, creating them from the configuration on first use.
+ * @returns {object} The channels.
+ * @throws {Error} If `NOTIFICATION_CHANNELS` names an unknown channel.
+ */
+export const getNotificationChannels = () => {
+  if (!activeChannels) {
+    const channels = {};
+    for (const name of notificationConfig.channels) {
+      const factory = channelFactories[name];
+      if (!factory) {
+        throw new Error(`Unknown notification channel "${name}".`);
+      }
+      channels[name] = factory(notificationConfig);
+    }
+    activeChannels = channels;
+  }
+  return activeChannels;
+};
@@ -0,0 +1,10 @@
+import { createNotification } from "../models/notificationModel.js";
+
+/**
+ * Creates the channel that stores notifications in the user's feed, read with `GET /api/notifications`.
+ * Storing a notification again is a no-op, so retried deliveries do not show up twice.
+ * @returns {object} The channel, with a `deliver(notification)` method.
+ */
+export const createInAppChannel = () => ({
+  deliver: (notification) => createNotification(notification),
+});
@@ -0,0 +1,266 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import { isIP } from "net";
+import {
+  getWebhookTargets,
+  recordWebhookAttempt,
+} from "../models/webhookModel.js";
+
+/**
+ * Tells whether an IPv4 address is a loopback, private, link-local, multicast or otherwise internal or reserved one.
+ * @param {string} address - The address, e.g. "10.0.0.1".
+ * @returns {boolean} True for internal addresses.
+ */
+const isPrivateIPv4 = (address) => {
+  const [a, b, c] = address.split(".").map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19))
+  );
+};
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups.
+ * @param {string} address - The address, e.g. "::ffff:127.0.0.1" or "64:ff9b::a9fe:a9fe".
+ * @returns {Array<number>} The groups.
+ */
+const ipv6Groups = (address) => {
+  const toGroups = (part) =>
+    part
+      ? part.split(":").flatMap((group) => {
+          if (!group.includes(".")) {
+            return [parseInt(group, 16)];
+          }
+          const [a, b, c, d] = group.split(".").map(Number);
+          return [(a << 8) | b, (c << 8) | d];
+        })
+      : [];
+  const [head, tail] = address.split("::");
+  if (tail === undefined) {
+    return toGroups(head);
+  }
+  const [start, end] = [toGroups(head), toGroups(tail)];
+  return [...start, ...Array(8 - start.length - end.length).fill(0), ...end];
+};
+
+/**
+ * Tells whether an IP address is a loopback, private, link-local or otherwise internal one. IPv6 addresses that
+ * carry an IPv4 address (IPv4-mapped and IPv4-compatible addresses, NAT64 and 6to4) are judged by that address.
+ * @param {string} address - The IPv4 or IPv6 address.
+ * @returns {boolean} True for internal addresses.
+ */
+const isPrivateAddress = (address) => {
+  const host = address.toLowerCase();
+  if (isIP(host) === 4) {
+    return isPrivateIPv4(host);
+  }
+  const groups = ipv6Groups(host);
+  const ipv4 = (high, low) =>
+    [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+  const zeros = (from, to) => groups.slice(from, to).every((group) => !group);
+  // ::a.b.c.d (IPv4-compatible, which includes :: and ::1), ::ffff:a.b.c.d (IPv4-mapped) and
+  // 64:ff9b::a.b.c.d (NAT64).
+  if (
+    (zeros(0, 5) && (groups[5] === 0 || groups[5] === 0xffff)) ||
+    (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6))
+  ) {
+    return isPrivateIPv4(ipv4(groups[6], groups[7]));
+  }
+  // 2002:aabb:ccdd::/48 (6to4) routes to aa.bb.cc.dd.
+  if (groups[0] === 0x2002) {
+    return isPrivateIPv4(ipv4(groups[1], groups[2]));
+  }
+  // Unique local (fc00::/7), link-local (fe80::/10), site-local (fec0::/10) and multicast (ff00::/8).
+  return groups[0] >= 0xfc00;
+};
+
+/**
+ * Tells whether the host of a URL is localhost or an internal network address, which webhooks must not point
+ * to unless `WEBHOOK_ALLOW_PRIVATE_HOSTS` is set. Only the host as written is checked here; host names are
+ * checked once more by `lookupPublicAddress` when the webhook is posted to.
+ * @param {string} url - The URL.
+ * @returns {boolean} True if the URL points to localhost or an internal address.
+ */
+export const isPrivateWebhookUrl = (url) => {
+  const host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return true;
+  }
+  return isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+/**
+ * A `lookup` for outgoing webhook connections: resolves a host name like `dns.lookup` does, but fails if it
+ * resolves to any local or private network address. The connection is made to the address checked here, so a
+ * name cannot point somewhere else between the check and the request.
+ * @param {string} hostname - The host name.
+ * @param {object} options - The `dns.lookup` options.
+ * @param {function} callback - Called like the callback of `dns.lookup` with these options.
+ */
+export const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const internal = addresses.find(({ address }) => isPrivateAddress(address));
+    if (internal) {
+      callback(
+        new Error(
+          `${hostname} resolves to the local or private network address ${internal.address}.`
+        )
+      );
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+/**
+ * Posts a JSON body and resolves to the status code of the response. Redirects are not followed.
+ * @param {string} url - The http(s) URL.
+ * @param {object} headers - The request headers.
+ * @param {string} body - The JSON body.
+ * @param {object} options - `{ lookup, timeoutMs }`; `lookup` replaces the DNS lookup of the connection.
+ * @returns {Promise<number>} The HTTP status of the response.
+ * @throws {Error} If the request fails or times out (`name` "TimeoutError").
+ */
+const postJson = (url, headers, body, { lookup, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === "https:" ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(timeoutMs),
+      },
+      (response) => {
+        // Only the status matters; drain the body so the socket is freed.
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+        response.on("error", reject);
+      }
+    );
+    request.on("error", (error) =>
+      reject(error.cause?.name === "TimeoutError" ? error.cause : error)
+    );
+    request.end(body);
+  });
+
+/**
+ * Signs a webhook payload: the hex-encoded HMAC-SHA256 of `<timestamp>.<body>` with the webhook's secret.
+ * @param {string} secret - The secret of the webhook.
+ * @param {string} timestamp - The Unix time the payload is sent at, in seconds.
+ * @param {string} body - The JSON body.
+ * @returns {string} The signature.
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Creates the channel that posts notifications as JSON to every webhook of their user.
+ * Each request carries `X-Notification-Id`, `X-Webhook-Timestamp` and `X-Webhook-Signature: sha256=...`
+ * (see `signWebhookPayload`). Redirects are not followed. The outcome is recorded per webhook: if any webhook
+ * fails, the delivery is retried for the webhooks that have not accepted the notification yet. Receivers should
+ * still ignore notification IDs they have seen before, e.g. when their answer got lost.
+ * @param {object} config - The notification configuration, with `webhookTimeoutMs` and `allowPrivateWebhookHosts`.
+ * @returns {object} The channel, with a `deliver(notification)` method.
+ */
+export const createWebhookChannel = ({
+  webhookTimeoutMs,
+  allowPrivateWebhookHosts,
+}) => {
+  // Unless private hosts are allowed, host names are checked when they are resolved.
+  const lookup = allowPrivateWebhookHosts ? undefined : lookupPublicAddress;
+
+  /**
+   * Posts a notification to one webhook and records the outcome on it.
+   * @param {object} webhook - `{ id, url, secret }`.
+   * @param {string} body - The JSON body.
+   * @param {string} notificationId - The ID of the notification.
+   * @returns {Promise<string | null>} Why posting failed, or null if the webhook accepted the notification.
+   */
+  const post = async ({ id, url, secret }, body, notificationId) => {
+    let status = null;
+    let error = null;
+    if (!allowPrivateWebhookHosts && isPrivateWebhookUrl(url)) {
+      error = "The webhook URL points to a local or private network address.";
+    } else {
+      try {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+          "Content-Type": "application/json",
+          "User-Agent": "swing-notes-webhooks",
+          "X-Notification-Id": notificationId,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signWebhookPayload(
+            secret,
+            timestamp,
+            body
+          )}`,
+        };
+        status = await postJson(url, headers, body, {
+          lookup,
+          timeoutMs: webhookTimeoutMs,
+        });
+        if (status < 200 || status >= 300) {
+          error = `The webhook answered with status ${status}.`;
+        }
+      } catch (fetchError) {
+        error =
+          fetchError.name === "TimeoutError"
+            ? `The webhook did not answer within ${webhookTimeoutMs} ms.`
+            : `The webhook could not be reached: ${fetchError.message}`;
+      }
+    }
+    await recordWebhookAttempt(id, notificationId, status, error);
+    return error;
+  };
+
+  return {
+    deliver: async (notification) => {
+      const webhooks = await getWebhookTargets(
+        notification.userId,
+        notification.id
+      );
+      const body = JSON.stringify({
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        note_id: notification.noteId,
+        data: notification.data,
+        created_at: notification.createdAt,
+      });
+
+      const errors = [];
+      for (const webhook of webhooks) {
+        const error = await post(webhook, body, notification.id);
+        if (error) {
+          errors.push(`${webhook.url}: ${error}`);
+        }
+      }
+      if (errors.length) {
+        throw new Error(errors.join(" "));
+      }
+    },
+  };
+};
@@ -0,0 +1,37 @@
+/**
+ * Creates a rate limit store that keeps its buckets in memory.
+ * Limits apply per server process, so with several instances each one counts on its own.
+ * @param {object} [options] - Store settings.
+ * @param {number} [options.cleanupIntervalSeconds=60] - How often expired buckets are dropped.
+ * @returns {object} The store, with `increment(key, expiresAt)` and `get(key)`.
+ */
+export const createMemoryStore = ({ cleanupIntervalSeconds = 60 } = {}) => {
+  const buckets = new Map();
+
+  // Drop expired buckets now and then, so clients that stop calling do not stay in memory.
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.expiresAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  }, cleanupIntervalSeconds * 1000);
+  cleanup.unref();
+
+  return {
+    increment: async (key, expiresAt) => {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.expiresAt <= Date.now()) {
+        buckets.set(key, { count: 1, expiresAt: expiresAt.getTime() });
+        return 1;
+      }
+      bucket.count++;
+      return bucket.count;
+    },
+    get: async (key) => {
+      const bucket = buckets.get(key);
+      return bucket && bucket.expiresAt > Date.now() ? bucket.count : 0;
+    },
+  };
+};
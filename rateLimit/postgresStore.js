@@ -0,0 +1,29 @@
+import {
+  incrementRateLimitBucket,
+  getRateLimitBucketCount,
+  deleteExpiredRateLimitBuckets,
+} from "../models/rateLimitModel.js";
+
+/**
+ * Creates a rate limit store that keeps its buckets in the `rate_limit_buckets` table,
+ * so all server instances share the same limits.
+ * @param {object} [options] - Store settings.
+ * @param {number} [options.cleanupIntervalSeconds=60] - How often expired buckets are deleted.
+ * @returns {object} The store, with `increment(key, expiresAt)` and `get(key)`.
+ */
+export const createPostgresStore = ({ cleanupIntervalSeconds = 60 } = {}) => {
+  // Delete expired buckets now and then, so the table does not keep growing.
+  const cleanup = setInterval(async () => {
+    try {
+      await deleteExpiredRateLimitBuckets();
+    } catch (error) {
+      console.error("Rate limit cleanup failed:", error.message);
+    }
+  }, cleanupIntervalSeconds * 1000);
+  cleanup.unref();
+
+  return {
+    increment: (key, expiresAt) => incrementRateLimitBucket(key, expiresAt),
+    get: (key) => getRateLimitBucketCount(key),
+  };
+};
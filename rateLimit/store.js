@@ -0,0 +1,51 @@
+import { rateLimitConfig } from "../config/rateLimit.js";
+import { createMemoryStore } from "./memoryStore.js";
+import { createPostgresStore } from "./postgresStore.js";
+
+/**
+ * Factories of the available stores, by name. A store counts requests in buckets and must provide:
+ * - `increment(key, expiresAt)`: adds a request to the bucket `key` and resolves to its new count.
+ *   A new bucket lives until `expiresAt`.
+ * - `get(key)`: resolves to the count of the bucket `key`, or 0 if it does not exist or has expired.
+ */
+const storeFactories = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+};
+
+// The store in use, created on first use from `rateLimitConfig.store`.
+let activeStore = null;
+
+/**
+ * Makes a store available under a name, so it can be selected with `RATE_LIMIT_STORE` (e.g., a Redis store).
+ * @param {string} name - The name of the store.
+ * @param {function} factory - A function that returns the store.
+ */
+export const registerRateLimitStore = (name, factory) => {
+  storeFactories[name] = factory;
+};
+
+/**
+ * Replaces the store in use, e.g., with a fresh memory store in tests.
+ * Pass null to go back to the store selected by `RATE_LIMIT_STORE`.
+ * @param {object | null} store - The store, or null.
+ */
+export const setRateLimitStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Returns the store in use, creating it from the configuration on first use.
+ * @returns {object} The store.
+ * @throws {Error} If `RATE_LIMIT_STORE` names an unknown store.
+ */
+export const getRateLimitStore = () => {
+  if (!activeStore) {
+    const factory = storeFactories[rateLimitConfig.store];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${rateLimitConfig.store}".`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
@@ -0,0 +1,487 @@
+import { Router } from "express";
+import {
+  listUsers,
+  getUser,
+  lockUser,
+  unlockUser,
+  forcePasswordReset,
+  deleteUser,
+  getStats,
+  getAuditLog,
+} from "../controllers/adminController.js";
+import { authMiddleware, requireRole } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+
+const router = Router();
+
+// All routes in this file require an authenticated administrator.
+router.use(authMiddleware, requireRole("admin"), rateLimit("api"));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: User administration, usage statistics and the audit trail (administrators only). Every action is recorded in the audit trail.
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search users
+ *     description: Users are returned newest first, in pages. Pass `pagination.nextCursor` as `cursor` to get the next page.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: search
+ *         in: query
+ *         required: false
+ *         description: Case-insensitive partial match on the username.
+ *         schema:
+ *           type: string
+ *       - name: role
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - name: locked
+ *         in: query
+ *         required: false
+ *         description: Only return locked (true) or unlocked (false) users.
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved users.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Users retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get("/users", listUsers);
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     summary: Get a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the user.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "User retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       404:
+ *         description: User not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "User not found."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Delete a user
+ *     description: Deletes the account with all of its notes, notebooks and tags, like the user deleting their own account.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the user.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: User deleted successfully. No content.
+ *       400:
+ *         description: Administrators cannot delete their own account through the admin API.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You cannot delete your own account."
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       404:
+ *         description: User not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "User not found."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get("/users/:id", getUser);
+router.delete("/users/:id", deleteUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/lock:
+ *   post:
+ *     summary: Lock a user account
+ *     description: Locked users cannot log in. All of their sessions are ended immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the user.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User locked successfully!
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "User locked successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Administrators cannot perform this action on their own account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You cannot lock your own account."
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       404:
+ *         description: User not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "User not found."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/users/:id/lock", lockUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account
+ *     description: Lets a locked user log in again. Also lifts a temporary lockout after too many failed logins.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the user.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully!
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "User unlocked successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       404:
+ *         description: User not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "User not found."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/users/:id/unlock", unlockUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Require a user to reset their password
+ *     description: The user cannot log in until they reset their password. All of their sessions are ended immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the user.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Password reset required for user!
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Password reset required for user!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Administrators cannot perform this action on their own account.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You cannot force a password reset on your own account."
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       404:
+ *         description: User not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "User not found."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/users/:id/force-password-reset", forcePasswordReset);
+
+/**
+ * @swagger
+ * /admin/stats:
+ *   get:
+ *     summary: Get usage statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: days
+ *         in: query
+ *         required: false
+ *         description: Number of days counted as recent for sign-ups and new notes.
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 7
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved usage statistics.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Usage statistics retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/UsageStats'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get("/stats", getStats);
+
+/**
+ * @swagger
+ * /admin/audit-log:
+ *   get:
+ *     summary: List the audit trail of administrator actions
+ *     description: Entries are returned newest first, in pages. Pass `pagination.nextCursor` as `cursor` to get the next page.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: action
+ *         in: query
+ *         required: false
+ *         description: Only return entries for this action (e.g., lock_user).
+ *         schema:
+ *           type: string
+ *       - name: actorId
+ *         in: query
+ *         required: false
+ *         description: Only return actions performed by this administrator.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: targetUserId
+ *         in: query
+ *         required: false
+ *         description: Only return actions performed on this user.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved audit log entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Audit log retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (the authenticated user is not an administrator).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You do not have permission to perform this action."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get("/audit-log", getAuditLog);
+
+export default router;
@@ -1,12 +1,60 @@
 import { Router } from "express";
 import {
+  bulkNotes,
+  getNoteChanges,
+  pushNoteChanges,
   getNotes,
   createNote,
   updateNote,
   deleteNote,
   searchNotes,
+  getNote,
+  getTrash,
+  restoreNote,
+  permanentlyDeleteNote,
+  getSharedWithMe,
 } from "../controllers/noteController.js";
+import {
+  listShares,
+  createShare,
+  updateShare,
+  revokeShare,
+} from "../controllers/noteShareController.js";
+import {
+  listPublicLinks,
+  createPublicLink,
+  revokePublicLink,
+} from "../controllers/publicLinkController.js";
+import { listTags, renameTag } from "../controllers/tagController.js";
+import { exportNotes } from "../controllers/noteExportController.js";
+import {
+  importNotes,
+  getImportJob,
+} from "../controllers/noteImportController.js";
+import {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} from "../controllers/noteRevisionController.js";
+import {
+  listAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} from "../controllers/noteAttachmentController.js";
+import {
+  listItems,
+  createItem,
+  updateItem,
+  reorderItems,
+  deleteItem,
+} from "../controllers/noteItemController.js";
 import { authMiddleware } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+import { uploadFile } from "../middleware/upload.js";
+import { noteImportConfig } from "../config/noteImport.js";
+import { attachmentConfig } from "../config/attachments.js";
 
 const router = Router();
 
@@ -21,10 +69,42 @@ const router = Router();
  * @swagger
  * /notes:
  *   get:
- *     summary: Get all notes for the authenticated user
+ *     summary: Get a page of notes for the authenticated user
+ *     description: Notes are returned in pages. Pass `pagination.nextCursor` as `cursor` to get the next page.
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - name: sort
+ *         in: query
+ *         required: false
+ *         description: Field to sort by.
+ *         schema:
+ *           type: string
+ *           enum: [created_at, modified_at, title]
+ *           default: modified_at
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedAfter'
+ *       - $ref: '#/components/parameters/CreatedBefore'
+ *       - $ref: '#/components/parameters/ModifiedAfter'
+ *       - $ref: '#/components/parameters/ModifiedBefore'
+ *       - $ref: '#/components/parameters/Tags'
+ *       - $ref: '#/components/parameters/TagMode'
+ *       - name: hasOpenItems
+ *         in: query
+ *         required: false
+ *         description: true returns only notes with checklist items that are not done, false only notes without.
+ *         schema:
+ *           type: boolean
+ *       - name: itemsDueBefore
+ *         in: query
+ *         required: false
+ *         description: Returns only notes with open checklist items due before this ISO 8601 date or date-time.
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
  *         description: Successfully retrieved notes.
@@ -39,6 +119,20 @@ const router = Router();
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Note'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Bad request (e.g., invalid pagination parameters).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               InvalidCursor:
+ *                 summary: Invalid Cursor
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Invalid pagination cursor."
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       500:
@@ -89,7 +183,7 @@ const router = Router();
  *         $ref: '#/components/responses/InternalServerError'
  *   put:
  *     summary: Update an existing note
- *     description: Updates a note by its ID. User must own the note. Note ID is passed as a query parameter.
+ *     description: Updates a note by its ID. User must own the note or have `edit` access through a share; only the owner can change `notebookId`. Note ID is passed as a query parameter. Send the note's ETag as If-Match to avoid overwriting changes made by another client.
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
@@ -101,6 +195,7 @@ const router = Router();
  *         schema:
  *           type: string
  *           format: "uuid"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -135,7 +230,7 @@ const router = Router();
  *                 summary: No Valid Fields for Update
  *                 value:
  *                   status: "fail"
- *                   message: "No valid fields provided for update (title or text)."
+ *                   message: "No valid fields provided for update (title, text, tags or notebookId)."
  *               InvalidFormat:
  *                 summary: Invalid Title/Text Format
  *                 value:
@@ -155,11 +250,22 @@ const router = Router();
  *                 value:
  *                   status: "fail"
  *                   message: "Note not found or you do not have permission to update it."
+ *       403:
+ *         description: The note is only shared with the user for reading, or a non-owner tried to move it.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You only have read access to this note and cannot update it."
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  *   delete:
- *     summary: Delete a note
- *     description: Deletes a note by its ID. User must own the note. Note ID is passed as a query parameter.
+ *     summary: Move a note to the trash
+ *     description: Moves a note to the trash by its ID. Trashed notes can be restored until they are purged after the retention period. User must own the note or have `edit` access through a share. Note ID is passed as a query parameter. Send the note's ETag as If-Match to avoid deleting changes made by another client.
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
@@ -171,9 +277,10 @@ const router = Router();
  *         schema:
  *           type: string
  *           format: "uuid"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       204:
- *         description: Note deleted successfully. No content returned for 204.
+ *         description: Note moved to the trash successfully. No content returned for 204.
  *         content: {}
  *       400:
  *         description: Bad request (e.g., missing note ID).
@@ -201,12 +308,29 @@ const router = Router();
  *                 value:
  *                   status: "fail"
  *                   message: "Note not found or you do not have permission to delete it."
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "You only have read access to this note and cannot delete it."
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  *
  * /notes/search:
  *   get:
- *     summary: Search notes by title for the authenticated user
+ *     summary: Search notes for the authenticated user
+ *     description: |
+ *       By default searches note titles and text with full-text search; Markdown notes are matched by
+ *       their rendered text, so Markdown syntax is not searched. Results are ranked by
+ *       relevance and include highlighted snippets. Use `"quoted phrases"` to match words next to
+ *       each other and `word*` to match prefixes. Set `mode=substring` to use a case-insensitive
+ *       partial match on titles instead.
  *     tags: [Notes]
  *     security:
  *       - bearerAuth: []
@@ -214,9 +338,33 @@ const router = Router();
  *       - name: q
  *         in: query
  *         required: true
- *         description: Search term for note titles.
+ *         description: Search query.
+ *         schema:
+ *           type: string
+ *       - name: mode
+ *         in: query
+ *         required: false
+ *         description: Search mode.
+ *         schema:
+ *           type: string
+ *           enum: [fulltext, substring]
+ *           default: fulltext
+ *       - name: sort
+ *         in: query
+ *         required: false
+ *         description: Field to sort by. Defaults to relevance in fulltext mode and modified_at in substring mode.
  *         schema:
  *           type: string
+ *           enum: [relevance, created_at, modified_at, title]
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedAfter'
+ *       - $ref: '#/components/parameters/CreatedBefore'
+ *       - $ref: '#/components/parameters/ModifiedAfter'
+ *       - $ref: '#/components/parameters/ModifiedBefore'
+ *       - $ref: '#/components/parameters/Tags'
+ *       - $ref: '#/components/parameters/TagMode'
  *     responses:
  *       200:
  *         description: Successfully retrieved search results.
@@ -230,7 +378,9 @@ const router = Router();
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Note'
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
  *         description: Bad request (e.g., missing search query).
  *         content:
@@ -245,20 +395,1481 @@ const router = Router();
  *                   message: "Search query (q) is required."
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
 
-// All notes endpoints require authentication
-router.use(authMiddleware);
+/**
+ * @swagger
+ * /notes/bulk:
+ *   post:
+ *     summary: Create, update and delete many notes in one request
+ *     description: |
+ *       Runs up to 100 operations in order, in one database transaction. Each operation is validated and checked
+ *       like its single-note endpoint and gets its own result with the status code that endpoint would have returned.
+ *       With `atomic: true` every operation is applied or none is; otherwise the operations that succeed are applied
+ *       even if others fail.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkNoteRequest'
+ *     responses:
+ *       200:
+ *         description: Every operation succeeded.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkNoteResponse'
+ *       207:
+ *         description: At least one operation failed. `applied` tells whether the other operations were applied.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkNoteResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
 
-router
-  .route("/")
-  .get(getNotes)
-  .post(createNote)
-  .put(updateNote)
-  .delete(deleteNote);
+/**
+ * @swagger
+ * /notes/changes:
+ *   get:
+ *     summary: Get the changes to your notes since the last sync
+ *     description: |
+ *       Change feed for offline clients. Returns the notes created, updated or deleted since the sync token from an
+ *       earlier response, oldest first. Updated notes come with their current content; notes moved to the trash or
+ *       deleted permanently come as tombstones. Omit `since` for a first sync, which returns every note.
+ *       Keep fetching with the new `syncToken` while `hasMore` is true.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: since
+ *         in: query
+ *         required: false
+ *         description: The `syncToken` of the previous response.
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         description: Maximum number of changes to return.
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Changes retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NoteChangesResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Push changes made offline
+ *     description: |
+ *       Applies up to 100 changes in order. Each change names the `baseVersion` (or `baseModifiedAt`) of the server's
+ *       note it was based on. If the note has changed or been deleted on the server since, the change is not applied
+ *       and reported with status 409, code `SYNC_CONFLICT` and the server's copy, so the client can resolve the conflict.
+ *       Changes without a base create notes with the client-generated `id`. Conflicts do not affect the other changes.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PushNoteChangesRequest'
+ *     responses:
+ *       200:
+ *         description: Every change was applied.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PushNoteChangesResponse'
+ *       207:
+ *         description: At least one change was not applied (conflict or error); the others were.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PushNoteChangesResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/export:
+ *   get:
+ *     summary: Download all your notes
+ *     description: |
+ *       Streams every note you own that is not in the trash, oldest first, with its tags, notebook path and
+ *       timestamps. Use it to back up your notes, move them to another app, or keep a copy before deleting
+ *       your account.
+ *
+ *       - `json`: one `NoteExport` object.
+ *       - `markdown`: a zip archive with one `.md` file per note, in folders named after its notebooks. Each file
+ *         starts with YAML front matter holding the `id`, `title`, `created_at`, `modified_at`, `tags` and `notebook`.
+ *       - `csv`: a header row and one row per note, with the tags separated by semicolons. Fields that would
+ *         start a spreadsheet formula (`=`, `+`, `-`, `@`, tab, carriage return) are prefixed with `'`.
+ *
+ *       If the export fails half-way, the connection is closed instead of completing the download.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, markdown, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The export, as an attachment.
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *             example: attachment; filename="swing-notes-2024-05-15.zip"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NoteExport'
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/import:
+ *   post:
+ *     summary: Import notes from a file
+ *     description: |
+ *       Creates notes from an uploaded file:
+ *
+ *       - `json`: an export from `GET /notes/export`, or an array of notes with `title`, `text` and optionally
+ *         `tags`, `notebook` (a path like "Work/Projects"), `id`, `created_at` and `modified_at`.
+ *       - `markdown`: a zip of `.md` files. YAML front matter can set the same fields; otherwise the file name is
+ *         the title and the folder the notebook.
+ *       - `enex`: an Evernote export. The content is converted to plain text; attachments are left out.
+ *
+ *       Every note is validated like `POST /notes`. Original timestamps and IDs are kept where possible, missing
+ *       notebooks are created, and notes whose ID you already have (e.g. from importing the same export twice)
+ *       are skipped. The response reports every item as created, skipped or failed.
+ *
+ *       Large files are imported in the background: the response is 202 with a pending import, and its `Location`
+ *       header points to `GET /notes/import/{jobId}` for polling.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The file; its format is recognised by the extension (.json, .zip, .enex) or content.
+ *               format:
+ *                 type: string
+ *                 enum: [json, markdown, enex]
+ *                 description: The format of the file, if it cannot be recognised.
+ *     responses:
+ *       200:
+ *         description: The import finished; see the report for every item.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NoteImportResponse'
+ *       202:
+ *         description: The file is large and is being imported in the background.
+ *         headers:
+ *           Location:
+ *             description: The import to poll.
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NoteImportResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       413:
+ *         description: The file is larger than the upload limit.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/import/{jobId}:
+ *   get:
+ *     summary: Get the status and report of an import
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: jobId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The import, with its progress and, once finished, the report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NoteImportResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/tags:
+ *   get:
+ *     summary: List tags with usage counts
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved tags.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Tags retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/tags/{tagId}:
+ *   patch:
+ *     summary: Rename or merge a tag
+ *     description: Renames the tag on every note that uses it. If another tag already has the new name, the tags are merged.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: tagId
+ *         in: path
+ *         required: true
+ *         description: ID of the tag.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RenameTagRequest'
+ *     responses:
+ *       200:
+ *         description: Tag renamed or merged successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Tag renamed successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Tag'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/shared-with-me:
+ *   get:
+ *     summary: Get a page of notes other users have shared with the authenticated user
+ *     description: Supports the same pagination, sorting and filters as the note list. Each note includes the share `permission` and the `owner_username`.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: sort
+ *         in: query
+ *         required: false
+ *         description: Field to sort by.
+ *         schema:
+ *           type: string
+ *           enum: [created_at, modified_at, title]
+ *           default: modified_at
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Order'
+ *       - $ref: '#/components/parameters/CreatedAfter'
+ *       - $ref: '#/components/parameters/CreatedBefore'
+ *       - $ref: '#/components/parameters/ModifiedAfter'
+ *       - $ref: '#/components/parameters/ModifiedBefore'
+ *       - $ref: '#/components/parameters/Tags'
+ *       - $ref: '#/components/parameters/TagMode'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved shared notes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Shared notes retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Note'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/{id}/shares:
+ *   get:
+ *     summary: List the users a note is shared with
+ *     description: Only the owner of the note can manage its shares.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved shares.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Note shares retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteShare'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Share a note with another user
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateShareRequest'
+ *     responses:
+ *       201:
+ *         description: Note shared successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Note shared successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteShare'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Note or user to share with not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/shares/{shareId}:
+ *   patch:
+ *     summary: Change the permission of a share
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: shareId
+ *         in: path
+ *         required: true
+ *         description: ID of the share.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateShareRequest'
+ *     responses:
+ *       200:
+ *         description: Share updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Note share updated successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteShare'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Revoke a share
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: shareId
+ *         in: path
+ *         required: true
+ *         description: ID of the share.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Share revoked successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/{id}/links:
+ *   get:
+ *     summary: List the public links of a note
+ *     description: Only the owner of the note can manage its public links. Expired links are listed too.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved public links.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Public links retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PublicLink'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Publish a note through a new public link
+ *     description: Anyone with the link can read the note without logging in, until the link expires or is revoked, or the note is deleted.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreatePublicLinkRequest'
+ *     responses:
+ *       201:
+ *         description: Public link created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Public link created successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/PublicLink'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/links/{linkId}:
+ *   delete:
+ *     summary: Revoke a public link
+ *     description: The link stops working immediately.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: linkId
+ *         in: path
+ *         required: true
+ *         description: ID of the link.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Public link revoked successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/{id}/attachments:
+ *   get:
+ *     summary: List the files attached to a note
+ *     description: Available to everyone who can read the note. Attachments of notes in the trash are hidden until the note is restored.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved attachments.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Attachments retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteAttachment'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Attach a file to a note
+ *     description: |
+ *       Available to the owner and to users the note is shared with for editing. The file size is limited by
+ *       `ATTACHMENT_MAX_FILE_BYTES` and its content type must be one of `ATTACHMENT_ALLOWED_TYPES`
+ *       (by default common image types, PDF, plain text, Markdown and CSV).
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The file, with its content type set in the part headers.
+ *     responses:
+ *       201:
+ *         description: File attached successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "File attached successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteAttachment'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       413:
+ *         description: The file is larger than the upload limit.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: The content type is not allowed. `details.allowedTypes` lists the allowed types.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: 'Unsupported attachment type "text/html".'
+ *               details:
+ *                 allowedTypes: [image/png, image/jpeg, application/pdf]
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attached file
+ *     description: "The file is always sent as a download (`Content-Disposition: attachment`). Its checksum is the ETag, so `If-None-Match` returns 304 if the file is unchanged."
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: attachmentId
+ *         in: path
+ *         required: true
+ *         description: ID of the attachment.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The file, with its stored content type.
+ *         headers:
+ *           Content-Disposition:
+ *             description: "`attachment` with the file name."
+ *             schema:
+ *               type: string
+ *           ETag:
+ *             description: The quoted SHA-256 checksum of the file.
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: The file matches the `If-None-Match` header.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Delete an attached file
+ *     description: Available to the owner and to users the note is shared with for editing. The file is removed from storage.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: attachmentId
+ *         in: path
+ *         required: true
+ *         description: ID of the attachment.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Attachment deleted successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/{id}/items:
+ *   get:
+ *     summary: List the checklist items of a note
+ *     description: Items are returned in their order. Available to everyone who can read the note.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved items.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Items retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteItem'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Add a checklist item to a note
+ *     description: Available to the owner and to users the note is shared with for editing. Every change to the items of a note bumps the note's version and `modified_at`. A note can have up to `NOTE_MAX_ITEMS` items (500 by default).
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateNoteItemRequest'
+ *     responses:
+ *       201:
+ *         description: Item created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Item created successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/items/order:
+ *   put:
+ *     summary: Reorder the checklist items of a note
+ *     description: Sets the order of all items at once. To move a single item, update its `position` instead.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [itemIds]
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 description: The IDs of all items of the note, each once, in their new order.
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Items reordered successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Items reordered successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/items/{itemId}:
+ *   patch:
+ *     summary: Update a checklist item
+ *     description: Changes only the fields sent. Setting `done` checks the item off (recording `completed_at`) or opens it again; `position` moves it.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         description: ID of the item.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateNoteItemRequest'
+ *     responses:
+ *       200:
+ *         description: Item updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Item updated successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteItem'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Delete a checklist item
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         description: ID of the item.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Item deleted successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The note is only shared with the user for reading.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/trash:
+ *   get:
+ *     summary: List trashed notes
+ *     description: Notes stay in the trash for the configured retention period (TRASH_RETENTION_DAYS) before they are purged.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved trashed notes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Trashed notes retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Note'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/restore:
+ *   post:
+ *     summary: Restore a note from the trash
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Note restored successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Note restored successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Note'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a note from the trash
+ *     description: Only notes in the trash can be permanently deleted, together with their attachments. This cannot be undone.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Note permanently deleted. No content returned for 204.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/{id}:
+ *   get:
+ *     summary: Get a single note
+ *     description: Returns a note the user owns or that is shared with them, with the user's `permission`, the headings, links and checklist items of its content in `metadata`, and the note version in the ETag header. Send it back as If-Match on update or delete.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: render
+ *         in: query
+ *         required: false
+ *         description: Set to `html` to also return the content rendered as sanitized HTML. Markdown notes are rendered as Markdown; plain text notes become paragraphs with their line breaks and links.
+ *         schema:
+ *           type: string
+ *           enum: [html]
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved note.
+ *         headers:
+ *           ETag:
+ *             description: Version of the note.
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Note retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteDetail'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notes/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a note
+ *     description: Every update, restore and delete stores the previous title and text as a revision. Newest first.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved revisions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Revisions retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NoteRevision'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/revisions/diff:
+ *   get:
+ *     summary: Show a word-level diff between two revisions of a note
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         description: ID of the older revision.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: to
+ *         in: query
+ *         required: false
+ *         description: ID of the newer revision. Defaults to the current note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully created diff.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Diff created successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/RevisionDiff'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/revisions/{revisionId}:
+ *   get:
+ *     summary: Get a single revision of a note
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: revisionId
+ *         in: path
+ *         required: true
+ *         description: ID of the revision.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved revision.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Revision retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NoteRevision'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notes/{id}/revisions/{revisionId}/restore:
+ *   post:
+ *     summary: Restore an old revision of a note
+ *     description: Applies the title and text of the revision as a new update. The replaced content is stored as a new revision.
+ *     tags: [Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the note.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: revisionId
+ *         in: path
+ *         required: true
+ *         description: ID of the revision.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Revision restored successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Revision restored successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Note'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+// All notes endpoints require authentication, and are rate-limited per user
+router.use(authMiddleware, rateLimit("api"));
+
+router
+  .route("/")
+  .get(getNotes)
+  .post(createNote)
+  .put(updateNote)
+  .delete(deleteNote);
+
+router.post("/bulk", bulkNotes);
+router.route("/changes").get(getNoteChanges).post(pushNoteChanges);
+router.get("/export", rateLimit("export"), exportNotes);
+router.post(
+  "/import",
+  rateLimit("import"),
+  uploadFile("file", { maxBytes: noteImportConfig.maxFileBytes }),
+  importNotes
+);
+router.get("/import/:jobId", getImportJob);
+router.get("/search", rateLimit("search"), searchNotes);
+router.get("/shared-with-me", getSharedWithMe);
+router.get("/trash", getTrash);
+router.get("/tags", listTags);
+router.patch("/tags/:tagId", renameTag);
+router.post("/:id/restore", restoreNote);
+router.delete("/:id/permanent", permanentlyDeleteNote);
+
+router.route("/:id/shares").get(listShares).post(createShare);
+router.route("/:id/shares/:shareId").patch(updateShare).delete(revokeShare);
+
+router.route("/:id/links").get(listPublicLinks).post(createPublicLink);
+router.delete("/:id/links/:linkId", revokePublicLink);
+
+router
+  .route("/:id/attachments")
+  .get(listAttachments)
+  .post(
+    uploadFile("file", { maxBytes: attachmentConfig.maxFileBytes }),
+    uploadAttachment
+  );
+router
+  .route("/:id/attachments/:attachmentId")
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
+router.route("/:id/items").get(listItems).post(createItem);
+router.put("/:id/items/order", reorderItems);
+router.route("/:id/items/:itemId").patch(updateItem).delete(deleteItem);
+
+router.get("/:id/revisions", listRevisions);
+router.get("/:id/revisions/diff", diffRevisions);
+router.get("/:id/revisions/:revisionId", getRevision);
+router.post("/:id/revisions/:revisionId/restore", restoreRevision);
 
-router.get("/search", searchNotes);
+// Single note lookup comes last so it does not shadow the fixed paths above.
+router.get("/:id", getNote);
 
 export default router;
@@ -0,0 +1,230 @@
+import { Router } from "express";
+import {
+  listNotebooks,
+  createNotebook,
+  getNotebookContents,
+  updateNotebook,
+  deleteNotebook,
+} from "../controllers/notebookController.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notebooks
+ *   description: Organising notes into nested notebooks
+ */
+
+/**
+ * @swagger
+ * /notebooks:
+ *   get:
+ *     summary: List all notebooks of the authenticated user
+ *     description: Returns a flat list. Nesting is expressed by `parent_id`.
+ *     tags: [Notebooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved notebooks.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notebooks retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notebook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Create a notebook
+ *     tags: [Notebooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateNotebookRequest'
+ *     responses:
+ *       201:
+ *         description: Notebook created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notebook created successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Notebook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Parent notebook not found or not owned by the user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notebooks/{id}:
+ *   get:
+ *     summary: Get a notebook with its contents
+ *     description: Returns the notebook, its sub-notebooks and its notes. With `recursive=true` the contents of all nested sub-notebooks are included.
+ *     tags: [Notebooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the notebook.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: recursive
+ *         in: query
+ *         required: false
+ *         description: Include all nested sub-notebooks and their notes.
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the notebook.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notebook retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/NotebookContents'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   patch:
+ *     summary: Rename or move a notebook
+ *     description: A notebook cannot be moved into itself or one of its sub-notebooks.
+ *     tags: [Notebooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the notebook.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateNotebookRequest'
+ *     responses:
+ *       200:
+ *         description: Notebook updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notebook updated successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Notebook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   delete:
+ *     summary: Delete a notebook
+ *     description: |
+ *       With `mode=root` (default) the notebook's notes and sub-notebooks are moved to the top level.
+ *       With `mode=cascade` all nested sub-notebooks are deleted too, and every note inside them is moved to the trash.
+ *     tags: [Notebooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the notebook.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: mode
+ *         in: query
+ *         required: false
+ *         description: What happens to the notebook's contents.
+ *         schema:
+ *           type: string
+ *           enum: [root, cascade]
+ *           default: root
+ *     responses:
+ *       200:
+ *         description: Notebook deleted successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notebook deleted successfully!" }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletedNotebooks: { type: integer, example: 3 }
+ *                     movedNotes: { type: integer, example: 0 }
+ *                     trashedNotes: { type: integer, example: 7 }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+// All notebook endpoints require authentication, and are rate-limited per user
+router.use(authMiddleware, rateLimit("api"));
+
+router.route("/").get(listNotebooks).post(createNotebook);
+
+router
+  .route("/:id")
+  .get(getNotebookContents)
+  .patch(updateNotebook)
+  .delete(deleteNotebook);
+
+export default router;
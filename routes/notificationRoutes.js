@@ -0,0 +1,237 @@
+import { Router } from "express";
+import {
+  listNotifications,
+  updateNotification,
+  markAllNotificationsRead,
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+} from "../controllers/notificationController.js";
+import { authMiddleware } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notifications feed and outgoing webhooks, fed by note reminders
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List the notifications of the authenticated user
+ *     description: Newest first. Notifications are created when the reminder of one of your notes fires; the reminder job checks for due reminders every REMINDER_POLL_INTERVAL_SECONDS (30 by default).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: unread
+ *         in: query
+ *         required: false
+ *         description: Only return unread (true) or read (false) notifications.
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved notifications.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notifications retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unreadCount:
+ *                   type: integer
+ *                   description: Number of unread notifications, regardless of the filter.
+ *                   example: 2
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notifications marked as read!" }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: integer, example: 2 }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notifications/{id}:
+ *   patch:
+ *     summary: Mark a notification read or unread
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the notification.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [read]
+ *             properties:
+ *               read:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Notification updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Notification updated successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Notification'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+/**
+ * @swagger
+ * /notifications/webhooks:
+ *   get:
+ *     summary: List your webhooks
+ *     description: Every notification is posted as JSON to all of your webhooks. Failed deliveries are retried with a growing delay, up to NOTIFICATION_MAX_ATTEMPTS times (5 by default).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved webhooks.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Webhooks retrieved successfully!" }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Add a webhook
+ *     description: The response holds the secret requests to the webhook are signed with; it is not shown again. URLs on localhost or private networks are refused, and a user can have up to WEBHOOK_MAX_PER_USER webhooks (5 by default).
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: The http or https URL to post notifications to.
+ *                 example: "https://example.com/hooks/notes"
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Webhook created successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *
+ * /notifications/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the webhook.
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: Webhook deleted successfully.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+// All notification endpoints require authentication, and are rate-limited per user
+router.use(authMiddleware, rateLimit("api"));
+
+router.get("/", listNotifications);
+router.post("/read-all", markAllNotificationsRead);
+router.route("/webhooks").get(listWebhooks).post(createWebhook);
+router.delete("/webhooks/:id", deleteWebhook);
+router.patch("/:id", updateNotification);
+
+export default router;
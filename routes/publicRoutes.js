@@ -0,0 +1,83 @@
+import { Router } from "express";
+import { getPublicNote } from "../controllers/publicLinkController.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public
+ *   description: Notes published through public links, no authentication required
+ */
+
+/**
+ * @swagger
+ * /public/notes/{token}:
+ *   get:
+ *     summary: Read a note through a public link
+ *     description: Does not require authentication. Requests are rate-limited per client IP. Password protected links expect the password in the X-Link-Password header.
+ *     tags: [Public]
+ *     security: []
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         description: Token of the public link.
+ *         schema:
+ *           type: string
+ *       - name: X-Link-Password
+ *         in: header
+ *         required: false
+ *         description: Password of the link, if it has one.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the note.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Note retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/PublicNote'
+ *       401:
+ *         description: The link is password protected and the password is missing or wrong.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Incorrect link password."
+ *       404:
+ *         description: The link does not exist, was revoked or has expired, or the note was deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Public link not found or has expired."
+ *       429:
+ *         description: Too many requests from this client. Retry after the number of seconds in the Retry-After header.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Too many requests. Please try again later."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
+// Public routes do not use authMiddleware, so they are rate-limited instead.
+router.use(rateLimit("public"));
+
+router.get("/notes/:token", getPublicNote);
+
+export default router;
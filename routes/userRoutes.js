@@ -2,9 +2,22 @@ import { Router } from "express";
 import {
   signup,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  getMe,
+  updateMe,
+  changePassword,
+  forgotPassword,
+  resetPassword,
   deleteCurrentUser,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
 } from "../controllers/userController.js";
 import { authMiddleware } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
 
 const router = Router();
 
@@ -69,10 +82,12 @@ const router = Router();
  *                 value:
  *                   status: "fail"
  *                   message: "Username already exists."
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post("/signup", signup);
+router.post("/signup", rateLimit("auth"), signup);
 
 /**
  * @swagger
@@ -80,7 +95,11 @@ router.post("/signup", signup);
  *   post:
  *     summary: Log in to an existing user account
  *     tags: [User]
- *     description: Authenticates a user and returns a JWT for subsequent API requests.
+ *     description: |
+ *       Authenticates a user and returns a short-lived JWT for subsequent API requests, plus a refresh token to get new JWTs.
+ *       Failed logins are slowed down progressively, and too many of them temporarily lock the username or block the client IP.
+ *       If the account has two-factor authentication enabled, the response carries a challenge token instead of the tokens;
+ *       send it with a code from the authenticator app to /user/login/2fa to finish logging in.
  *     requestBody:
  *       required: true
  *       content:
@@ -89,11 +108,13 @@ router.post("/signup", signup);
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: User logged in successfully.
+ *         description: User logged in successfully, or the password was right and a two-factor authentication code is required.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthSuccessResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthSuccessResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallengeResponse'
  *       400:
  *         description: Bad request (e.g., missing fields).
  *         content:
@@ -118,10 +139,573 @@ router.post("/signup", signup);
  *                 value:
  *                   status: "fail"
  *                   message: "Invalid credentials."
+ *       403:
+ *         description: Forbidden (the account is locked or needs a password reset).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               AccountLocked:
+ *                 summary: Account Locked
+ *                 value:
+ *                   status: "fail"
+ *                   message: "This account has been locked. Please contact an administrator."
+ *               PasswordResetRequired:
+ *                 summary: Password Reset Required
+ *                 value:
+ *                   status: "fail"
+ *                   message: "A password reset is required for this account. Please reset your password."
+ *       423:
+ *         description: |
+ *           Locked (too many failed logins for this username). The account can be used again after the lockout,
+ *           after a password reset, or when an administrator unlocks it. `Retry-After` tells when to try again.
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds until the lockout ends.
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Too many failed login attempts. This account is temporarily locked, please try again later."
+ *               code: "ACCOUNT_TEMPORARILY_LOCKED"
+ *               details:
+ *                 retryAfterSeconds: 900
+ *       429:
+ *         description: Too many requests (too many failed logins from this IP address, or the rate limit of the endpoint was reached).
+ *         headers:
+ *           Retry-After:
+ *             description: Seconds until logins from this IP address are accepted again.
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Too many failed login attempts from this IP address. Please try again later."
+ *               code: "TOO_MANY_LOGIN_ATTEMPTS"
+ *               details:
+ *                 retryAfterSeconds: 900
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/login", rateLimit("auth"), login);
+
+/**
+ * @swagger
+ * /user/login/2fa:
+ *   post:
+ *     summary: Finish a login with a two-factor authentication code
+ *     tags: [User]
+ *     description: |
+ *       Exchanges the challenge token returned by /user/login, together with a code from the authenticator app
+ *       or an unused recovery code, for the access and refresh tokens. Each code works once. Wrong codes count as
+ *       failed logins and can lock the username or block the client IP, like wrong passwords.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLoginRequest'
+ *     responses:
+ *       200:
+ *         description: User logged in successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthSuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: The challenge token is invalid or expired, or the code is wrong or already used.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               ExpiredChallenge:
+ *                 summary: Invalid or Expired Challenge
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Invalid or expired two-factor challenge. Please log in again."
+ *               WrongCode:
+ *                 summary: Wrong Code
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Invalid credentials."
+ *       403:
+ *         description: The account has been locked by an administrator or requires a password reset.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: Locked (too many failed logins for this username). `Retry-After` tells when to try again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/login/2fa", rateLimit("auth"), loginTwoFactor);
+
+/**
+ * @swagger
+ * /user/refresh:
+ *   post:
+ *     summary: Get a new access token with a refresh token
+ *     tags: [User]
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token. Each refresh token
+ *       can only be used once. Using a refresh token again revokes the whole session, since it means
+ *       the token has leaked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefreshResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Unauthorized (invalid, expired, revoked or reused refresh token).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               InvalidRefreshToken:
+ *                 summary: Invalid or Expired Refresh Token
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Invalid or expired refresh token. Please log in again."
+ *               ReusedRefreshToken:
+ *                 summary: Refresh Token Reused
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Refresh token has already been used. The session has been revoked, please log in again."
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/refresh", rateLimit("auth"), refresh);
+
+/**
+ * @swagger
+ * /user/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [User]
+ *     description: Revokes the session of the access token. Its access token and refresh tokens stop working immediately.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Logged out successfully. No content.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/logout", authMiddleware, rateLimit("api"), logout);
+
+/**
+ * @swagger
+ * /user/logout-all:
+ *   post:
+ *     summary: Log out of all sessions
+ *     tags: [User]
+ *     description: Revokes every session of the authenticated user, on all devices.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Logged out of all sessions successfully. No content.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/logout-all", authMiddleware, rateLimit("api"), logoutAll);
+
+/**
+ * @swagger
+ * /user/me:
+ *   get:
+ *     summary: Get the profile of the authenticated user
+ *     tags: [User]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Profile retrieved successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/UserProfile'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   patch:
+ *     summary: Update the profile of the authenticated user
+ *     tags: [User]
+ *     description: Changes the username and/or email address. The email address is where password reset emails are sent.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateProfileRequest'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Profile updated successfully!" }
+ *                 data:
+ *                   $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Conflict (username or email address already in use).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               UsernameTaken:
+ *                 summary: Username Already Exists
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Username already exists."
+ *               EmailTaken:
+ *                 summary: Email Already In Use
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Email address is already in use."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get("/me", authMiddleware, rateLimit("api"), getMe);
+router.patch("/me", authMiddleware, rateLimit("api"), updateMe);
+
+/**
+ * @swagger
+ * /user/change-password:
+ *   post:
+ *     summary: Change the password of the authenticated user
+ *     tags: [User]
+ *     description: |
+ *       Requires the current password. Every existing session is revoked, so old access and refresh tokens
+ *       stop working. The response carries new tokens for the client that changed the password.
+ *       A wrong current password counts as a failed login, with the same delays and lockouts.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefreshResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Unauthorized (missing or invalid token, or wrong current password).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               WrongPassword:
+ *                 summary: Wrong Current Password
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Current password is incorrect."
+ *       423:
+ *         description: Locked (too many failed logins for this username). `Retry-After` tells when to try again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  "/change-password",
+  authMiddleware,
+  rateLimit("api"),
+  changePassword
+);
+
+/**
+ * @swagger
+ * /user/2fa/setup:
+ *   post:
+ *     summary: Start setting up two-factor authentication
+ *     tags: [User]
+ *     description: |
+ *       Generates a new TOTP secret for the authenticated user. Add it to an authenticator app (usually by scanning
+ *       the otpauth URI as a QR code), then confirm it with /user/2fa/verify. Until then two-factor authentication
+ *       stays off, and calling this again replaces the secret.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Add the secret to your authenticator app, then confirm it with a code." }
+ *                 data:
+ *                   $ref: '#/components/schemas/TwoFactorSetup'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Two-factor authentication is already enabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Two-factor authentication is already enabled."
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/2fa/setup", authMiddleware, rateLimit("api"), setupTwoFactor);
+
+/**
+ * @swagger
+ * /user/2fa/verify:
+ *   post:
+ *     summary: Confirm the setup of two-factor authentication
+ *     tags: [User]
+ *     description: |
+ *       Enables two-factor authentication once a code from the authenticator app matches the secret from /user/2fa/setup.
+ *       The response carries one-time recovery codes for logging in without the app. They are stored hashed,
+ *       so this is the only time they are shown.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyTwoFactorRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Two-factor authentication enabled! Store the recovery codes somewhere safe, they are only shown once." }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["k3j9d-x2m4q", "p7w2n-c5v8b"]
+ *       400:
+ *         description: The code is wrong, the request body is invalid, or the setup was not started.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Invalid two-factor authentication code."
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Two-factor authentication is already enabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/2fa/verify", authMiddleware, rateLimit("api"), verifyTwoFactor);
+
+/**
+ * @swagger
+ * /user/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [User]
+ *     description: |
+ *       Requires the current password. The TOTP secret and all recovery codes are deleted.
+ *       A wrong password counts as a failed login, with the same delays and lockouts.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableTwoFactorRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Two-factor authentication disabled." }
+ *       400:
+ *         description: Two-factor authentication is not enabled, or the request body is invalid.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized (missing or invalid token, or wrong password).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               status: "fail"
+ *               message: "Password is incorrect."
+ *       423:
+ *         description: Locked (too many failed logins for this username). `Retry-After` tells when to try again.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/2fa/disable", authMiddleware, rateLimit("api"), disableTwoFactor);
+
+/**
+ * @swagger
+ * /user/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [User]
+ *     description: |
+ *       Mails a single-use, expiring reset token to the email address of the account. The response is the same
+ *       whether or not the account exists, so it cannot be used to find out which usernames or emails are registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       202:
+ *         description: Request accepted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "If the account exists and has an email address, a password reset email has been sent." }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post("/forgot-password", rateLimit("auth"), forgotPassword);
+
+/**
+ * @swagger
+ * /user/reset-password:
+ *   post:
+ *     summary: Reset a password with a reset token
+ *     tags: [User]
+ *     description: Sets a new password. Every session of the user is revoked, so they have to log in again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "success" }
+ *                 message: { type: string, example: "Password reset successfully! Please log in with your new password." }
+ *       400:
+ *         description: Bad request (invalid input, or an unknown, used or expired token).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             examples:
+ *               InvalidToken:
+ *                 summary: Invalid or Expired Token
+ *                 value:
+ *                   status: "fail"
+ *                   message: "Invalid or expired password reset token."
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post("/login", login);
+router.post("/reset-password", rateLimit("auth"), resetPassword);
 
 /**
  * @swagger
@@ -129,7 +713,9 @@ router.post("/login", login);
  *   delete:
  *     summary: Delete the authenticated user's account
  *     tags: [User]
- *     description: Permanently deletes the account of the authenticated user and all associated notes.
+ *     description: |
+ *       Permanently deletes the account of the authenticated user and all associated notes and attachments.
+ *       Download a copy of your notes with `GET /notes/export` first, as they cannot be recovered.
  *     security:
  *       - bearerAuth: [] # This endpoint requires JWT authentication
  *     responses:
@@ -172,6 +758,6 @@ router.post("/login", login);
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.delete("/delete", authMiddleware, deleteCurrentUser);
+router.delete("/delete", authMiddleware, rateLimit("api"), deleteCurrentUser);
 
 export default router;
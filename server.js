@@ -1,42 +1,48 @@
-import express from "express";
-import dotenv from "dotenv";
-import cors from "cors";
-import userRoutes from "./routes/userRoutes.js";
-import noteRoutes from "./routes/noteRoutes.js";
-import { errorHandler } from "./middleware/errorHandler.js";
-import swaggerUi from "swagger-ui-express";
-import swaggerSpec from "./config/swaggerConfig.js";
+import app from "./app.js";
+import { startTrashPurgeJob } from "./jobs/trashPurgeJob.js";
+import { startReminderJob } from "./jobs/reminderJob.js";
+import { trashConfig } from "./config/trash.js";
+import { notificationConfig } from "./config/notifications.js";
+import { migrationConfig } from "./config/migrations.js";
+import { migrateUp } from "./utils/migrator.js";
+import { failStaleImportJobsService } from "./services/noteImportService.js";
 
-// Load environment variables from a .env file into process.env.
-dotenv.config();
-
-// Initialize the Express application.
-const app = express();
 // Define the port for the server to listen on, using environment variable or defaulting to 5000.
 const PORT = process.env.PORT || 5000;
 
-// Middleware to parse JSON bodies from incoming requests.
-app.use(express.json());
-
-// Middleware to enable Cross-Origin Resource Sharing (CORS).
-app.use(cors());
-
-// Routes
-app.use("/api/user", userRoutes);
-app.use("/api/notes", noteRoutes);
-
-// Serve Swagger API documentation.
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-// Start page
-app.get("/", (req, res) => {
-  res.send("Swing Notes API is running!");
-});
-
-// Global error handling middleware.
-app.use(errorHandler);
+// Bring the database schema up to date before accepting requests, if enabled.
+if (migrationConfig.runOnStartup) {
+  try {
+    await migrateUp();
+  } catch (error) {
+    console.error("FATAL ERROR: Database migration failed:", error.message);
+    process.exit(1);
+  }
+}
 
 // Start the Express server.
 app.listen(PORT, () => {
   console.log(`Open http://localhost:${PORT}`);
+
+  // Start the background job that purges notes from the trash after the retention period.
+  if (trashConfig.purgeIntervalMinutes > 0) {
+    startTrashPurgeJob();
+  }
+
+  // Fail the background imports a previous run of the server left unfinished, so they are not reported as
+  // running forever.
+  failStaleImportJobsService()
+    .then((failed) => {
+      if (failed > 0) {
+        console.log(`Note imports: failed ${failed} interrupted import(s).`);
+      }
+    })
+    .catch((error) =>
+      console.error("Failing interrupted imports failed:", error.message)
+    );
+
+  // Start the background job that fires due reminders and delivers their notifications.
+  if (notificationConfig.pollIntervalSeconds > 0) {
+    startReminderJob();
+  }
 });
@@ -0,0 +1,271 @@
+import {
+  findUserById,
+  searchUsers,
+  setUserLocked,
+  setPasswordResetRequired,
+  deleteUser,
+} from "../models/userModel.js";
+import { deleteSharesForUser } from "../models/noteShareModel.js";
+import { getStorageKeysByUserId } from "../models/noteAttachmentModel.js";
+import { deleteAttachmentFiles } from "./noteAttachmentService.js";
+import { revokeAllSessionsForUser } from "../models/sessionModel.js";
+import { createAuditLog, getAuditLogs } from "../models/auditLogModel.js";
+import {
+  usernameAttemptKey,
+  clearLoginAttempts,
+} from "../models/loginAttemptModel.js";
+import { getUsageStats } from "../models/statsModel.js";
+import { withTransaction } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+
+/**
+ * Decodes a cursor of the admin listings, which are ordered by creation time and ID.
+ * @param {string} [cursor] - The cursor received from the client.
+ * @returns {object | null} The `{ value, id }` position, or null for the first page.
+ * @throws {AppError} If the cursor is malformed.
+ */
+const toPosition = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  const payload = decodeCursor(cursor);
+  if (
+    typeof payload.value !== "string" ||
+    !/^[0-9a-f-]{36}$/i.test(payload.id)
+  ) {
+    throw new AppError("Invalid pagination cursor.", 400);
+  }
+  return { value: payload.value, id: payload.id };
+};
+
+/**
+ * Throws a 404 if an admin action did not find its target user.
+ * @param {object | null} user - The user returned by the model, or null.
+ * @returns {object} The user.
+ * @throws {AppError} If the user is not found.
+ */
+const assertUserFound = (user) => {
+  if (!user) {
+    throw new AppError("User not found.", 404);
+  }
+  return user;
+};
+
+/**
+ * Makes sure an administrator does not perform an action on their own account.
+ * @param {object} actor - The administrator, with `id`.
+ * @param {string} userId - The ID of the target user.
+ * @param {string} action - The action, used in the error message (e.g., "lock").
+ * @throws {AppError} If the target is the administrator themselves.
+ */
+const assertNotSelf = (actor, userId, action) => {
+  if (actor.id === userId) {
+    throw new AppError(`You cannot ${action} your own account.`, 400);
+  }
+};
+
+/**
+ * Lists users, newest first, with optional username search and role/lock filters.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {object} query - Validated query parameters (search, role, locked, limit, cursor).
+ * @returns {Promise<object>} - `{ users, total, nextCursor }`.
+ * @throws {AppError} If the cursor is invalid or retrieval fails.
+ */
+export const listUsersService = async (actor, query) => {
+  const { search, role, locked, limit, cursor } = query;
+  const page = await searchUsers({
+    search,
+    role,
+    locked,
+    limit,
+    cursor: toPosition(cursor),
+  });
+
+  await createAuditLog({
+    actorId: actor.id,
+    action: "list_users",
+    details: { search, role, locked },
+    ip: actor.ip,
+  });
+
+  return {
+    users: page.users,
+    total: page.total,
+    nextCursor: page.nextCursor ? encodeCursor(page.nextCursor) : null,
+  };
+};
+
+/**
+ * Retrieves a single user.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} - The user object.
+ * @throws {AppError} If the user is not found.
+ */
+export const getUserService = async (actor, userId) => {
+  const user = assertUserFound(await findUserById(userId));
+
+  await createAuditLog({
+    actorId: actor.id,
+    action: "view_user",
+    targetUserId: userId,
+    ip: actor.ip,
+  });
+
+  return user;
+};
+
+/**
+ * Locks or unlocks a user account. Locking also ends every session of the user.
+ * Unlocking also lifts a temporary lockout after failed logins.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {string} userId - The ID of the user.
+ * @param {boolean} locked - True to lock the account, false to unlock it.
+ * @returns {Promise<object>} - The updated user object.
+ * @throws {AppError} If the user is not found, or an administrator tries to lock their own account.
+ */
+export const setUserLockedService = async (actor, userId, locked) => {
+  if (locked) {
+    assertNotSelf(actor, userId, "lock");
+  }
+
+  return withTransaction(async (client) => {
+    const user = assertUserFound(await setUserLocked(userId, locked, client));
+    if (locked) {
+      await revokeAllSessionsForUser(userId, client);
+    } else {
+      await clearLoginAttempts([usernameAttemptKey(user.username)], client);
+    }
+
+    await createAuditLog(
+      {
+        actorId: actor.id,
+        action: locked ? "lock_user" : "unlock_user",
+        targetUserId: userId,
+        ip: actor.ip,
+      },
+      client
+    );
+
+    return user;
+  });
+};
+
+/**
+ * Requires a user to reset their password before they can log in again, and ends every session of the user.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} - The updated user object.
+ * @throws {AppError} If the user is not found, or an administrator targets their own account.
+ */
+export const forcePasswordResetService = async (actor, userId) => {
+  assertNotSelf(actor, userId, "force a password reset on");
+
+  return withTransaction(async (client) => {
+    const user = assertUserFound(
+      await setPasswordResetRequired(userId, true, client)
+    );
+    await revokeAllSessionsForUser(userId, client);
+
+    await createAuditLog(
+      {
+        actorId: actor.id,
+        action: "force_password_reset",
+        targetUserId: userId,
+        ip: actor.ip,
+      },
+      client
+    );
+
+    return user;
+  });
+};
+
+/**
+ * Deletes any user account, like `deleteUserAccount` does for the user themselves.
+ * The username is kept in the audit log entry, since the user row is gone afterwards.
+ * The attachment files of the user's notes are removed from storage once the deletion is committed.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<boolean>} - True if the user was deleted.
+ * @throws {AppError} If the user is not found, or an administrator tries to delete their own account.
+ */
+export const deleteUserService = async (actor, userId) => {
+  assertNotSelf(actor, userId, "delete");
+
+  const storageKeys = await withTransaction(async (client) => {
+    const user = assertUserFound(await findUserById(userId, client));
+    const keys = await getStorageKeysByUserId(userId, client);
+
+    await deleteSharesForUser(userId, client);
+    await deleteUser(userId, client);
+
+    await createAuditLog(
+      {
+        actorId: actor.id,
+        action: "delete_user",
+        targetUserId: userId,
+        details: { username: user.username, noteCount: user.note_count },
+        ip: actor.ip,
+      },
+      client
+    );
+
+    return keys;
+  });
+
+  await deleteAttachmentFiles(storageKeys);
+  return true;
+};
+
+/**
+ * Retrieves usage statistics across all users.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {number} days - The number of days counted as "recent" for sign-ups and new notes.
+ * @returns {Promise<object>} - The statistics, grouped by resource.
+ * @throws {AppError} If retrieval fails.
+ */
+export const getStatsService = async (actor, days) => {
+  const stats = await getUsageStats(days);
+
+  await createAuditLog({
+    actorId: actor.id,
+    action: "view_stats",
+    details: { days },
+    ip: actor.ip,
+  });
+
+  return { recentDays: days, ...stats };
+};
+
+/**
+ * Retrieves a page of the audit trail, newest first.
+ * @param {object} actor - The administrator performing the action, with `id` and `ip`.
+ * @param {object} query - Validated query parameters (action, actorId, targetUserId, limit, cursor).
+ * @returns {Promise<object>} - `{ entries, total, nextCursor }`.
+ * @throws {AppError} If the cursor is invalid or retrieval fails.
+ */
+export const getAuditLogService = async (actor, query) => {
+  const { action, actorId, targetUserId, limit, cursor } = query;
+  const page = await getAuditLogs({
+    action,
+    actorId,
+    targetUserId,
+    limit,
+    cursor: toPosition(cursor),
+  });
+
+  await createAuditLog({
+    actorId: actor.id,
+    action: "view_audit_log",
+    details: { action, actorId, targetUserId },
+    ip: actor.ip,
+  });
+
+  return {
+    entries: page.entries,
+    total: page.total,
+    nextCursor: page.nextCursor ? encodeCursor(page.nextCursor) : null,
+  };
+};
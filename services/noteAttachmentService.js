@@ -0,0 +1,193 @@
+import crypto from "crypto";
+import {
+  createAttachment,
+  getAttachmentsByNoteId,
+  getAttachmentById,
+  deleteAttachment,
+} from "../models/noteAttachmentModel.js";
+import { getAccessibleNoteById } from "../models/noteModel.js";
+import { getStorageDriver } from "../storage/storage.js";
+import { attachmentConfig } from "../config/attachments.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Retrieves a note the user owns or that is shared with them, and makes sure they may change it if needed.
+ * Attachments of notes in the trash are not accessible until the note is restored.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options] - Optional settings.
+ * @param {boolean} [options.edit=false] - Whether the user is changing the attachments.
+ * @returns {Promise<object>} - The note object.
+ * @throws {AppError} 404 if the note is not found or not accessible, 403 if it is only shared for reading and
+ *                    `edit` is set.
+ */
+const findNoteOrFail = async (noteId, userId, { edit = false } = {}) => {
+  const note = await getAccessibleNoteById(noteId, userId);
+  if (!note) {
+    throw new AppError(
+      "Note not found or you do not have permission to access it.",
+      404
+    );
+  }
+  if (edit && note.permission === "read") {
+    throw new AppError(
+      "You only have read access to this note and cannot change its attachments.",
+      403
+    );
+  }
+  return note;
+};
+
+/**
+ * Retrieves an attachment and throws a 404 if it does not exist or belongs to another note.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<object>} - The attachment object, with its storage key.
+ * @throws {AppError} If the attachment is not found.
+ */
+const findAttachmentOrFail = async (attachmentId, noteId) => {
+  const attachment = await getAttachmentById(attachmentId, noteId);
+  if (!attachment) {
+    throw new AppError("Attachment not found.", 404);
+  }
+  return attachment;
+};
+
+/**
+ * Turns the name of an uploaded file into a safe display name: folders, control characters and
+ * quotes are dropped and the name is cut to fit the database column.
+ * @param {string | undefined} originalName - The file name sent by the client.
+ * @returns {string} The file name.
+ */
+const toFileName = (originalName) => {
+  const name = (originalName || "")
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim()
+    .slice(0, 255);
+  return name || "attachment";
+};
+
+/**
+ * Removes the files of deleted attachments from storage. Failures are logged and do not fail the caller,
+ * since the attachment rows are already gone; at worst a file is left behind.
+ * @param {Array<string>} storageKeys - The storage keys of the files.
+ * @returns {Promise<void>}
+ */
+export const deleteAttachmentFiles = async (storageKeys) => {
+  const driver = getStorageDriver();
+  for (const key of storageKeys) {
+    try {
+      await driver.delete(key);
+    } catch (error) {
+      console.error(
+        `Could not delete attachment file "${key}":`,
+        error.message
+      );
+    }
+  }
+};
+
+/**
+ * Lists the attachments of a note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of a user who can read the note.
+ * @returns {Promise<Array<object>>} - An array of attachment objects, oldest first.
+ * @throws {AppError} If the note is not found or not accessible to the user.
+ */
+export const listAttachmentsService = async (noteId, userId) => {
+  await findNoteOrFail(noteId, userId);
+  return getAttachmentsByNoteId(noteId);
+};
+
+/**
+ * Attaches an uploaded file to a note. The content is saved through the storage driver and its
+ * SHA-256 checksum is stored with the metadata.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of a user who can edit the note.
+ * @param {object} file - The upload: `{ fileName, contentType, data }`, where `data` is a Buffer.
+ * @returns {Promise<object>} - The created attachment object.
+ * @throws {AppError} If the note is not found or not editable by the user (404/403), the content type is not
+ *                    allowed (415), or the file cannot be saved.
+ */
+export const uploadAttachmentService = async (
+  noteId,
+  userId,
+  { fileName, contentType, data }
+) => {
+  await findNoteOrFail(noteId, userId, { edit: true });
+
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (!attachmentConfig.allowedTypes.includes(type)) {
+    throw new AppError(
+      `Unsupported attachment type "${type || "unknown"}".`,
+      415,
+      { allowedTypes: attachmentConfig.allowedTypes }
+    );
+  }
+
+  const id = crypto.randomUUID();
+  const storageKey = `${noteId}/${id}`;
+  await getStorageDriver().put(storageKey, data);
+  try {
+    return await createAttachment({
+      id,
+      noteId,
+      uploaderId: userId,
+      fileName: toFileName(fileName),
+      contentType: type,
+      size: data.length,
+      checksum: crypto.createHash("sha256").update(data).digest("hex"),
+      storageKey,
+    });
+  } catch (error) {
+    await deleteAttachmentFiles([storageKey]);
+    throw error;
+  }
+};
+
+/**
+ * Opens the content of an attachment for download.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @param {string} userId - The ID of a user who can read the note.
+ * @returns {Promise<object>} `{ attachment, stream }`, where `stream` is a readable stream of the content.
+ * @throws {AppError} If the note or attachment is not found (404), or the file is missing from storage (500).
+ */
+export const getAttachmentContentService = async (
+  noteId,
+  attachmentId,
+  userId
+) => {
+  await findNoteOrFail(noteId, userId);
+  const { storage_key: storageKey, ...attachment } = await findAttachmentOrFail(
+    attachmentId,
+    noteId
+  );
+
+  const stream = await getStorageDriver().get(storageKey);
+  if (!stream) {
+    console.error(`Attachment file "${storageKey}" is missing from storage.`);
+    throw new AppError("The attachment file could not be read.", 500);
+  }
+  return { attachment, stream };
+};
+
+/**
+ * Deletes an attachment and its file.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @param {string} userId - The ID of a user who can edit the note.
+ * @returns {Promise<boolean>} - True if deletion is successful.
+ * @throws {AppError} If the note or attachment is not found (404), or the note is not editable by the user (403).
+ */
+export const deleteAttachmentService = async (noteId, attachmentId, userId) => {
+  await findNoteOrFail(noteId, userId, { edit: true });
+  const storageKey = await deleteAttachment(attachmentId, noteId);
+  if (!storageKey) {
+    throw new AppError("Attachment not found.", 404);
+  }
+  await deleteAttachmentFiles([storageKey]);
+  return true;
+};
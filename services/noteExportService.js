@@ -0,0 +1,217 @@
+import { withTransaction } from "../config/db.js";
+import { noteExportConfig } from "../config/noteExport.js";
+import {
+  openNoteExportCursor,
+  fetchNoteExportBatch,
+} from "../models/noteModel.js";
+import { createZipWriter } from "../utils/zip.js";
+
+/**
+ * Converts a note row to the portable form every export format is built from.
+ * @param {object} row - The note, with `notebook_path`.
+ * @returns {object} `{ id, title, text, content_format, tags, notebook, notebook_id, version, created_at,
+ *                   modified_at }`,
+ *                   where `notebook` is the notebook path (e.g., "Work/Projects") or null.
+ */
+const toExportNote = (row) => ({
+  id: row.id,
+  title: row.title,
+  text: row.text,
+  content_format: row.content_format,
+  tags: row.tags,
+  notebook: row.notebook_path,
+  notebook_id: row.notebook_id,
+  version: row.version,
+  created_at: new Date(row.created_at).toISOString(),
+  modified_at: new Date(row.modified_at).toISOString(),
+});
+
+/**
+ * Creates the JSON writer: one object with the export metadata and a `notes` array, one note per line.
+ * @param {function(string|Buffer): Promise<void>} write - Writes a chunk of the export.
+ * @returns {{ start: function(): Promise<void>, addNote: function(object): Promise<void>, finish: function(): Promise<void> }}
+ */
+const createJsonWriter = (write) => {
+  let separator = "\n";
+  return {
+    start: () => {
+      const exportedAt = JSON.stringify(new Date().toISOString());
+      return write(
+        `{"format":"swing-notes","version":1,"exported_at":${exportedAt},"notes":[`
+      );
+    },
+    addNote: (note) => {
+      const chunk = `${separator}${JSON.stringify(note)}`;
+      separator = ",\n";
+      return write(chunk);
+    },
+    finish: () => write("\n]}\n"),
+  };
+};
+
+/**
+ * Quotes a CSV field if it holds a separator, quote or line break (RFC 4180). Fields that spreadsheets would
+ * run as a formula (starting with `=`, `+`, `-`, `@`, a tab or a carriage return) are prefixed with `'`, so
+ * opening an export cannot run what someone wrote in a note.
+ * @param {*} value - The field value.
+ * @returns {string} The field.
+ */
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  const field = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+// Columns of the CSV export, in order; the header row uses these names.
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "text",
+  "content_format",
+  "tags",
+  "notebook",
+  "notebook_id",
+  "version",
+  "created_at",
+  "modified_at",
+];
+
+/**
+ * Creates the CSV writer: a header row and one row per note, with the tags separated by semicolons.
+ * @param {function(string|Buffer): Promise<void>} write - Writes a chunk of the export.
+ * @returns {{ start: function(): Promise<void>, addNote: function(object): Promise<void>, finish: function(): Promise<void> }}
+ */
+const createCsvWriter = (write) => ({
+  start: () => write(`${CSV_COLUMNS.join(",")}\r\n`),
+  addNote: (note) =>
+    write(
+      `${CSV_COLUMNS.map((column) =>
+        toCsvField(column === "tags" ? note.tags.join(";") : note[column])
+      ).join(",")}\r\n`
+    ),
+  finish: async () => {},
+});
+
+/**
+ * Makes a title or notebook name safe to use as a file or folder name on common file systems.
+ * @param {string} name - The name.
+ * @returns {string} The name without path separators and reserved characters; "Untitled" if nothing is left.
+ */
+const toFileName = (name) =>
+  name
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, "-")
+    .replace(/^[\s.]+|[\s.]+$/g, "")
+    .slice(0, 100) || "Untitled";
+
+/**
+ * Formats a note as Markdown with YAML front matter. Values are written as double-quoted YAML strings
+ * (JSON string syntax), so titles with colons or quotes stay intact. Plain text notes are marked as such,
+ * so importing the file does not turn them into Markdown notes.
+ * @param {object} note - The note, as returned by `toExportNote`.
+ * @returns {string} The Markdown document.
+ */
+const toMarkdown = (note) => {
+  const frontMatter = [
+    `id: ${JSON.stringify(note.id)}`,
+    `title: ${JSON.stringify(note.title)}`,
+    `created_at: ${JSON.stringify(note.created_at)}`,
+    `modified_at: ${JSON.stringify(note.modified_at)}`,
+    `tags: ${JSON.stringify(note.tags)}`,
+    `notebook: ${JSON.stringify(note.notebook)}`,
+  ];
+  if (note.content_format !== "markdown") {
+    frontMatter.push(`content_format: ${JSON.stringify(note.content_format)}`);
+  }
+  return `---\n${frontMatter.join("\n")}\n---\n\n${note.text}\n`;
+};
+
+/**
+ * Creates the Markdown writer: a zip archive with one `.md` file per note, in folders named after
+ * the note's notebook path. Notes with the same title in the same folder get a number appended.
+ * @param {function(string|Buffer): Promise<void>} write - Writes a chunk of the export.
+ * @returns {{ start: function(): Promise<void>, addNote: function(object): Promise<void>, finish: function(): Promise<void> }}
+ */
+const createMarkdownWriter = (write) => {
+  const zip = createZipWriter(write);
+  const usedPaths = new Set();
+
+  const uniquePath = (folder, title) => {
+    const base = `${folder}${toFileName(title)}`;
+    let path = `${base}.md`;
+    for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+      path = `${base} (${n}).md`;
+    }
+    usedPaths.add(path.toLowerCase());
+    return path;
+  };
+
+  return {
+    start: async () => {},
+    addNote: (note) => {
+      const folder = note.notebook
+        ? `${note.notebook.split("/").map(toFileName).join("/")}/`
+        : "";
+      return zip.addFile(
+        uniquePath(folder, note.title),
+        toMarkdown(note),
+        new Date(note.modified_at)
+      );
+    },
+    finish: () => zip.finish(),
+  };
+};
+
+/**
+ * Export formats with their content type, file extension and writer.
+ */
+export const EXPORT_FORMATS = {
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    createWriter: createJsonWriter,
+  },
+  markdown: {
+    contentType: "application/zip",
+    extension: "zip",
+    createWriter: createMarkdownWriter,
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    createWriter: createCsvWriter,
+  },
+};
+
+/**
+ * Exports every note of a user that is not in the trash, oldest first. The notes are read from a database
+ * cursor in batches and written out as they are read, so exports never hold all notes in memory.
+ * @param {string} userId - The ID of the user.
+ * @param {string} format - A key of `EXPORT_FORMATS`.
+ * @param {function(string|Buffer): Promise<void>} write - Writes a chunk of the export and resolves once
+ *                                                         more can be written; rejecting stops the export.
+ * @returns {Promise<number>} The number of exported notes.
+ * @throws {AppError} If there is a database error.
+ */
+export const exportNotesService = (userId, format, write) =>
+  withTransaction(async (client) => {
+    await openNoteExportCursor(userId, client);
+
+    const writer = EXPORT_FORMATS[format].createWriter(write);
+    await writer.start();
+    let count = 0;
+    for (;;) {
+      const rows = await fetchNoteExportBatch(
+        noteExportConfig.batchSize,
+        client
+      );
+      if (rows.length === 0) {
+        break;
+      }
+      for (const row of rows) {
+        await writer.addNote(toExportNote(row));
+        count++;
+      }
+    }
+    await writer.finish();
+    return count;
+  });
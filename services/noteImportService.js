@@ -0,0 +1,554 @@
+import path from "path";
+import YAML from "yamljs";
+import { noteImportConfig } from "../config/noteImport.js";
+import {
+  createImportJob,
+  getImportJobByIdAndUserId,
+  markImportJobRunning,
+  updateImportJobProgress,
+  finishImportJob,
+  touchImportJob,
+  failStaleImportJobs,
+} from "../models/noteImportJobModel.js";
+import { findNotebookByName } from "../models/notebookModel.js";
+import { createNotebookService } from "./notebookService.js";
+import { importNoteService } from "./noteService.js";
+import { AppError } from "../utils/appError.js";
+import { readZip } from "../utils/zip.js";
+import {
+  validate,
+  createNoteSchema,
+  createNotebookSchema,
+} from "../utils/validation.js";
+
+/**
+ * File formats that can be imported, with the file extension each is recognised by.
+ */
+export const IMPORT_FORMATS = {
+  json: ".json",
+  markdown: ".zip",
+  enex: ".enex",
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Number of items between two progress updates of a running job.
+const PROGRESS_INTERVAL = 25;
+
+// The error recorded on imports that were interrupted.
+const INTERRUPTED_MESSAGE =
+  "The import was interrupted, e.g. by a server restart. Upload the file again.";
+
+/**
+ * Turns a timestamp of an imported note into a date.
+ * @param {*} value - A Date, or a string in any format `Date` understands.
+ * @returns {Date | null} The date, or null if the value is missing or not a valid date.
+ */
+const toDate = (value) => {
+  if (!(value instanceof Date) && typeof value !== "string") {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Picks the ID of an imported note, if it has a valid one.
+ * @param {*} value - The ID.
+ * @returns {string | null} The ID, or null.
+ */
+const toNoteId = (value) =>
+  typeof value === "string" && UUID_PATTERN.test(value) ? value : null;
+
+/**
+ * Reads the notes of a JSON file: an export of this API (`{ notes: [...] }`) or a plain array of notes.
+ * Notes use the fields of the export (`title`, `text`, `content_format`, `tags`, `notebook`, `id`, `created_at`,
+ * `modified_at`).
+ * @param {Buffer} buffer - The file.
+ * @returns {Array<object>} The items, see `parseImportFile`.
+ * @throws {Error} If the file is not JSON or holds no list of notes.
+ */
+const parseJsonFile = (buffer) => {
+  const data = JSON.parse(buffer.toString("utf8"));
+  const notes = Array.isArray(data) ? data : data?.notes;
+  if (!Array.isArray(notes)) {
+    throw new Error(
+      "The JSON file must hold an array of notes or an object with a notes array."
+    );
+  }
+  return notes.map((note, index) => {
+    const source = `notes[${index}]`;
+    if (!note || typeof note !== "object" || Array.isArray(note)) {
+      return { source, error: "Item is not a note object." };
+    }
+    return {
+      source,
+      id: toNoteId(note.id),
+      title: note.title,
+      text: note.text,
+      contentFormat: note.content_format ?? note.contentFormat,
+      tags: note.tags,
+      notebook: note.notebook ?? null,
+      createdAt: toDate(note.created_at ?? note.createdAt),
+      modifiedAt: toDate(note.modified_at ?? note.modifiedAt),
+    };
+  });
+};
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+/**
+ * Reads one Markdown file of a zip archive as a Markdown note. YAML front matter can set the `title`, `tags`,
+ * `notebook`, `id`, `content_format`, `created_at` and `modified_at`; without it, the title is the file name,
+ * the notebook is the folder and the time of the zip entry is kept as the modification time.
+ * @param {object} file - `{ name, modifiedAt, content }` from `readZip`.
+ * @returns {object} The item, see `parseImportFile`.
+ */
+const parseMarkdownFile = ({ name, modifiedAt, content }) => {
+  const markdown = content.toString("utf8").replace(/^\uFEFF/, "");
+  const match = FRONT_MATTER.exec(markdown);
+  let meta = {};
+  if (match) {
+    try {
+      meta = YAML.parse(match[1]) || {};
+    } catch (error) {
+      return { source: name, error: "Invalid front matter." };
+    }
+    if (typeof meta !== "object" || Array.isArray(meta)) {
+      return { source: name, error: "Invalid front matter." };
+    }
+  }
+  const folder = path.posix.dirname(name);
+  return {
+    source: name,
+    id: toNoteId(meta.id),
+    title: meta.title ?? path.posix.basename(name, path.posix.extname(name)),
+    text: markdown.slice(match ? match[0].length : 0).trim(),
+    contentFormat: meta.content_format ?? "markdown",
+    tags: meta.tags,
+    notebook:
+      meta.notebook !== undefined
+        ? meta.notebook
+        : folder === "."
+        ? null
+        : folder,
+    createdAt: toDate(meta.created_at ?? meta.created),
+    modifiedAt: toDate(meta.modified_at ?? meta.updated) ?? modifiedAt,
+  };
+};
+
+/**
+ * Reads the Markdown files of a zip archive. Other files are skipped; hidden files and the `__MACOSX`
+ * folder that macOS adds to archives are left out of the report.
+ * @param {Buffer} buffer - The archive.
+ * @returns {Array<object>} The items, see `parseImportFile`.
+ * @throws {Error} If the archive is malformed or too large.
+ */
+const parseMarkdownZip = (buffer) =>
+  readZip(buffer, { maxTotalBytes: noteImportConfig.maxUncompressedBytes })
+    .filter(
+      ({ name }) =>
+        !name.startsWith("__MACOSX/") &&
+        !path.posix.basename(name).startsWith(".")
+    )
+    .map((file) =>
+      /\.(md|markdown)$/i.test(file.name)
+        ? parseMarkdownFile(file)
+        : { source: file.name, skip: "Not a Markdown file." }
+    );
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Decodes the character references and predefined entities of XML text.
+ * @param {string} text - The XML text.
+ * @returns {string} The decoded text.
+ */
+const decodeXmlEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const codePoint =
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+
+/**
+ * Reads the text of an XML element, unwrapping CDATA sections.
+ * @param {string} xml - The element content.
+ * @returns {string} The text.
+ */
+const xmlText = (xml) => {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(xml);
+  return cdata ? cdata[1] : decodeXmlEntities(xml);
+};
+
+/**
+ * Converts the ENML (Evernote's XHTML) content of a note to plain text: blocks and line breaks become
+ * new lines, list items and checkboxes become Markdown-style markers and all other markup is dropped.
+ * @param {string} enml - The ENML document.
+ * @returns {string} The text.
+ */
+const enmlToText = (enml) =>
+  decodeXmlEntities(
+    enml
+      .replace(/<\?xml[\s\S]*?\?>|<!DOCTYPE[\s\S]*?>/gi, "")
+      .replace(/<en-todo[^>]*checked="true"[^>]*\/?>/gi, "[x] ")
+      .replace(/<en-todo[^>]*\/?>/gi, "[ ] ")
+      .replace(/<li[^>]*>/gi, "- ")
+      .replace(/<br[^>]*>/gi, "\n")
+      .replace(/<\/(div|p|li|h[1-6]|tr|blockquote|pre)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Parses an ENEX timestamp (e.g., "20240515T100000Z").
+ * @param {string | undefined} value - The timestamp.
+ * @returns {Date | null} The date, or null if the value is missing or malformed.
+ */
+const parseEnexDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(
+    (value || "").trim()
+  );
+  return match
+    ? toDate(
+        `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`
+      )
+    : null;
+};
+
+/**
+ * Reads the notes of an Evernote export (`.enex`). Titles, tags and timestamps are kept; the content is
+ * converted to plain text and attachments (resources) are left out.
+ * @param {Buffer} buffer - The file.
+ * @returns {Array<object>} The items, see `parseImportFile`.
+ * @throws {Error} If the file is not an Evernote export.
+ */
+const parseEnexFile = (buffer) => {
+  const xml = buffer.toString("utf8");
+  if (!/<en-export[\s>]/.test(xml)) {
+    throw new Error("The file is not an Evernote export.");
+  }
+  const element = (note, name) =>
+    new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(note)?.[1];
+
+  return [...xml.matchAll(/<note>([\s\S]*?)<\/note>/g)].map(
+    ([, note], index) => {
+      const title = element(note, "title");
+      const content = element(note, "content");
+      return {
+        source: `note[${index}]`,
+        id: null,
+        title: title === undefined ? undefined : xmlText(title).trim(),
+        text: content === undefined ? undefined : enmlToText(xmlText(content)),
+        contentFormat: "plain",
+        tags: [...note.matchAll(/<tag>([\s\S]*?)<\/tag>/g)].map(([, tag]) =>
+          xmlText(tag)
+        ),
+        notebook: null,
+        createdAt: parseEnexDate(element(note, "created")),
+        modifiedAt: parseEnexDate(element(note, "updated")),
+      };
+    }
+  );
+};
+
+const PARSERS = {
+  json: parseJsonFile,
+  markdown: parseMarkdownZip,
+  enex: parseEnexFile,
+};
+
+/**
+ * Works out the format of an uploaded file from its extension, or else from its first bytes.
+ * @param {string} fileName - The name of the file.
+ * @param {Buffer} buffer - The file.
+ * @returns {string | null} A key of `IMPORT_FORMATS`, or null if the format is not recognised.
+ */
+export const detectImportFormat = (fileName, buffer) => {
+  const extension = path.extname(fileName || "").toLowerCase();
+  const byExtension = Object.keys(IMPORT_FORMATS).find(
+    (format) => IMPORT_FORMATS[format] === extension
+  );
+  if (byExtension) {
+    return byExtension;
+  }
+  const start = buffer.subarray(0, 512).toString("utf8").trimStart();
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return "markdown";
+  }
+  if (start.startsWith("{") || start.startsWith("[")) {
+    return "json";
+  }
+  if (
+    /^(<\?xml[\s\S]*?\?>\s*)?(<!DOCTYPE[^>]*>\s*)?<en-export[\s>]/.test(start)
+  ) {
+    return "enex";
+  }
+  return null;
+};
+
+/**
+ * Reads the notes of an uploaded file. Items are not validated yet; that is up to the caller.
+ * @param {Buffer} buffer - The file.
+ * @param {string} format - A key of `IMPORT_FORMATS`.
+ * @returns {Array<object>} One item per note, `{ source, id, title, text, contentFormat, tags, notebook, createdAt,
+ *                          modifiedAt }`, where `source` tells where in the file the note came from and `notebook`
+ *                          is a notebook path like "Work/Projects". Items that cannot be imported are
+ *                          `{ source, error }`, and files that are not notes `{ source, skip }`, with the reason.
+ * @throws {AppError} 400 if the file cannot be read at all.
+ */
+export const parseImportFile = (buffer, format) => {
+  try {
+    return PARSERS[format](buffer);
+  } catch (error) {
+    throw new AppError(
+      `Could not read the ${format} file: ${error.message}`,
+      400
+    );
+  }
+};
+
+/**
+ * Validates one item read from an import file, with the same rules as creating a note.
+ * @param {object} item - The item, see `parseImportFile`.
+ * @returns {object} `{ source, id, note, notebookPath, createdAt, modifiedAt }`, or the item with an `error`
+ *                   message if it is invalid. Items that already carry an error or skip reason are returned as is.
+ */
+const toImportItem = (item) => {
+  if (item.error || item.skip) {
+    return item;
+  }
+  try {
+    const note = validate(createNoteSchema, {
+      title: item.title,
+      text: item.text,
+      contentFormat: item.contentFormat,
+      tags: item.tags,
+    });
+    const notebookPath =
+      typeof item.notebook === "string"
+        ? item.notebook
+            .split("/")
+            .filter((name) => name.trim())
+            .map((name) => validate(createNotebookSchema, { name }).name)
+        : [];
+    return {
+      source: item.source,
+      id: item.id,
+      note,
+      notebookPath,
+      createdAt: item.createdAt,
+      modifiedAt: item.modifiedAt,
+    };
+  } catch (error) {
+    return { source: item.source, error: error.message };
+  }
+};
+
+/**
+ * Reads and validates the notes of an uploaded file. This is CPU-bound work on the whole file, so background
+ * imports run it in a worker thread (see jobs/noteImportJob.js).
+ * @param {Buffer} buffer - The file.
+ * @param {string} format - A key of `IMPORT_FORMATS`.
+ * @returns {Array<object>} The items to import, see `toImportItem`.
+ * @throws {AppError} 400 if the file cannot be read at all.
+ */
+export const readImportFile = (buffer, format) =>
+  parseImportFile(buffer, format).map(toImportItem);
+
+/**
+ * Finds the notebook at a path, creating the notebooks that do not exist yet.
+ * @param {string} userId - The ID of the user importing notes.
+ * @param {Array<string>} names - The notebook names, from the top level down.
+ * @param {Map<string, string>} cache - Notebook IDs by path, shared by the items of one import.
+ * @returns {Promise<string | null>} The ID of the notebook, or null for an empty path (the top level).
+ * @throws {AppError} If a notebook cannot be created.
+ */
+const resolveNotebookPath = async (userId, names, cache) => {
+  let parentId = null;
+  for (const [depth, name] of names.entries()) {
+    const key = JSON.stringify(names.slice(0, depth + 1));
+    if (!cache.has(key)) {
+      const notebook =
+        (await findNotebookByName(userId, parentId, name)) ||
+        (await createNotebookService(userId, name, parentId));
+      cache.set(key, notebook.id);
+    }
+    parentId = cache.get(key);
+  }
+  return parentId;
+};
+
+/**
+ * Imports one validated item.
+ * @param {string} userId - The ID of the user importing notes.
+ * @param {object} item - The item, `{ source, note, notebookPath, id, createdAt, modifiedAt }` or
+ *                        `{ source, error }` / `{ source, skip }`.
+ * @param {Map<string, string>} notebooks - Notebook IDs by path, see `resolveNotebookPath`.
+ * @returns {Promise<object>} The report entry, `{ source, status, id?, title?, error? }` where `status` is
+ *                            "created", "skipped" or "failed".
+ * @throws {Error} If an unexpected (non-operational) error occurs.
+ */
+const importItem = async (userId, item, notebooks) => {
+  const { source } = item;
+  if (item.error) {
+    return { source, status: "failed", error: item.error };
+  }
+  if (item.skip) {
+    return { source, status: "skipped", error: item.skip };
+  }
+  try {
+    const notebookId = await resolveNotebookPath(
+      userId,
+      item.notebookPath,
+      notebooks
+    );
+    const note = await importNoteService(
+      userId,
+      { ...item.note, notebookId },
+      { id: item.id, createdAt: item.createdAt, modifiedAt: item.modifiedAt }
+    );
+    if (!note) {
+      return {
+        source,
+        status: "skipped",
+        id: item.id,
+        title: item.note.title,
+        error: "A note with this ID already exists.",
+      };
+    }
+    return { source, status: "created", id: note.id, title: note.title };
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+    return {
+      source,
+      status: "failed",
+      title: item.note.title,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Starts an import: creates its job, in the "pending" state.
+ * @param {string} userId - The ID of the user importing notes.
+ * @param {object} job - `{ format, fileName, total }`.
+ * @returns {Promise<object>} - The job.
+ * @throws {AppError} If the job cannot be created.
+ */
+export const createImportJobService = (userId, job) =>
+  createImportJob(userId, job);
+
+/**
+ * Imports the items of a job one by one, each in its own transaction, recording the progress and the final report
+ * on the job. A failing item only fails itself; an unexpected error stops the job and marks it failed.
+ * @param {string} jobId - The ID of the job.
+ * @param {string} userId - The ID of the user importing notes.
+ * @param {Array<object>} items - The validated items, see `importItem`.
+ * @returns {Promise<object>} - The finished job.
+ * @throws {Error} The unexpected error that stopped the job, after the job was marked failed.
+ */
+export const runImportJobService = async (jobId, userId, items) => {
+  await markImportJobRunning(jobId, items.length);
+  const notebooks = new Map();
+  const report = [];
+  const counts = { created: 0, skipped: 0, failed: 0 };
+
+  try {
+    for (const [index, item] of items.entries()) {
+      const entry = await importItem(userId, item, notebooks);
+      report.push({ index, ...entry });
+      counts[entry.status]++;
+      if ((index + 1) % PROGRESS_INTERVAL === 0) {
+        await updateImportJobProgress(jobId, counts);
+      }
+    }
+  } catch (error) {
+    await finishImportJob(jobId, {
+      status: "failed",
+      ...counts,
+      items: report,
+      error: "The import stopped because of an unexpected error.",
+    });
+    throw error;
+  }
+
+  return finishImportJob(jobId, {
+    status: "completed",
+    ...counts,
+    items: report,
+  });
+};
+
+/**
+ * Records that a background import is still being worked on, so it is not taken for interrupted.
+ * @param {string} jobId - The ID of the job.
+ * @returns {Promise<void>}
+ * @throws {AppError} If the job cannot be updated.
+ */
+export const touchImportJobService = (jobId) => touchImportJob(jobId);
+
+/**
+ * Fails a background import that could not read its file.
+ * @param {string} jobId - The ID of the job.
+ * @param {string} error - Why the file could not be read.
+ * @returns {Promise<object>} - The failed job.
+ * @throws {AppError} If the job cannot be updated.
+ */
+export const failImportJobService = (jobId, error) =>
+  finishImportJob(jobId, {
+    status: "failed",
+    created: 0,
+    skipped: 0,
+    failed: 0,
+    items: [],
+    error,
+  });
+
+/**
+ * Fails the pending and running imports whose process went away, e.g. because the server was restarted
+ * while they ran. Imports of other server processes that are still running are left alone, since they keep
+ * their heartbeat up.
+ * @returns {Promise<number>} - The number of imports failed.
+ * @throws {AppError} If the imports cannot be updated.
+ */
+export const failStaleImportJobsService = () =>
+  failStaleImportJobs(noteImportConfig.staleAfterSeconds, INTERRUPTED_MESSAGE);
+
+/**
+ * Retrieves an import job of a user, e.g. to poll a background import.
+ * @param {string} jobId - The ID of the job.
+ * @param {string} userId - The ID of the user who started the import.
+ * @returns {Promise<object>} - The job.
+ * @throws {AppError} If the job is not found or not owned by the user.
+ */
+export const getImportJobService = async (jobId, userId) => {
+  // A job whose process went away would otherwise be reported as running forever.
+  await failStaleImportJobs(
+    noteImportConfig.staleAfterSeconds,
+    INTERRUPTED_MESSAGE,
+    jobId
+  );
+  const job = await getImportJobByIdAndUserId(jobId, userId);
+  if (!job) {
+    throw new AppError("Import not found.", 404);
+  }
+  return job;
+};
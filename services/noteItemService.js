@@ -0,0 +1,183 @@
+import {
+  getItemsByNoteId,
+  getItemById,
+  countItems,
+  createItem,
+  updateItem,
+  moveItem,
+  reorderItems,
+  deleteItem,
+} from "../models/noteItemModel.js";
+import {
+  getAccessibleNoteById,
+  getNoteForUpdate,
+  touchNote,
+} from "../models/noteModel.js";
+import { withTransaction } from "../config/db.js";
+import { noteConfig } from "../config/notes.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Retrieves and locks a note the user owns or that is shared with them for editing, so its checklist can be
+ * changed. The lock keeps the positions of the items consistent while concurrent changes are applied.
+ * @param {object} client - A client of an open transaction.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user changing the checklist.
+ * @returns {Promise<object>} - The note object.
+ * @throws {AppError} 404 if the note is not found or not accessible, 403 if it is only shared for reading.
+ */
+const lockNoteOrFail = async (client, noteId, userId) => {
+  const note = await getNoteForUpdate(noteId, userId, client);
+  if (!note) {
+    throw new AppError(
+      "Note not found or you do not have permission to access it.",
+      404
+    );
+  }
+  if (note.permission === "read") {
+    throw new AppError(
+      "You only have read access to this note and cannot change its items.",
+      403
+    );
+  }
+  return note;
+};
+
+/**
+ * Retrieves a checklist item and throws a 404 if it does not exist or belongs to another note.
+ * @param {string} itemId - The ID of the item.
+ * @param {string} noteId - The ID of the note.
+ * @param {object} client - A client of an open transaction.
+ * @returns {Promise<object>} - The item object.
+ * @throws {AppError} If the item is not found.
+ */
+const findItemOrFail = async (itemId, noteId, client) => {
+  const item = await getItemById(itemId, noteId, client);
+  if (!item) {
+    throw new AppError("Item not found.", 404);
+  }
+  return item;
+};
+
+/**
+ * Lists the checklist items of a note the user can read, in order.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} - An array of item objects.
+ * @throws {AppError} If the note is not found or not accessible to the user.
+ */
+export const listItemsService = async (noteId, userId) => {
+  const note = await getAccessibleNoteById(noteId, userId);
+  if (!note) {
+    throw new AppError(
+      "Note not found or you do not have permission to access it.",
+      404
+    );
+  }
+  return getItemsByNoteId(noteId);
+};
+
+/**
+ * Adds a checklist item to a note the user can edit, and bumps the note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user.
+ * @param {object} item - `{ text, done, dueAt, position }`; without a position (or past the end), the item is added last.
+ * @returns {Promise<object>} - The created item object.
+ * @throws {AppError} If the note is not found or not editable by the user, or already has the maximum number of items.
+ */
+export const createItemService = async (
+  noteId,
+  userId,
+  { text, done, dueAt, position }
+) =>
+  withTransaction(async (client) => {
+    await lockNoteOrFail(client, noteId, userId);
+    const count = await countItems(noteId, client);
+    if (count >= noteConfig.maxItems) {
+      throw new AppError(
+        `A note cannot have more than ${noteConfig.maxItems} items.`,
+        400
+      );
+    }
+    const item = await createItem(
+      noteId,
+      { text, done, dueAt, position: Math.min(position ?? count, count) },
+      client
+    );
+    await touchNote(noteId, client);
+    return item;
+  });
+
+/**
+ * Partially updates a checklist item of a note the user can edit, and bumps the note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} itemId - The ID of the item.
+ * @param {string} userId - The ID of the user.
+ * @param {object} updates - Any of `text`, `done`, `dueAt` (null removes the due date) and `position`
+ *                           (moves the item; past the end moves it last).
+ * @returns {Promise<object>} - The updated item object.
+ * @throws {AppError} If the note or item is not found, or the note is not editable by the user.
+ */
+export const updateItemService = async (noteId, itemId, userId, updates) =>
+  withTransaction(async (client) => {
+    await lockNoteOrFail(client, noteId, userId);
+    const item = await findItemOrFail(itemId, noteId, client);
+
+    const { position, ...fields } = updates;
+    if (position !== undefined) {
+      const last = (await countItems(noteId, client)) - 1;
+      const to = Math.min(position, last);
+      if (to !== item.position) {
+        await moveItem(itemId, noteId, item.position, to, client);
+      }
+    }
+    const updated = await updateItem(itemId, noteId, fields, client);
+    await touchNote(noteId, client);
+    return updated;
+  });
+
+/**
+ * Puts the checklist items of a note the user can edit in a new order, and bumps the note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} itemIds - The IDs of all items of the note, each once, in their new order.
+ * @returns {Promise<Array<object>>} - The items in their new order.
+ * @throws {AppError} 400 if `itemIds` does not list exactly the items of the note, or if the note is not found or
+ *                    not editable by the user.
+ */
+export const reorderItemsService = async (noteId, userId, itemIds) =>
+  withTransaction(async (client) => {
+    await lockNoteOrFail(client, noteId, userId);
+    const items = await getItemsByNoteId(noteId, client);
+    const known = new Set(items.map((item) => item.id));
+    if (
+      itemIds.length !== items.length ||
+      !itemIds.every((id) => known.has(id))
+    ) {
+      throw new AppError(
+        "itemIds must list every item of the note exactly once.",
+        400
+      );
+    }
+    await reorderItems(noteId, itemIds, client);
+    await touchNote(noteId, client);
+    return getItemsByNoteId(noteId, client);
+  });
+
+/**
+ * Deletes a checklist item of a note the user can edit, and bumps the note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} itemId - The ID of the item.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ * @throws {AppError} If the note or item is not found, or the note is not editable by the user.
+ */
+export const deleteItemService = async (noteId, itemId, userId) =>
+  withTransaction(async (client) => {
+    await lockNoteOrFail(client, noteId, userId);
+    const isDeleted = await deleteItem(itemId, noteId, client);
+    if (!isDeleted) {
+      throw new AppError("Item not found.", 404);
+    }
+    await touchNote(noteId, client);
+  });
@@ -0,0 +1,130 @@
+import {
+  getRevisionsByNoteId,
+  getRevisionById,
+} from "../models/noteRevisionModel.js";
+import { getNoteByIdAndUserId } from "../models/noteModel.js";
+import { updateNoteService } from "./noteService.js";
+import { AppError } from "../utils/appError.js";
+import { diffWords } from "../utils/diff.js";
+
+/**
+ * Retrieves a revision and throws a 404 if it does not exist or belongs to another user.
+ * @param {string} revisionId - The ID of the revision.
+ * @param {string} noteId - The ID of the note the revision belongs to.
+ * @param {string} userId - The ID of the user requesting the revision.
+ * @returns {Promise<object>} - The revision object.
+ * @throws {AppError} If the revision is not found.
+ */
+const findRevisionOrFail = async (revisionId, noteId, userId) => {
+  const revision = await getRevisionById(revisionId, noteId, userId);
+  if (!revision) {
+    throw new AppError(
+      "Revision not found or you do not have permission to access it.",
+      404
+    );
+  }
+  return revision;
+};
+
+/**
+ * Lists the revisions of a note, newest first.
+ * Revisions of trashed notes are still listed, since trashing is recorded as a revision. Permanently deleting
+ * a note deletes its revisions too.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user requesting the revisions.
+ * @returns {Promise<Array<object>>} - An array of revision objects.
+ * @throws {AppError} If the note has no revisions and does not exist or belongs to another user.
+ */
+export const listRevisionsService = async (noteId, userId) => {
+  const revisions = await getRevisionsByNoteId(noteId, userId);
+  if (revisions.length === 0) {
+    const note = await getNoteByIdAndUserId(noteId, userId);
+    if (!note) {
+      throw new AppError(
+        "Note not found or you do not have permission to access it.",
+        404
+      );
+    }
+  }
+  return revisions;
+};
+
+/**
+ * Retrieves a single revision of a note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} revisionId - The ID of the revision.
+ * @param {string} userId - The ID of the user requesting the revision.
+ * @returns {Promise<object>} - The revision object.
+ * @throws {AppError} If the revision is not found.
+ */
+export const getRevisionService = async (noteId, revisionId, userId) => {
+  return findRevisionOrFail(revisionId, noteId, userId);
+};
+
+/**
+ * Computes a word-level diff of title and text between two revisions of a note.
+ * When `toRevisionId` is omitted, the diff is taken against the current note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} fromRevisionId - The ID of the older revision.
+ * @param {string} [toRevisionId] - The ID of the newer revision.
+ * @param {string} userId - The ID of the user requesting the diff.
+ * @returns {Promise<object>} - `{ from, to, title, text }`, where title and text are lists of diff parts.
+ * @throws {AppError} If a revision or the note is not found.
+ */
+export const diffRevisionsService = async (
+  noteId,
+  fromRevisionId,
+  toRevisionId,
+  userId
+) => {
+  const from = await findRevisionOrFail(fromRevisionId, noteId, userId);
+
+  let to;
+  if (toRevisionId) {
+    to = await findRevisionOrFail(toRevisionId, noteId, userId);
+  } else {
+    const note = await getNoteByIdAndUserId(noteId, userId);
+    if (!note) {
+      throw new AppError(
+        "Note not found or you do not have permission to access it.",
+        404
+      );
+    }
+    to = {
+      id: "current",
+      title: note.title,
+      text: note.text,
+      created_at: note.modified_at,
+    };
+  }
+
+  return {
+    from: { id: from.id, created_at: from.created_at },
+    to: { id: to.id, created_at: to.created_at },
+    title: diffWords(from.title, to.title),
+    text: diffWords(from.text, to.text),
+  };
+};
+
+/**
+ * Restores the title, text and content format of an old revision as a new update of the note.
+ * The content being replaced is stored as a new revision, so a restore can itself be undone.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} revisionId - The ID of the revision to restore.
+ * @param {string} userId - The ID of the user restoring the revision.
+ * @returns {Promise<object>} - The updated note object.
+ * @throws {AppError} If the revision or note is not found, or the update fails.
+ */
+export const restoreRevisionService = async (noteId, revisionId, userId) => {
+  const revision = await findRevisionOrFail(revisionId, noteId, userId);
+  return updateNoteService(
+    noteId,
+    userId,
+    {
+      title: revision.title,
+      text: revision.text,
+      contentFormat: revision.content_format,
+    },
+    { action: "restore" }
+  );
+};
@@ -4,50 +4,407 @@ import {
   updateNote,
   deleteNote,
   searchNotesByTitle,
-  getNoteByIdAndUserId,
+  searchNotesFullText,
+  getNoteForUpdate,
+  getSyncHorizon,
+  getNoteChanges,
+  getOwnedNoteForSync,
+  getNoteTombstone,
+  getAccessibleNoteById,
+  getNotesSharedWithUserId,
+  getTrashedNotesByUserId,
+  restoreNote,
+  permanentlyDeleteNote,
+  purgeTrashedNotes,
 } from "../models/noteModel.js";
+import { createRevision } from "../models/noteRevisionModel.js";
+import { setNoteTags } from "../models/tagModel.js";
+import { getNotebookByIdAndUserId } from "../models/notebookModel.js";
+import { deletePublicLinksForNotes } from "../models/publicLinkModel.js";
+import {
+  getStorageKeysByNoteId,
+  getStorageKeysOfExpiredTrash,
+} from "../models/noteAttachmentModel.js";
+import { deleteAttachmentFiles } from "./noteAttachmentService.js";
+import { withTransaction, withSavepoint } from "../config/db.js";
+import { noteConfig } from "../config/notes.js";
 import { AppError } from "../utils/appError.js";
+import { buildTsQuery } from "../utils/searchQuery.js";
+import { renderMarkdown, renderPlainText } from "../utils/markdown.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { toEtag } from "../utils/etag.js";
 
 /**
- * Creates a new note for a given user.
+ * Converts validated list/search query parameters into the options expected by the note model.
+ * Decodes the cursor and makes sure it was issued for the same sort field and order.
+ * @param {object} query - Validated query parameters (limit, cursor, sort, order, date filters, tags and
+ *                         checklist item filters).
+ * @returns {object} The pagination options for the note model.
+ * @throws {AppError} If the cursor is malformed or does not match the requested sort.
+ */
+const toPageOptions = ({
+  limit,
+  cursor,
+  sort,
+  order,
+  createdAfter,
+  createdBefore,
+  modifiedAfter,
+  modifiedBefore,
+  tags,
+  tagMode,
+  hasOpenItems,
+  itemsDueBefore,
+}) => {
+  let position = null;
+
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    if (
+      payload.sort !== sort ||
+      payload.order !== order ||
+      typeof payload.value !== "string" ||
+      !/^[0-9a-f-]{36}$/i.test(payload.id)
+    ) {
+      throw new AppError(
+        "Pagination cursor does not match the requested sort order.",
+        400
+      );
+    }
+    position = { value: payload.value, id: payload.id };
+  }
+
+  return {
+    limit,
+    sort,
+    order,
+    cursor: position,
+    filters: {
+      createdAfter,
+      createdBefore,
+      modifiedAfter,
+      modifiedBefore,
+      tags,
+      tagMode,
+      hasOpenItems,
+      itemsDueBefore,
+    },
+  };
+};
+
+/**
+ * Replaces the raw position of the last note in a page with an opaque cursor.
+ * @param {object} page - The `{ notes, total, nextCursor }` page returned by the note model.
+ * @param {object} options - The pagination options the page was fetched with.
+ * @returns {object} The page with `nextCursor` encoded, or null when there are no more notes.
+ */
+const toPageResult = (page, { sort, order }) => ({
+  notes: page.notes,
+  total: page.total,
+  nextCursor: page.nextCursor
+    ? encodeCursor({ sort, order, ...page.nextCursor })
+    : null,
+});
+
+/**
+ * Makes sure a note still has one of the versions the client expects (from an `If-Match` header).
+ * @param {object} note - The current note, as stored in the database.
+ * @param {Array<number> | null} expectedVersions - The accepted versions, or null to skip the check.
+ * @throws {AppError} 412 Precondition Failed with the current version if the note has changed.
+ */
+const assertVersionMatches = (note, expectedVersions) => {
+  if (expectedVersions && !expectedVersions.includes(note.version)) {
+    throw new AppError(
+      "Note has been modified since you last read it. Fetch the latest version and try again.",
+      412,
+      {
+        currentVersion: note.version,
+        etag: toEtag(note),
+        modified_at: note.modified_at,
+      }
+    );
+  }
+};
+
+/**
+ * Makes sure a notebook a note is placed in exists and belongs to the user.
+ * @param {string | null | undefined} notebookId - The notebook ID, or null/undefined for the top level.
+ * @param {string} userId - The ID of the user placing the note.
+ * @param {object} client - A client of an open transaction.
+ * @throws {AppError} 404 if the notebook is not found or not owned by the user.
+ */
+const assertNotebookOwned = async (notebookId, userId, client) => {
+  if (!notebookId) {
+    return;
+  }
+  const notebook = await getNotebookByIdAndUserId(notebookId, userId, client);
+  if (!notebook) {
+    throw new AppError(
+      "Notebook not found or you do not have permission to access it.",
+      404
+    );
+  }
+};
+
+/**
+ * Makes sure the user's access level on a note allows changing it.
+ * @param {object} note - The note, with the user's `permission` ("owner", "edit" or "read").
+ * @param {string} action - What the user is trying to do, used in the error message (e.g., "update").
+ * @throws {AppError} 403 if the note is only shared with the user for reading.
+ */
+const assertCanEdit = (note, action) => {
+  if (note.permission === "read") {
+    throw new AppError(
+      `You only have read access to this note and cannot ${action} it.`,
+      403
+    );
+  }
+};
+
+/**
+ * Maximum length of the text of a note in each content format.
+ */
+const TEXT_LIMITS = {
+  plain: noteConfig.maxPlainTextLength,
+  markdown: noteConfig.maxMarkdownLength,
+};
+
+/**
+ * Works out the text indexed for search: the rendered text of a Markdown note, so the markup is not searched.
+ * Also makes sure the text fits the limit of its format, which request validation cannot always tell
+ * (an update may change only the text or only the format).
+ * @param {string} text - The text of the note.
+ * @param {string} contentFormat - "plain" or "markdown".
+ * @returns {string | null} The rendered text of a Markdown note, or null for plain notes.
+ * @throws {AppError} 400 if the text is longer than its format allows.
+ */
+const toSearchText = (text, contentFormat) => {
+  const limit = TEXT_LIMITS[contentFormat];
+  if (text.length > limit) {
+    throw new AppError(`Text cannot exceed ${limit} characters.`, 400);
+  }
+  return contentFormat === "markdown" ? renderMarkdown(text).text : null;
+};
+
+/**
+ * Makes sure a recurring reminder has a time its occurrences are counted from.
+ * @param {Date | null} reminderAt - The reminder time the note ends up with.
+ * @param {string | null} reminderRule - The recurrence rule the note ends up with.
+ * @throws {AppError} 400 if there is a rule without a reminder time.
+ */
+const assertReminderHasTime = (reminderAt, reminderRule) => {
+  if (reminderRule && !reminderAt) {
+    throw new AppError("A reminderRule needs a reminderAt to start from.", 400);
+  }
+};
+
+/**
+ * Creates a note with its tags, on a client of an open transaction.
+ * @param {object} client - A client of an open transaction.
  * @param {string} userId - The ID of the user creating the note.
  * @param {string} title - The title of the note.
  * @param {string} text - The content of the note.
+ * @param {object} options - `{ tags, notebookId, contentFormat, reminderAt, reminderRule }`, see
+ *                           `createNoteService`, and optionally the
+ *                           `id`, `createdAt` and `modifiedAt` of the note (see `createNote`).
  * @returns {Promise<object>} - The created note object.
- * @throws {AppError} If note creation fails.
+ * @throws {AppError} If the notebook is not found, or note creation fails.
  */
-export const createNoteService = async (userId, title, text) => {
-  const newNote = await createNote(userId, title, text);
+const insertNote = async (
+  client,
+  userId,
+  title,
+  text,
+  {
+    tags,
+    notebookId,
+    contentFormat = "plain",
+    reminderAt = null,
+    reminderRule = null,
+    id = null,
+    createdAt = null,
+    modifiedAt = null,
+  }
+) => {
+  const plainText = toSearchText(text, contentFormat);
+  assertReminderHasTime(reminderAt, reminderRule);
+  await assertNotebookOwned(notebookId, userId, client);
+  const newNote = await createNote(userId, title, text, notebookId, client, {
+    id,
+    createdAt,
+    modifiedAt,
+    contentFormat,
+    plainText,
+    reminderAt,
+    reminderRule,
+  });
   if (!newNote) {
     throw new AppError("Failed to create note. Please try again.", 500);
   }
+  if (tags && tags.length) {
+    newNote.tags = await setNoteTags(newNote.id, userId, tags, client);
+  }
   return newNote;
 };
 
 /**
- * Retrieves all notes for a specific user.
+ * Creates a new note for a given user.
+ * @param {string} userId - The ID of the user creating the note.
+ * @param {string} title - The title of the note.
+ * @param {string} text - The content of the note.
+ * @param {object} [options] - Optional settings.
+ * @param {Array<string>} [options.tags] - Tag names for the note. Missing tags are created.
+ * @param {string | null} [options.notebookId] - The notebook to place the note in, defaults to the top level.
+ * @param {string} [options.contentFormat="plain"] - The format of the text, "plain" or "markdown".
+ * @param {Date | null} [options.reminderAt=null] - When to remind the owner of the note; null for no reminder.
+ * @param {string | null} [options.reminderRule=null] - The normalized recurrence rule of the reminder, if any.
+ * @returns {Promise<object>} - The created note object.
+ * @throws {AppError} If the text is too long for its format, a reminder rule has no reminder time, the notebook
+ *                    is not found, or note creation fails.
+ */
+export const createNoteService = async (
+  userId,
+  title,
+  text,
+  {
+    tags,
+    notebookId = null,
+    contentFormat = "plain",
+    reminderAt = null,
+    reminderRule = null,
+  } = {}
+) => {
+  return withTransaction((client) =>
+    insertNote(client, userId, title, text, {
+      tags,
+      notebookId,
+      contentFormat,
+      reminderAt,
+      reminderRule,
+    })
+  );
+};
+
+/**
+ * Creates an imported note, keeping its original ID and timestamps where possible.
+ * An ID the user already has a note with (e.g., when the same export is imported twice) skips the note;
+ * an ID used by another user's note is replaced with a new one.
+ * @param {string} userId - The ID of the user importing the note.
+ * @param {object} note - `{ title, text, contentFormat, tags, notebookId }`, see `createNoteService`.
+ * @param {object} [original] - What is known about the original note.
+ * @param {string | null} [original.id=null] - Its ID.
+ * @param {Date | null} [original.createdAt=null] - When it was created.
+ * @param {Date | null} [original.modifiedAt=null] - When it was last modified.
+ * @returns {Promise<object | null>} - The created note, or null if the user already has a note with the ID.
+ * @throws {AppError} If the notebook is not found, or note creation fails.
+ */
+export const importNoteService = async (
+  userId,
+  { title, text, contentFormat, tags, notebookId = null },
+  { id = null, createdAt = null, modifiedAt = null } = {}
+) =>
+  withTransaction(async (client) => {
+    const insert = (noteId) =>
+      insertNote(client, userId, title, text, {
+        tags,
+        notebookId,
+        contentFormat,
+        id: noteId,
+        createdAt,
+        modifiedAt,
+      });
+    if (!id) {
+      return insert(null);
+    }
+    if (await getOwnedNoteForSync(id, userId, client)) {
+      return null;
+    }
+    try {
+      return await withSavepoint(client, () => insert(id));
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+      return insert(null);
+    }
+  });
+
+/**
+ * Retrieves a page of notes for a specific user.
  * @param {string} userId - The ID of the user whose notes to retrieve.
- * @returns {Promise<Array<object>>} - An array of note objects.
- * @throws {AppError} If retrieval fails.
+ * @param {object} query - Validated pagination, sorting and filtering parameters.
+ * @returns {Promise<object>} - `{ notes, total, nextCursor }`.
+ * @throws {AppError} If the cursor is invalid or retrieval fails.
  */
-export const getNotesService = async (userId) => {
-  const notes = await getNotesByUserId(userId);
-  return notes;
+export const getNotesService = async (userId, query) => {
+  const options = toPageOptions(query);
+  const page = await getNotesByUserId(userId, options);
+  return toPageResult(page, options);
 };
 
 /**
- * Updates an existing note.
- * Ensures the note exists and belongs to the user before attempting update.
+ * Retrieves a page of the notes other users have shared with a user.
+ * @param {string} userId - The ID of the user the notes are shared with.
+ * @param {object} query - Validated pagination, sorting and filtering parameters.
+ * @returns {Promise<object>} - `{ notes, total, nextCursor }`.
+ * @throws {AppError} If the cursor is invalid or retrieval fails.
+ */
+export const getSharedNotesService = async (userId, query) => {
+  const options = toPageOptions(query);
+  const page = await getNotesSharedWithUserId(userId, options);
+  return toPageResult(page, options);
+};
+
+/**
+ * Retrieves a single note the user owns or that is shared with them, with the metadata extracted from its
+ * content: the headings, links and checklist items of Markdown notes (plain notes only have links).
+ * @param {string} noteId - The ID of the note to retrieve.
+ * @param {string} userId - The ID of the user requesting the note.
+ * @param {object} [options] - Optional settings.
+ * @param {string} [options.render] - "html" adds the content rendered as sanitized HTML, as `html`.
+ * @returns {Promise<object>} - The note object, with the user's `permission` ("owner", "edit" or "read"),
+ *                              `metadata` (`{ headings, links, checklist }`) and `html` if requested.
+ * @throws {AppError} If the note is not found or not accessible to the user.
+ */
+export const getNoteService = async (noteId, userId, { render } = {}) => {
+  const note = await getAccessibleNoteById(noteId, userId);
+  if (!note) {
+    throw new AppError(
+      "Note not found or you do not have permission to access it.",
+      404
+    );
+  }
+  const { html, headings, links, checklist } =
+    note.content_format === "markdown"
+      ? renderMarkdown(note.text)
+      : renderPlainText(note.text);
+  note.metadata = { headings, links, checklist };
+  if (render === "html") {
+    note.html = html;
+  }
+  return note;
+};
+
+/**
+ * Updates a note and stores its previous content as a revision, on a client of an open transaction.
+ * @param {object} client - A client of an open transaction.
  * @param {string} noteId - The ID of the note to update.
  * @param {string} userId - The ID of the user attempting to update.
- * @param {object} updates - An object with fields to update (title, text).
+ * @param {object} updates - The fields to update, see `updateNoteService`.
+ * @param {object} options - `{ action, expectedVersions }`, see `updateNoteService`.
  * @returns {Promise<object>} - The updated note object.
- * @throws {AppError} If note not found, not owned by user, or update fails.
+ * @throws {AppError} If note or target notebook not found, not editable by the user, changed since the client
+ *                    read it, or update fails.
  */
-export const updateNoteService = async (noteId, userId, updates) => {
-  // Optional: Check if the note exists and belongs to the user BEFORE attempting update
-  // This can provide a more specific error message (404 vs 403 vs 500)
-  const existingNote = await getNoteByIdAndUserId(noteId, userId);
+const applyNoteUpdate = async (
+  client,
+  noteId,
+  userId,
+  updates,
+  { action, expectedVersions }
+) => {
+  // Lock the note so the revision holds exactly the content this update replaces.
+  const existingNote = await getNoteForUpdate(noteId, userId, client);
   if (!existingNote) {
     // If note is not found OR if it doesn't belong to the user
     throw new AppError(
@@ -55,48 +412,612 @@ export const updateNoteService = async (noteId, userId, updates) => {
       404
     );
   }
+  assertCanEdit(existingNote, "update");
+  if (updates.notebookId !== undefined && existingNote.permission !== "owner") {
+    throw new AppError(
+      "Only the owner of a note can move it to another notebook.",
+      403
+    );
+  }
+  assertVersionMatches(existingNote, expectedVersions);
+  await assertNotebookOwned(updates.notebookId, userId, client);
 
-  const updatedNote = await updateNote(noteId, userId, updates);
+  const { tags, ...fields } = updates;
+  if (fields.text !== undefined || fields.contentFormat !== undefined) {
+    fields.plainText = toSearchText(
+      fields.text ?? existingNote.text,
+      fields.contentFormat ?? existingNote.content_format
+    );
+  }
+  // Removing the reminder also removes its recurrence.
+  if (fields.reminderAt === null && fields.reminderRule === undefined) {
+    fields.reminderRule = null;
+  }
+  assertReminderHasTime(
+    fields.reminderAt !== undefined
+      ? fields.reminderAt
+      : existingNote.reminder_at,
+    fields.reminderRule !== undefined
+      ? fields.reminderRule
+      : existingNote.reminder_rule
+  );
+
+  await createRevision(
+    {
+      noteId,
+      userId: existingNote.user_id,
+      authorId: userId,
+      action,
+      title: existingNote.title,
+      text: existingNote.text,
+      contentFormat: existingNote.content_format,
+    },
+    client
+  );
+
+  // Shared notes are updated on behalf of their owner, who also owns their tags.
+  const ownerId = existingNote.user_id;
+  const updatedNote = await updateNote(noteId, ownerId, fields, client);
   if (!updatedNote) {
     // This could happen if the note was found initially but update failed for some other reason
     throw new AppError("Failed to update note. Please try again.", 500);
   }
+  if (tags !== undefined) {
+    updatedNote.tags = await setNoteTags(noteId, ownerId, tags, client);
+  }
   return updatedNote;
 };
 
 /**
- * Deletes a note.
- * Ensures the note exists and belongs to the user before attempting deletion.
+ * Updates an existing note.
+ * Ensures the note exists and is owned by or shared for editing with the user before attempting update.
+ * Only the owner can move the note to another notebook.
+ * The previous title and text are stored as a revision in the same transaction.
+ * @param {string} noteId - The ID of the note to update.
+ * @param {string} userId - The ID of the user attempting to update.
+ * @param {object} updates - An object with fields to update (title, text, contentFormat, tags, notebookId,
+ *                           reminderAt, reminderRule). `tags` replaces all tags of the note, `notebookId` moves it
+ *                           (null for the top level), a null `reminderAt` removes the reminder with its rule.
+ *                           The text, new or current, must fit the limit of the note's new or current format.
+ * @param {object} [options] - Optional settings.
+ * @param {string} [options.action="update"] - The action recorded on the revision ("update" or "restore").
+ * @param {Array<number> | null} [options.expectedVersions=null] - Versions accepted by the client's `If-Match` header.
+ * @returns {Promise<object>} - The updated note object.
+ * @throws {AppError} If note or target notebook not found, not editable by the user, changed since the client
+ *                    read it, or update fails.
+ */
+export const updateNoteService = async (
+  noteId,
+  userId,
+  updates,
+  { action = "update", expectedVersions = null } = {}
+) => {
+  return withTransaction((client) =>
+    applyNoteUpdate(client, noteId, userId, updates, {
+      action,
+      expectedVersions,
+    })
+  );
+};
+
+/**
+ * Moves a note to its owner's trash and stores its final content as a revision, on a client of an open transaction.
+ * @param {object} client - A client of an open transaction.
  * @param {string} noteId - The ID of the note to delete.
  * @param {string} userId - The ID of the user attempting to delete.
+ * @param {object} options - `{ expectedVersions }`, see `deleteNoteService`.
  * @returns {Promise<boolean>} - True if deletion is successful.
- * @throws {AppError} If note not found, not owned by user, or deletion fails.
+ * @throws {AppError} If note not found, not editable by the user, changed since the client read it, or deletion fails.
  */
-export const deleteNoteService = async (noteId, userId) => {
+const trashNote = async (client, noteId, userId, { expectedVersions }) => {
   // Similar ownership check as in updateNoteService
-  const existingNote = await getNoteByIdAndUserId(noteId, userId);
+  const existingNote = await getNoteForUpdate(noteId, userId, client);
   if (!existingNote) {
     throw new AppError(
       "Note not found or you do not have permission to delete it.",
       404
     );
   }
+  assertCanEdit(existingNote, "delete");
+  assertVersionMatches(existingNote, expectedVersions);
+
+  await createRevision(
+    {
+      noteId,
+      userId: existingNote.user_id,
+      authorId: userId,
+      action: "delete",
+      title: existingNote.title,
+      text: existingNote.text,
+      contentFormat: existingNote.content_format,
+    },
+    client
+  );
 
-  const isDeleted = await deleteNote(noteId, userId);
+  const isDeleted = await deleteNote(noteId, existingNote.user_id, client);
   if (!isDeleted) {
     throw new AppError("Failed to delete note. Please try again.", 500);
   }
+  // The owner's public links stop working right away and do not come back if the note is restored.
+  // A collaborator cannot revoke them: their links only stop working while the note is in the trash.
+  if (existingNote.user_id === userId) {
+    await deletePublicLinksForNotes([noteId], client);
+  }
   return true; // Return true on success
 };
 
 /**
- * Searches for notes by title for a specific user.
- * @param {string} userId - The ID of the user performing the search.
- * @param {string} searchTerm - The search query for titles.
- * @returns {Promise<Array<object>>} - An array of matching note objects.
- * @throws {AppError} If search fails.
+ * Deletes a note by moving it to the owner's trash.
+ * Ensures the note exists and is owned by or shared for editing with the user before attempting deletion.
+ * The final title and text are stored as a revision so the note's history is kept.
+ * When the owner deletes the note, all its public links are revoked; links of notes deleted by a
+ * collaborator only stop working while the note is in the trash.
+ * @param {string} noteId - The ID of the note to delete.
+ * @param {string} userId - The ID of the user attempting to delete.
+ * @param {object} [options] - Optional settings.
+ * @param {Array<number> | null} [options.expectedVersions=null] - Versions accepted by the client's `If-Match` header.
+ * @returns {Promise<boolean>} - True if deletion is successful.
+ * @throws {AppError} If note not found, not editable by the user, changed since the client read it, or deletion fails.
+ */
+export const deleteNoteService = async (
+  noteId,
+  userId,
+  { expectedVersions = null } = {}
+) => {
+  return withTransaction((client) =>
+    trashNote(client, noteId, userId, { expectedVersions })
+  );
+};
+
+/**
+ * Turns the error of one operation in a batch into the part of its result that describes the failure.
+ * @param {AppError} error - The error.
+ * @returns {object} `{ statusCode, error: { message, code?, details? } }`.
+ */
+const toOperationFailure = (error) => {
+  const failure = { message: error.message };
+  if (error.code) {
+    failure.code = error.code;
+  }
+  if (error.details) {
+    failure.details = error.details;
+  }
+  return { statusCode: error.statusCode, error: failure };
+};
+
+/**
+ * Runs a single validated bulk operation on a client of an open transaction.
+ * @param {object} client - A client of an open transaction.
+ * @param {string} userId - The ID of the user running the batch.
+ * @param {object} operation - `{ op, id, note, expectedVersions }`, see `bulkNoteOperationsService`.
+ * @returns {Promise<object>} `{ statusCode, id, note? }`; deletions return no note.
+ * @throws {AppError} If the operation fails, like its single-note counterpart.
+ */
+const runBulkOperation = async (client, userId, operation) => {
+  const { op, id, note, expectedVersions } = operation;
+  if (op === "create") {
+    const created = await insertNote(client, userId, note.title, note.text, {
+      tags: note.tags,
+      notebookId: note.notebookId ?? null,
+      contentFormat: note.contentFormat,
+      reminderAt: note.reminderAt ?? null,
+      reminderRule: note.reminderRule ?? null,
+    });
+    return { statusCode: 201, id: created.id, note: created };
+  }
+  if (op === "update") {
+    const updated = await applyNoteUpdate(client, id, userId, note, {
+      action: "update",
+      expectedVersions,
+    });
+    return { statusCode: 200, id, note: updated };
+  }
+  await trashNote(client, id, userId, { expectedVersions });
+  return { statusCode: 204, id };
+};
+
+/**
+ * Runs a batch of note creations, updates and deletions in one database transaction.
+ * Every operation behaves like its single-note endpoint (ownership, sharing and `If-Match` checks included).
+ *
+ * In best-effort mode, each operation runs in its own savepoint: a failing operation is rolled back on its own
+ * and the others are committed. In atomic mode, the batch stops at the first failing operation and nothing is
+ * committed; the other operations are reported with status 424 (Failed Dependency).
+ * @param {string} userId - The ID of the user running the batch.
+ * @param {Array<object>} operations - The operations in order, each `{ op, id, note, expectedVersions }` where
+ *                                     `op` is "create", "update" or "delete", or `{ op, id, error }` for an
+ *                                     operation that failed validation.
+ * @param {object} [options] - Optional settings.
+ * @param {boolean} [options.atomic=false] - Whether to apply all operations or none.
+ * @returns {Promise<object>} `{ applied, results }`, where `applied` tells whether any change was committed and
+ *                            `results` holds `{ index, op, id, statusCode, note?, error? }` per operation, in order.
+ * @throws {Error} If an unexpected (non-operational) error occurs; the whole batch is rolled back.
+ */
+export const bulkNoteOperationsService = async (
+  userId,
+  operations,
+  { atomic = false } = {}
+) => {
+  const results = operations.map(({ op, id, error }, index) => ({
+    index,
+    op: op ?? null,
+    id: id ?? null,
+    ...(error ? toOperationFailure(error) : {}),
+  }));
+  const isFailed = (result) => result.error !== undefined;
+
+  // Marks the operations that did not fail as not applied, after another one failed in atomic mode.
+  const markNotApplied = (failedIndex) => {
+    for (const result of results) {
+      if (!isFailed(result)) {
+        // Notes created in the rolled back transaction do not exist.
+        if (result.op === "create") {
+          result.id = null;
+        }
+        delete result.note;
+        result.statusCode = 424;
+        result.error = {
+          message: `Not applied because operation ${failedIndex} failed.`,
+        };
+      }
+    }
+  };
+
+  // In atomic mode an invalid operation fails the batch before anything is run.
+  const invalid = results.find(isFailed);
+  if (atomic && invalid) {
+    markNotApplied(invalid.index);
+    return { applied: false, results };
+  }
+
+  let failedIndex = null;
+  try {
+    await withTransaction(async (client) => {
+      for (const [index, operation] of operations.entries()) {
+        if (isFailed(results[index])) {
+          continue;
+        }
+        const run = () => runBulkOperation(client, userId, operation);
+        try {
+          Object.assign(
+            results[index],
+            await (atomic ? run() : withSavepoint(client, run))
+          );
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          Object.assign(results[index], toOperationFailure(error));
+          if (atomic) {
+            // Rolls back the whole transaction.
+            failedIndex = index;
+            throw error;
+          }
+        }
+      }
+    });
+  } catch (error) {
+    if (failedIndex === null) {
+      throw error;
+    }
+    markNotApplied(failedIndex);
+    return { applied: false, results };
+  }
+
+  return {
+    applied: results.some((result) => !isFailed(result)),
+    results,
+  };
+};
+
+// Position before the first change, used when a client syncs for the first time.
+const SYNC_START = { xid: "0", id: "00000000-0000-0000-0000-000000000000" };
+
+/**
+ * Decodes a sync token into the change feed position it stands for.
+ * @param {string | undefined} token - The token from an earlier sync, or undefined for a first sync.
+ * @returns {object} The `{ xid, id }` position.
+ * @throws {AppError} 400 if the token is malformed.
+ */
+const decodeSyncToken = (token) => {
+  if (!token) {
+    return SYNC_START;
+  }
+  let payload;
+  try {
+    payload = decodeCursor(token);
+  } catch (error) {
+    throw new AppError("Invalid sync token.", 400);
+  }
+  if (
+    typeof payload.xid !== "string" ||
+    !/^\d{1,20}$/.test(payload.xid) ||
+    !/^[0-9a-f-]{36}$/i.test(payload.id)
+  ) {
+    throw new AppError("Invalid sync token.", 400);
+  }
+  return { xid: payload.xid, id: payload.id };
+};
+
+/**
+ * Retrieves the changes to a user's notes since an earlier sync, oldest first.
+ * Created and updated notes are returned with their current content, notes in the trash and permanently
+ * deleted notes as tombstones. A note that changed several times is returned once, in its latest state.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {object} query - Validated query parameters.
+ * @param {string} [query.since] - The sync token of an earlier response; omit it for a first, full sync.
+ * @param {number} query.limit - Maximum number of changes to return.
+ * @returns {Promise<object>} `{ changes, syncToken, hasMore }`. `syncToken` is passed as `since` next time;
+ *                            while `hasMore` is true there are more changes to fetch right away.
+ * @throws {AppError} If the sync token is invalid or retrieval fails.
+ */
+export const getNoteChangesService = async (userId, { since, limit }) => {
+  const after = decodeSyncToken(since);
+  const horizon = await getSyncHorizon();
+
+  // Fetch one extra change to find out whether there are more.
+  const rows = await getNoteChanges(userId, {
+    after,
+    horizon,
+    limit: limit + 1,
+  });
+  const hasMore = rows.length > limit;
+  const changes = hasMore ? rows.slice(0, limit) : rows;
+  const last = changes[changes.length - 1];
+
+  // Once the feed is drained, the client continues from the horizon; every older change has been returned.
+  const next = hasMore
+    ? { xid: last.xid, id: last.id }
+    : { ...SYNC_START, xid: horizon };
+  return {
+    changes: changes.map(({ xid, ...change }) => change),
+    syncToken: encodeCursor(next),
+    hasMore,
+  };
+};
+
+/**
+ * Creates the error reported for a sync change that conflicts with the server's copy of the note.
+ * @param {string} reason - "modified" (changed since the client's base), "deleted" (deleted on the server)
+ *                          or "exists" (the client sent a new note, but the ID is taken by one of its notes).
+ * @param {object} server - The server's side: `{ note }` for a note, `{ deleted_at }` for a deleted one.
+ * @returns {AppError} A 409 error with code "SYNC_CONFLICT" and the reason and server side in its details.
  */
-export const searchNotesService = async (userId, searchTerm) => {
-  const notes = await searchNotesByTitle(userId, searchTerm);
+const syncConflict = (reason, server) => {
+  const messages = {
+    modified: "Note was changed on the server since the client's base version.",
+    deleted: "Note was deleted on the server.",
+    exists: "A note with this ID already exists on the server.",
+  };
+  return new AppError(
+    messages[reason],
+    409,
+    { reason, ...server },
+    "SYNC_CONFLICT"
+  );
+};
+
+/**
+ * Applies one validated sync change on a client of an open transaction.
+ * @param {object} client - A client of an open transaction.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {object} change - `{ id, baseVersion?, baseModifiedAt?, deleted, note? }`, see `pushNoteChangesService`.
+ * @returns {Promise<object>} `{ statusCode, note? }`: 201 for a created note, 200 for an updated one,
+ *                            204 for a deleted (or already deleted) one.
+ * @throws {AppError} 409 on conflicts (see `syncConflict`), or like the single-note endpoints.
+ */
+const applySyncChange = async (client, userId, change) => {
+  const { id, baseVersion, baseModifiedAt, deleted, note } = change;
+  const hasBase = baseVersion !== undefined || baseModifiedAt !== undefined;
+
+  const existing = await getOwnedNoteForSync(id, userId, client);
+  if (!existing) {
+    const tombstone = await getNoteTombstone(id, userId, client);
+    if (deleted) {
+      // Deleting a note that is gone already is not a conflict.
+      return { statusCode: 204 };
+    }
+    if (tombstone) {
+      throw syncConflict("deleted", { deleted_at: tombstone.deleted_at });
+    }
+    if (hasBase) {
+      throw new AppError(
+        "Note not found or you do not have permission to update it.",
+        404
+      );
+    }
+    const created = await insertNote(client, userId, note.title, note.text, {
+      tags: note.tags,
+      notebookId: note.notebookId ?? null,
+      contentFormat: note.contentFormat,
+      reminderAt: note.reminderAt ?? null,
+      reminderRule: note.reminderRule ?? null,
+      id,
+    });
+    return { statusCode: 201, note: created };
+  }
+
+  const { deleted_at, ...serverNote } = existing;
+  if (deleted_at) {
+    if (deleted) {
+      return { statusCode: 204 };
+    }
+    throw syncConflict("deleted", { deleted_at });
+  }
+  if (!hasBase) {
+    throw syncConflict("exists", { note: serverNote });
+  }
+  const isBase =
+    baseVersion !== undefined
+      ? existing.version === baseVersion
+      : new Date(existing.modified_at).getTime() === baseModifiedAt.getTime();
+  if (!isBase) {
+    throw syncConflict("modified", { note: serverNote });
+  }
+
+  const expectedVersions = [existing.version];
+  if (deleted) {
+    await trashNote(client, id, userId, { expectedVersions });
+    return { statusCode: 204 };
+  }
+  const updated = await applyNoteUpdate(client, id, userId, note, {
+    action: "update",
+    expectedVersions,
+  });
+  return { statusCode: 200, note: updated };
+};
+
+/**
+ * Applies changes an offline client made to its notes, in one transaction.
+ * Each change names the version (or `modified_at`) of the note it was based on; if the note has changed or been
+ * deleted on the server since, the change is not applied and reported as a conflict with the server's copy,
+ * so the client can resolve it. Changes without a base create notes with the ID the client generated.
+ * Every change runs in its own savepoint, so conflicts and errors do not affect the other changes.
+ * @param {string} userId - The ID of the user who owns the notes.
+ * @param {Array<object>} changes - The changes in order, each `{ id, baseVersion?, baseModifiedAt?, deleted, note? }`,
+ *                                  or `{ id, error }` for a change that failed validation.
+ * @returns {Promise<Array<object>>} `{ index, id, statusCode, note?, error? }` per change, in order.
+ * @throws {Error} If an unexpected (non-operational) error occurs; all changes are rolled back.
+ */
+export const pushNoteChangesService = async (userId, changes) => {
+  const results = changes.map(({ id, error }, index) => ({
+    index,
+    id: id ?? null,
+    ...(error ? toOperationFailure(error) : {}),
+  }));
+
+  await withTransaction(async (client) => {
+    for (const [index, change] of changes.entries()) {
+      if (results[index].error) {
+        continue;
+      }
+      try {
+        Object.assign(
+          results[index],
+          await withSavepoint(client, () =>
+            applySyncChange(client, userId, change)
+          )
+        );
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        Object.assign(results[index], toOperationFailure(error));
+      }
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Retrieves the trashed notes of a specific user.
+ * @param {string} userId - The ID of the user whose trash to retrieve.
+ * @returns {Promise<Array<object>>} - An array of trashed note objects.
+ * @throws {AppError} If retrieval fails.
+ */
+export const getTrashService = async (userId) => {
+  const notes = await getTrashedNotesByUserId(userId);
   return notes;
 };
+
+/**
+ * Restores a note from the trash, bumping its version and recording the restore as a revision.
+ * @param {string} noteId - The ID of the note to restore.
+ * @param {string} userId - The ID of the user attempting to restore.
+ * @returns {Promise<object>} - The restored note object.
+ * @throws {AppError} If the note is not in the user's trash, or restoring fails.
+ */
+export const restoreNoteService = async (noteId, userId) =>
+  withTransaction(async (client) => {
+    const restoredNote = await restoreNote(noteId, userId, client);
+    if (!restoredNote) {
+      throw new AppError(
+        "Note not found in trash or you do not have permission to restore it.",
+        404
+      );
+    }
+    // Restoring does not change the content, so the revision holds the content the note comes back with.
+    await createRevision(
+      {
+        noteId,
+        userId,
+        authorId: userId,
+        action: "restore",
+        title: restoredNote.title,
+        text: restoredNote.text,
+        contentFormat: restoredNote.content_format,
+      },
+      client
+    );
+    return restoredNote;
+  });
+
+/**
+ * Permanently deletes a note from the trash, with its attachments. This cannot be undone.
+ * @param {string} noteId - The ID of the note to delete.
+ * @param {string} userId - The ID of the user attempting to delete.
+ * @returns {Promise<boolean>} - True if deletion is successful.
+ * @throws {AppError} If the note is not in the user's trash, or deletion fails.
+ */
+export const permanentlyDeleteNoteService = async (noteId, userId) => {
+  const storageKeys = await withTransaction(async (client) => {
+    const keys = await getStorageKeysByNoteId(noteId, client);
+    const isDeleted = await permanentlyDeleteNote(noteId, userId, client);
+    if (!isDeleted) {
+      throw new AppError(
+        "Note not found in trash or you do not have permission to delete it.",
+        404
+      );
+    }
+    return keys;
+  });
+  // The attachment rows went with the note; their files are removed once that is committed.
+  await deleteAttachmentFiles(storageKeys);
+  return true;
+};
+
+/**
+ * Permanently deletes every note that has been in the trash longer than the retention period, with its attachments.
+ * Used by the scheduled trash purge job.
+ * @param {number} retentionDays - Number of days trashed notes are kept.
+ * @returns {Promise<number>} - The number of purged notes.
+ * @throws {AppError} If the purge fails.
+ */
+export const purgeTrashService = async (retentionDays) => {
+  const { purged, storageKeys } = await withTransaction(async (client) => ({
+    storageKeys: await getStorageKeysOfExpiredTrash(retentionDays, client),
+    purged: await purgeTrashedNotes(retentionDays, client),
+  }));
+  await deleteAttachmentFiles(storageKeys);
+  return purged;
+};
+
+/**
+ * Searches the notes of a specific user.
+ * In "fulltext" mode the title and text are searched with PostgreSQL full-text search,
+ * supporting phrases ("...") and prefixes (word*), with results ranked and highlighted.
+ * In "substring" mode only titles are matched with a case-insensitive partial match.
+ * @param {string} userId - The ID of the user performing the search.
+ * @param {string} searchTerm - The search query.
+ * @param {string} mode - The search mode, either "fulltext" or "substring".
+ * @param {object} query - Validated pagination, sorting and filtering parameters.
+ * @returns {Promise<object>} - `{ notes, total, nextCursor }`.
+ * @throws {AppError} If the query has no searchable terms, the cursor is invalid or the search fails.
+ */
+export const searchNotesService = async (userId, searchTerm, mode, query) => {
+  const options = toPageOptions(query);
+
+  if (mode === "substring") {
+    const page = await searchNotesByTitle(userId, searchTerm, options);
+    return toPageResult(page, options);
+  }
+
+  const tsQuery = buildTsQuery(searchTerm);
+  if (!tsQuery) {
+    throw new AppError("Search query (q) contains no searchable words.", 400);
+  }
+
+  const page = await searchNotesFullText(userId, tsQuery, options);
+  return toPageResult(page, options);
+};
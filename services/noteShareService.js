@@ -0,0 +1,116 @@
+import {
+  createShare,
+  getSharesByNoteId,
+  updateSharePermission,
+  deleteShare,
+} from "../models/noteShareModel.js";
+import { getNoteByIdAndUserId } from "../models/noteModel.js";
+import { findUserByUsername } from "../models/userModel.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Makes sure a note exists and is owned by the user. Only owners can manage the shares of a note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user managing the shares.
+ * @returns {Promise<object>} - The note object.
+ * @throws {AppError} If the note is not found or not owned by the user.
+ */
+const findOwnedNoteOrFail = async (noteId, userId) => {
+  const note = await getNoteByIdAndUserId(noteId, userId);
+  if (!note) {
+    throw new AppError(
+      "Note not found or you do not have permission to manage its shares.",
+      404
+    );
+  }
+  return note;
+};
+
+/**
+ * Lists the users a note is shared with.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the note owner.
+ * @returns {Promise<Array<object>>} - An array of share objects.
+ * @throws {AppError} If the note is not found or not owned by the user.
+ */
+export const listSharesService = async (noteId, userId) => {
+  await findOwnedNoteOrFail(noteId, userId);
+  return getSharesByNoteId(noteId);
+};
+
+/**
+ * Shares a note with another user by username.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the note owner.
+ * @param {string} username - The username of the user to share the note with.
+ * @param {string} permission - The share level, "read" or "edit".
+ * @returns {Promise<object>} - The created share object.
+ * @throws {AppError} If the note or user is not found, the user is the owner, or the note is already shared with them.
+ */
+export const createShareService = async (
+  noteId,
+  userId,
+  username,
+  permission
+) => {
+  await findOwnedNoteOrFail(noteId, userId);
+
+  const recipient = await findUserByUsername(username);
+  if (!recipient) {
+    throw new AppError("User to share with not found.", 404);
+  }
+  if (recipient.id === userId) {
+    throw new AppError("You cannot share a note with yourself.", 400);
+  }
+
+  const share = await createShare(noteId, recipient.id, permission);
+  if (!share) {
+    throw new AppError(
+      "Note is already shared with this user. Update the existing share instead.",
+      409
+    );
+  }
+  return share;
+};
+
+/**
+ * Changes the permission of a share.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} shareId - The ID of the share.
+ * @param {string} userId - The ID of the note owner.
+ * @param {string} permission - The new share level, "read" or "edit".
+ * @returns {Promise<object>} - The updated share object.
+ * @throws {AppError} If the note or share is not found, or the note is not owned by the user.
+ */
+export const updateShareService = async (
+  noteId,
+  shareId,
+  userId,
+  permission
+) => {
+  await findOwnedNoteOrFail(noteId, userId);
+
+  const share = await updateSharePermission(shareId, noteId, permission);
+  if (!share) {
+    throw new AppError("Share not found for this note.", 404);
+  }
+  return share;
+};
+
+/**
+ * Revokes a share, removing the other user's access to the note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} shareId - The ID of the share.
+ * @param {string} userId - The ID of the note owner.
+ * @returns {Promise<boolean>} - True if the share was revoked.
+ * @throws {AppError} If the note or share is not found, or the note is not owned by the user.
+ */
+export const revokeShareService = async (noteId, shareId, userId) => {
+  await findOwnedNoteOrFail(noteId, userId);
+
+  const isDeleted = await deleteShare(shareId, noteId);
+  if (!isDeleted) {
+    throw new AppError("Share not found for this note.", 404);
+  }
+  return true;
+};
@@ -0,0 +1,214 @@
+import {
+  createNotebook,
+  getNotebooksByUserId,
+  getNotebookByIdAndUserId,
+  getNotebookDescendants,
+  lockNotebooksByUserId,
+  updateNotebook,
+  moveChildNotebooksToRoot,
+  deleteNotebooks,
+} from "../models/notebookModel.js";
+import {
+  getNotesByNotebookIds,
+  moveNotebookNotesToRoot,
+  trashNotesInNotebooks,
+} from "../models/noteModel.js";
+import { createRevision } from "../models/noteRevisionModel.js";
+import { deletePublicLinksForNotes } from "../models/publicLinkModel.js";
+import { withTransaction } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Retrieves a notebook and throws a 404 if it does not exist or belongs to another user.
+ * @param {string} notebookId - The ID of the notebook.
+ * @param {string} userId - The ID of the user requesting the notebook.
+ * @param {object} [client] - A client of an open transaction.
+ * @returns {Promise<object>} - The notebook object.
+ * @throws {AppError} If the notebook is not found.
+ */
+const findNotebookOrFail = async (notebookId, userId, client) => {
+  const notebook = await getNotebookByIdAndUserId(notebookId, userId, client);
+  if (!notebook) {
+    throw new AppError(
+      "Notebook not found or you do not have permission to access it.",
+      404
+    );
+  }
+  return notebook;
+};
+
+/**
+ * Lists all notebooks of a user. Nesting is expressed by `parent_id`.
+ * @param {string} userId - The ID of the user whose notebooks to retrieve.
+ * @returns {Promise<Array<object>>} - An array of notebook objects with `note_count`.
+ * @throws {AppError} If retrieval fails.
+ */
+export const listNotebooksService = async (userId) => {
+  const notebooks = await getNotebooksByUserId(userId);
+  return notebooks;
+};
+
+/**
+ * Creates a notebook, either at the top level or inside another notebook of the user.
+ * @param {string} userId - The ID of the user creating the notebook.
+ * @param {string} name - The name of the notebook.
+ * @param {string | null} parentId - The ID of the parent notebook, or null for the top level.
+ * @returns {Promise<object>} - The created notebook object.
+ * @throws {AppError} If the parent notebook is not found, or creation fails.
+ */
+export const createNotebookService = async (userId, name, parentId) => {
+  if (parentId) {
+    await findNotebookOrFail(parentId, userId);
+  }
+  const notebook = await createNotebook(userId, name, parentId);
+  if (!notebook) {
+    throw new AppError("Failed to create notebook. Please try again.", 500);
+  }
+  return notebook;
+};
+
+/**
+ * Retrieves a notebook with its contents.
+ * Without `recursive`, only the direct sub-notebooks and notes are returned. With `recursive`,
+ * all nested sub-notebooks (with their `depth`) and every note inside any of them are returned.
+ * @param {string} notebookId - The ID of the notebook.
+ * @param {string} userId - The ID of the user requesting the notebook.
+ * @param {boolean} recursive - Whether to include the contents of sub-notebooks.
+ * @returns {Promise<object>} - `{ notebook, notebooks, notes }`.
+ * @throws {AppError} If the notebook is not found or not owned by the user.
+ */
+export const getNotebookContentsService = async (
+  notebookId,
+  userId,
+  recursive
+) => {
+  const notebook = await findNotebookOrFail(notebookId, userId);
+
+  const descendants = await getNotebookDescendants(notebookId, userId);
+  const notebooks = recursive
+    ? descendants
+    : descendants.filter((child) => child.depth === 1);
+
+  const notebookIds = recursive
+    ? [notebook.id, ...descendants.map((child) => child.id)]
+    : [notebook.id];
+  const notes = await getNotesByNotebookIds(notebookIds, userId);
+
+  return { notebook, notebooks, notes };
+};
+
+/**
+ * Renames and/or moves a notebook.
+ * A notebook cannot be moved into itself or one of its own sub-notebooks. The user's notebooks are locked
+ * while this is checked, so two moves at once cannot make a cycle together.
+ * @param {string} notebookId - The ID of the notebook to update.
+ * @param {string} userId - The ID of the user attempting to update.
+ * @param {object} updates - An object with fields to update (name, parentId). A null parentId moves it to the top level.
+ * @returns {Promise<object>} - The updated notebook object.
+ * @throws {AppError} If the notebook or new parent is not found, the move would create a cycle, or update fails.
+ */
+export const updateNotebookService = async (notebookId, userId, updates) => {
+  return withTransaction(async (client) => {
+    await findNotebookOrFail(notebookId, userId, client);
+
+    if (updates.parentId) {
+      await lockNotebooksByUserId(userId, client);
+      await findNotebookOrFail(updates.parentId, userId, client);
+
+      const descendants = await getNotebookDescendants(
+        notebookId,
+        userId,
+        client
+      );
+      if (
+        updates.parentId === notebookId ||
+        descendants.some((child) => child.id === updates.parentId)
+      ) {
+        throw new AppError(
+          "A notebook cannot be moved into itself or one of its sub-notebooks.",
+          400
+        );
+      }
+    }
+
+    const notebook = await updateNotebook(notebookId, userId, updates, client);
+    if (!notebook) {
+      throw new AppError("Failed to update notebook. Please try again.", 500);
+    }
+    return notebook;
+  });
+};
+
+/**
+ * Deletes a notebook.
+ * In "root" mode the notebook's notes and direct sub-notebooks are moved to the top level.
+ * In "cascade" mode all nested sub-notebooks are deleted as well, and every note inside them
+ * is moved to the trash (with a "delete" revision and its public links revoked, like a single note deletion).
+ * @param {string} notebookId - The ID of the notebook to delete.
+ * @param {string} userId - The ID of the user attempting to delete.
+ * @param {string} mode - "root" or "cascade".
+ * @returns {Promise<object>} - `{ deletedNotebooks, movedNotes, trashedNotes }` counts.
+ * @throws {AppError} If the notebook is not found or not owned by the user, or deletion fails.
+ */
+export const deleteNotebookService = async (notebookId, userId, mode) => {
+  return withTransaction(async (client) => {
+    await findNotebookOrFail(notebookId, userId, client);
+
+    if (mode === "cascade") {
+      const descendants = await getNotebookDescendants(
+        notebookId,
+        userId,
+        client
+      );
+      const notebookIds = [notebookId, ...descendants.map((nb) => nb.id)];
+
+      const trashedNotes = await trashNotesInNotebooks(
+        notebookIds,
+        userId,
+        client
+      );
+      for (const note of trashedNotes) {
+        await createRevision(
+          {
+            noteId: note.id,
+            userId: note.user_id,
+            authorId: userId,
+            action: "delete",
+            title: note.title,
+            text: note.text,
+            contentFormat: note.content_format,
+          },
+          client
+        );
+      }
+      await deletePublicLinksForNotes(
+        trashedNotes.map((note) => note.id),
+        client
+      );
+
+      const deletedNotebooks = await deleteNotebooks(
+        notebookIds,
+        userId,
+        client
+      );
+      return {
+        deletedNotebooks,
+        movedNotes: 0,
+        trashedNotes: trashedNotes.length,
+      };
+    }
+
+    await moveChildNotebooksToRoot(notebookId, userId, client);
+    const movedNotes = await moveNotebookNotesToRoot(
+      notebookId,
+      userId,
+      client
+    );
+    const deletedNotebooks = await deleteNotebooks(
+      [notebookId],
+      userId,
+      client
+    );
+    return { deletedNotebooks, movedNotes, trashedNotes: 0 };
+  });
+};
@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import { claimDueReminders, advanceNoteReminder } from "../models/noteModel.js";
+import {
+  getNotificationsByUserId,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../models/notificationModel.js";
+import {
+  createDeliveries,
+  claimDueDeliveries,
+  finishDelivery,
+} from "../models/notificationDeliveryModel.js";
+import { withTransaction } from "../config/db.js";
+import { notificationConfig } from "../config/notifications.js";
+import { getNotificationChannels } from "../notifications/channels.js";
+import { nextOccurrence } from "../utils/recurrence.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * How long a worker has to deliver a claimed notification before another worker may try it, in seconds.
+ * Comfortably longer than a webhook may take to answer.
+ */
+const DELIVERY_LEASE_SECONDS = 300;
+
+/**
+ * Fires the reminders that are due: queues a "reminder" notification to the owner of each note for every
+ * channel in use, and moves recurring reminders to their next occurrence (one-off reminders are removed).
+ * The notes are locked while this happens and locked notes are skipped, so a reminder fires once even with
+ * several instances of the reminder job running.
+ * @param {Date} [now=new Date()] - The time reminders are due by.
+ * @returns {Promise<number>} - The number of reminders fired.
+ * @throws {AppError} If there is a database error; no reminder of the batch is fired then.
+ */
+export const fireDueRemindersService = async (now = new Date()) =>
+  withTransaction(async (client) => {
+    const notes = await claimDueReminders(
+      now,
+      notificationConfig.batchSize,
+      client
+    );
+    const channels = Object.keys(getNotificationChannels());
+
+    for (const note of notes) {
+      const next = note.reminder_rule
+        ? nextOccurrence(note.reminder_rule, note.reminder_at, now)
+        : null;
+      await advanceNoteReminder(note.id, next, client);
+      if (channels.length) {
+        const notification = {
+          id: crypto.randomUUID(),
+          userId: note.user_id,
+          noteId: note.id,
+          type: "reminder",
+          title: note.title,
+          data: { reminder_at: note.reminder_at, next_reminder_at: next },
+          createdAt: now,
+        };
+        await createDeliveries(notification, channels, client);
+      }
+    }
+    return notes.length;
+  });
+
+/**
+ * Delivers queued notifications that are due through their channels. A failed delivery is retried with an
+ * exponential backoff (`retryBaseSeconds`, doubled for every further attempt) and given up after `maxAttempts`.
+ * @param {Date} [now=new Date()] - The time deliveries are due by.
+ * @returns {Promise<object>} - `{ delivered, failed }`, the number of deliveries that succeeded and failed.
+ * @throws {AppError} If there is a database error.
+ */
+export const deliverNotificationsService = async (now = new Date()) => {
+  const deliveries = await claimDueDeliveries(
+    now,
+    notificationConfig.batchSize,
+    DELIVERY_LEASE_SECONDS
+  );
+  const channels = getNotificationChannels();
+
+  let delivered = 0;
+  for (const delivery of deliveries) {
+    try {
+      const channel = channels[delivery.channel];
+      if (!channel) {
+        throw new Error(`Unknown notification channel "${delivery.channel}".`);
+      }
+      await channel.deliver(delivery.notification);
+      await finishDelivery(delivery.id, { status: "delivered" });
+      delivered += 1;
+    } catch (error) {
+      if (delivery.attempts >= notificationConfig.maxAttempts) {
+        await finishDelivery(delivery.id, {
+          status: "failed",
+          error: error.message,
+        });
+      } else {
+        const delaySeconds =
+          notificationConfig.retryBaseSeconds * 2 ** (delivery.attempts - 1);
+        await finishDelivery(delivery.id, {
+          status: "pending",
+          error: error.message,
+          retryAt: new Date(Date.now() + delaySeconds * 1000),
+        });
+      }
+    }
+  }
+  return { delivered, failed: deliveries.length - delivered };
+};
+
+/**
+ * Decodes a cursor of the notifications feed, which is ordered by creation time and ID.
+ * @param {string} [cursor] - The cursor received from the client.
+ * @returns {object | null} The `{ value, id }` position, or null for the first page.
+ * @throws {AppError} If the cursor is malformed.
+ */
+const toPosition = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  const payload = decodeCursor(cursor);
+  if (
+    typeof payload.value !== "string" ||
+    !/^[0-9a-f-]{36}$/i.test(payload.id)
+  ) {
+    throw new AppError("Invalid pagination cursor.", 400);
+  }
+  return { value: payload.value, id: payload.id };
+};
+
+/**
+ * Retrieves a page of a user's notifications feed, newest first.
+ * @param {string} userId - The ID of the user.
+ * @param {object} query - Validated query parameters (unread, limit, cursor).
+ * @returns {Promise<object>} - `{ notifications, total, unreadCount, nextCursor }`.
+ * @throws {AppError} If the cursor is invalid or retrieval fails.
+ */
+export const getNotificationsService = async (userId, query) => {
+  const { unread, limit, cursor } = query;
+  const page = await getNotificationsByUserId(userId, {
+    unread,
+    limit,
+    cursor: toPosition(cursor),
+  });
+  return {
+    ...page,
+    nextCursor: page.nextCursor ? encodeCursor(page.nextCursor) : null,
+  };
+};
+
+/**
+ * Marks a notification of a user read or unread.
+ * @param {string} notificationId - The ID of the notification.
+ * @param {string} userId - The ID of the user.
+ * @param {boolean} read - true marks it read, false unread.
+ * @returns {Promise<object>} - The updated notification.
+ * @throws {AppError} If the notification is not found.
+ */
+export const updateNotificationService = async (
+  notificationId,
+  userId,
+  read
+) => {
+  const notification = await markNotificationRead(notificationId, userId, read);
+  if (!notification) {
+    throw new AppError("Notification not found.", 404);
+  }
+  return notification;
+};
+
+/**
+ * Marks all unread notifications of a user read.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} - The number of notifications marked read.
+ * @throws {AppError} If the update fails.
+ */
+export const markAllNotificationsReadService = async (userId) =>
+  markAllNotificationsRead(userId);
@@ -0,0 +1,116 @@
+import bcrypt from "bcryptjs";
+import {
+  createPublicLink,
+  getPublicLinksByNoteId,
+  deletePublicLink,
+  getPublicNoteByTokenHash,
+} from "../models/publicLinkModel.js";
+import { getNoteByIdAndUserId } from "../models/noteModel.js";
+import { AppError } from "../utils/appError.js";
+import { generateSecureToken, hashSecureToken } from "../utils/secureToken.js";
+
+/**
+ * Makes sure a note exists and is owned by the user. Only owners can publish a note.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the user managing the links.
+ * @returns {Promise<object>} - The note object.
+ * @throws {AppError} If the note is not found or not owned by the user.
+ */
+const findOwnedNoteOrFail = async (noteId, userId) => {
+  const note = await getNoteByIdAndUserId(noteId, userId);
+  if (!note) {
+    throw new AppError(
+      "Note not found or you do not have permission to manage its public links.",
+      404
+    );
+  }
+  return note;
+};
+
+/**
+ * Lists the public links of a note, including expired ones.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the note owner.
+ * @returns {Promise<Array<object>>} - An array of link objects.
+ * @throws {AppError} If the note is not found or not owned by the user.
+ */
+export const listPublicLinksService = async (noteId, userId) => {
+  await findOwnedNoteOrFail(noteId, userId);
+  return getPublicLinksByNoteId(noteId);
+};
+
+/**
+ * Creates a public link for a note, identified by a random, unguessable token. Only the hash of the token
+ * is stored, so the token is returned here and cannot be retrieved later.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} userId - The ID of the note owner.
+ * @param {object} [options] - Optional settings.
+ * @param {Date} [options.expiresAt] - When the link stops working. Links without expiry work until revoked.
+ * @param {string} [options.password] - A password visitors must send to read the note.
+ * @returns {Promise<object>} - The created link object, with its `token`.
+ * @throws {AppError} If the note is not found or not owned by the user, or creation fails.
+ */
+export const createPublicLinkService = async (
+  noteId,
+  userId,
+  { expiresAt = null, password } = {}
+) => {
+  await findOwnedNoteOrFail(noteId, userId);
+
+  const { token, hash } = generateSecureToken();
+  const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+
+  const link = await createPublicLink(noteId, hash, passwordHash, expiresAt);
+  if (!link) {
+    throw new AppError("Failed to create public link. Please try again.", 500);
+  }
+  return { ...link, token };
+};
+
+/**
+ * Revokes a public link. The link stops working immediately.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} linkId - The ID of the link.
+ * @param {string} userId - The ID of the note owner.
+ * @returns {Promise<boolean>} - True if the link was revoked.
+ * @throws {AppError} If the note or link is not found, or the note is not owned by the user.
+ */
+export const revokePublicLinkService = async (noteId, linkId, userId) => {
+  await findOwnedNoteOrFail(noteId, userId);
+
+  const isDeleted = await deletePublicLink(linkId, noteId);
+  if (!isDeleted) {
+    throw new AppError("Public link not found for this note.", 404);
+  }
+  return true;
+};
+
+/**
+ * Retrieves the note published by a public link.
+ * @param {string} token - The token of the link.
+ * @param {string} [password] - The link password, required if the link has one.
+ * @returns {Promise<object>} - The public fields of the note (title, text, created_at, modified_at).
+ * @throws {AppError} 404 if the link does not exist, was revoked or has expired, or its note was deleted;
+ *                    401 if the password is missing or wrong.
+ */
+export const getPublicNoteService = async (token, password) => {
+  const link = await getPublicNoteByTokenHash(hashSecureToken(token));
+  if (!link) {
+    throw new AppError("Public link not found or has expired.", 404);
+  }
+
+  if (link.password_hash) {
+    if (!password) {
+      throw new AppError(
+        "This link is password protected. Send the password in the X-Link-Password header.",
+        401
+      );
+    }
+    const isMatch = await bcrypt.compare(password, link.password_hash);
+    if (!isMatch) {
+      throw new AppError("Incorrect link password.", 401);
+    }
+  }
+
+  return link.note;
+};
@@ -0,0 +1,72 @@
+import {
+  getTagsWithUsage,
+  getTagForUpdate,
+  getTagByName,
+  renameTag,
+  mergeTags,
+} from "../models/tagModel.js";
+import { touchNotesWithTag } from "../models/noteModel.js";
+import { withTransaction, withSavepoint } from "../config/db.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Lists the tags of a user with their usage counts.
+ * @param {string} userId - The ID of the user whose tags to retrieve.
+ * @returns {Promise<Array<object>>} - An array of tag objects with `note_count`.
+ * @throws {AppError} If retrieval fails.
+ */
+export const listTagsService = async (userId) => {
+  const tags = await getTagsWithUsage(userId);
+  return tags;
+};
+
+/**
+ * Renames a tag. If the user already has a tag with the new name, the tag is merged into it.
+ * Every note using the tag gets a new version, since its tags changed.
+ * @param {string} tagId - The ID of the tag to rename.
+ * @param {string} userId - The ID of the user who owns the tag.
+ * @param {string} name - The new tag name.
+ * @returns {Promise<object>} - `{ tag, merged }`, where `tag` is the resulting tag and `merged`
+ *                              tells whether the tag was merged into an existing one.
+ * @throws {AppError} If the tag is not found or not owned by the user, or the rename fails.
+ */
+export const renameTagService = async (tagId, userId, name) => {
+  return withTransaction(async (client) => {
+    const tag = await getTagForUpdate(tagId, userId, client);
+    if (!tag) {
+      throw new AppError(
+        "Tag not found or you do not have permission to update it.",
+        404
+      );
+    }
+    if (tag.name === name) {
+      return { tag, merged: false };
+    }
+
+    // Bump the notes before merging, while they are still linked to this tag.
+    await touchNotesWithTag(tag.id, client);
+
+    const mergeInto = async (existingTag) => {
+      await mergeTags(tag.id, existingTag.id, client);
+      return { tag: existingTag, merged: true };
+    };
+
+    const existingTag = await getTagByName(name, userId, client);
+    if (existingTag) {
+      return mergeInto(existingTag);
+    }
+
+    try {
+      const renamedTag = await withSavepoint(client, () =>
+        renameTag(tag.id, name, client)
+      );
+      return { tag: renamedTag, merged: false };
+    } catch (error) {
+      // A tag with the new name was created since the lookup, e.g. by a note saved at the same time.
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+      return mergeInto(await getTagByName(name, userId, client));
+    }
+  });
+};
@@ -2,11 +2,272 @@ import bcrypt from "bcryptjs";
 import {
   createUser,
   findUserByUsername,
+  findUserByEmail,
+  getUserProfile,
+  updateUserProfile,
+  getUserCredentialsById,
+  updatePassword,
   deleteUser,
 } from "../models/userModel.js";
+import {
+  createPasswordResetToken,
+  deleteUnusedPasswordResetTokens,
+  getPasswordResetTokenForUpdate,
+  markPasswordResetTokenUsed,
+} from "../models/passwordResetModel.js";
+import { deleteSharesForUser } from "../models/noteShareModel.js";
+import { getStorageKeysByUserId } from "../models/noteAttachmentModel.js";
+import { deleteAttachmentFiles } from "./noteAttachmentService.js";
+import {
+  createSession,
+  revokeSession,
+  revokeAllSessionsForUser,
+  createRefreshToken,
+  getRefreshTokenForUpdate,
+  markRefreshTokenUsed,
+} from "../models/sessionModel.js";
+import {
+  usernameAttemptKey,
+  ipAttemptKey,
+  getActiveLockouts,
+  recordFailedLogin,
+  clearLoginAttempts,
+} from "../models/loginAttemptModel.js";
+import {
+  getTwoFactorState,
+  setPendingTotpSecret,
+  enableTotp,
+  disableTotp,
+  markTotpStepUsed,
+  createRecoveryCodes,
+  useRecoveryCode,
+  deleteRecoveryCodes,
+} from "../models/twoFactorModel.js";
+import { withTransaction } from "../config/db.js";
 import { AppError } from "../utils/appError.js";
-import { createJwtToken } from "../utils/jwtToken.js";
+import {
+  createJwtToken,
+  createTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+} from "../utils/jwtToken.js";
+import { generateSecureToken, hashSecureToken } from "../utils/secureToken.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+} from "../utils/totp.js";
 import { jwtConfig } from "../config/jwt.js";
+import { passwordResetConfig } from "../config/passwordReset.js";
+import { loginProtectionConfig } from "../config/loginProtection.js";
+import { twoFactorConfig } from "../config/twoFactor.js";
+import { sendMail } from "../mail/mailer.js";
+
+/**
+ * Hashes a password for secure storage.
+ * @param {string} password - The plain text password.
+ * @returns {Promise<string>} The bcrypt hash of the password.
+ */
+const hashPassword = async (password) => {
+  // Generate a salt and hash the password with it.
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Creates a short-lived access token (JWT) bound to a session.
+ * @param {string} userId - The ID of the user.
+ * @param {string} role - The role of the user, carried in the token for authorization.
+ * @param {string} sessionId - The ID of the session.
+ * @returns {string} The access token.
+ */
+const createAccessToken = (userId, role, sessionId) =>
+  createJwtToken(
+    userId,
+    sessionId,
+    role,
+    jwtConfig.secret,
+    jwtConfig.lifetime,
+    jwtConfig.algorithm
+  );
+
+/**
+ * Starts a new login session for a user and issues its first access and refresh tokens.
+ * @param {object} user - The user who logged in, with `id` and `role`.
+ * @returns {Promise<object>} `{ token, refreshToken }`.
+ * @throws {AppError} If the session could not be created.
+ */
+const startSession = async (user) => {
+  return withTransaction(async (client) => {
+    // The session, and with it every refresh token rotated from this login, ends after the refresh token lifetime.
+    const expiresAt = new Date(
+      Date.now() + jwtConfig.refreshTokenLifetimeDays * 24 * 60 * 60 * 1000
+    );
+    const session = await createSession(user.id, expiresAt, client);
+
+    const refreshToken = generateSecureToken();
+    await createRefreshToken(session.id, refreshToken.hash, client);
+
+    return {
+      token: createAccessToken(user.id, user.role, session.id),
+      refreshToken: refreshToken.token,
+    };
+  });
+};
+
+/**
+ * Returns the number of whole seconds until a point in time, at least 1.
+ * @param {Date | string} date - The point in time.
+ * @returns {number} The number of seconds.
+ */
+const secondsUntil = (date) =>
+  Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Creates the error for a username that is temporarily locked after too many failed logins.
+ * @param {Date | string} lockedUntil - When the lockout ends.
+ * @returns {AppError} A 423 error with code "ACCOUNT_TEMPORARILY_LOCKED".
+ */
+const accountLockoutError = (lockedUntil) =>
+  new AppError(
+    "Too many failed login attempts. This account is temporarily locked, please try again later.",
+    423,
+    { retryAfterSeconds: secondsUntil(lockedUntil) },
+    "ACCOUNT_TEMPORARILY_LOCKED"
+  );
+
+/**
+ * Creates the error for an IP address that is blocked from logging in after too many failed logins.
+ * @param {Date | string} lockedUntil - When the block ends.
+ * @returns {AppError} A 429 error with code "TOO_MANY_LOGIN_ATTEMPTS".
+ */
+const ipLockoutError = (lockedUntil) =>
+  new AppError(
+    "Too many failed login attempts from this IP address. Please try again later.",
+    429,
+    { retryAfterSeconds: secondsUntil(lockedUntil) },
+    "TOO_MANY_LOGIN_ATTEMPTS"
+  );
+
+/**
+ * Records a failed login for the username and IP address, and waits before answering.
+ * The wait doubles with every failure of the username, up to `loginProtectionConfig.delayMaxMs`.
+ * @param {string} userKey - The attempt key of the username.
+ * @param {string | null} ipKey - The attempt key of the IP address, or null if it is unknown.
+ * @returns {Promise<AppError>} The error to answer with: a lockout error if this failure locked the
+ *                              username or IP address, otherwise 401 "Invalid credentials.".
+ */
+const handleFailedLogin = async (userKey, ipKey) => {
+  const {
+    maxFailedAttempts,
+    maxFailedAttemptsPerIp,
+    attemptWindowMinutes,
+    lockoutMinutes,
+    delayBaseMs,
+    delayMaxMs,
+  } = loginProtectionConfig;
+
+  const userAttempts = await recordFailedLogin(userKey, {
+    maxAttempts: maxFailedAttempts,
+    windowMinutes: attemptWindowMinutes,
+    lockoutMinutes,
+  });
+  const ipAttempts = ipKey
+    ? await recordFailedLogin(ipKey, {
+        maxAttempts: maxFailedAttemptsPerIp,
+        windowMinutes: attemptWindowMinutes,
+        lockoutMinutes,
+      })
+    : null;
+
+  // Slow down guessing progressively, before anyone is locked out.
+  const delay = Math.min(
+    delayBaseMs * 2 ** (userAttempts.failed_count - 1),
+    delayMaxMs
+  );
+  if (delay > 0) {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  const now = new Date();
+  if (userAttempts.locked_until && new Date(userAttempts.locked_until) > now) {
+    return accountLockoutError(userAttempts.locked_until);
+  }
+  if (ipAttempts?.locked_until && new Date(ipAttempts.locked_until) > now) {
+    return ipLockoutError(ipAttempts.locked_until);
+  }
+  return new AppError("Invalid credentials.", 401);
+};
+
+/**
+ * Refuses a login for a username or IP address that is temporarily locked out after too many failed logins.
+ * @param {string} userKey - The attempt key of the username.
+ * @param {string | null} ipKey - The attempt key of the IP address, or null if it is unknown.
+ * @returns {Promise<void>}
+ * @throws {AppError} A lockout error if the username or IP address is locked out.
+ */
+const assertNotLockedOut = async (userKey, ipKey) => {
+  const lockouts = await getActiveLockouts([userKey, ipKey].filter(Boolean));
+  const ipLockout = lockouts.find((lockout) => lockout.key === ipKey);
+  if (ipLockout) {
+    throw ipLockoutError(ipLockout.locked_until);
+  }
+  const userLockout = lockouts.find((lockout) => lockout.key === userKey);
+  if (userLockout) {
+    throw accountLockoutError(userLockout.locked_until);
+  }
+};
+
+/**
+ * Confirms the password of a logged-in user before a sensitive change, like changing the password.
+ * Wrong passwords count as failed logins of the username and IP address, so an access token cannot be
+ * used to guess the password without the lockouts and delays that apply to logins.
+ * @param {object} user - The user, with `username` and `password_hash`.
+ * @param {string} password - The password to confirm.
+ * @param {string | null} ip - The IP address of the client, or null if it is unknown.
+ * @param {string} message - The error message for a wrong password.
+ * @returns {Promise<void>}
+ * @throws {AppError} A 401 error with `message` if the password is wrong, or a lockout error if the
+ *                    username or IP address is (or now becomes) locked out.
+ */
+const confirmPassword = async (user, password, ip, message) => {
+  const userKey = usernameAttemptKey(user.username);
+  const ipKey = ip ? ipAttemptKey(ip) : null;
+  await assertNotLockedOut(userKey, ipKey);
+
+  const isMatch = await bcrypt.compare(password, user.password_hash);
+  if (!isMatch) {
+    const error = await handleFailedLogin(userKey, ipKey);
+    throw error.statusCode === 401 ? new AppError(message, 401) : error;
+  }
+
+  // The right password resets the failed login count of the username, like a successful login.
+  await clearLoginAttempts([userKey]);
+};
+
+/**
+ * Refuses a login for an account that an administrator has locked or that needs a new password.
+ * @param {object} user - The user, with `locked_at` and `password_reset_required`.
+ * @throws {AppError} A 403 error if the account cannot be used.
+ */
+const assertAccountUsable = (user) => {
+  // Accounts locked by an administrator cannot log in.
+  if (user.locked_at) {
+    throw new AppError(
+      "This account has been locked. Please contact an administrator.",
+      403
+    );
+  }
+
+  // An administrator can require a new password before the account can be used again.
+  if (user.password_reset_required) {
+    throw new AppError(
+      "A password reset is required for this account. Please reset your password.",
+      403
+    );
+  }
+};
 
 /**
  * Handles the business logic for user registration.
@@ -35,9 +296,8 @@ export const signup = async (username, password) => {
     throw new AppError("Username already exists.", 409);
   }
 
-  // Generate a salt and hash the user's password for secure storage.
-  const salt = await bcrypt.genSalt(10);
-  const passwordHash = await bcrypt.hash(password, salt);
+  // Hash the user's password for secure storage.
+  const passwordHash = await hashPassword(password);
 
   // Attempt to create the new user in the database with the hashed password.
   const newUser = await createUser(username, passwordHash);
@@ -46,76 +306,547 @@ export const signup = async (username, password) => {
     throw new AppError("Failed to create user. Please try again.", 500);
   }
 
-  // Create a JSON Web Token (JWT) for the new user for authentication.
-  // The token includes the user's ID, is signed with a secret, and has a defined lifetime and algorithm.
-  const token = createJwtToken(
-    newUser.id,
-    jwtConfig.secret,
-    jwtConfig.lifetime,
-    jwtConfig.algorithm
-  );
+  // Start a session for the new user, with a short-lived access token (JWT) and a refresh token.
+  const { token, refreshToken } = await startSession(newUser);
 
-  // Return the new user's ID, username, and the generated token.
-  return { id: newUser.id, username: newUser.username, token };
+  // Return the new user's ID, username, and the generated tokens.
+  return { id: newUser.id, username: newUser.username, token, refreshToken };
 };
 
 /**
  * Handles the business logic for user login.
  * Validates input, finds the user by username, compares passwords, and generates a JWT.
+ * Failed logins are counted per username and per IP address. Each failure delays the response a little
+ * longer, and too many failures lock the username (or block the IP address) for a while.
  * @param {string} username - The username provided for login.
  * @param {string} password - The password provided for login.
- * @returns {Promise<object>} An object containing the logged-in user's ID, username, and a JWT.
- * @throws {AppError} If username or password are missing, or credentials are invalid.
+ * @param {string} [ip] - The IP address of the client, for counting failed logins per IP.
+ * @returns {Promise<object>} An object containing the logged-in user's ID, username, and a JWT, or
+ * `{ twoFactorRequired: true, challengeToken }` if the user has two-factor authentication enabled.
+ * @throws {AppError} If username or password are missing, credentials are invalid, the username or IP address
+ * is temporarily locked out, the account is locked, or a password reset is required.
  */
-export const login = async (username, password) => {
+export const login = async (username, password, ip) => {
   // Basic validation for username and password presence.
   if (!username || !password) {
     throw new AppError("Username and password are required.", 400);
   }
 
+  // Refuse logins for a locked out username or IP address before doing any password work.
+  const userKey = usernameAttemptKey(username);
+  const ipKey = ip ? ipAttemptKey(ip) : null;
+  await assertNotLockedOut(userKey, ipKey);
+
   // Find the user in the database by their username.
   const user = await findUserByUsername(username);
   if (!user) {
-    // If no user is found, throw an unauthorized error.
-    throw new AppError("Invalid credentials.", 401);
+    // If no user is found, count the failure like a wrong password, so unknown usernames behave the same.
+    throw await handleFailedLogin(userKey, ipKey);
   }
 
   // Compare the provided password with the stored hashed password.
   const isMatch = await bcrypt.compare(password, user.password_hash);
   if (!isMatch) {
-    // If passwords do not match, throw an unauthorized error.
-    throw new AppError("Invalid credentials.", 401);
+    // If passwords do not match, count the failure and throw an unauthorized (or lockout) error.
+    throw await handleFailedLogin(userKey, ipKey);
+  }
+
+  // Checked after the password so the account state is not revealed to guessers.
+  assertAccountUsable(user);
+
+  // With two-factor authentication, the password alone is not enough: the client gets a challenge token
+  // to send with a code to `completeTwoFactorLogin`. Failed logins are only reset once the code is right,
+  // so knowing the password does not allow unlimited guessing of codes.
+  if (user.two_factor_enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallengeToken(
+        user.id,
+        jwtConfig.secret,
+        twoFactorConfig.challengeLifetime,
+        jwtConfig.algorithm
+      ),
+    };
   }
 
-  // Create a JSON Web Token (JWT) for the authenticated user.
-  // The token includes the user's ID, is signed with a secret, and has a defined lifetime and algorithm.
-  const token = createJwtToken(
-    user.id,
+  // A successful login resets the failed login count of the username.
+  await clearLoginAttempts([userKey]);
+
+  // Start a session for the user, with a short-lived access token (JWT) and a refresh token.
+  const { token, refreshToken } = await startSession(user);
+
+  // Return the user's ID, username, and the generated tokens.
+  return { id: user.id, username: user.username, token, refreshToken };
+};
+
+/**
+ * Handles the business logic for the second step of a login with two-factor authentication.
+ * Exchanges the challenge token from `login`, together with a code from the authenticator app or an
+ * unused recovery code, for a full session. Each code can only be used once. Wrong codes count as
+ * failed logins, like wrong passwords.
+ * @param {string} challengeToken - The challenge token returned by `login`.
+ * @param {object} proof - `{ code }` from the authenticator app, or `{ recoveryCode }`.
+ * @param {string} [ip] - The IP address of the client, for counting failed logins per IP.
+ * @returns {Promise<object>} An object containing the user's ID, username, and the new tokens.
+ * @throws {AppError} If the challenge token is invalid or expired, the code is wrong or already used,
+ * the username or IP address is temporarily locked out, or the account cannot be used.
+ */
+export const completeTwoFactorLogin = async (
+  challengeToken,
+  { code, recoveryCode },
+  ip
+) => {
+  // The challenge token proves that the password was right a few minutes ago.
+  const userId = verifyTwoFactorChallengeToken(
+    challengeToken,
     jwtConfig.secret,
-    jwtConfig.lifetime,
     jwtConfig.algorithm
   );
+  const user = userId ? await getTwoFactorState(userId) : null;
+  if (!user || !user.totp_enabled_at) {
+    throw new AppError(
+      "Invalid or expired two-factor challenge. Please log in again.",
+      401
+    );
+  }
+
+  // Lockouts apply to codes just like to passwords.
+  const userKey = usernameAttemptKey(user.username);
+  const ipKey = ip ? ipAttemptKey(ip) : null;
+  await assertNotLockedOut(userKey, ipKey);
+
+  let isValid;
+  if (recoveryCode) {
+    // Recovery codes are stored hashed and used up on the first use.
+    isValid = await useRecoveryCode(
+      user.id,
+      hashSecureToken(normalizeRecoveryCode(recoveryCode))
+    );
+  } else {
+    // A code is only accepted once, even within the time steps it is valid for.
+    const step = verifyTotp(user.totp_secret, code, {
+      window: twoFactorConfig.window,
+    });
+    isValid = step !== null && (await markTotpStepUsed(user.id, step));
+  }
+  if (!isValid) {
+    throw await handleFailedLogin(userKey, ipKey);
+  }
+
+  // A successful login resets the failed login count of the username.
+  await clearLoginAttempts([userKey]);
 
-  // Return the user's ID, username, and the generated token.
-  return { id: user.id, username: user.username, token };
+  // The account may have been locked since the password was checked.
+  assertAccountUsable(user);
+
+  // Start a session for the user, with a short-lived access token (JWT) and a refresh token.
+  const { token, refreshToken } = await startSession(user);
+
+  // Return the user's ID, username, and the generated tokens.
+  return { id: user.id, username: user.username, token, refreshToken };
+};
+
+/**
+ * Handles the business logic for starting the setup of two-factor authentication.
+ * Generates a new TOTP secret for the user. It takes effect once it is confirmed with `enableTwoFactor`.
+ * Starting the setup again replaces an unconfirmed secret.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} `{ secret, otpauthUri }` to enter into (or scan with) an authenticator app.
+ * @throws {AppError} If two-factor authentication is already enabled, or the user is not found.
+ */
+export const setupTwoFactor = async (userId) => {
+  const user = await getTwoFactorState(userId);
+  if (!user) {
+    throw new AppError("User not found.", 404);
+  }
+
+  // A new secret is only stored while two-factor authentication is off.
+  const secret = generateTotpSecret();
+  const isStored = await setPendingTotpSecret(userId, secret);
+  if (!isStored) {
+    throw new AppError("Two-factor authentication is already enabled.", 409);
+  }
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      issuer: twoFactorConfig.issuer,
+      accountName: user.username,
+      secret,
+    }),
+  };
+};
+
+/**
+ * Handles the business logic for confirming the setup of two-factor authentication.
+ * A code from the authenticator app proves that the secret was stored correctly. Two-factor
+ * authentication is then enabled, and a new set of one-time recovery codes is issued.
+ * @param {string} userId - The ID of the user.
+ * @param {string} code - A code from the authenticator app.
+ * @returns {Promise<object>} `{ recoveryCodes }`. The codes are stored hashed, so this is the only time they are shown.
+ * @throws {AppError} If the setup was not started, two-factor authentication is already enabled, or the code is wrong.
+ */
+export const enableTwoFactor = async (userId, code) => {
+  const user = await getTwoFactorState(userId);
+  if (!user) {
+    throw new AppError("User not found.", 404);
+  }
+  if (user.totp_enabled_at) {
+    throw new AppError("Two-factor authentication is already enabled.", 409);
+  }
+  if (!user.totp_secret) {
+    throw new AppError(
+      "Two-factor authentication setup has not been started.",
+      400
+    );
+  }
+
+  // The code must match the pending secret.
+  const step = verifyTotp(user.totp_secret, code, {
+    window: twoFactorConfig.window,
+  });
+  if (step === null) {
+    throw new AppError("Invalid two-factor authentication code.", 400);
+  }
+
+  // Enable two-factor authentication and replace any earlier recovery codes, in one transaction.
+  const recoveryCodes = Array.from(
+    { length: twoFactorConfig.recoveryCodeCount },
+    generateRecoveryCode
+  );
+  await withTransaction(async (client) => {
+    const isEnabled = await enableTotp(userId, step, client);
+    if (!isEnabled) {
+      throw new AppError("Two-factor authentication is already enabled.", 409);
+    }
+    await deleteRecoveryCodes(userId, client);
+    await createRecoveryCodes(
+      userId,
+      recoveryCodes.map((recoveryCode) =>
+        hashSecureToken(normalizeRecoveryCode(recoveryCode))
+      ),
+      client
+    );
+  });
+
+  return { recoveryCodes };
+};
+
+/**
+ * Handles the business logic for disabling two-factor authentication.
+ * The password must be confirmed again, so a stolen access token alone cannot weaken the account.
+ * The TOTP secret and every recovery code are deleted.
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The current password of the user.
+ * @param {string} [ip] - The IP address of the client, for counting wrong passwords as failed logins per IP.
+ * @returns {Promise<boolean>} True if two-factor authentication was disabled.
+ * @throws {AppError} If the password is wrong, the username or IP address is temporarily locked out,
+ * two-factor authentication is not enabled, or the user is not found.
+ */
+export const disableTwoFactor = async (userId, password, ip) => {
+  const user = await getTwoFactorState(userId);
+  if (!user) {
+    throw new AppError("User not found.", 404);
+  }
+
+  // The password must be confirmed before two-factor authentication can be turned off.
+  await confirmPassword(user, password, ip, "Password is incorrect.");
+
+  if (!user.totp_enabled_at) {
+    throw new AppError("Two-factor authentication is not enabled.", 400);
+  }
+
+  await withTransaction(async (client) => {
+    await disableTotp(userId, client);
+    await deleteRecoveryCodes(userId, client);
+  });
+  return true;
+};
+
+/**
+ * Handles the business logic for refreshing an access token.
+ * The refresh token is rotated: it can be used once, and a new one is returned with the new access token.
+ * Using a refresh token a second time means it has leaked, so the whole session (token family) is revoked.
+ * @param {string} refreshToken - The refresh token from the previous login or refresh.
+ * @returns {Promise<object>} An object containing a new access token and a new refresh token.
+ * @throws {AppError} If the refresh token is unknown, its session is revoked or expired, or it was already used.
+ */
+export const refreshSession = async (refreshToken) => {
+  const result = await withTransaction(async (client) => {
+    // Look up (and lock) the stored token by the hash of the presented token.
+    const stored = await getRefreshTokenForUpdate(
+      hashSecureToken(refreshToken),
+      client
+    );
+    if (!stored || stored.revoked_at || stored.expires_at <= new Date()) {
+      throw new AppError(
+        "Invalid or expired refresh token. Please log in again.",
+        401
+      );
+    }
+
+    if (stored.used_at) {
+      // Reuse detected: revoke the token family. Returned instead of thrown so the revocation is committed.
+      await revokeSession(stored.session_id, client);
+      return { reused: true };
+    }
+
+    // Rotate: the presented token is used up and a new one is issued in the same session.
+    await markRefreshTokenUsed(stored.id, client);
+    const nextToken = generateSecureToken();
+    await createRefreshToken(stored.session_id, nextToken.hash, client);
+
+    return {
+      // The role is read again, so role changes take effect on the next refresh.
+      token: createAccessToken(stored.user_id, stored.role, stored.session_id),
+      refreshToken: nextToken.token,
+    };
+  });
+
+  if (result.reused) {
+    throw new AppError(
+      "Refresh token has already been used. The session has been revoked, please log in again.",
+      401
+    );
+  }
+
+  // Return the new access token and refresh token.
+  return result;
+};
+
+/**
+ * Handles the business logic for logging out of the current session.
+ * Revokes the session, so its access token and refresh tokens stop working immediately.
+ * @param {string} sessionId - The ID of the session to end.
+ * @returns {Promise<boolean>} True if the session was revoked.
+ * @throws {AppError} If the session could not be revoked.
+ */
+export const logout = async (sessionId) => {
+  // Revoke the session the current access token belongs to.
+  await revokeSession(sessionId);
+  return true;
+};
+
+/**
+ * Handles the business logic for logging out everywhere.
+ * Revokes every session of the user, on all devices.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<number>} The number of revoked sessions.
+ * @throws {AppError} If the sessions could not be revoked.
+ */
+export const logoutAll = async (userId) => {
+  // Revoke all sessions of the user, including the current one.
+  return revokeAllSessionsForUser(userId);
+};
+
+/**
+ * Handles the business logic for retrieving the profile of the authenticated user.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} The profile (id, username, email, role, two_factor_enabled, created_at), without the password hash.
+ * @throws {AppError} If the user is not found.
+ */
+export const getProfile = async (userId) => {
+  // Retrieve the profile of the user.
+  const profile = await getUserProfile(userId);
+  if (!profile) {
+    // The account may have been deleted while the access token was still valid.
+    throw new AppError("User not found.", 404);
+  }
+  return profile;
+};
+
+/**
+ * Handles the business logic for updating the profile of the authenticated user.
+ * @param {string} userId - The ID of the user.
+ * @param {object} updates - The fields to update: `username` and/or `email` (null removes the email address).
+ * @returns {Promise<object>} The updated profile.
+ * @throws {AppError} If the username or email address is taken by another user, or the user is not found.
+ */
+export const updateProfile = async (userId, updates) => {
+  // Usernames must stay unique.
+  if (updates.username !== undefined) {
+    const existingUser = await findUserByUsername(updates.username);
+    if (existingUser && existingUser.id !== userId) {
+      throw new AppError("Username already exists.", 409);
+    }
+  }
+
+  // Email addresses must be unique as well, since they identify the account in the password reset flow.
+  if (updates.email) {
+    const existingUser = await findUserByEmail(updates.email);
+    if (existingUser && existingUser.id !== userId) {
+      throw new AppError("Email address is already in use.", 409);
+    }
+  }
+
+  // Update the profile fields.
+  const profile = await updateUserProfile(userId, updates);
+  if (!profile) {
+    throw new AppError("User not found.", 404);
+  }
+  return profile;
+};
+
+/**
+ * Handles the business logic for changing the password of the authenticated user.
+ * Every existing session is revoked, so tokens issued with the old password stop working,
+ * and a new session is started for the client that changed the password.
+ * @param {string} userId - The ID of the user.
+ * @param {string} currentPassword - The current password, to confirm the change.
+ * @param {string} newPassword - The new password.
+ * @param {string} [ip] - The IP address of the client, for counting wrong passwords as failed logins per IP.
+ * @returns {Promise<object>} New `{ token, refreshToken }` for the client that changed the password.
+ * @throws {AppError} If the current password is wrong, the username or IP address is temporarily locked out,
+ * or the user is not found.
+ */
+export const changePassword = async (
+  userId,
+  currentPassword,
+  newPassword,
+  ip
+) => {
+  // Retrieve the stored password hash of the user.
+  const user = await getUserCredentialsById(userId);
+  if (!user) {
+    throw new AppError("User not found.", 404);
+  }
+
+  // The current password must be confirmed before it can be changed.
+  await confirmPassword(
+    user,
+    currentPassword,
+    ip,
+    "Current password is incorrect."
+  );
+
+  // Store the new password and end every session, including the current one.
+  const passwordHash = await hashPassword(newPassword);
+  await withTransaction(async (client) => {
+    await updatePassword(userId, passwordHash, client);
+    await revokeAllSessionsForUser(userId, client);
+  });
+
+  // Start a new session so the client that changed the password stays logged in.
+  return startSession(user);
+};
+
+/**
+ * Creates a single-use password reset token for a user and mails it to them.
+ * Earlier unused tokens of the user stop working.
+ * @param {object} user - The user, with `id`, `username` and `email`.
+ * @returns {Promise<void>}
+ * @throws {AppError} If the reset token could not be stored.
+ * @throws {Error} If the email could not be sent.
+ */
+const sendPasswordResetMail = async (user) => {
+  const resetToken = generateSecureToken();
+  const expiresAt = new Date(
+    Date.now() + passwordResetConfig.tokenLifetimeMinutes * 60 * 1000
+  );
+  await withTransaction(async (client) => {
+    await deleteUnusedPasswordResetTokens(user.id, client);
+    await createPasswordResetToken(user.id, resetToken.hash, expiresAt, client);
+  });
+
+  const resetUrl = `${passwordResetConfig.url}?token=${resetToken.token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Swing Notes password",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password of your Swing Notes account. ` +
+      `Open the link below to choose a new password:\n\n${resetUrl}\n\n` +
+      `Or send this token to POST /api/user/reset-password:\n${resetToken.token}\n\n` +
+      `The link expires in ${passwordResetConfig.tokenLifetimeMinutes} minutes. ` +
+      `If you did not ask for this, you can ignore this email.`,
+  });
+};
+
+/**
+ * Handles the business logic for requesting a password reset.
+ * If the account exists and has an email address, a single-use reset token is created and mailed to it.
+ * Nothing is revealed to the caller about whether the account exists: the token is created and mailed
+ * after this resolves, so the response takes as long for unknown accounts as for real ones, and failures
+ * are only logged.
+ * @param {object} identifier - `{ username }` or `{ email }` of the account.
+ * @returns {Promise<void>}
+ */
+export const requestPasswordReset = async ({ username, email }) => {
+  // Find the account by username or email address.
+  const user = username
+    ? await findUserByUsername(username)
+    : await findUserByEmail(email);
+  if (!user || !user.email) {
+    // Accounts without an email address cannot receive a reset link.
+    return;
+  }
+
+  sendPasswordResetMail(user).catch((error) => {
+    console.error("Error sending password reset email:", error.message);
+  });
+};
+
+/**
+ * Handles the business logic for resetting a password with a reset token.
+ * The token can only be used once. Every session of the user is revoked, so they have to log in again.
+ * A temporary lockout after failed logins is lifted as well.
+ * @param {string} token - The reset token from the email.
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<boolean>} True if the password was reset.
+ * @throws {AppError} If the token is unknown, already used or expired.
+ */
+export const resetPassword = async (token, newPassword) => {
+  const passwordHash = await hashPassword(newPassword);
+
+  return withTransaction(async (client) => {
+    // Look up (and lock) the stored token by the hash of the presented token.
+    const stored = await getPasswordResetTokenForUpdate(
+      hashSecureToken(token),
+      client
+    );
+    if (!stored || stored.used_at || stored.expires_at <= new Date()) {
+      throw new AppError("Invalid or expired password reset token.", 400);
+    }
+
+    // Store the new password, use up the token and end every session of the user.
+    await updatePassword(stored.user_id, passwordHash, client);
+    await markPasswordResetTokenUsed(stored.id, client);
+    await revokeAllSessionsForUser(stored.user_id, client);
+    await clearLoginAttempts([usernameAttemptKey(stored.username)], client);
+
+    return true;
+  });
 };
 
 /**
  * Handles the business logic for deleting a user account.
- * Calls the userModel to delete the user from the database.
+ * Removes every note share involving the user, then calls the userModel to delete the user
+ * from the database, both in one transaction. The attachment files of the user's notes are
+ * removed from storage once the deletion is committed.
  * @param {string} userId - The ID of the user to be deleted.
  * @returns {Promise<boolean>} True if the user was successfully deleted.
  * @throws {AppError} If the user is not found or could not be deleted.
  */
 export const deleteUserAccount = async (userId) => {
-  // Attempt to delete the user from the database using their ID.
-  const isDeleted = await deleteUser(userId);
+  const storageKeys = await withTransaction(async (client) => {
+    // The user's notes and their attachment rows are deleted with the user; keep the file keys.
+    const keys = await getStorageKeysByUserId(userId, client);
 
-  if (!isDeleted) {
-    // If the user was not found or the deletion failed, throw a not found error.
-    throw new AppError("User not found or could not be deleted.", 404);
-  }
+    // Revoke notes shared with the user and shares of the user's own notes.
+    await deleteSharesForUser(userId, client);
+
+    // Attempt to delete the user from the database using their ID.
+    const isDeleted = await deleteUser(userId, client);
+
+    if (!isDeleted) {
+      // If the user was not found or the deletion failed, throw a not found error.
+      throw new AppError("User not found or could not be deleted.", 404);
+    }
+
+    return keys;
+  });
 
+  await deleteAttachmentFiles(storageKeys);
   // Return true if the user was successfully deleted.
   return true;
 };
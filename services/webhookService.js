@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import {
+  getWebhooksByUserId,
+  countWebhooks,
+  createWebhook,
+  deleteWebhook,
+} from "../models/webhookModel.js";
+import { notificationConfig } from "../config/notifications.js";
+import { isPrivateWebhookUrl } from "../notifications/webhookChannel.js";
+import { AppError } from "../utils/appError.js";
+
+/**
+ * Lists the webhooks of a user, with the outcome of their last delivery attempt.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} - An array of webhook objects, without their secrets.
+ * @throws {AppError} If retrieval fails.
+ */
+export const listWebhooksService = async (userId) =>
+  getWebhooksByUserId(userId);
+
+/**
+ * Adds a webhook notifications of a user are posted to, with a new random secret to sign them with.
+ * @param {string} userId - The ID of the user.
+ * @param {string} url - The http(s) URL to post to.
+ * @returns {Promise<object>} - The created webhook, with its `secret`. The secret is not returned again.
+ * @throws {AppError} 400 if the URL points to localhost or a private network address (unless allowed by
+ *                    `WEBHOOK_ALLOW_PRIVATE_HOSTS`) or the user already has the maximum number of webhooks.
+ */
+export const createWebhookService = async (userId, url) => {
+  if (
+    !notificationConfig.allowPrivateWebhookHosts &&
+    isPrivateWebhookUrl(url)
+  ) {
+    throw new AppError(
+      "Webhook URLs cannot point to local or private network addresses.",
+      400
+    );
+  }
+  const count = await countWebhooks(userId);
+  if (count >= notificationConfig.maxWebhooksPerUser) {
+    throw new AppError(
+      `You cannot have more than ${notificationConfig.maxWebhooksPerUser} webhooks.`,
+      400
+    );
+  }
+  const secret = crypto.randomBytes(32).toString("hex");
+  return createWebhook(userId, url, secret);
+};
+
+/**
+ * Deletes a webhook of a user.
+ * @param {string} webhookId - The ID of the webhook.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ * @throws {AppError} If the webhook is not found.
+ */
+export const deleteWebhookService = async (webhookId, userId) => {
+  const isDeleted = await deleteWebhook(webhookId, userId);
+  if (!isDeleted) {
+    throw new AppError("Webhook not found.", 404);
+  }
+};
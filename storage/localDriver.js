@@ -0,0 +1,66 @@
+import { mkdir, open, rename, rm, rmdir, writeFile } from "fs/promises";
+import { dirname, join, resolve, sep } from "path";
+import crypto from "crypto";
+
+// Keys are slash-separated segments of letters, digits, "-" and "_", so they cannot leave the root directory.
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+/**
+ * Creates a storage driver that keeps every file on the local disk, under `localDir`.
+ * Meant for single-server deployments; with several servers the directory has to be shared.
+ * @param {object} config - The attachment configuration, with `localDir`.
+ * @returns {object} The driver, with `put(key, data)`, `get(key)` and `delete(key)`.
+ */
+export const createLocalDriver = ({ localDir }) => {
+  const root = resolve(localDir);
+
+  const toPath = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}".`);
+    }
+    return join(root, ...key.split("/"));
+  };
+
+  return {
+    put: async (key, data) => {
+      const path = toPath(key);
+      await mkdir(dirname(path), { recursive: true });
+      // Write to a temporary file first, so readers never see a half-written file.
+      const tempPath = `${path}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+      try {
+        await writeFile(tempPath, data);
+        await rename(tempPath, path);
+      } catch (error) {
+        await rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+    get: async (key) => {
+      try {
+        const handle = await open(toPath(key), "r");
+        return handle.createReadStream();
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      const path = toPath(key);
+      await rm(path, { force: true });
+      // Drop the folders the key created once they are empty.
+      for (
+        let dir = dirname(path);
+        dir.startsWith(root + sep);
+        dir = dirname(dir)
+      ) {
+        try {
+          await rmdir(dir);
+        } catch {
+          break;
+        }
+      }
+    },
+  };
+};
@@ -0,0 +1,53 @@
+import { attachmentConfig } from "../config/attachments.js";
+import { createLocalDriver } from "./localDriver.js";
+
+/**
+ * Factories of the available storage drivers, by name. A factory receives `attachmentConfig` and returns
+ * a driver that keeps files by key and must provide:
+ * - `put(key, data)`: stores a Buffer under `key`, replacing any file with that key.
+ * - `get(key)`: resolves to a readable stream of the file, or null if there is no file with that key.
+ * - `delete(key)`: removes the file; resolves without error if there is no file with that key.
+ */
+const driverFactories = {
+  local: createLocalDriver,
+};
+
+// The driver in use, created on first use from `attachmentConfig.driver`.
+let activeDriver = null;
+
+/**
+ * Makes a driver available under a name, so it can be selected with `ATTACHMENT_STORAGE_DRIVER`
+ * (e.g., an S3 driver).
+ * @param {string} name - The name of the driver.
+ * @param {function} factory - A function that receives `attachmentConfig` and returns the driver.
+ */
+export const registerStorageDriver = (name, factory) => {
+  driverFactories[name] = factory;
+};
+
+/**
+ * Replaces the driver in use, e.g., with one that keeps files in memory in tests.
+ * Pass null to go back to the driver selected by `ATTACHMENT_STORAGE_DRIVER`.
+ * @param {object | null} driver - The driver, or null.
+ */
+export const setStorageDriver = (driver) => {
+  activeDriver = driver;
+};
+
+/**
+ * Returns the driver in use, creating it from the configuration on first use.
+ * @returns {object} The driver.
+ * @throws {Error} If `ATTACHMENT_STORAGE_DRIVER` names an unknown driver.
+ */
+export const getStorageDriver = () => {
+  if (!activeDriver) {
+    const factory = driverFactories[attachmentConfig.driver];
+    if (!factory) {
+      throw new Error(
+        `Unknown attachment storage driver "${attachmentConfig.driver}".`
+      );
+    }
+    activeDriver = factory(attachmentConfig);
+  }
+  return activeDriver;
+};
@@ -0,0 +1,201 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let admin;
+
+// Logs a user in again, e.g. to get a token with a changed role.
+const login = (username, password = "secret123") =>
+  app.api.post("/api/user/login").send({ username, password });
+
+before(async () => {
+  app = await startTestApp();
+  // Roles are only given out in the database; the token carries the role from the next login.
+  const { id } = await app.signup("admin-user");
+  await app.pool.query("UPDATE users SET role = 'admin' WHERE id = $1", [id]);
+  const res = await login("admin-user").expect(200);
+  admin = { id, auth: `Bearer ${res.body.data.token}` };
+});
+
+after(() => app.close());
+
+const asAdmin = (method, path) =>
+  app.api[method](`/api/admin${path}`).set("Authorization", admin.auth);
+
+describe("admin access", () => {
+  it("is refused to users who are not administrators", async () => {
+    const user = await app.signup("admin-regular");
+    const res = await app.api
+      .get("/api/admin/users")
+      .set("Authorization", user.auth)
+      .expect(403);
+    assert.equal(
+      res.body.message,
+      "You do not have permission to perform this action."
+    );
+    await app.api.get("/api/admin/users").expect(401);
+  });
+});
+
+describe("admin user management", () => {
+  it("lists and searches users", async () => {
+    await app.signup("admin-search-one");
+    await app.signup("admin-search-two");
+
+    const search = await asAdmin("get", "/users?search=admin-search").expect(
+      200
+    );
+    assert.deepEqual(search.body.data.map((user) => user.username).sort(), [
+      "admin-search-one",
+      "admin-search-two",
+    ]);
+    assert.equal(search.body.pagination.total, 2);
+
+    const firstPage = await asAdmin(
+      "get",
+      "/users?search=admin-search&limit=1"
+    ).expect(200);
+    assert.equal(firstPage.body.data.length, 1);
+    const secondPage = await asAdmin(
+      "get",
+      `/users?search=admin-search&limit=1&cursor=${firstPage.body.pagination.nextCursor}`
+    ).expect(200);
+    assert.equal(secondPage.body.data.length, 1);
+    assert.notEqual(secondPage.body.data[0].id, firstPage.body.data[0].id);
+
+    const admins = await asAdmin("get", "/users?role=admin").expect(200);
+    assert.deepEqual(
+      admins.body.data.map((user) => user.username),
+      ["admin-user"]
+    );
+
+    await asAdmin("get", "/users?role=owner").expect(400);
+    await asAdmin("get", "/users?cursor=nonsense").expect(400);
+  });
+
+  it("shows a user with their note count", async () => {
+    const user = await app.signup("admin-view");
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({ title: "Counted", text: "A note" })
+      .expect(201);
+
+    const res = await asAdmin("get", `/users/${user.id}`).expect(200);
+    assert.equal(res.body.data.username, "admin-view");
+    assert.equal(res.body.data.note_count, 1);
+    assert.equal(res.body.data.role, "user");
+
+    await asAdmin("get", "/users/00000000-0000-0000-0000-000000000000").expect(
+      404
+    );
+  });
+
+  it("locks and unlocks accounts", async () => {
+    const user = await app.signup("admin-lock");
+
+    const locked = await asAdmin("post", `/users/${user.id}/lock`).expect(200);
+    assert.ok(locked.body.data.locked_at);
+    // Locking ends the sessions of the user and keeps them from logging in.
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(401);
+    await login("admin-lock").expect(403);
+
+    const unlocked = await asAdmin("post", `/users/${user.id}/unlock`).expect(
+      200
+    );
+    assert.equal(unlocked.body.data.locked_at, null);
+    await login("admin-lock").expect(200);
+
+    const self = await asAdmin("post", `/users/${admin.id}/lock`).expect(400);
+    assert.equal(self.body.message, "You cannot lock your own account.");
+  });
+
+  it("lifts a lockout after failed logins when unlocking", async () => {
+    const user = await app.signup("admin-lockout");
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await login("admin-lockout", "wrong-password").expect(401);
+    }
+    await login("admin-lockout", "wrong-password").expect(423);
+    await login("admin-lockout").expect(423);
+
+    await asAdmin("post", `/users/${user.id}/unlock`).expect(200);
+    await login("admin-lockout").expect(200);
+  });
+
+  it("forces a password reset", async () => {
+    const user = await app.signup("admin-reset");
+
+    const res = await asAdmin(
+      "post",
+      `/users/${user.id}/force-password-reset`
+    ).expect(200);
+    assert.equal(res.body.data.password_reset_required, true);
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(401);
+    const refused = await login("admin-reset").expect(403);
+    assert.match(refused.body.message, /password reset is required/);
+
+    await asAdmin("post", `/users/${admin.id}/force-password-reset`).expect(
+      400
+    );
+  });
+
+  it("deletes accounts", async () => {
+    const user = await app.signup("admin-delete");
+
+    await asAdmin("delete", `/users/${user.id}`).expect(204);
+    await asAdmin("get", `/users/${user.id}`).expect(404);
+    await login("admin-delete").expect(401);
+
+    await asAdmin("delete", `/users/${user.id}`).expect(404);
+    await asAdmin("delete", `/users/${admin.id}`).expect(400);
+  });
+});
+
+describe("admin statistics and audit trail", () => {
+  it("reports usage statistics", async () => {
+    const res = await asAdmin("get", "/stats?days=30").expect(200);
+    assert.equal(res.body.data.recentDays, 30);
+    assert.equal(res.body.data.users.admins, 1);
+    assert.ok(res.body.data.users.total >= res.body.data.users.recent);
+    assert.ok(res.body.data.users.recent >= 1);
+
+    await asAdmin("get", "/stats?days=0").expect(400);
+  });
+
+  it("records every admin action in the audit trail", async () => {
+    const user = await app.signup("admin-audited");
+    await asAdmin("get", `/users/${user.id}`).expect(200);
+    await asAdmin("post", `/users/${user.id}/lock`).expect(200);
+    await asAdmin("post", `/users/${user.id}/unlock`).expect(200);
+
+    const res = await asAdmin(
+      "get",
+      `/audit-log?targetUserId=${user.id}`
+    ).expect(200);
+    assert.deepEqual(
+      res.body.data.map((entry) => entry.action),
+      ["unlock_user", "lock_user", "view_user"]
+    );
+    for (const entry of res.body.data) {
+      assert.equal(entry.actor_id, admin.id);
+      assert.equal(entry.actor_username, "admin-user");
+      assert.equal(entry.target_username, "admin-audited");
+    }
+
+    // Reading the audit trail is recorded too.
+    const views = await asAdmin(
+      "get",
+      "/audit-log?action=view_audit_log"
+    ).expect(200);
+    assert.ok(views.body.data.length >= 1);
+
+    await asAdmin("get", "/audit-log?actorId=nope").expect(400);
+  });
+});
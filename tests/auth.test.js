@@ -0,0 +1,132 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { startTestApp } from "./helpers/testApp.js";
+
+describe("authMiddleware", () => {
+  let app;
+  let alice;
+
+  before(async () => {
+    app = await startTestApp();
+    alice = await app.signup("alice");
+  });
+
+  after(() => app.close());
+
+  // Signs a token like the app does, with any payload and options.
+  const sign = (payload, options = {}, secret = process.env.JWT_SECRET) =>
+    jwt.sign(payload, secret, { algorithm: "HS256", ...options });
+
+  const sessionOf = (token) => jwt.decode(token).sid;
+
+  it("lets requests with a valid token through", async () => {
+    const res = await app.api
+      .get("/api/user/me")
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(res.body.data.username, "alice");
+  });
+
+  it("rejects requests without a token", async () => {
+    const res = await app.api.get("/api/notes").expect(401);
+    assert.equal(
+      res.body.message,
+      "You are not logged in! Please log in to get access."
+    );
+  });
+
+  it("rejects an Authorization header that is not a Bearer token", async () => {
+    await app.api
+      .get("/api/notes")
+      .set("Authorization", `Basic ${alice.token}`)
+      .expect(401);
+  });
+
+  it("rejects malformed tokens", async () => {
+    const res = await app.api
+      .get("/api/notes")
+      .set("Authorization", "Bearer not.a.token")
+      .expect(401);
+    assert.equal(res.body.message, "Invalid token. Please log in again.");
+  });
+
+  it("rejects tokens signed with another secret", async () => {
+    const token = sign(
+      { id: alice.id, sid: sessionOf(alice.token), role: "user" },
+      { expiresIn: "15m" },
+      "another-secret"
+    );
+    const res = await app.api
+      .get("/api/notes")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(401);
+    assert.equal(res.body.message, "Invalid token. Please log in again.");
+  });
+
+  it("rejects expired tokens", async () => {
+    const token = sign({
+      id: alice.id,
+      sid: sessionOf(alice.token),
+      role: "user",
+      exp: Math.floor(Date.now() / 1000) - 60,
+    });
+    const res = await app.api
+      .get("/api/notes")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(401);
+    assert.equal(
+      res.body.message,
+      "Your token has expired! Please log in again."
+    );
+  });
+
+  it("rejects tokens without a session", async () => {
+    const token = sign({ id: alice.id, role: "user" }, { expiresIn: "15m" });
+    const res = await app.api
+      .get("/api/notes")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(401);
+    assert.equal(res.body.message, "Invalid token. Please log in again.");
+  });
+
+  it("rejects tokens whose session belongs to another user", async () => {
+    const bob = await app.signup("bob");
+    const token = sign(
+      { id: bob.id, sid: sessionOf(alice.token), role: "user" },
+      { expiresIn: "15m" }
+    );
+    await app.api
+      .get("/api/notes")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(401);
+  });
+
+  it("rejects two-factor challenge tokens", async () => {
+    const token = sign(
+      { id: alice.id, purpose: "two_factor" },
+      { expiresIn: "5m" }
+    );
+    await app.api
+      .get("/api/notes")
+      .set("Authorization", `Bearer ${token}`)
+      .expect(401);
+  });
+
+  it("rejects tokens of a session that has been logged out", async () => {
+    const carol = await app.signup("carol");
+    await app.api
+      .post("/api/user/logout")
+      .set("Authorization", carol.auth)
+      .expect(204);
+
+    const res = await app.api
+      .get("/api/notes")
+      .set("Authorization", carol.auth)
+      .expect(401);
+    assert.equal(
+      res.body.message,
+      "Your session has been revoked. Please log in again."
+    );
+  });
+});
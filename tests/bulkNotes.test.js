@@ -0,0 +1,203 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let alice;
+let bob;
+
+before(async () => {
+  app = await startTestApp();
+  alice = await app.signup("alice");
+  bob = await app.signup("bob");
+});
+
+after(() => app.close());
+
+const bulk = (user, body) =>
+  app.api.post("/api/notes/bulk").set("Authorization", user.auth).send(body);
+
+describe("POST /api/notes/bulk", () => {
+  it("applies every operation and answers 200 when all succeed", async () => {
+    const toUpdate = await app.createNote(alice, {
+      title: "Old",
+      text: "Text",
+    });
+    const toDelete = await app.createNote(alice, {
+      title: "Gone",
+      text: "Text",
+    });
+
+    const res = await bulk(alice, {
+      operations: [
+        { op: "create", note: { title: "New", text: "Text", tags: ["bulk"] } },
+        { op: "update", id: toUpdate.id, note: { title: "Updated" } },
+        { op: "delete", id: toDelete.id },
+      ],
+    }).expect(200);
+
+    const { data } = res.body;
+    assert.equal(data.applied, true);
+    assert.equal(data.succeeded, 3);
+    assert.deepEqual(
+      data.results.map((result) => result.statusCode),
+      [201, 200, 204]
+    );
+    assert.deepEqual(data.results[0].note.tags, ["bulk"]);
+    assert.equal(data.results[1].etag, '"2"');
+
+    await app.getNote(alice, data.results[0].id).expect(200);
+    const updated = await app.getNote(alice, toUpdate.id).expect(200);
+    assert.equal(updated.body.data.title, "Updated");
+    await app.getNote(alice, toDelete.id).expect(404);
+  });
+
+  it("applies the operations that succeed in best-effort mode", async () => {
+    const note = await app.createNote(alice, { title: "Keep", text: "Text" });
+    const bobsNote = await app.createNote(bob, {
+      title: "Bob's",
+      text: "Text",
+    });
+
+    const res = await bulk(alice, {
+      operations: [
+        { op: "create", note: { title: "Created", text: "Text" } },
+        { op: "create", note: { title: "x".repeat(51), text: "Text" } },
+        { op: "update", id: bobsNote.id, note: { text: "Hijacked" } },
+        { op: "update", id: note.id, ifMatch: '"7"', note: { text: "Stale" } },
+        { op: "update", id: note.id, ifMatch: '"1"', note: { text: "Fresh" } },
+      ],
+    }).expect(207);
+
+    const { data } = res.body;
+    assert.equal(data.applied, true);
+    assert.equal(data.succeeded, 2);
+    assert.equal(data.failed, 3);
+    assert.deepEqual(
+      data.results.map((result) => result.statusCode),
+      [201, 400, 404, 412, 200]
+    );
+    assert.equal(
+      data.results[1].error.message,
+      "Title cannot exceed 50 characters."
+    );
+    assert.equal(data.results[3].error.details.currentVersion, 1);
+
+    await app.getNote(alice, data.results[0].id).expect(200);
+    const updated = await app.getNote(alice, note.id).expect(200);
+    assert.equal(updated.body.data.text, "Fresh");
+    const untouched = await app.getNote(bob, bobsNote.id).expect(200);
+    assert.equal(untouched.body.data.text, "Text");
+  });
+
+  it("applies nothing in atomic mode when an operation fails", async () => {
+    const note = await app.createNote(alice, {
+      title: "Atomic",
+      text: "Before",
+    });
+
+    const res = await bulk(alice, {
+      atomic: true,
+      operations: [
+        { op: "create", note: { title: "Rolled back", text: "Text" } },
+        { op: "update", id: note.id, note: { text: "After" } },
+        { op: "delete", id: "00000000-0000-4000-8000-000000000000" },
+        { op: "create", note: { title: "Never run", text: "Text" } },
+      ],
+    }).expect(207);
+
+    const { data } = res.body;
+    assert.equal(data.applied, false);
+    assert.deepEqual(
+      data.results.map((result) => result.statusCode),
+      [424, 424, 404, 424]
+    );
+    assert.equal(data.results[0].id, null);
+    assert.equal(data.results[1].note, undefined);
+    assert.match(data.results[1].error.message, /operation 2 failed/);
+
+    const unchanged = await app.getNote(alice, note.id).expect(200);
+    assert.equal(unchanged.body.data.text, "Before");
+    assert.equal(unchanged.body.data.version, 1);
+    const list = await app.api
+      .get("/api/notes?limit=100")
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.ok(!list.body.data.some((item) => item.title === "Rolled back"));
+  });
+
+  it("runs nothing in atomic mode when an operation is invalid", async () => {
+    const res = await bulk(alice, {
+      atomic: true,
+      operations: [
+        { op: "create", note: { title: "Valid", text: "Text" } },
+        { op: "move", id: "00000000-0000-4000-8000-000000000000" },
+      ],
+    }).expect(207);
+
+    const { data } = res.body;
+    assert.equal(data.applied, false);
+    assert.deepEqual(
+      data.results.map((result) => result.statusCode),
+      [424, 400]
+    );
+  });
+
+  it("validates each operation", async () => {
+    const res = await bulk(alice, {
+      operations: [
+        { op: "update", note: { text: "No ID" } },
+        { op: "delete", id: "not-an-id" },
+        { op: "create", id: "00000000-0000-4000-8000-000000000000", note: {} },
+        { op: "update", id: "00000000-0000-4000-8000-000000000000", note: {} },
+        "create",
+      ],
+    }).expect(207);
+
+    const { data } = res.body;
+    assert.equal(data.applied, false);
+    assert.ok(data.results.every((result) => result.statusCode === 400));
+    assert.match(data.results[0].error.message, /id is required/);
+    assert.match(data.results[1].error.message, /valid note ID/);
+    assert.match(data.results[2].error.message, /id is not allowed/);
+  });
+
+  it("follows the share permissions of the single-note endpoints", async () => {
+    const shared = await app.createNote(bob, { title: "Shared", text: "Text" });
+    await app.api
+      .post(`/api/notes/${shared.id}/shares`)
+      .set("Authorization", bob.auth)
+      .send({ username: "alice", permission: "read" })
+      .expect(201);
+
+    const res = await bulk(alice, {
+      operations: [
+        { op: "update", id: shared.id, note: { text: "Changed" } },
+        { op: "delete", id: shared.id },
+      ],
+    }).expect(207);
+    assert.deepEqual(
+      res.body.data.results.map((result) => result.statusCode),
+      [403, 403]
+    );
+  });
+
+  it("validates the request", async () => {
+    await bulk(alice, {}).expect(400);
+    await bulk(alice, { operations: [] }).expect(400);
+    await bulk(alice, { operations: "create" }).expect(400);
+    const tooMany = Array.from({ length: 101 }, () => ({ op: "delete" }));
+    const res = await bulk(alice, { operations: tooMany }).expect(400);
+    assert.equal(
+      res.body.message,
+      "A bulk request cannot have more than 100 operations."
+    );
+  });
+
+  it("requires authentication", async () => {
+    await app.api
+      .post("/api/notes/bulk")
+      .send({ operations: [{ op: "delete" }] })
+      .expect(401);
+  });
+});
@@ -0,0 +1,126 @@
+import request from "supertest";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createTestPool } from "./testDb.js";
+
+// Settings for the app under test. They are set before the app is imported, since the config
+// modules read them on import: no login delays, and rate limits that tests do not run into.
+// A test file can override them by setting `process.env` before it imports this module.
+const testEnv = {
+  JWT_SECRET: "test-secret",
+  MAIL_TRANSPORT: "console",
+  LOGIN_DELAY_BASE_MS: "0",
+  LOGIN_DELAY_MAX_MS: "0",
+  RATE_LIMIT_STORE: "memory",
+  RATE_LIMIT_AUTH_MAX: "10000",
+  RATE_LIMIT_PUBLIC_MAX: "10000",
+  RATE_LIMIT_API_MAX: "10000",
+  RATE_LIMIT_SEARCH_MAX: "10000",
+  RATE_LIMIT_EXPORT_MAX: "10000",
+  RATE_LIMIT_IMPORT_MAX: "10000",
+  TRASH_PURGE_INTERVAL_MINUTES: "0",
+  // Small batches, so exports in tests read the notes in several batches.
+  NOTE_EXPORT_BATCH_SIZE: "2",
+  // Small enough that tests can upload a file that is imported in the background.
+  NOTE_IMPORT_BACKGROUND_MIN_BYTES: "4096",
+  // Attachment files of each test run go to a throwaway directory, removed by `close`.
+  ATTACHMENT_LOCAL_DIR: mkdtempSync(join(tmpdir(), "swing-notes-attachments-")),
+  ATTACHMENT_MAX_FILE_BYTES: "65536",
+  // Webhook tests post to a server on localhost.
+  WEBHOOK_ALLOW_PRIVATE_HOSTS: "true",
+};
+for (const [name, value] of Object.entries(testEnv)) {
+  process.env[name] ??= value;
+}
+
+const { setPool } = await import("../../config/db.js");
+const { migrateUp } = await import("../../utils/migrator.js");
+const { setMailTransport } = await import("../../mail/mailer.js");
+const { setErrorLogger } = await import("../../middleware/errorHandler.js");
+const { default: app } = await import("../../app.js");
+
+// The error handler logs every error, including the 4xx responses that tests ask for on purpose.
+// Set TEST_VERBOSE=1 to see the logs.
+if (!process.env.TEST_VERBOSE) {
+  setErrorLogger(() => {});
+}
+
+/**
+ * Starts the app on a fresh database with the schema migrated to the latest version.
+ * Mail is not delivered but collected in `sentMail`.
+ * @returns {Promise<object>} `{ api, pool, sentMail, signup, createNote, getNote, createNotebook, shareNote, close }`,
+ *                            where `api` is a supertest agent for the app, `pool` the database pool (for setting up
+ *                            state the API cannot reach), `signup(username, password)` registers a user and resolves to
+ *                            `{ id, username, token, refreshToken, auth }` (`auth` is the Authorization header value) and
+ *                            `close` frees the database and removes the attachment files.
+ *                            `createNote(user, note)`, `createNotebook(user, notebook)` and
+ *                            `shareNote(owner, note, username, permission)` create a note (titled "Note" with the text
+ *                            "Text" unless given), a notebook or a share and resolve to it, and
+ *                            `getNote(user, id, query)` fetches a note, returning the request so the status can be checked.
+ */
+export const startTestApp = async () => {
+  const pool = await createTestPool();
+  setPool(pool);
+  await migrateUp({ log: () => {} });
+
+  const sentMail = [];
+  setMailTransport({ send: async (message) => sentMail.push(message) });
+
+  const api = request(app);
+
+  const signup = async (username, password = "secret123") => {
+    const res = await api
+      .post("/api/user/signup")
+      .send({ username, password })
+      .expect(201);
+    return { ...res.body.data, auth: `Bearer ${res.body.data.token}` };
+  };
+
+  const createNote = async (user, note = {}) => {
+    const res = await api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({ title: "Note", text: "Text", ...note })
+      .expect(201);
+    return res.body.data;
+  };
+
+  const getNote = (user, id, query = "") =>
+    api.get(`/api/notes/${id}${query}`).set("Authorization", user.auth);
+
+  const createNotebook = async (user, notebook) => {
+    const res = await api
+      .post("/api/notebooks")
+      .set("Authorization", user.auth)
+      .send(notebook)
+      .expect(201);
+    return res.body.data;
+  };
+
+  const shareNote = async (owner, note, username, permission) => {
+    const res = await api
+      .post(`/api/notes/${note.id}/shares`)
+      .set("Authorization", owner.auth)
+      .send({ username, permission })
+      .expect(201);
+    return res.body.data;
+  };
+
+  const close = async () => {
+    await pool.end();
+    rmSync(process.env.ATTACHMENT_LOCAL_DIR, { recursive: true, force: true });
+  };
+
+  return {
+    api,
+    pool,
+    sentMail,
+    signup,
+    createNote,
+    getNote,
+    createNotebook,
+    shareNote,
+    close,
+  };
+};
@@ -0,0 +1,37 @@
+import { PGlite } from "@electric-sql/pglite";
+import { uuid_ossp } from "@electric-sql/pglite/contrib/uuid_ossp";
+
+/**
+ * Creates a throwaway in-process PostgreSQL database with the interface of a pg Pool that the app uses
+ * (`query`, `connect` and `end`). Every call gets a fresh, empty database that lives in memory only.
+ *
+ * The database has a single connection, so clients from `connect` share it. That is fine for tests,
+ * which send one request at a time.
+ * @returns {Promise<object>} The pool.
+ */
+export const createTestPool = async () => {
+  const db = await PGlite.create({ extensions: { uuid_ossp } });
+
+  const query = async (text, values) => {
+    // Queries without parameters may hold several statements (e.g., migrations), which only `exec` runs.
+    if (values === undefined) {
+      const results = await db.exec(text);
+      const last = results[results.length - 1] || { rows: [] };
+      return {
+        rows: last.rows,
+        rowCount: last.affectedRows || last.rows.length,
+      };
+    }
+    const result = await db.query(text, values);
+    return {
+      rows: result.rows,
+      rowCount: result.affectedRows || result.rows.length,
+    };
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release() {} }),
+    end: () => db.close(),
+  };
+};
@@ -0,0 +1,135 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// A low lockout threshold, so a few wrong passwords lock a username, and short delays after failed logins.
+// Every request of this suite comes from the same IP address, so the per-IP limit is out of the way
+// unless a test asks for it.
+Object.assign(process.env, {
+  LOGIN_MAX_FAILED_ATTEMPTS: "3",
+  LOGIN_MAX_FAILED_ATTEMPTS_PER_IP: "1000",
+  LOGIN_DELAY_BASE_MS: "100",
+  LOGIN_DELAY_MAX_MS: "200",
+});
+const { startTestApp } = await import("./helpers/testApp.js");
+const { loginProtectionConfig } = await import("../config/loginProtection.js");
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+const login = (username, password) =>
+  app.api.post("/api/user/login").send({ username, password });
+
+const changePassword = (user, currentPassword) =>
+  app.api
+    .post("/api/user/change-password")
+    .set("Authorization", user.auth)
+    .send({ currentPassword, newPassword: "new-secret" });
+
+const disableTwoFactor = (user, password) =>
+  app.api
+    .post("/api/user/2fa/disable")
+    .set("Authorization", user.auth)
+    .send({ password });
+
+// Resolves to how long a request took, in milliseconds.
+const timed = async (request) => {
+  const start = performance.now();
+  await request;
+  return performance.now() - start;
+};
+
+describe("failed logins", () => {
+  it("are answered more slowly each time", async () => {
+    // Unknown usernames skip the password hashing, so the time taken is mostly the delay.
+    const first = await timed(
+      login("delay-user", "wrong-password").expect(401)
+    );
+    const second = await timed(
+      login("delay-user", "wrong-password").expect(401)
+    );
+    assert.ok(first >= 100, `first failure took ${first} ms`);
+    assert.ok(second >= 200, `second failure took ${second} ms`);
+  });
+
+  it("lock the username for a while", async () => {
+    await app.signup("lockout-user");
+    await app.signup("lockout-bystander");
+    await login("lockout-user", "wrong-password").expect(401);
+    await login("lockout-user", "wrong-password").expect(401);
+    const locked = await login("lockout-user", "wrong-password").expect(423);
+    assert.equal(locked.body.code, "ACCOUNT_TEMPORARILY_LOCKED");
+    assert.ok(Number(locked.headers["retry-after"]) > 0);
+
+    // The right password does not help during the lockout, and other usernames are not affected.
+    await login("lockout-user", "secret123").expect(423);
+    await login("lockout-bystander", "secret123").expect(200);
+
+    await app.pool.query(
+      "UPDATE login_attempts SET locked_until = NOW() - INTERVAL '1 second' WHERE key = $1",
+      ["username:lockout-user"]
+    );
+    await login("lockout-user", "secret123").expect(200);
+  });
+
+  it("count for unknown usernames too", async () => {
+    await login("nobody-here", "wrong-password").expect(401);
+    await login("nobody-here", "wrong-password").expect(401);
+    const res = await login("nobody-here", "wrong-password").expect(423);
+    assert.equal(res.body.code, "ACCOUNT_TEMPORARILY_LOCKED");
+  });
+
+  it("block the IP address after too many failures across usernames", async (t) => {
+    await app.signup("ip-bystander");
+    await app.pool.query("DELETE FROM login_attempts WHERE key LIKE 'ip:%'");
+    const { maxFailedAttemptsPerIp } = loginProtectionConfig;
+    loginProtectionConfig.maxFailedAttemptsPerIp = 2;
+    t.after(async () => {
+      loginProtectionConfig.maxFailedAttemptsPerIp = maxFailedAttemptsPerIp;
+      await app.pool.query("DELETE FROM login_attempts WHERE key LIKE 'ip:%'");
+    });
+
+    await login("ip-guess-one", "wrong-password").expect(401);
+    const blocked = await login("ip-guess-two", "wrong-password").expect(429);
+    assert.equal(blocked.body.code, "TOO_MANY_LOGIN_ATTEMPTS");
+    assert.ok(Number(blocked.headers["retry-after"]) > 0);
+    await login("ip-bystander", "secret123").expect(429);
+  });
+});
+
+describe("password confirmations", () => {
+  it("count wrong current passwords on password changes as failed logins", async () => {
+    const user = await app.signup("confirm-change");
+    await changePassword(user, "wrong-password").expect(401);
+    await changePassword(user, "wrong-password").expect(401);
+    const locked = await changePassword(user, "wrong-password").expect(423);
+    assert.equal(locked.body.code, "ACCOUNT_TEMPORARILY_LOCKED");
+
+    // The lockout applies to logins and to further password checks alike.
+    await login("confirm-change", "secret123").expect(423);
+    await changePassword(user, "secret123").expect(423);
+  });
+
+  it("count wrong passwords on disabling two-factor authentication as failed logins", async () => {
+    const user = await app.signup("confirm-2fa");
+    await disableTwoFactor(user, "wrong-password").expect(401);
+    await login("confirm-2fa", "wrong-password").expect(401);
+    await disableTwoFactor(user, "wrong-password").expect(423);
+    await login("confirm-2fa", "secret123").expect(423);
+  });
+
+  it("reset the failed login count with the right password", async () => {
+    const user = await app.signup("confirm-reset");
+    await login("confirm-reset", "wrong-password").expect(401);
+    await login("confirm-reset", "wrong-password").expect(401);
+    await disableTwoFactor(user, "secret123").expect(400);
+
+    await login("confirm-reset", "wrong-password").expect(401);
+    await login("confirm-reset", "wrong-password").expect(401);
+    await login("confirm-reset", "secret123").expect(200);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, unlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createTestPool } from "./helpers/testDb.js";
+import { setPool } from "../config/db.js";
+import {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+} from "../utils/migrator.js";
+
+let pool;
+let directory;
+
+// Each test migrates its own database with its own migration files.
+beforeEach(async () => {
+  pool = await createTestPool();
+  setPool(pool);
+  directory = mkdtempSync(join(tmpdir(), "swing-notes-migrations-"));
+  writeMigration("001_lists", {
+    up: "CREATE TABLE lists (id INT PRIMARY KEY);",
+    down: "DROP TABLE lists;",
+  });
+  writeMigration("002_items", {
+    up: "CREATE TABLE items (id INT PRIMARY KEY, list_id INT REFERENCES lists (id));",
+    down: "DROP TABLE items;",
+  });
+});
+
+afterEach(async () => {
+  await pool.end();
+  rmSync(directory, { recursive: true, force: true });
+});
+
+const writeMigration = (name, { up, down }) => {
+  writeFileSync(join(directory, `${name}.up.sql`), up);
+  writeFileSync(join(directory, `${name}.down.sql`), down);
+};
+
+const tableExists = async (name) => {
+  const result = await pool.query("SELECT to_regclass($1) AS oid", [name]);
+  return result.rows[0].oid !== null;
+};
+
+const states = async () =>
+  (await getMigrationStatus({ directory })).map(
+    (migration) => `${migration.version}_${migration.name}:${migration.state}`
+  );
+
+describe("migrateUp", () => {
+  it("applies the pending migrations in order, once", async () => {
+    const lines = [];
+    const applied = await migrateUp({
+      directory,
+      log: (line) => lines.push(line),
+    });
+    assert.deepEqual(
+      applied.map((migration) => migration.version),
+      ["001", "002"]
+    );
+    assert.deepEqual(lines, ["Applied 001_lists", "Applied 002_items"]);
+    assert.ok(await tableExists("items"));
+
+    assert.deepEqual(await migrateUp({ directory, log: () => {} }), []);
+
+    writeMigration("003_labels", {
+      up: "CREATE TABLE labels (id INT PRIMARY KEY);",
+      down: "DROP TABLE labels;",
+    });
+    const next = await migrateUp({ directory, log: () => {} });
+    assert.deepEqual(
+      next.map((migration) => migration.version),
+      ["003"]
+    );
+  });
+
+  it("rolls back a failing migration and keeps the ones before it", async () => {
+    writeMigration("003_broken", {
+      up: "CREATE TABLE labels (id INT PRIMARY KEY); SELECT * FROM no_such_table;",
+      down: "DROP TABLE labels;",
+    });
+
+    await assert.rejects(migrateUp({ directory, log: () => {} }), {
+      message: /^Migration 003_broken failed: /,
+    });
+    assert.ok(await tableExists("items"));
+    assert.equal(await tableExists("labels"), false);
+    assert.deepEqual(await states(), [
+      "001_lists:applied",
+      "002_items:applied",
+      "003_broken:pending",
+    ]);
+  });
+  it("refuses to run when an applied migration was changed", async () => {
+    await migrateUp({ directory, log: () => {} });
+    writeMigration("001_lists", {
+      up: "CREATE TABLE lists (id BIGINT PRIMARY KEY);",
+      down: "DROP TABLE lists;",
+    });
+    writeMigration("003_labels", {
+      up: "CREATE TABLE labels (id INT PRIMARY KEY);",
+      down: "DROP TABLE labels;",
+    });
+
+    await assert.rejects(migrateUp({ directory, log: () => {} }), {
+      message: /^Applied migrations were changed since they ran: 001_lists\./,
+    });
+    assert.equal(await tableExists("labels"), false);
+    assert.deepEqual(await states(), [
+      "001_lists:changed",
+      "002_items:applied",
+      "003_labels:pending",
+    ]);
+  });
+});
+
+describe("migrateDown", () => {
+  it("reverts the newest migrations first", async () => {
+    await migrateUp({ directory, log: () => {} });
+
+    const lines = [];
+    const reverted = await migrateDown({
+      directory,
+      log: (line) => lines.push(line),
+    });
+    assert.deepEqual(
+      reverted.map((migration) => migration.version),
+      ["002"]
+    );
+    assert.deepEqual(lines, ["Reverted 002_items"]);
+    assert.equal(await tableExists("items"), false);
+    assert.ok(await tableExists("lists"));
+
+    await migrateUp({ directory, log: () => {} });
+    const all = await migrateDown({ steps: 5, directory, log: () => {} });
+    assert.deepEqual(
+      all.map((migration) => migration.version),
+      ["002", "001"]
+    );
+    assert.equal(await tableExists("lists"), false);
+    assert.deepEqual(await migrateDown({ directory, log: () => {} }), []);
+  });
+
+  it("refuses to revert a migration whose files are gone", async () => {
+    await migrateUp({ directory, log: () => {} });
+    unlinkSync(join(directory, "002_items.up.sql"));
+    unlinkSync(join(directory, "002_items.down.sql"));
+
+    await assert.rejects(migrateDown({ directory, log: () => {} }), {
+      message: "Migration 002_items is applied but its files are missing.",
+    });
+    assert.ok(await tableExists("items"));
+  });
+});
+
+describe("getMigrationStatus", () => {
+  it("reports applied, pending, changed and missing migrations", async () => {
+    assert.deepEqual(await states(), [
+      "001_lists:pending",
+      "002_items:pending",
+    ]);
+
+    await migrateUp({ directory, log: () => {} });
+    const status = await getMigrationStatus({ directory });
+    assert.ok(status.every((migration) => migration.applied_at));
+
+    writeMigration("001_lists", {
+      up: "CREATE TABLE lists (id BIGINT PRIMARY KEY);",
+      down: "DROP TABLE lists;",
+    });
+    unlinkSync(join(directory, "002_items.up.sql"));
+    unlinkSync(join(directory, "002_items.down.sql"));
+    writeMigration("003_labels", {
+      up: "CREATE TABLE labels (id INT PRIMARY KEY);",
+      down: "DROP TABLE labels;",
+    });
+    assert.deepEqual(await states(), [
+      "001_lists:changed",
+      "002_items:missing",
+      "003_labels:pending",
+    ]);
+  });
+});
@@ -0,0 +1,292 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { existsSync } from "fs";
+import { join } from "path";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+const upload = (user, noteId, content, fileName, contentType) =>
+  app.api
+    .post(`/api/notes/${noteId}/attachments`)
+    .set("Authorization", user.auth)
+    .attach("file", Buffer.from(content), { filename: fileName, contentType });
+
+const download = (user, noteId, attachmentId) =>
+  app.api
+    .get(`/api/notes/${noteId}/attachments/${attachmentId}`)
+    .set("Authorization", user.auth)
+    .responseType("blob");
+
+// Path of an attachment's file in the directory of the local storage driver.
+const storedFile = (noteId, attachmentId) =>
+  join(process.env.ATTACHMENT_LOCAL_DIR, noteId, attachmentId);
+
+describe("Note attachments", () => {
+  it("uploads, lists and downloads a file with its checksum", async () => {
+    const user = await app.signup("attach-owner");
+    const note = await app.createNote(user);
+    const content = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3, 255]);
+
+    const res = await upload(
+      user,
+      note.id,
+      content,
+      "diagram.png",
+      "image/png"
+    ).expect(201);
+    const attachment = res.body.data;
+    assert.equal(attachment.note_id, note.id);
+    assert.equal(attachment.uploader_id, user.id);
+    assert.equal(attachment.file_name, "diagram.png");
+    assert.equal(attachment.content_type, "image/png");
+    assert.equal(attachment.size, content.length);
+    assert.equal(
+      attachment.checksum,
+      crypto.createHash("sha256").update(content).digest("hex")
+    );
+    assert.equal(attachment.storage_key, undefined);
+    assert.ok(existsSync(storedFile(note.id, attachment.id)));
+
+    const list = await app.api
+      .get(`/api/notes/${note.id}/attachments`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.deepEqual(
+      list.body.data.map((item) => item.id),
+      [attachment.id]
+    );
+
+    const file = await download(user, note.id, attachment.id).expect(200);
+    assert.deepEqual(file.body, content);
+    assert.equal(file.headers["content-type"], "image/png");
+    assert.equal(
+      file.headers["content-disposition"],
+      'attachment; filename="diagram.png"'
+    );
+    assert.equal(file.headers.etag, `"${attachment.checksum}"`);
+    assert.equal(file.headers["x-content-type-options"], "nosniff");
+
+    await download(user, note.id, attachment.id)
+      .set("If-None-Match", file.headers.etag)
+      .expect(304);
+  });
+
+  it("keeps non-ASCII file names and drops folders from them", async () => {
+    const user = await app.signup("attach-names");
+    const note = await app.createNote(user);
+
+    const res = await upload(
+      user,
+      note.id,
+      "Hej",
+      "../résumé 日記.txt",
+      "text/plain"
+    ).expect(201);
+    assert.equal(res.body.data.file_name, "résumé 日記.txt");
+
+    const file = await download(user, note.id, res.body.data.id).expect(200);
+    assert.match(
+      file.headers["content-disposition"],
+      /filename\*=UTF-8''r%C3%A9sum%C3%A9%20%E6%97%A5%E8%A8%98\.txt$/
+    );
+    assert.match(file.headers["content-type"], /^text\/plain/);
+  });
+
+  it("rejects disallowed types, files over the size limit and missing files", async () => {
+    const user = await app.signup("attach-limits");
+    const note = await app.createNote(user);
+
+    const html = await upload(
+      user,
+      note.id,
+      "<script>alert(1)</script>",
+      "page.html",
+      "text/html"
+    ).expect(415);
+    assert.equal(html.body.message, 'Unsupported attachment type "text/html".');
+    assert.ok(html.body.details.allowedTypes.includes("image/png"));
+
+    const large = await upload(
+      user,
+      note.id,
+      Buffer.alloc(65537),
+      "big.pdf",
+      "application/pdf"
+    ).expect(413);
+    assert.equal(
+      large.body.message,
+      "The file is too large. The maximum size is 65536 bytes."
+    );
+
+    const missing = await app.api
+      .post(`/api/notes/${note.id}/attachments`)
+      .set("Authorization", user.auth)
+      .field("name", "nothing")
+      .expect(400);
+    assert.equal(
+      missing.body.message,
+      'Upload the file to attach in the "file" field.'
+    );
+
+    const list = await app.api
+      .get(`/api/notes/${note.id}/attachments`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.deepEqual(list.body.data, []);
+  });
+
+  it("follows the note's sharing permissions", async () => {
+    const owner = await app.signup("attach-share-owner");
+    const reader = await app.signup("attach-share-reader");
+    const editor = await app.signup("attach-share-editor");
+    const stranger = await app.signup("attach-share-stranger");
+    const note = await app.createNote(owner);
+    await app.shareNote(owner, note, reader.username, "read");
+    await app.shareNote(owner, note, editor.username, "edit");
+
+    const res = await upload(
+      editor,
+      note.id,
+      "From the editor",
+      "notes.md",
+      "text/markdown"
+    ).expect(201);
+    const { id } = res.body.data;
+
+    await download(reader, note.id, id).expect(200);
+    const denied = await upload(
+      reader,
+      note.id,
+      "Nope",
+      "x.txt",
+      "text/plain"
+    ).expect(403);
+    assert.equal(
+      denied.body.message,
+      "You only have read access to this note and cannot change its attachments."
+    );
+    await app.api
+      .delete(`/api/notes/${note.id}/attachments/${id}`)
+      .set("Authorization", reader.auth)
+      .expect(403);
+
+    await app.api
+      .get(`/api/notes/${note.id}/attachments`)
+      .set("Authorization", stranger.auth)
+      .expect(404);
+    await download(stranger, note.id, id).expect(404);
+  });
+
+  it("deletes an attachment with its file", async () => {
+    const user = await app.signup("attach-delete");
+    const note = await app.createNote(user);
+    const res = await upload(
+      user,
+      note.id,
+      "a,b\n1,2\n",
+      "data.csv",
+      "text/csv"
+    ).expect(201);
+    const { id } = res.body.data;
+
+    await app.api
+      .delete(`/api/notes/${note.id}/attachments/${id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    assert.equal(existsSync(storedFile(note.id, id)), false);
+    await download(user, note.id, id).expect(404);
+    const again = await app.api
+      .delete(`/api/notes/${note.id}/attachments/${id}`)
+      .set("Authorization", user.auth)
+      .expect(404);
+    assert.equal(again.body.message, "Attachment not found.");
+  });
+
+  it("hides attachments in the trash and removes their files when the note is deleted for good", async () => {
+    const user = await app.signup("attach-trash");
+    const note = await app.createNote(user);
+    const res = await upload(
+      user,
+      note.id,
+      "%PDF-1.4",
+      "doc.pdf",
+      "application/pdf"
+    ).expect(201);
+    const { id } = res.body.data;
+
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    await download(user, note.id, id).expect(404);
+    assert.ok(existsSync(storedFile(note.id, id)));
+
+    await app.api
+      .post(`/api/notes/${note.id}/restore`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    await download(user, note.id, id).expect(200);
+
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    await app.api
+      .delete(`/api/notes/${note.id}/permanent`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    assert.equal(existsSync(storedFile(note.id, id)), false);
+  });
+
+  it("removes the files of the user's notes when the account is deleted", async () => {
+    const owner = await app.signup("attach-leaving");
+    const other = await app.signup("attach-staying");
+    const own = await app.createNote(owner);
+    const shared = await app.createNote(other);
+    await app.shareNote(other, shared, owner.username, "edit");
+
+    const ownFile = await upload(
+      owner,
+      own.id,
+      "Mine",
+      "mine.txt",
+      "text/plain"
+    ).expect(201);
+    const sharedFile = await upload(
+      owner,
+      shared.id,
+      "Given away",
+      "theirs.txt",
+      "text/plain"
+    ).expect(201);
+
+    await app.api
+      .delete("/api/user/delete")
+      .set("Authorization", owner.auth)
+      .expect(204);
+
+    assert.equal(existsSync(storedFile(own.id, ownFile.body.data.id)), false);
+    // Files the user attached to other users' notes stay with those notes.
+    const kept = await app.api
+      .get(`/api/notes/${shared.id}/attachments`)
+      .set("Authorization", other.auth)
+      .expect(200);
+    assert.equal(kept.body.data[0].id, sharedFile.body.data.id);
+    assert.equal(kept.body.data[0].uploader_id, null);
+    await download(other, shared.id, sharedFile.body.data.id).expect(200);
+  });
+
+  it("requires authentication", async () => {
+    const user = await app.signup("attach-anonymous");
+    const note = await app.createNote(user);
+    await app.api.get(`/api/notes/${note.id}/attachments`).expect(401);
+  });
+});
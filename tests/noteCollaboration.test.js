@@ -0,0 +1,288 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let owner;
+let reader;
+let stranger;
+
+before(async () => {
+  app = await startTestApp();
+  owner = await app.signup("owner");
+  reader = await app.signup("reader");
+  stranger = await app.signup("stranger");
+});
+
+after(() => app.close());
+
+describe("shares", () => {
+  it("gives read access to the shared note only", async () => {
+    const note = await app.createNote(owner, { title: "Plans", text: "Text" });
+    const share = await app.shareNote(owner, note, "reader", "read");
+    assert.equal(share.username, "reader");
+    assert.equal(share.permission, "read");
+
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", reader.auth)
+      .expect(200);
+    const shared = await app.api
+      .get("/api/notes/shared-with-me")
+      .set("Authorization", reader.auth)
+      .expect(200);
+    assert.deepEqual(
+      shared.body.data.map((sharedNote) => sharedNote.id),
+      [note.id]
+    );
+
+    // Reading is all a read share allows, and only the owner can delete.
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", reader.auth)
+      .send({ text: "Changed" })
+      .expect(403);
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", reader.auth)
+      .expect(403);
+
+    // Users the note is not shared with see nothing.
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", stranger.auth)
+      .expect(404);
+    const strangerShared = await app.api
+      .get("/api/notes/shared-with-me")
+      .set("Authorization", stranger.auth)
+      .expect(200);
+    assert.deepEqual(strangerShared.body.data, []);
+  });
+
+  it("lets the owner upgrade a share to edit and revoke it", async () => {
+    const note = await app.createNote(owner, { title: "Draft", text: "Text" });
+    const share = await app.shareNote(owner, note, "reader", "read");
+
+    await app.api
+      .patch(`/api/notes/${note.id}/shares/${share.id}`)
+      .set("Authorization", owner.auth)
+      .send({ permission: "edit" })
+      .expect(200);
+    const updated = await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", reader.auth)
+      .send({ text: "Edited by the reader" })
+      .expect(200);
+    assert.equal(updated.body.data.text, "Edited by the reader");
+
+    const list = await app.api
+      .get(`/api/notes/${note.id}/shares`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(
+      list.body.data.map((item) => [item.username, item.permission]),
+      [["reader", "edit"]]
+    );
+
+    await app.api
+      .delete(`/api/notes/${note.id}/shares/${share.id}`)
+      .set("Authorization", owner.auth)
+      .expect(204);
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", reader.auth)
+      .expect(404);
+  });
+
+  it("rejects invalid shares", async () => {
+    const note = await app.createNote(owner, { title: "Solo", text: "Text" });
+    const shares = `/api/notes/${note.id}/shares`;
+
+    await app.api
+      .post(shares)
+      .set("Authorization", owner.auth)
+      .send({ username: "nobody", permission: "read" })
+      .expect(404);
+    await app.api
+      .post(shares)
+      .set("Authorization", owner.auth)
+      .send({ username: "owner", permission: "read" })
+      .expect(400);
+    await app.api
+      .post(shares)
+      .set("Authorization", owner.auth)
+      .send({ username: "reader", permission: "admin" })
+      .expect(400);
+
+    await app.shareNote(owner, note, "reader", "read");
+    await app.api
+      .post(shares)
+      .set("Authorization", owner.auth)
+      .send({ username: "reader", permission: "edit" })
+      .expect(409);
+  });
+
+  it("only lets the owner manage shares", async () => {
+    const note = await app.createNote(owner, { title: "Owned", text: "Text" });
+    const share = await app.shareNote(owner, note, "reader", "edit");
+    const shares = `/api/notes/${note.id}/shares`;
+
+    // Not even an editor can see or change who else has access.
+    for (const user of [reader, stranger]) {
+      await app.api.get(shares).set("Authorization", user.auth).expect(404);
+      await app.api
+        .post(shares)
+        .set("Authorization", user.auth)
+        .send({ username: "stranger", permission: "read" })
+        .expect(404);
+      await app.api
+        .patch(`${shares}/${share.id}`)
+        .set("Authorization", user.auth)
+        .send({ permission: "read" })
+        .expect(404);
+      await app.api
+        .delete(`${shares}/${share.id}`)
+        .set("Authorization", user.auth)
+        .expect(404);
+    }
+  });
+});
+
+describe("public links", () => {
+  it("publishes a note until the link is revoked", async () => {
+    const note = await app.createNote(owner, { title: "Public", text: "Text" });
+    const created = await app.api
+      .post(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .send({})
+      .expect(201);
+    const link = created.body.data;
+    assert.equal(link.url, `/api/public/notes/${link.token}`);
+
+    const published = await app.api.get(link.url).expect(200);
+    assert.equal(published.body.data.title, "Public");
+    assert.equal(published.body.data.user_id, undefined);
+
+    const list = await app.api
+      .get(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(
+      list.body.data.map((item) => item.id),
+      [link.id]
+    );
+    assert.equal(list.body.data[0].token, undefined);
+
+    // Only a hash of the token is stored.
+    const stored = await app.pool.query(
+      "SELECT * FROM note_public_links WHERE id = $1",
+      [link.id]
+    );
+    assert.equal(
+      stored.rows[0].token_hash,
+      crypto.createHash("sha256").update(link.token).digest("hex")
+    );
+    assert.ok(!JSON.stringify(stored.rows[0]).includes(link.token));
+
+    await app.api
+      .delete(`/api/notes/${note.id}/links/${link.id}`)
+      .set("Authorization", owner.auth)
+      .expect(204);
+    await app.api.get(link.url).expect(404);
+  });
+
+  it("protects links with a password", async () => {
+    const note = await app.createNote(owner, { title: "Secret", text: "Text" });
+    const created = await app.api
+      .post(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .send({ password: "open-sesame" })
+      .expect(201);
+    const { url } = created.body.data;
+    assert.equal(created.body.data.has_password, true);
+
+    await app.api.get(url).expect(401);
+    await app.api.get(url).set("X-Link-Password", "wrong").expect(401);
+    await app.api.get(url).set("X-Link-Password", "open-sesame").expect(200);
+  });
+
+  it("validates new links", async () => {
+    const note = await app.createNote(owner, {
+      title: "Link me",
+      text: "Text",
+    });
+    await app.api
+      .post(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .send({ expiresAt: "2000-01-01T00:00:00Z" })
+      .expect(400);
+    await app.api
+      .post(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .send({ password: "abc" })
+      .expect(400);
+  });
+
+  it("only lets the owner manage links", async () => {
+    const note = await app.createNote(owner, {
+      title: "Owned link",
+      text: "Text",
+    });
+    await app.shareNote(owner, note, "reader", "edit");
+    const created = await app.api
+      .post(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .send({})
+      .expect(201);
+    const links = `/api/notes/${note.id}/links`;
+
+    for (const user of [reader, stranger]) {
+      await app.api.get(links).set("Authorization", user.auth).expect(404);
+      await app.api
+        .post(links)
+        .set("Authorization", user.auth)
+        .send({})
+        .expect(404);
+      await app.api
+        .delete(`${links}/${created.body.data.id}`)
+        .set("Authorization", user.auth)
+        .expect(404);
+    }
+  });
+  it("keeps the owner's links when a collaborator deletes the note", async () => {
+    const note = await app.createNote(owner, {
+      title: "Shared and published",
+      text: "Text",
+    });
+    await app.shareNote(owner, note, "reader", "edit");
+    const created = await app.api
+      .post(`/api/notes/${note.id}/links`)
+      .set("Authorization", owner.auth)
+      .send({})
+      .expect(201);
+    const { url } = created.body.data;
+    const restore = () =>
+      app.api
+        .post(`/api/notes/${note.id}/restore`)
+        .set("Authorization", owner.auth)
+        .expect(200);
+
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", reader.auth)
+      .expect(204);
+    await app.api.get(url).expect(404);
+
+    await restore();
+    await app.api.get(url).expect(200);
+
+    // The owner deleting the note revokes its links for good.
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", owner.auth)
+      .expect(204);
+    await restore();
+    await app.api.get(url).expect(404);
+  });
+});
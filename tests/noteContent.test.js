@@ -0,0 +1,311 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let user;
+
+before(async () => {
+  app = await startTestApp();
+  user = await app.signup("markdown-writer");
+});
+
+after(() => app.close());
+
+const MEETING_NOTES = `# Weekly sync
+
+Discussed the **launch** plan, see [the brief](https://example.com/brief).
+
+## Action items
+
+- [x] Book the room
+- [ ] Send the minutes to www.example.org
+`;
+
+const updateNote = (id, updates) =>
+  app.api
+    .put(`/api/notes?id=${id}`)
+    .set("Authorization", user.auth)
+    .send(updates);
+
+describe("Note content formats", () => {
+  it("creates plain notes by default and allows longer Markdown notes", async () => {
+    const plain = await app.createNote(user, {
+      title: "Plain",
+      text: "Just text",
+    });
+    assert.equal(plain.content_format, "plain");
+
+    const long = "x".repeat(301);
+    const tooLong = await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({ title: "Long", text: long })
+      .expect(400);
+    assert.equal(tooLong.body.message, "Text cannot exceed 300 characters.");
+
+    const markdown = await app.createNote(user, {
+      title: "Long",
+      text: long,
+      contentFormat: "markdown",
+    });
+    assert.equal(markdown.content_format, "markdown");
+    assert.equal(markdown.text, long);
+
+    const tooLongMarkdown = await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({
+        title: "Huge",
+        text: "x".repeat(20001),
+        contentFormat: "markdown",
+      })
+      .expect(400);
+    assert.equal(
+      tooLongMarkdown.body.message,
+      "Text cannot exceed 20000 characters."
+    );
+
+    const unknown = await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({ title: "HTML", text: "<p>Hi</p>", contentFormat: "html" })
+      .expect(400);
+    assert.equal(
+      unknown.body.message,
+      "Content format must be either 'plain' or 'markdown'."
+    );
+  });
+
+  it("returns the headings, links and checklist of a note with it", async () => {
+    const note = await app.createNote(user, {
+      title: "Sync",
+      text: MEETING_NOTES,
+      contentFormat: "markdown",
+    });
+
+    const res = await app.getNote(user, note.id).expect(200);
+    assert.equal(res.body.data.html, undefined);
+    assert.deepEqual(res.body.data.metadata, {
+      headings: [
+        { level: 1, text: "Weekly sync", line: 1 },
+        { level: 2, text: "Action items", line: 5 },
+      ],
+      links: [
+        { text: "the brief", url: "https://example.com/brief" },
+        { text: "www.example.org", url: "http://www.example.org" },
+      ],
+      checklist: [
+        { text: "Book the room", done: true, line: 7 },
+        { text: "Send the minutes to www.example.org", done: false, line: 8 },
+      ],
+    });
+  });
+
+  it("renders Markdown as sanitized HTML on request", async () => {
+    const note = await app.createNote(user, {
+      title: "Unsafe",
+      text: '## Hi <script>alert(1)</script>\n\n[click](javascript:alert%281%29) [ok](https://example.com "Home") ![x](data:image/png;base64,AA)\n\n<img src=x onerror=alert(1)>',
+      contentFormat: "markdown",
+    });
+
+    const res = await app.getNote(user, note.id, "?render=html").expect(200);
+    const { html } = res.body.data;
+    assert.ok(
+      html.startsWith("<h2>Hi &lt;script&gt;alert(1)&lt;/script&gt;</h2>")
+    );
+    assert.ok(
+      html.includes(
+        '<p>click <a href="https://example.com" rel="nofollow noopener noreferrer">ok</a> x</p>'
+      )
+    );
+    assert.ok(html.endsWith("<p>&lt;img src=x onerror=alert(1)&gt;</p>"));
+    assert.doesNotMatch(html, /<script|<img|javascript:|data:/);
+    assert.deepEqual(res.body.data.metadata.links, [
+      { text: "ok", url: "https://example.com" },
+    ]);
+
+    const invalid = await app.getNote(user, note.id, "?render=pdf").expect(400);
+    assert.equal(invalid.body.message, "render must be 'html'.");
+  });
+
+  it("renders code spans inside link labels", async () => {
+    const note = await app.createNote(user, {
+      title: "Code link",
+      text: "See [`npm test` \\*](https://example.com/docs).",
+      contentFormat: "markdown",
+    });
+
+    const res = await app.getNote(user, note.id, "?render=html").expect(200);
+    assert.equal(
+      res.body.data.html,
+      '<p>See <a href="https://example.com/docs" rel="nofollow noopener noreferrer"><code>npm test</code> *</a>.</p>'
+    );
+    assert.deepEqual(res.body.data.metadata.links, [
+      { text: "npm test *", url: "https://example.com/docs" },
+    ]);
+  });
+
+  it("renders plain notes as paragraphs with their line breaks and links", async () => {
+    const note = await app.createNote(user, {
+      title: "Plain",
+      text: "# Not a heading\nsee https://example.com/a?b=1&c=2.\n\n- [ ] <b>not a task</b>",
+    });
+
+    const res = await app.getNote(user, note.id, "?render=html").expect(200);
+    assert.equal(
+      res.body.data.html,
+      '<p># Not a heading<br>\nsee <a href="https://example.com/a?b=1&amp;c=2" rel="nofollow noopener noreferrer">https://example.com/a?b=1&amp;c=2</a>.</p>\n<p>- [ ] &lt;b&gt;not a task&lt;/b&gt;</p>'
+    );
+    assert.deepEqual(res.body.data.metadata, {
+      headings: [],
+      links: [
+        {
+          text: "https://example.com/a?b=1&c=2",
+          url: "https://example.com/a?b=1&c=2",
+        },
+      ],
+      checklist: [],
+    });
+  });
+
+  it("checks the limit of the format a note ends up with on update", async () => {
+    const note = await app.createNote(user, { title: "Switch", text: "Short" });
+
+    const long = "y".repeat(400);
+    const plain = await updateNote(note.id, { text: long }).expect(400);
+    assert.equal(plain.body.message, "Text cannot exceed 300 characters.");
+
+    const switched = await updateNote(note.id, {
+      text: long,
+      contentFormat: "markdown",
+    }).expect(200);
+    assert.equal(switched.body.data.content_format, "markdown");
+
+    const back = await updateNote(note.id, { contentFormat: "plain" }).expect(
+      400
+    );
+    assert.equal(back.body.message, "Text cannot exceed 300 characters.");
+  });
+
+  it("restores the content format of a revision", async () => {
+    const note = await app.createNote(user, {
+      title: "History",
+      text: "*First*",
+    });
+    await updateNote(note.id, {
+      text: "**Second**",
+      contentFormat: "markdown",
+    }).expect(200);
+
+    const revisions = await app.api
+      .get(`/api/notes/${note.id}/revisions`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    const [revision] = revisions.body.data;
+    assert.equal(revision.content_format, "plain");
+
+    const restored = await app.api
+      .post(`/api/notes/${note.id}/revisions/${revision.id}/restore`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.equal(restored.body.data.text, "*First*");
+    assert.equal(restored.body.data.content_format, "plain");
+  });
+
+  it("diffs revisions of the longest Markdown notes", async () => {
+    const words = (prefix) =>
+      Array.from({ length: 4000 }, (_, i) => `${prefix}${i}`)
+        .join(" ")
+        .slice(0, 20000);
+    const first = "a ".repeat(10000);
+    const second = `b ${first.slice(2, 10000)}c ${first.slice(10002)}`;
+    const third = words("p");
+    const note = await app.createNote(user, {
+      title: "Huge",
+      text: first,
+      contentFormat: "markdown",
+    });
+    await updateNote(note.id, { text: second }).expect(200);
+    await updateNote(note.id, { text: third }).expect(200);
+
+    const revisions = await app.api
+      .get(`/api/notes/${note.id}/revisions`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    const [secondRevision, firstRevision] = revisions.body.data;
+
+    const diff = (from, to = "") =>
+      app.api
+        .get(`/api/notes/${note.id}/revisions/diff?from=${from}${to}`)
+        .set("Authorization", user.auth)
+        .expect(200);
+    const join = (parts, skip) =>
+      parts
+        .filter((part) => part.type !== skip)
+        .map((part) => part.value)
+        .join("");
+
+    const small = await diff(firstRevision.id, `&to=${secondRevision.id}`);
+    assert.deepEqual(
+      small.body.data.text.filter((part) => part.type !== "equal"),
+      [
+        { type: "delete", value: "a" },
+        { type: "insert", value: "b" },
+        { type: "delete", value: "a" },
+        { type: "insert", value: "c" },
+      ]
+    );
+
+    // Texts that share nothing are shown as replaced as a whole.
+    const large = await diff(secondRevision.id);
+    assert.equal(join(large.body.data.text, "insert"), second);
+    assert.equal(join(large.body.data.text, "delete"), third);
+  });
+});
+
+describe("Searching Markdown notes", () => {
+  let searcher;
+  let note;
+
+  before(async () => {
+    searcher = await app.signup("markdown-searcher");
+    const res = await app.api
+      .post("/api/notes")
+      .set("Authorization", searcher.auth)
+      .send({
+        title: "Release",
+        text: "The **quarterly** release, see [notes](https://example.com/changelog).\n\n```\nconst hidden = 1;\n```",
+        contentFormat: "markdown",
+      })
+      .expect(201);
+    note = res.body.data;
+  });
+
+  const search = (q) =>
+    app.api
+      .get(`/api/notes/search?q=${encodeURIComponent(q)}`)
+      .set("Authorization", searcher.auth)
+      .expect(200);
+
+  it("matches the rendered text and highlights it without markup", async () => {
+    const res = await search("quarterly");
+    assert.deepEqual(
+      res.body.data.map((found) => found.id),
+      [note.id]
+    );
+    assert.match(
+      res.body.data[0].text_highlight,
+      /<mark>quarterly<\/mark> release, see notes\./
+    );
+    assert.doesNotMatch(res.body.data[0].text_highlight, /\*\*/);
+
+    // Code blocks are part of the rendered text.
+    assert.equal((await search("hidden")).body.data.length, 1);
+  });
+
+  it("does not match link targets", async () => {
+    assert.deepEqual((await search("changelog")).body.data, []);
+    assert.equal((await search("notes")).body.data.length, 1);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let alice;
+let work;
+let projects;
+const notes = {};
+
+before(async () => {
+  app = await startTestApp();
+  alice = await app.signup("alice");
+  const bob = await app.signup("bob");
+
+  work = await app.createNotebook(alice, { name: "Work" });
+  projects = await app.createNotebook(alice, {
+    name: "Projects",
+    parentId: work.id,
+  });
+
+  notes.plain = await app.createNote(alice, {
+    title: "Groceries",
+    text: "Milk, eggs",
+    tags: ["home", "errands"],
+  });
+  notes.nested = await app.createNote(alice, {
+    title: "Roadmap: Q3",
+    text: 'Ship "export"\nthen import',
+    notebookId: projects.id,
+  });
+  notes.duplicate = await app.createNote(alice, {
+    title: "Groceries",
+    text: "Bread",
+  });
+  const trashed = await app.createNote(alice, { title: "Old", text: "Gone" });
+  await app.api
+    .delete(`/api/notes?id=${trashed.id}`)
+    .set("Authorization", alice.auth)
+    .expect(204);
+  await app.createNote(bob, { title: "Bob's", text: "Not Alice's" });
+});
+
+after(() => app.close());
+
+const exportNotes = (user, format) => {
+  const req = app.api.get("/api/notes/export").set("Authorization", user.auth);
+  return format ? req.query({ format }) : req;
+};
+
+// Reads the files of a zip archive from its local file headers, as `{ name: content }`.
+const unzip = (buffer) => {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf8", offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(start, start + compressedSize);
+    files[name] = zlib.inflateRawSync(data).toString("utf8");
+    offset = start + compressedSize;
+  }
+  return files;
+};
+
+describe("GET /api/notes/export", () => {
+  it("exports the user's notes as JSON by default", async () => {
+    const res = await exportNotes(alice).expect(200);
+
+    assert.match(res.headers["content-type"], /^application\/json/);
+    assert.match(
+      res.headers["content-disposition"],
+      /^attachment; filename="swing-notes-\d{4}-\d{2}-\d{2}\.json"$/
+    );
+    assert.equal(res.body.format, "swing-notes");
+    assert.equal(res.body.version, 1);
+    assert.deepEqual(
+      res.body.notes.map((note) => note.id),
+      [notes.plain.id, notes.nested.id, notes.duplicate.id]
+    );
+
+    const [plain, nested] = res.body.notes;
+    assert.deepEqual(plain.tags, ["errands", "home"]);
+    assert.equal(plain.notebook, null);
+    assert.equal(nested.notebook, "Work/Projects");
+    assert.equal(nested.notebook_id, projects.id);
+    assert.equal(nested.text, 'Ship "export"\nthen import');
+    assert.equal(nested.version, 1);
+    assert.equal(nested.content_format, "plain");
+    assert.equal(
+      new Date(nested.created_at).toISOString(),
+      new Date(notes.nested.created_at).toISOString()
+    );
+  });
+
+  it("exports a valid JSON document for a user without notes", async () => {
+    const carol = await app.signup("carol");
+    const res = await exportNotes(carol, "json").expect(200);
+    assert.deepEqual(res.body.notes, []);
+  });
+
+  it("exports CSV with quoted fields and semicolon-separated tags", async () => {
+    const res = await exportNotes(alice, "csv").expect(200);
+
+    assert.match(res.headers["content-type"], /^text\/csv/);
+    assert.match(res.headers["content-disposition"], /\.csv"$/);
+    const lines = res.text.split("\r\n");
+    assert.equal(
+      lines[0],
+      "id,title,text,content_format,tags,notebook,notebook_id,version,created_at,modified_at"
+    );
+    assert.ok(
+      lines[1].startsWith(
+        `${notes.plain.id},Groceries,"Milk, eggs",plain,errands;home,,,1,`
+      )
+    );
+    assert.ok(
+      res.text.includes(
+        `${notes.nested.id},Roadmap: Q3,"Ship ""export""\nthen import",plain,,Work/Projects,${projects.id},1,`
+      )
+    );
+    assert.equal(res.text.endsWith("\r\n"), true);
+  });
+
+  it("keeps spreadsheets from running CSV fields as formulas", async () => {
+    const dave = await app.signup("dave");
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", dave.auth)
+      .send({
+        title: '=HYPERLINK("http://evil.example","click")',
+        text: "-2+3",
+        tags: ["@home"],
+      })
+      .expect(201);
+
+    const res = await exportNotes(dave, "csv").expect(200);
+    const [, row] = res.text.split("\r\n");
+    assert.ok(
+      row.includes(
+        `,"'=HYPERLINK(""http://evil.example"",""click"")",'-2+3,plain,'@home,`
+      )
+    );
+  });
+
+  it("exports Markdown files with front matter in notebook folders", async () => {
+    const res = await exportNotes(alice, "markdown")
+      .responseType("blob")
+      .expect(200);
+
+    assert.equal(res.headers["content-type"], "application/zip");
+    assert.match(res.headers["content-disposition"], /\.zip"$/);
+    const files = unzip(res.body);
+    assert.deepEqual(Object.keys(files).sort(), [
+      "Groceries (2).md",
+      "Groceries.md",
+      "Work/Projects/Roadmap- Q3.md",
+    ]);
+
+    const nested = files["Work/Projects/Roadmap- Q3.md"];
+    assert.ok(nested.startsWith("---\n"));
+    assert.ok(nested.includes(`id: "${notes.nested.id}"\n`));
+    assert.ok(nested.includes('title: "Roadmap: Q3"\n'));
+    assert.ok(nested.includes('notebook: "Work/Projects"\n'));
+    assert.match(nested, /\ncreated_at: "[^"]+"\nmodified_at: "[^"]+"\n/);
+    assert.ok(nested.includes('content_format: "plain"\n'));
+    assert.ok(nested.endsWith('---\n\nShip "export"\nthen import\n'));
+    assert.ok(files["Groceries.md"].includes('tags: ["errands","home"]\n'));
+  });
+
+  it("rejects unknown formats with a JSON error", async () => {
+    const res = await exportNotes(alice, "pdf").expect(400);
+    assert.equal(
+      res.body.message,
+      "Format must be one of json, markdown or csv."
+    );
+    assert.equal(res.headers["content-disposition"], undefined);
+  });
+
+  it("requires authentication", async () => {
+    await app.api.get("/api/notes/export").expect(401);
+  });
+});
@@ -0,0 +1,395 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+import { createZipWriter } from "../utils/zip.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+const getNotes = async (user) => {
+  const res = await app.api
+    .get("/api/notes")
+    .set("Authorization", user.auth)
+    .expect(200);
+  return res.body.data;
+};
+
+const importFile = (user, content, fileName, fields = {}) => {
+  const req = app.api.post("/api/notes/import").set("Authorization", user.auth);
+  for (const [name, value] of Object.entries(fields)) {
+    req.field(name, value);
+  }
+  return req.attach("file", Buffer.from(content), fileName);
+};
+
+// Builds a zip archive in memory from `{ name: content }`.
+const zip = async (files) => {
+  const chunks = [];
+  const writer = createZipWriter(async (chunk) => chunks.push(chunk));
+  for (const [name, content] of Object.entries(files)) {
+    await writer.addFile(name, content);
+  }
+  await writer.finish();
+  return Buffer.concat(chunks);
+};
+
+// Polls an import until it is finished.
+const waitForImport = async (user, jobId) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const res = await app.api
+      .get(`/api/notes/import/${jobId}`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    if (["completed", "failed"].includes(res.body.data.status)) {
+      return res.body.data;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Import ${jobId} did not finish.`);
+};
+
+describe("POST /api/notes/import", () => {
+  it("imports an export of another account with tags, notebooks and timestamps", async () => {
+    const source = await app.signup("import-source");
+    const target = await app.signup("import-target");
+    const notebook = await app.api
+      .post("/api/notebooks")
+      .set("Authorization", source.auth)
+      .send({ name: "Work" })
+      .expect(201);
+    const original = await app.createNote(source, {
+      title: "Roadmap",
+      text: "Q3 plans",
+      tags: ["planning"],
+      notebookId: notebook.body.data.id,
+    });
+    await app.createNote(source, { title: "Loose", text: "No notebook" });
+
+    const exported = await app.api
+      .get("/api/notes/export")
+      .set("Authorization", source.auth)
+      .expect(200);
+
+    const res = await importFile(
+      target,
+      exported.text,
+      "swing-notes.json"
+    ).expect(200);
+    const job = res.body.data;
+    assert.equal(job.status, "completed");
+    assert.equal(job.format, "json");
+    assert.equal(job.file_name, "swing-notes.json");
+    assert.deepEqual(
+      [job.total, job.created, job.skipped, job.failed],
+      [2, 2, 0, 0]
+    );
+    assert.deepEqual(
+      job.items.map((item) => [item.source, item.status, item.title]),
+      [
+        ["notes[0]", "created", "Roadmap"],
+        ["notes[1]", "created", "Loose"],
+      ]
+    );
+    // The IDs belong to the other account's notes, so the copies get new ones.
+    assert.notEqual(job.items[0].id, original.id);
+
+    const notes = await getNotes(target);
+    const roadmap = notes.find((note) => note.title === "Roadmap");
+    assert.deepEqual(roadmap.tags, ["planning"]);
+    assert.equal(
+      new Date(roadmap.created_at).toISOString(),
+      new Date(original.created_at).toISOString()
+    );
+    const notebooks = await app.api
+      .get("/api/notebooks")
+      .set("Authorization", target.auth)
+      .expect(200);
+    const work = notebooks.body.data.find((nb) => nb.name === "Work");
+    assert.equal(roadmap.notebook_id, work.id);
+  });
+
+  it("keeps IDs and skips notes that were imported before", async () => {
+    const user = await app.signup("import-twice");
+    const id = "5b0c4a52-7f3e-4c1d-9f43-0d6c2a1e8b77";
+    const file = JSON.stringify([
+      {
+        id,
+        title: "Once",
+        text: "Only once",
+        created_at: "2020-01-02T03:04:05.000Z",
+        modified_at: "2021-01-02T03:04:05.000Z",
+      },
+    ]);
+
+    const first = await importFile(user, file, "notes.json").expect(200);
+    assert.equal(first.body.data.items[0].id, id);
+    const note = await app.api
+      .get(`/api/notes/${id}`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.equal(note.body.data.created_at, "2020-01-02T03:04:05.000Z");
+    assert.equal(note.body.data.modified_at, "2021-01-02T03:04:05.000Z");
+
+    const second = await importFile(user, file, "notes.json").expect(200);
+    assert.deepEqual(
+      [second.body.data.created, second.body.data.skipped],
+      [0, 1]
+    );
+    assert.equal(
+      second.body.data.items[0].error,
+      "A note with this ID already exists."
+    );
+    assert.equal((await getNotes(user)).length, 1);
+  });
+
+  it("reports invalid items and imports the valid ones", async () => {
+    const user = await app.signup("import-invalid");
+    const res = await importFile(
+      user,
+      JSON.stringify({
+        notes: [
+          { title: "Valid", text: "Fine" },
+          { title: "Too long", text: "x".repeat(301) },
+          { text: "No title" },
+          "not a note",
+          { title: "Deep", text: "Text", notebook: `A/${"b".repeat(51)}` },
+        ],
+      }),
+      "notes.json"
+    ).expect(200);
+
+    const { data } = res.body;
+    assert.deepEqual([data.created, data.skipped, data.failed], [1, 0, 4]);
+    assert.deepEqual(
+      data.items.map((item) => item.error ?? null),
+      [
+        null,
+        "Text cannot exceed 300 characters.",
+        "Title is required.",
+        "Item is not a note object.",
+        "Notebook name cannot exceed 50 characters.",
+      ]
+    );
+    assert.deepEqual(
+      (await getNotes(user)).map((note) => note.title),
+      ["Valid"]
+    );
+  });
+
+  it("imports a zip of Markdown files with and without front matter", async () => {
+    const user = await app.signup("import-markdown");
+    const archive = await zip({
+      "Plans.md":
+        '---\ntitle: "Roadmap: Q3"\ntags: [planning, work]\ncreated_at: 2023-03-04T05:06:07Z\n---\n\nShip it\n',
+      "Ideas/Side project.md": "Build a *thing*\n",
+      "Ideas/Broken.md": "---\ntitle: [unclosed\n---\nText\n",
+      "Ideas/photo.png": "not markdown",
+      "__MACOSX/._Plans.md": "resource fork",
+    });
+
+    const res = await importFile(user, archive, "notes.zip").expect(200);
+    const { data } = res.body;
+    assert.equal(data.format, "markdown");
+    assert.deepEqual(
+      data.items.map((item) => [item.source, item.status]),
+      [
+        ["Plans.md", "created"],
+        ["Ideas/Side project.md", "created"],
+        ["Ideas/Broken.md", "failed"],
+        ["Ideas/photo.png", "skipped"],
+      ]
+    );
+
+    const notes = await getNotes(user);
+    const plans = notes.find((note) => note.title === "Roadmap: Q3");
+    assert.equal(plans.text, "Ship it");
+    assert.deepEqual(plans.tags, ["planning", "work"]);
+    assert.equal(
+      new Date(plans.created_at).toISOString(),
+      "2023-03-04T05:06:07.000Z"
+    );
+    const side = notes.find((note) => note.title === "Side project");
+    assert.equal(side.text, "Build a *thing*");
+    assert.equal(side.content_format, "markdown");
+    assert.ok(side.notebook_id);
+  });
+
+  it("imports an Evernote export as plain text", async () => {
+    const user = await app.signup("import-enex");
+    const enex = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">
+<en-export export-date="20240101T000000Z" application="Evernote">
+  <note>
+    <title>Groceries &amp; more</title>
+    <content><![CDATA[<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">
+<en-note><div>Buy:</div><ul><li>Milk &amp; eggs</li><li>Bread</li></ul><div><en-todo checked="true"/>Call mom<br/></div></en-note>]]></content>
+    <created>20220115T083000Z</created>
+    <updated>20220116T090000Z</updated>
+    <tag>Home</tag>
+    <tag>errands</tag>
+    <note-attributes><author>me</author></note-attributes>
+  </note>
+  <note>
+    <title>Empty</title>
+    <content><![CDATA[<en-note></en-note>]]></content>
+  </note>
+</en-export>`;
+
+    const res = await importFile(user, enex, "My Notes.enex").expect(200);
+    const { data } = res.body;
+    assert.equal(data.format, "enex");
+    assert.deepEqual(
+      data.items.map((item) => [item.source, item.status]),
+      [
+        ["note[0]", "created"],
+        ["note[1]", "failed"],
+      ]
+    );
+    assert.equal(data.items[1].error, "Text cannot be empty.");
+
+    const [note] = await getNotes(user);
+    assert.equal(note.title, "Groceries & more");
+    assert.equal(note.text, "Buy:\n- Milk & eggs\n- Bread\n[x] Call mom");
+    assert.equal(note.content_format, "plain");
+    assert.deepEqual(note.tags, ["errands", "home"]);
+    assert.equal(
+      new Date(note.created_at).toISOString(),
+      "2022-01-15T08:30:00.000Z"
+    );
+  });
+
+  it("detects the format from the content or the format field", async () => {
+    const user = await app.signup("import-detect");
+    const json = JSON.stringify([{ title: "Detected", text: "By content" }]);
+
+    const detected = await importFile(user, json, "upload.txt").expect(200);
+    assert.equal(detected.body.data.format, "json");
+
+    const explicit = await importFile(user, json, "upload.dat", {
+      format: "json",
+    }).expect(200);
+    assert.equal(explicit.body.data.created, 1);
+
+    const unknown = await importFile(user, "plain text", "notes.txt").expect(
+      400
+    );
+    assert.match(unknown.body.message, /^Unsupported file type/);
+  });
+
+  it("imports large files in the background", async () => {
+    const user = await app.signup("import-background");
+    const notes = Array.from({ length: 60 }, (_, i) => ({
+      title: `Note ${i}`,
+      text: `Imported in the background, note number ${i}.`,
+      tags: ["bulk"],
+    }));
+    const file = JSON.stringify(notes);
+    assert.ok(Buffer.byteLength(file) >= 4096);
+
+    const res = await importFile(user, file, "big.json").expect(202);
+    assert.equal(res.body.data.status, "pending");
+    assert.equal(res.headers.location, `/api/notes/import/${res.body.data.id}`);
+
+    const job = await waitForImport(user, res.body.data.id);
+    assert.equal(job.status, "completed");
+    assert.deepEqual([job.total, job.created, job.failed], [60, 60, 0]);
+    assert.equal(job.items.length, 60);
+    assert.ok(job.started_at && job.finished_at);
+  });
+
+  it("fails background imports of files that cannot be read", async () => {
+    const user = await app.signup("import-background-bad");
+    const file = `{ nope${" ".repeat(5000)}`;
+
+    const res = await importFile(user, file, "big.json").expect(202);
+    const job = await waitForImport(user, res.body.data.id);
+    assert.equal(job.status, "failed");
+    assert.match(job.error, /^Could not read the json file: /);
+  });
+
+  it("fails imports that were interrupted", async () => {
+    const user = await app.signup("import-interrupted");
+    const { failStaleImportJobsService } = await import(
+      "../services/noteImportService.js"
+    );
+    // Jobs a previous run of the server left behind, whose heartbeat stopped an hour ago.
+    const insertJob = async (status) => {
+      const result = await app.pool.query(
+        `INSERT INTO note_import_jobs (user_id, format, status, heartbeat_at)
+         VALUES ($1, 'json', $2, NOW() - INTERVAL '1 hour') RETURNING id`,
+        [user.id, status]
+      );
+      return result.rows[0].id;
+    };
+    const polled = await insertJob("running");
+    const swept = await insertJob("pending");
+
+    const res = await app.api
+      .get(`/api/notes/import/${polled}`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.equal(res.body.data.status, "failed");
+    assert.match(res.body.data.error, /^The import was interrupted/);
+
+    assert.equal(await failStaleImportJobsService(), 1);
+    const sweptJob = await waitForImport(user, swept);
+    assert.equal(sweptJob.status, "failed");
+  });
+
+  it("rejects requests without a file and files that cannot be read", async () => {
+    const user = await app.signup("import-errors");
+    const missing = await app.api
+      .post("/api/notes/import")
+      .set("Authorization", user.auth)
+      .field("format", "json")
+      .expect(400);
+    assert.equal(
+      missing.body.message,
+      'Upload the file to import in the "file" field.'
+    );
+
+    const malformed = await importFile(user, "{ nope", "notes.json").expect(
+      400
+    );
+    assert.match(malformed.body.message, /^Could not read the json file: /);
+
+    const notZip = await importFile(user, "not a zip", "notes.zip").expect(400);
+    assert.equal(
+      notZip.body.message,
+      "Could not read the markdown file: The file is not a zip archive."
+    );
+
+    await importFile(user, "[]", "notes.json", { format: "pdf" }).expect(400);
+  });
+
+  it("requires authentication", async () => {
+    await app.api
+      .post("/api/notes/import")
+      .attach("file", Buffer.from("[]"), "notes.json")
+      .expect(401);
+  });
+});
+
+describe("GET /api/notes/import/:jobId", () => {
+  it("only shows imports to the user who started them", async () => {
+    const owner = await app.signup("import-owner");
+    const other = await app.signup("import-other");
+    const res = await importFile(owner, "[]", "empty.json").expect(200);
+
+    await app.api
+      .get(`/api/notes/import/${res.body.data.id}`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    const hidden = await app.api
+      .get(`/api/notes/import/${res.body.data.id}`)
+      .set("Authorization", other.auth)
+      .expect(404);
+    assert.equal(hidden.body.message, "Import not found.");
+  });
+});
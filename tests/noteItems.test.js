@@ -0,0 +1,239 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let owner;
+
+before(async () => {
+  app = await startTestApp();
+  owner = await app.signup("checklist-owner");
+});
+
+after(() => app.close());
+
+const addItem = async (user, noteId, item) => {
+  const res = await app.api
+    .post(`/api/notes/${noteId}/items`)
+    .set("Authorization", user.auth)
+    .send(item)
+    .expect(201);
+  return res.body.data;
+};
+
+const listTexts = async (user, noteId) => {
+  const res = await app.api
+    .get(`/api/notes/${noteId}/items`)
+    .set("Authorization", user.auth)
+    .expect(200);
+  res.body.data.forEach((item, index) => assert.equal(item.position, index));
+  return res.body.data.map((item) => item.text);
+};
+
+const updateItem = (user, noteId, itemId, updates) =>
+  app.api
+    .patch(`/api/notes/${noteId}/items/${itemId}`)
+    .set("Authorization", user.auth)
+    .send(updates);
+
+describe("Checklist items", () => {
+  it("adds items at the end or at a position", async () => {
+    const note = await app.createNote(owner, {
+      title: "Trip",
+      text: "Packing",
+    });
+    await addItem(owner, note.id, { text: "Passport" });
+    await addItem(owner, note.id, { text: "Charger" });
+    const first = await addItem(owner, note.id, {
+      text: "  Tickets  ",
+      position: 0,
+      dueAt: "2024-05-20T17:00:00Z",
+    });
+    await addItem(owner, note.id, { text: "Snacks", position: 99 });
+
+    assert.equal(first.text, "Tickets");
+    assert.equal(first.done, false);
+    assert.equal(first.completed_at, null);
+    assert.equal(
+      new Date(first.due_at).toISOString(),
+      "2024-05-20T17:00:00.000Z"
+    );
+    assert.deepEqual(await listTexts(owner, note.id), [
+      "Tickets",
+      "Passport",
+      "Charger",
+      "Snacks",
+    ]);
+
+    const invalid = await app.api
+      .post(`/api/notes/${note.id}/items`)
+      .set("Authorization", owner.auth)
+      .send({ text: " " })
+      .expect(400);
+    assert.match(invalid.body.message, /text/i);
+  });
+
+  it("checks items off and bumps the note", async () => {
+    const note = await app.createNote(owner, {
+      title: "Errands",
+      text: "Today",
+    });
+    const item = await addItem(owner, note.id, { text: "Groceries" });
+    const before = (await app.getNote(owner, note.id).expect(200)).body.data;
+
+    const done = await updateItem(owner, note.id, item.id, {
+      done: true,
+    }).expect(200);
+    assert.equal(done.body.data.done, true);
+    assert.ok(done.body.data.completed_at);
+    assert.equal(done.body.data.text, "Groceries");
+
+    const after = (await app.getNote(owner, note.id).expect(200)).body.data;
+    assert.equal(after.version, before.version + 1);
+    assert.ok(new Date(after.modified_at) > new Date(before.modified_at));
+
+    const reopened = await updateItem(owner, note.id, item.id, {
+      done: false,
+      dueAt: null,
+    }).expect(200);
+    assert.equal(reopened.body.data.done, false);
+    assert.equal(reopened.body.data.completed_at, null);
+
+    const empty = await updateItem(owner, note.id, item.id, {}).expect(400);
+    assert.equal(
+      empty.body.message,
+      "No valid fields provided for update (text, done, dueAt or position)."
+    );
+  });
+
+  it("moves, reorders and deletes items keeping positions contiguous", async () => {
+    const note = await app.createNote(owner, { title: "Plan", text: "Steps" });
+    const [a, b, c] = [
+      await addItem(owner, note.id, { text: "A" }),
+      await addItem(owner, note.id, { text: "B" }),
+      await addItem(owner, note.id, { text: "C" }),
+    ];
+
+    await updateItem(owner, note.id, a.id, { position: 5 }).expect(200);
+    assert.deepEqual(await listTexts(owner, note.id), ["B", "C", "A"]);
+    await updateItem(owner, note.id, a.id, { position: 1 }).expect(200);
+    assert.deepEqual(await listTexts(owner, note.id), ["B", "A", "C"]);
+
+    const reordered = await app.api
+      .put(`/api/notes/${note.id}/items/order`)
+      .set("Authorization", owner.auth)
+      .send({ itemIds: [c.id, b.id, a.id] })
+      .expect(200);
+    assert.deepEqual(
+      reordered.body.data.map((item) => item.text),
+      ["C", "B", "A"]
+    );
+
+    const incomplete = await app.api
+      .put(`/api/notes/${note.id}/items/order`)
+      .set("Authorization", owner.auth)
+      .send({ itemIds: [c.id, b.id] })
+      .expect(400);
+    assert.equal(
+      incomplete.body.message,
+      "itemIds must list every item of the note exactly once."
+    );
+
+    await app.api
+      .delete(`/api/notes/${note.id}/items/${b.id}`)
+      .set("Authorization", owner.auth)
+      .expect(204);
+    assert.deepEqual(await listTexts(owner, note.id), ["C", "A"]);
+    await app.api
+      .delete(`/api/notes/${note.id}/items/${b.id}`)
+      .set("Authorization", owner.auth)
+      .expect(404);
+  });
+
+  it("lets readers list items but not change them", async () => {
+    const reader = await app.signup("checklist-reader");
+    const stranger = await app.signup("checklist-stranger");
+    const note = await app.createNote(owner, { title: "Shared", text: "List" });
+    const item = await addItem(owner, note.id, { text: "Review" });
+    await app.api
+      .post(`/api/notes/${note.id}/shares`)
+      .set("Authorization", owner.auth)
+      .send({ username: reader.username, permission: "read" })
+      .expect(201);
+
+    assert.deepEqual(await listTexts(reader, note.id), ["Review"]);
+    const forbidden = await updateItem(reader, note.id, item.id, {
+      done: true,
+    }).expect(403);
+    assert.equal(
+      forbidden.body.message,
+      "You only have read access to this note and cannot change its items."
+    );
+
+    await app.api
+      .get(`/api/notes/${note.id}/items`)
+      .set("Authorization", stranger.auth)
+      .expect(404);
+    await updateItem(stranger, note.id, item.id, { done: true }).expect(404);
+  });
+});
+
+describe("Filtering notes by checklist items", () => {
+  let user;
+  let open;
+  let overdue;
+  let finished;
+  let plain;
+
+  before(async () => {
+    user = await app.signup("checklist-filter");
+    open = await app.createNote(user, { title: "Open", text: "Later" });
+    await addItem(user, open.id, {
+      text: "Someday",
+      dueAt: "2030-01-01T00:00:00Z",
+    });
+    overdue = await app.createNote(user, { title: "Overdue", text: "Late" });
+    await addItem(user, overdue.id, {
+      text: "Pay rent",
+      dueAt: "2024-01-01T00:00:00Z",
+    });
+    finished = await app.createNote(user, { title: "Finished", text: "Done" });
+    await addItem(user, finished.id, {
+      text: "Old task",
+      done: true,
+      dueAt: "2024-01-01T00:00:00Z",
+    });
+    plain = await app.createNote(user, { title: "Plain", text: "No list" });
+  });
+
+  const listIds = async (query) => {
+    const res = await app.api
+      .get(`/api/notes?${query}`)
+      .set("Authorization", user.auth)
+      .expect(200);
+    return res.body.data.map((note) => note.id).sort();
+  };
+
+  it("filters notes with or without open items", async () => {
+    assert.deepEqual(
+      await listIds("hasOpenItems=true"),
+      [open.id, overdue.id].sort()
+    );
+    assert.deepEqual(
+      await listIds("hasOpenItems=false"),
+      [finished.id, plain.id].sort()
+    );
+  });
+
+  it("filters notes with open items due before a date", async () => {
+    assert.deepEqual(await listIds("itemsDueBefore=2025-01-01"), [overdue.id]);
+    assert.deepEqual(
+      await listIds("itemsDueBefore=2031-01-01T00:00:00Z"),
+      [open.id, overdue.id].sort()
+    );
+    await app.api
+      .get("/api/notes?itemsDueBefore=soon")
+      .set("Authorization", user.auth)
+      .expect(400);
+  });
+});
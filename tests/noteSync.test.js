@@ -0,0 +1,361 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+const getChanges = (user, query = {}) =>
+  app.api
+    .get("/api/notes/changes")
+    .set("Authorization", user.auth)
+    .query(query);
+
+const push = (user, changes) =>
+  app.api
+    .post("/api/notes/changes")
+    .set("Authorization", user.auth)
+    .send({ changes });
+
+// Follows the feed until it is drained and returns every change with the final token.
+const syncAll = async (user, since, limit) => {
+  const changes = [];
+  let token = since;
+  for (;;) {
+    const query = {};
+    if (token) query.since = token;
+    if (limit) query.limit = limit;
+    const { data } = (await getChanges(user, query).expect(200)).body;
+    changes.push(...data.changes);
+    token = data.syncToken;
+    if (!data.hasMore) return { changes, token };
+  }
+};
+
+describe("GET /api/notes/changes", () => {
+  it("returns every note on a first sync and nothing new afterwards", async () => {
+    const user = await app.signup("feed-first");
+    const first = await app.createNote(user, { title: "One", text: "Text" });
+    const second = await app.createNote(user, { title: "Two", text: "Text" });
+
+    const { changes, token } = await syncAll(user);
+    assert.deepEqual(
+      changes.map((change) => [change.type, change.id]),
+      [
+        ["upsert", first.id],
+        ["upsert", second.id],
+      ]
+    );
+    assert.equal(changes[0].note.title, "One");
+    assert.equal(typeof token, "string");
+
+    const again = await syncAll(user, token);
+    assert.deepEqual(again.changes, []);
+  });
+
+  it("returns updated notes with their current content", async () => {
+    const user = await app.signup("feed-update");
+    const note = await app.createNote(user, { title: "Before", text: "Text" });
+    const { token } = await syncAll(user);
+
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", user.auth)
+      .send({ title: "After" })
+      .expect(200);
+
+    const { changes } = await syncAll(user, token);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].type, "upsert");
+    assert.equal(changes[0].note.title, "After");
+    assert.equal(changes[0].note.version, 2);
+  });
+
+  it("returns tombstones for trashed and permanently deleted notes", async () => {
+    const user = await app.signup("feed-delete");
+    const trashed = await app.createNote(user, {
+      title: "Trashed",
+      text: "Text",
+    });
+    const purged = await app.createNote(user, {
+      title: "Purged",
+      text: "Text",
+    });
+    const { token } = await syncAll(user);
+
+    await app.api
+      .delete(`/api/notes?id=${trashed.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    await app.api
+      .delete(`/api/notes?id=${purged.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    await app.api
+      .delete(`/api/notes/${purged.id}/permanent`)
+      .set("Authorization", user.auth)
+      .expect(204);
+
+    const { changes } = await syncAll(user, token);
+    assert.deepEqual(
+      changes.map((change) => [change.type, change.id]).sort(),
+      [
+        ["delete", purged.id],
+        ["delete", trashed.id],
+      ].sort()
+    );
+    for (const change of changes) {
+      assert.equal(change.note, undefined);
+      assert.ok(change.deleted_at);
+    }
+  });
+
+  it("returns a restored note as an upsert again", async () => {
+    const user = await app.signup("feed-restore");
+    const note = await app.createNote(user, { title: "Back", text: "Text" });
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    const { token } = await syncAll(user);
+
+    await app.api
+      .post(`/api/notes/${note.id}/restore`)
+      .set("Authorization", user.auth)
+      .expect(200);
+
+    const { changes } = await syncAll(user, token);
+    assert.deepEqual(
+      changes.map((change) => [change.type, change.id]),
+      [["upsert", note.id]]
+    );
+  });
+
+  it("pages through the changes with hasMore", async () => {
+    const user = await app.signup("feed-pages");
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(
+        (await app.createNote(user, { title: `N${i}`, text: "Text" })).id
+      );
+    }
+
+    const page = await getChanges(user, { limit: 2 }).expect(200);
+    assert.equal(page.body.data.changes.length, 2);
+    assert.equal(page.body.data.hasMore, true);
+
+    const { changes } = await syncAll(user, undefined, 2);
+    assert.deepEqual(
+      changes.map((change) => change.id),
+      ids
+    );
+  });
+
+  it("only returns the user's own notes", async () => {
+    const owner = await app.signup("feed-owner");
+    const other = await app.signup("feed-other");
+    await app.createNote(owner, { title: "Mine", text: "Text" });
+
+    const { changes } = await syncAll(other);
+    assert.deepEqual(changes, []);
+  });
+
+  it("rejects an invalid sync token and limit", async () => {
+    const user = await app.signup("feed-invalid");
+    const res = await getChanges(user, { since: "not-a-token" }).expect(400);
+    assert.equal(res.body.message, "Invalid sync token.");
+    await getChanges(user, { limit: 0 }).expect(400);
+  });
+
+  it("requires authentication", async () => {
+    await app.api.get("/api/notes/changes").expect(401);
+  });
+});
+
+describe("POST /api/notes/changes", () => {
+  it("creates notes with the client's ID and updates them from a matching base", async () => {
+    const user = await app.signup("push-apply");
+    const id = crypto.randomUUID();
+
+    const created = await push(user, [
+      { id, note: { title: "Offline", text: "Written offline" } },
+    ]).expect(200);
+    const [result] = created.body.data.results;
+    assert.equal(result.statusCode, 201);
+    assert.equal(result.id, id);
+    assert.equal(result.etag, '"1"');
+
+    const updated = await push(user, [
+      { id, baseVersion: 1, note: { title: "Edited offline" } },
+    ]).expect(200);
+    assert.equal(updated.body.data.results[0].statusCode, 200);
+    assert.equal(updated.body.data.results[0].note.version, 2);
+
+    const note = await app.getNote(user, id).expect(200);
+    assert.equal(note.body.data.title, "Edited offline");
+  });
+
+  it("accepts baseModifiedAt as the base", async () => {
+    const user = await app.signup("push-modified-at");
+    const note = await app.createNote(user, { title: "Base", text: "Text" });
+
+    const res = await push(user, [
+      {
+        id: note.id,
+        baseModifiedAt: note.modified_at,
+        note: { text: "Changed" },
+      },
+    ]).expect(200);
+    assert.equal(res.body.data.results[0].note.text, "Changed");
+  });
+
+  it("reports a conflict with the server copy instead of overwriting a newer note", async () => {
+    const user = await app.signup("push-conflict");
+    const note = await app.createNote(user, { title: "Base", text: "Text" });
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", user.auth)
+      .send({ title: "Server edit" })
+      .expect(200);
+
+    const res = await push(user, [
+      { id: note.id, baseVersion: 1, note: { title: "Client edit" } },
+      { id: crypto.randomUUID(), note: { title: "Other", text: "Text" } },
+    ]).expect(207);
+
+    const { data } = res.body;
+    assert.equal(data.succeeded, 1);
+    assert.equal(data.failed, 1);
+    assert.equal(data.conflicts, 1);
+    const [conflict, created] = data.results;
+    assert.equal(conflict.statusCode, 409);
+    assert.equal(conflict.error.code, "SYNC_CONFLICT");
+    assert.equal(conflict.error.details.reason, "modified");
+    assert.equal(conflict.error.details.note.title, "Server edit");
+    assert.equal(created.statusCode, 201);
+
+    const current = await app.getNote(user, note.id).expect(200);
+    assert.equal(current.body.data.title, "Server edit");
+  });
+
+  it("deletes notes and reports edits to deleted notes as conflicts", async () => {
+    const user = await app.signup("push-delete");
+    const note = await app.createNote(user, { title: "Doomed", text: "Text" });
+
+    const deleted = await push(user, [
+      { id: note.id, baseVersion: 1, deleted: true },
+    ]).expect(200);
+    assert.equal(deleted.body.data.results[0].statusCode, 204);
+    await app.getNote(user, note.id).expect(404);
+
+    const edit = await push(user, [
+      { id: note.id, baseVersion: 1, note: { title: "Too late" } },
+      { id: note.id, baseVersion: 1, deleted: true },
+    ]).expect(207);
+    const [conflict, repeated] = edit.body.data.results;
+    assert.equal(conflict.statusCode, 409);
+    assert.equal(conflict.error.details.reason, "deleted");
+    assert.equal(repeated.statusCode, 204);
+  });
+
+  it("reports a conflict for a permanently deleted note", async () => {
+    const user = await app.signup("push-purged");
+    const note = await app.createNote(user, { title: "Purged", text: "Text" });
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+    await app.api
+      .delete(`/api/notes/${note.id}/permanent`)
+      .set("Authorization", user.auth)
+      .expect(204);
+
+    const res = await push(user, [
+      { id: note.id, baseVersion: 1, note: { title: "Edit" } },
+    ]).expect(207);
+    assert.equal(res.body.data.results[0].error.details.reason, "deleted");
+  });
+
+  it("does not create a note over an existing ID", async () => {
+    const user = await app.signup("push-exists");
+    const note = await app.createNote(user, { title: "Taken", text: "Text" });
+
+    const res = await push(user, [
+      { id: note.id, note: { title: "Duplicate", text: "Text" } },
+    ]).expect(207);
+    const [result] = res.body.data.results;
+    assert.equal(result.statusCode, 409);
+    assert.equal(result.error.details.reason, "exists");
+    assert.equal(result.error.details.note.title, "Taken");
+  });
+
+  it("does not touch other users' notes", async () => {
+    const owner = await app.signup("push-owner");
+    const other = await app.signup("push-intruder");
+    const note = await app.createNote(owner, {
+      title: "Private",
+      text: "Text",
+    });
+
+    const res = await push(other, [
+      { id: note.id, baseVersion: 1, note: { title: "Hijacked" } },
+      { id: note.id, note: { title: "Hijacked", text: "Text" } },
+    ]).expect(207);
+    assert.deepEqual(
+      res.body.data.results.map((result) => result.statusCode),
+      [404, 409]
+    );
+    // The ID is taken, but the other user's note is not revealed.
+    assert.equal(res.body.data.results[1].error.details, undefined);
+
+    const current = await app.getNote(owner, note.id).expect(200);
+    assert.equal(current.body.data.title, "Private");
+  });
+
+  it("reports invalid changes per item and applies the rest", async () => {
+    const user = await app.signup("push-invalid");
+    const note = await app.createNote(user, { title: "Valid", text: "Text" });
+
+    const res = await push(user, [
+      { id: crypto.randomUUID(), note: { title: "No text" } },
+      { id: note.id, deleted: true },
+      { id: note.id, baseVersion: 1, note: { text: "Updated" } },
+    ]).expect(207);
+    const [missingText, unbasedDelete, update] = res.body.data.results;
+    assert.equal(missingText.statusCode, 400);
+    assert.equal(unbasedDelete.statusCode, 400);
+    assert.equal(update.statusCode, 200);
+    assert.equal(res.body.data.conflicts, 0);
+  });
+
+  it("rejects an empty or missing change list", async () => {
+    const user = await app.signup("push-empty");
+    await push(user, []).expect(400);
+    await app.api
+      .post("/api/notes/changes")
+      .set("Authorization", user.auth)
+      .send({})
+      .expect(400);
+  });
+
+  it("shows pushed changes in the feed", async () => {
+    const user = await app.signup("push-feed");
+    const { token } = await syncAll(user);
+    const id = crypto.randomUUID();
+    await push(user, [{ id, note: { title: "Pushed", text: "Text" } }]).expect(
+      200
+    );
+
+    const { changes } = await syncAll(user, token);
+    assert.deepEqual(
+      changes.map((change) => [change.type, change.id]),
+      [["upsert", id]]
+    );
+  });
+});
@@ -0,0 +1,264 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let user;
+
+before(async () => {
+  app = await startTestApp();
+  user = await app.signup("notebook-user");
+});
+
+after(() => app.close());
+
+const moveNotebook = (owner, notebookId, parentId) =>
+  app.api
+    .patch(`/api/notebooks/${notebookId}`)
+    .set("Authorization", owner.auth)
+    .send({ parentId });
+
+describe("notebook routes", () => {
+  it("creates, lists and renames notebooks", async () => {
+    const owner = await app.signup("notebook-crud");
+    const work = await app.createNotebook(owner, { name: "Work" });
+    const archive = await app.createNotebook(owner, { name: "Archive" });
+    await app.createNote(owner, { title: "Plan", notebookId: work.id });
+    assert.equal(work.parent_id, null);
+
+    const list = await app.api
+      .get("/api/notebooks")
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(
+      list.body.data.map((notebook) => [notebook.name, notebook.note_count]),
+      [
+        ["Archive", 0],
+        ["Work", 1],
+      ]
+    );
+
+    const renamed = await app.api
+      .patch(`/api/notebooks/${archive.id}`)
+      .set("Authorization", owner.auth)
+      .send({ name: "Old stuff" })
+      .expect(200);
+    assert.equal(renamed.body.data.name, "Old stuff");
+
+    await app.api
+      .patch(`/api/notebooks/${archive.id}`)
+      .set("Authorization", owner.auth)
+      .send({})
+      .expect(400);
+    await app.api
+      .post("/api/notebooks")
+      .set("Authorization", owner.auth)
+      .send({ name: "" })
+      .expect(400);
+  });
+
+  it("returns the direct or the recursive contents of a notebook", async () => {
+    const owner = await app.signup("notebook-contents");
+    const top = await app.createNotebook(owner, { name: "Top" });
+    const child = await app.createNotebook(owner, {
+      name: "Child",
+      parentId: top.id,
+    });
+    const grandchild = await app.createNotebook(owner, {
+      name: "Grandchild",
+      parentId: child.id,
+    });
+    await app.createNote(owner, { title: "In top", notebookId: top.id });
+    await app.createNote(owner, {
+      title: "In grandchild",
+      notebookId: grandchild.id,
+    });
+
+    const direct = await app.api
+      .get(`/api/notebooks/${top.id}`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.equal(direct.body.data.notebook.id, top.id);
+    assert.deepEqual(
+      direct.body.data.notebooks.map((notebook) => notebook.id),
+      [child.id]
+    );
+    assert.deepEqual(
+      direct.body.data.notes.map((note) => note.title),
+      ["In top"]
+    );
+
+    const recursive = await app.api
+      .get(`/api/notebooks/${top.id}?recursive=true`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(
+      recursive.body.data.notebooks.map((notebook) => notebook.id).sort(),
+      [child.id, grandchild.id].sort()
+    );
+    assert.deepEqual(
+      recursive.body.data.notes.map((note) => note.title).sort(),
+      ["In grandchild", "In top"]
+    );
+  });
+
+  it("moves the contents to the top level when a notebook is deleted", async () => {
+    const owner = await app.signup("notebook-delete-root");
+    const parent = await app.createNotebook(owner, { name: "Parent" });
+    const child = await app.createNotebook(owner, {
+      name: "Child",
+      parentId: parent.id,
+    });
+    const note = await app.createNote(owner, {
+      title: "Kept",
+      notebookId: parent.id,
+    });
+
+    const res = await app.api
+      .delete(`/api/notebooks/${parent.id}`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(res.body.data, {
+      deletedNotebooks: 1,
+      movedNotes: 1,
+      trashedNotes: 0,
+    });
+
+    const movedNote = await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.equal(movedNote.body.data.notebook_id, null);
+    const list = await app.api
+      .get("/api/notebooks")
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(
+      list.body.data.map((notebook) => [notebook.id, notebook.parent_id]),
+      [[child.id, null]]
+    );
+  });
+
+  it("deletes sub-notebooks and trashes their notes in cascade mode", async () => {
+    const owner = await app.signup("notebook-delete-cascade");
+    const parent = await app.createNotebook(owner, { name: "Parent" });
+    const child = await app.createNotebook(owner, {
+      name: "Child",
+      parentId: parent.id,
+    });
+    const note = await app.createNote(owner, {
+      title: "Trashed",
+      notebookId: child.id,
+    });
+
+    const res = await app.api
+      .delete(`/api/notebooks/${parent.id}?mode=cascade`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(res.body.data, {
+      deletedNotebooks: 2,
+      movedNotes: 0,
+      trashedNotes: 1,
+    });
+
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", owner.auth)
+      .expect(404);
+    const list = await app.api
+      .get("/api/notebooks")
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(list.body.data, []);
+
+    await app.api
+      .delete(`/api/notebooks/${parent.id}?mode=everything`)
+      .set("Authorization", owner.auth)
+      .expect(400);
+  });
+
+  it("keeps notebooks private to their owner", async () => {
+    const owner = await app.signup("notebook-owner");
+    const other = await app.signup("notebook-other");
+    const notebook = await app.createNotebook(owner, { name: "Private" });
+
+    await app.api
+      .get(`/api/notebooks/${notebook.id}`)
+      .set("Authorization", other.auth)
+      .expect(404);
+    await app.api
+      .patch(`/api/notebooks/${notebook.id}`)
+      .set("Authorization", other.auth)
+      .send({ name: "Mine now" })
+      .expect(404);
+    await app.api
+      .delete(`/api/notebooks/${notebook.id}`)
+      .set("Authorization", other.auth)
+      .expect(404);
+    await app.api
+      .post("/api/notebooks")
+      .set("Authorization", other.auth)
+      .send({ name: "Nested", parentId: notebook.id })
+      .expect(404);
+    await app.api.get("/api/notebooks").expect(401);
+  });
+});
+
+describe("notebook cycles", () => {
+  it("refuses to move a notebook into itself or its sub-notebooks", async () => {
+    const outer = await app.createNotebook(user, { name: "Outer" });
+    const inner = await app.createNotebook(user, {
+      name: "Inner",
+      parentId: outer.id,
+    });
+    const innermost = await app.createNotebook(user, {
+      name: "Innermost",
+      parentId: inner.id,
+    });
+
+    for (const parentId of [outer.id, inner.id, innermost.id]) {
+      const res = await moveNotebook(user, outer.id, parentId).expect(400);
+      assert.equal(
+        res.body.message,
+        "A notebook cannot be moved into itself or one of its sub-notebooks."
+      );
+    }
+    const moved = await moveNotebook(user, innermost.id, outer.id).expect(200);
+    assert.equal(moved.body.data.parent_id, outer.id);
+  });
+
+  it("still lists notebooks and exports notes when the tree has a cycle", async () => {
+    const owner = await app.signup("notebook-cycle");
+    const first = await app.createNotebook(owner, { name: "First" });
+    const second = await app.createNotebook(owner, {
+      name: "Second",
+      parentId: first.id,
+    });
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", owner.auth)
+      .send({ title: "Lost", text: "In a loop", notebookId: second.id })
+      .expect(201);
+    // Moves are checked for cycles; a cycle can only be made behind the API's back.
+    await app.pool.query("UPDATE notebooks SET parent_id = $1 WHERE id = $2", [
+      second.id,
+      first.id,
+    ]);
+
+    const contents = await app.api
+      .get(`/api/notebooks/${first.id}?recursive=true`)
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.deepEqual(
+      contents.body.data.notebooks.map((notebook) => notebook.id),
+      [second.id]
+    );
+    assert.equal(contents.body.data.notes.length, 1);
+
+    const exported = await app.api
+      .get("/api/notes/export?format=json")
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.equal(exported.body.notes.length, 1);
+  });
+});
@@ -0,0 +1,657 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let alice;
+let bob;
+
+before(async () => {
+  app = await startTestApp();
+  alice = await app.signup("alice");
+  bob = await app.signup("bob");
+});
+
+after(() => app.close());
+
+describe("POST /api/notes", () => {
+  it("creates a note with tags", async () => {
+    const res = await app.api
+      .post("/api/notes")
+      .set("Authorization", alice.auth)
+      .send({ title: "Groceries", text: "Milk and eggs", tags: ["Home"] })
+      .expect(201);
+    assert.equal(res.body.data.title, "Groceries");
+    assert.equal(res.body.data.user_id, alice.id);
+    assert.equal(res.body.data.version, 1);
+    assert.deepEqual(res.body.data.tags, ["home"]);
+    assert.equal(res.headers.etag, '"1"');
+  });
+
+  it("validates the note", async () => {
+    const long = await app.api
+      .post("/api/notes")
+      .set("Authorization", alice.auth)
+      .send({ title: "x".repeat(51), text: "Too long a title" })
+      .expect(400);
+    assert.equal(long.body.message, "Title cannot exceed 50 characters.");
+
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", alice.auth)
+      .send({ title: "No text" })
+      .expect(400);
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", alice.auth)
+      .send({ title: "Long text", text: "x".repeat(301) })
+      .expect(400);
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", alice.auth)
+      .send({ title: "Bad notebook", text: "Text", notebookId: "nope" })
+      .expect(400);
+  });
+
+  it("requires authentication", async () => {
+    await app.api
+      .post("/api/notes")
+      .send({ title: "Anonymous", text: "Text" })
+      .expect(401);
+  });
+});
+
+describe("GET /api/notes", () => {
+  let user;
+
+  before(async () => {
+    user = await app.signup("list-user");
+    for (const title of ["First", "Second", "Third"]) {
+      await app.createNote(user, { title, text: `${title} note` });
+    }
+  });
+
+  it("lists only the notes of the user", async () => {
+    const res = await app.api
+      .get("/api/notes")
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.equal(res.body.pagination.total, 3);
+    assert.ok(res.body.data.every((note) => note.user_id === user.id));
+  });
+
+  it("pages through the notes with a cursor", async () => {
+    const first = await app.api
+      .get("/api/notes?limit=2&sort=title&order=asc")
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.deepEqual(
+      first.body.data.map((note) => note.title),
+      ["First", "Second"]
+    );
+    assert.ok(first.body.pagination.nextCursor);
+
+    const second = await app.api
+      .get("/api/notes")
+      .query({
+        limit: 2,
+        sort: "title",
+        order: "asc",
+        cursor: first.body.pagination.nextCursor,
+      })
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.deepEqual(
+      second.body.data.map((note) => note.title),
+      ["Third"]
+    );
+    assert.equal(second.body.pagination.nextCursor, null);
+  });
+
+  it("validates the query", async () => {
+    const res = await app.api
+      .get("/api/notes?limit=0")
+      .set("Authorization", user.auth)
+      .expect(400);
+    assert.equal(res.body.message, "Limit must be at least 1.");
+
+    await app.api
+      .get("/api/notes?sort=owner")
+      .set("Authorization", user.auth)
+      .expect(400);
+  });
+});
+
+describe("GET /api/notes/:id", () => {
+  it("returns a note of the user with its ETag", async () => {
+    const note = await app.createNote(alice, {
+      title: "Read me",
+      text: "Text",
+    });
+    const res = await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(res.body.data.id, note.id);
+    assert.equal(res.headers.etag, '"1"');
+  });
+
+  it("does not return notes of other users", async () => {
+    const note = await app.createNote(alice, {
+      title: "Private",
+      text: "Text",
+    });
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+  });
+});
+
+describe("PUT /api/notes", () => {
+  it("updates a note and bumps its version", async () => {
+    const note = await app.createNote(alice, { title: "Draft", text: "Text" });
+    const res = await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .send({ title: "Final", tags: ["done"] })
+      .expect(200);
+    assert.equal(res.body.data.title, "Final");
+    assert.equal(res.body.data.text, "Text");
+    assert.deepEqual(res.body.data.tags, ["done"]);
+    assert.equal(res.body.data.version, 2);
+    assert.equal(res.headers.etag, '"2"');
+  });
+
+  it("fails with 412 when If-Match names an old version", async () => {
+    const note = await app.createNote(alice, {
+      title: "Shared draft",
+      text: "v1",
+    });
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .set("If-Match", '"1"')
+      .send({ text: "v2" })
+      .expect(200);
+
+    const res = await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .set("If-Match", '"1"')
+      .send({ text: "v2 from an old copy" })
+      .expect(412);
+    assert.equal(res.body.details.currentVersion, 2);
+
+    // If-Match compares strongly, so a weak tag of the current version does not match either.
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .set("If-Match", 'W/"2"')
+      .send({ text: "v3" })
+      .expect(412);
+  });
+
+  it("validates the request", async () => {
+    const note = await app.createNote(alice, { title: "Valid", text: "Text" });
+    const missingId = await app.api
+      .put("/api/notes")
+      .set("Authorization", alice.auth)
+      .send({ text: "Text" })
+      .expect(400);
+    assert.match(missingId.body.message, /Note ID is required/);
+
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .send({})
+      .expect(400);
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .send({ title: "" })
+      .expect(400);
+  });
+
+  it("does not update notes of other users", async () => {
+    const note = await app.createNote(alice, { title: "Mine", text: "Text" });
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", bob.auth)
+      .send({ text: "Overwritten" })
+      .expect(404);
+
+    const res = await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(res.body.data.text, "Text");
+  });
+});
+
+describe("trash", () => {
+  it("moves deleted notes to the trash and restores them", async () => {
+    const note = await app.createNote(alice, { title: "Old", text: "Text" });
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(404);
+    const trash = await app.api
+      .get("/api/notes/trash")
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.ok(trash.body.data.some((trashed) => trashed.id === note.id));
+
+    const restored = await app.api
+      .post(`/api/notes/${note.id}/restore`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(restored.body.data.version, note.version + 1);
+    assert.equal(restored.headers.etag, `"${note.version + 1}"`);
+    await app.api
+      .get(`/api/notes/${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+
+    const revisions = await app.api
+      .get(`/api/notes/${note.id}/revisions`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.deepEqual(
+      revisions.body.data.map((revision) => revision.action),
+      ["restore", "delete"]
+    );
+  });
+
+  it("deletes trashed notes permanently", async () => {
+    const note = await app.createNote(alice, { title: "Doomed", text: "Text" });
+
+    // Only notes in the trash can be deleted permanently.
+    await app.api
+      .delete(`/api/notes/${note.id}/permanent`)
+      .set("Authorization", alice.auth)
+      .expect(404);
+
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+    await app.api
+      .delete(`/api/notes/${note.id}/permanent`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+    await app.api
+      .post(`/api/notes/${note.id}/restore`)
+      .set("Authorization", alice.auth)
+      .expect(404);
+  });
+
+  it("keeps users out of each other's notes and trash", async () => {
+    const note = await app.createNote(alice, { title: "Keep", text: "Text" });
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+
+    await app.api
+      .delete(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+    const trash = await app.api
+      .get("/api/notes/trash")
+      .set("Authorization", bob.auth)
+      .expect(200);
+    assert.ok(!trash.body.data.some((trashed) => trashed.id === note.id));
+    await app.api
+      .post(`/api/notes/${note.id}/restore`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+    await app.api
+      .delete(`/api/notes/${note.id}/permanent`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+  });
+
+  it("requires the note ID on delete", async () => {
+    await app.api
+      .delete("/api/notes")
+      .set("Authorization", alice.auth)
+      .expect(400);
+  });
+});
+
+describe("GET /api/notes/search", () => {
+  let user;
+
+  before(async () => {
+    user = await app.signup("search-user");
+    await app.createNote(user, {
+      title: "Meeting agenda",
+      text: "Discuss the budget on Monday",
+    });
+    await app.createNote(user, {
+      title: "Recipes",
+      text: "Pancakes and waffles",
+    });
+    await app.createNote(bob, { title: "Budget", text: "Bob's budget plans" });
+  });
+
+  it("finds notes by the words in them", async () => {
+    const res = await app.api
+      .get("/api/notes/search?q=budget")
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.deepEqual(
+      res.body.data.map((note) => note.title),
+      ["Meeting agenda"]
+    );
+    assert.match(res.body.data[0].text_highlight, /<mark>budget<\/mark>/);
+  });
+
+  it("escapes markup in highlighted snippets", async () => {
+    await app.createNote(user, {
+      title: "<b>Payload</b> report",
+      text: 'Fish & chips: payload <script>alert(1)</script> <img src=x onerror="alert(2)">',
+    });
+    const res = await app.api
+      .get("/api/notes/search?q=payload")
+      .set("Authorization", user.auth)
+      .expect(200);
+    const [note] = res.body.data;
+    assert.equal(
+      note.title_highlight,
+      "&lt;b&gt;<mark>Payload</mark>&lt;/b&gt; report"
+    );
+    assert.match(
+      note.text_highlight,
+      /^Fish &amp; chips: <mark>payload<\/mark>/
+    );
+    assert.doesNotMatch(note.text_highlight, /<(script|img)/);
+  });
+
+  it("keeps highlight tags balanced when a note contains the highlight markers", async () => {
+    await app.createNote(user, {
+      title: "Marker \uE001 quiz",
+      text: "The \uE000 quiz \uE001 answers",
+    });
+    const res = await app.api
+      .get("/api/notes/search?q=quiz")
+      .set("Authorization", user.auth)
+      .expect(200);
+    const [note] = res.body.data;
+    assert.equal(note.title_highlight, "Marker  <mark>quiz</mark>");
+    assert.equal(note.text_highlight, "<mark>quiz</mark>  answers");
+  });
+
+  it("matches parts of titles in substring mode", async () => {
+    const res = await app.api
+      .get("/api/notes/search?q=cipe&mode=substring")
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.deepEqual(
+      res.body.data.map((note) => note.title),
+      ["Recipes"]
+    );
+  });
+
+  it("validates the query", async () => {
+    const res = await app.api
+      .get("/api/notes/search")
+      .set("Authorization", user.auth)
+      .expect(400);
+    assert.equal(res.body.message, "Search query (q) is required.");
+
+    await app.api
+      .get("/api/notes/search?q=budget&mode=regex")
+      .set("Authorization", user.auth)
+      .expect(400);
+    await app.api
+      .get("/api/notes/search?q=budget&mode=substring&sort=relevance")
+      .set("Authorization", user.auth)
+      .expect(400);
+  });
+});
+
+describe("tags", () => {
+  let user;
+
+  before(async () => {
+    user = await app.signup("tag-user");
+    await app.createNote(user, { title: "One", text: "Text", tags: ["work"] });
+    await app.createNote(user, {
+      title: "Two",
+      text: "Text",
+      tags: ["work", "todo"],
+    });
+  });
+
+  const listTags = async (owner) =>
+    (
+      await app.api
+        .get("/api/notes/tags")
+        .set("Authorization", owner.auth)
+        .expect(200)
+    ).body.data;
+
+  it("lists the tags of the user with their note counts", async () => {
+    const tags = await listTags(user);
+    assert.deepEqual(tags.map((tag) => [tag.name, tag.note_count]).sort(), [
+      ["todo", 1],
+      ["work", 2],
+    ]);
+  });
+
+  it("renames a tag, merging it into an existing one", async () => {
+    const todo = (await listTags(user)).find((tag) => tag.name === "todo");
+    await app.api
+      .patch(`/api/notes/tags/${todo.id}`)
+      .set("Authorization", user.auth)
+      .send({ name: "work" })
+      .expect(200);
+
+    const tags = await listTags(user);
+    assert.deepEqual(
+      tags.map((tag) => [tag.name, tag.note_count]),
+      [["work", 2]]
+    );
+  });
+
+  it("merges a tag renamed to a name that is taken after the lookup", async () => {
+    await app.createNote(user, {
+      title: "Three",
+      text: "Text",
+      tags: ["draft"],
+    });
+    const draft = (await listTags(user)).find((tag) => tag.name === "draft");
+
+    // Another request creates the "later" tag right after the rename looked for it and found none.
+    // The database has a single connection, so the tag is inserted through the client of the rename.
+    const { connect } = app.pool;
+    let raced = false;
+    app.pool.connect = async () => {
+      const client = await connect();
+      const query = async (text, values) => {
+        if (!raced && /FROM tags\s+WHERE name = \$1/.test(text)) {
+          raced = true;
+          await client.query(
+            "INSERT INTO tags (user_id, name) SELECT id, $1 FROM users WHERE username = $2;",
+            [values[0], "tag-user"]
+          );
+          return { rows: [], rowCount: 0 };
+        }
+        return client.query(text, values);
+      };
+      return { ...client, query };
+    };
+
+    let res;
+    try {
+      res = await app.api
+        .patch(`/api/notes/tags/${draft.id}`)
+        .set("Authorization", user.auth)
+        .send({ name: "later" })
+        .expect(200);
+    } finally {
+      app.pool.connect = connect;
+    }
+    assert.equal(raced, true);
+    assert.equal(res.body.message, "Tag merged successfully!");
+    assert.equal(res.body.data.name, "later");
+    assert.notEqual(res.body.data.id, draft.id);
+
+    const tags = await listTags(user);
+    assert.deepEqual(tags.map((tag) => [tag.name, tag.note_count]).sort(), [
+      ["later", 1],
+      ["work", 2],
+    ]);
+  });
+
+  it("validates the name and keeps other users out", async () => {
+    const work = (await listTags(user)).find((tag) => tag.name === "work");
+    await app.api
+      .patch(`/api/notes/tags/${work.id}`)
+      .set("Authorization", user.auth)
+      .send({ name: "" })
+      .expect(400);
+    await app.api
+      .patch(`/api/notes/tags/${work.id}`)
+      .set("Authorization", bob.auth)
+      .send({ name: "stolen" })
+      .expect(404);
+  });
+});
+
+describe("revisions", () => {
+  let note;
+  let revisionId;
+
+  before(async () => {
+    note = await app.createNote(alice, { title: "Essay", text: "First draft" });
+    await app.api
+      .put(`/api/notes?id=${note.id}`)
+      .set("Authorization", alice.auth)
+      .send({ text: "Second draft" })
+      .expect(200);
+  });
+
+  it("keeps the earlier versions of a note", async () => {
+    const res = await app.api
+      .get(`/api/notes/${note.id}/revisions`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].text, "First draft");
+    revisionId = res.body.data[0].id;
+
+    const revision = await app.api
+      .get(`/api/notes/${note.id}/revisions/${revisionId}`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(revision.body.data.text, "First draft");
+  });
+
+  it("diffs a revision against the current note", async () => {
+    const res = await app.api
+      .get(`/api/notes/${note.id}/revisions/diff?from=${revisionId}`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(res.body.data.to.id, "current");
+    assert.deepEqual(
+      res.body.data.text.filter((part) => part.type !== "equal"),
+      [
+        { type: "delete", value: "First" },
+        { type: "insert", value: "Second" },
+      ]
+    );
+
+    await app.api
+      .get(`/api/notes/${note.id}/revisions/diff`)
+      .set("Authorization", alice.auth)
+      .expect(400);
+  });
+
+  it("restores a revision", async () => {
+    const res = await app.api
+      .post(`/api/notes/${note.id}/revisions/${revisionId}/restore`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(res.body.data.text, "First draft");
+    assert.equal(res.body.data.version, 3);
+  });
+
+  it("deletes the revisions of notes deleted for good", async () => {
+    const doomed = await app.createNote(alice, {
+      title: "Secret",
+      text: "One",
+    });
+    await app.api
+      .put(`/api/notes?id=${doomed.id}`)
+      .set("Authorization", alice.auth)
+      .send({ text: "Two" })
+      .expect(200);
+    await app.api
+      .delete(`/api/notes?id=${doomed.id}`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+    const trashed = await app.api
+      .get(`/api/notes/${doomed.id}/revisions`)
+      .set("Authorization", alice.auth)
+      .expect(200);
+    assert.equal(trashed.body.data.length, 2);
+
+    await app.api
+      .delete(`/api/notes/${doomed.id}/permanent`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+    await app.api
+      .get(`/api/notes/${doomed.id}/revisions`)
+      .set("Authorization", alice.auth)
+      .expect(404);
+    await app.api
+      .get(`/api/notes/${doomed.id}/revisions/${trashed.body.data[0].id}`)
+      .set("Authorization", alice.auth)
+      .expect(404);
+  });
+
+  it("deletes the revisions of purged notes", async () => {
+    const { purgeTrashService } = await import("../services/noteService.js");
+    const expired = await app.createNote(alice, {
+      title: "Stale",
+      text: "One",
+    });
+    await app.api
+      .delete(`/api/notes?id=${expired.id}`)
+      .set("Authorization", alice.auth)
+      .expect(204);
+    await app.pool.query(
+      "UPDATE notes SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1",
+      [expired.id]
+    );
+
+    assert.equal(await purgeTrashService(30), 1);
+    await app.api
+      .get(`/api/notes/${expired.id}/revisions`)
+      .set("Authorization", alice.auth)
+      .expect(404);
+  });
+
+  it("keeps other users out", async () => {
+    await app.api
+      .get(`/api/notes/${note.id}/revisions`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+    await app.api
+      .get(`/api/notes/${note.id}/revisions/${revisionId}`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+    await app.api
+      .post(`/api/notes/${note.id}/revisions/${revisionId}/restore`)
+      .set("Authorization", bob.auth)
+      .expect(404);
+  });
+});
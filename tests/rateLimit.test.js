@@ -0,0 +1,109 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+// Low limits, so tests reach them with a few requests. The windows are a day long, so a test does not
+// run across the start of a new window.
+Object.assign(process.env, {
+  RATE_LIMIT_AUTH_MAX: "5",
+  RATE_LIMIT_AUTH_WINDOW_SECONDS: "86400",
+  RATE_LIMIT_API_MAX: "3",
+  RATE_LIMIT_API_WINDOW_SECONDS: "86400",
+  // Requests come from supertest on localhost, which stands in for a reverse proxy.
+  TRUST_PROXY: "loopback",
+});
+const { startTestApp } = await import("./helpers/testApp.js");
+
+let app;
+let users;
+
+before(async () => {
+  app = await startTestApp();
+  // Signups count against the limit of anonymous requests from this IP address.
+  users = [];
+  for (const username of ["limit-one", "limit-two", "limit-three"]) {
+    users.push(await app.signup(username));
+  }
+});
+
+after(() => app.close());
+
+const getMe = (user) =>
+  app.api.get("/api/user/me").set("Authorization", user.auth);
+
+describe("rate limits", () => {
+  it("limit anonymous requests per IP address", async () => {
+    const login = () =>
+      app.api
+        .post("/api/user/login")
+        .send({ username: "limit-one", password: "secret123" });
+
+    const first = await login().expect(200);
+    assert.equal(first.headers["ratelimit-limit"], "5");
+    assert.equal(first.headers["ratelimit-policy"], "5;w=86400");
+    const reset = Number(first.headers["ratelimit-reset"]);
+    assert.ok(reset > 0 && reset <= 86400);
+
+    // The signups used up part of the limit already.
+    let remaining = Number(first.headers["ratelimit-remaining"]);
+    assert.equal(remaining, 1);
+    while (remaining > 0) {
+      const res = await login().expect(200);
+      assert.equal(Number(res.headers["ratelimit-remaining"]), remaining - 1);
+      remaining -= 1;
+    }
+
+    const limited = await login().expect(429);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.equal(limited.headers["ratelimit-remaining"], "0");
+    assert.ok(Number(limited.headers["retry-after"]) >= 1);
+  });
+
+  it("tell anonymous clients behind a trusted proxy apart by their forwarded address", async () => {
+    const login = (address) =>
+      app.api
+        .post("/api/user/login")
+        .set("X-Forwarded-For", address)
+        .send({ username: "limit-two", password: "secret123" });
+
+    const first = await login("203.0.113.7").expect(200);
+    assert.equal(first.headers["ratelimit-remaining"], "4");
+    const second = await login("203.0.113.7").expect(200);
+    assert.equal(second.headers["ratelimit-remaining"], "3");
+
+    const other = await login("198.51.100.20").expect(200);
+    assert.equal(other.headers["ratelimit-remaining"], "4");
+  });
+
+  it("limit authenticated requests per user", async () => {
+    const [first, second] = users;
+    for (const remaining of ["2", "1", "0"]) {
+      const res = await getMe(first).expect(200);
+      assert.equal(res.headers["ratelimit-limit"], "3");
+      assert.equal(res.headers["ratelimit-remaining"], remaining);
+    }
+    const limited = await getMe(first).expect(429);
+    assert.equal(
+      limited.body.message,
+      "Too many requests. Please try again later."
+    );
+    assert.ok(Number(limited.headers["retry-after"]) >= 1);
+
+    // Other users have their own count.
+    const other = await getMe(second).expect(200);
+    assert.equal(other.headers["ratelimit-remaining"], "2");
+  });
+
+  it("share the count between routes of the same policy", async () => {
+    const user = users[2];
+    await app.api
+      .get("/api/notebooks")
+      .set("Authorization", user.auth)
+      .expect(200);
+    await app.api.get("/api/notes").set("Authorization", user.auth).expect(200);
+    await getMe(user).expect(200);
+    await app.api
+      .get("/api/notebooks")
+      .set("Authorization", user.auth)
+      .expect(429);
+  });
+});
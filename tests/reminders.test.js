@@ -0,0 +1,386 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { startTestApp } from "./helpers/testApp.js";
+
+let app;
+let user;
+let fireDueReminders;
+let deliverNotifications;
+
+before(async () => {
+  app = await startTestApp();
+  user = await app.signup("reminder-user");
+  ({
+    fireDueRemindersService: fireDueReminders,
+    deliverNotificationsService: deliverNotifications,
+  } = await import("../services/notificationService.js"));
+});
+
+after(() => app.close());
+
+const updateNote = (owner, noteId, updates) =>
+  app.api
+    .put(`/api/notes?id=${noteId}`)
+    .set("Authorization", owner.auth)
+    .send(updates);
+
+const listNotifications = (owner, query = "") =>
+  app.api
+    .get(`/api/notifications${query}`)
+    .set("Authorization", owner.auth)
+    .expect(200);
+
+const minutesAgo = (minutes) =>
+  new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe("Reminders", () => {
+  it("validates and normalizes reminder fields", async () => {
+    const invalid = await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({
+        title: "Standup",
+        text: "Daily",
+        reminderAt: "2030-01-01T09:00:00Z",
+        reminderRule: "FREQ=DAILY;COUNT=3",
+      })
+      .expect(400);
+    assert.equal(
+      invalid.body.message,
+      "Recurrence rules only support FREQ, INTERVAL and UNTIL, not COUNT."
+    );
+
+    const withoutTime = await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({ title: "Standup", text: "Daily", reminderRule: "FREQ=DAILY" })
+      .expect(400);
+    assert.equal(
+      withoutTime.body.message,
+      "A reminderRule needs a reminderAt to start from."
+    );
+
+    const note = await app.createNote(user, {
+      title: "Review",
+      text: "Every other week",
+      reminderAt: "2030-01-07T09:00:00Z",
+      reminderRule: "rrule:freq=weekly;interval=2",
+    });
+    assert.equal(note.reminder_rule, "FREQ=WEEKLY;INTERVAL=2");
+    assert.equal(
+      new Date(note.reminder_at).toISOString(),
+      "2030-01-07T09:00:00.000Z"
+    );
+
+    // Removing the reminder removes its recurrence as well.
+    const cleared = await updateNote(user, note.id, {
+      reminderAt: null,
+    }).expect(200);
+    assert.equal(cleared.body.data.reminder_at, null);
+    assert.equal(cleared.body.data.reminder_rule, null);
+  });
+
+  it("fires a one-off reminder once and stores it in the feed", async () => {
+    const note = await app.createNote(user, {
+      title: "Call the bank",
+      text: "About the card",
+      reminderAt: minutesAgo(1),
+    });
+    const trashed = await app.createNote(user, {
+      title: "Trashed",
+      text: "Never mind",
+      reminderAt: minutesAgo(1),
+    });
+    await app.api
+      .delete(`/api/notes?id=${trashed.id}`)
+      .set("Authorization", user.auth)
+      .expect(204);
+
+    assert.equal(await fireDueReminders(), 1);
+    assert.equal(await fireDueReminders(), 0);
+    const fired = (await app.getNote(user, note.id).expect(200)).body.data;
+    assert.equal(fired.reminder_at, null);
+    assert.equal(fired.version, note.version + 1);
+
+    // Nothing is shown before the notification is delivered.
+    assert.deepEqual((await listNotifications(user)).body.data, []);
+    assert.deepEqual(await deliverNotifications(), {
+      delivered: 2,
+      failed: 0,
+    });
+
+    const feed = await listNotifications(user);
+    assert.equal(feed.body.unreadCount, 1);
+    assert.equal(feed.body.pagination.total, 1);
+    const [notification] = feed.body.data;
+    assert.equal(notification.type, "reminder");
+    assert.equal(notification.title, "Call the bank");
+    assert.equal(notification.note_id, note.id);
+    assert.equal(notification.read_at, null);
+    assert.equal(
+      new Date(notification.data.reminder_at).toISOString(),
+      new Date(note.reminder_at).toISOString()
+    );
+    assert.equal(notification.data.next_reminder_at, null);
+
+    const read = await app.api
+      .patch(`/api/notifications/${notification.id}`)
+      .set("Authorization", user.auth)
+      .send({ read: true })
+      .expect(200);
+    assert.ok(read.body.data.read_at);
+    const unread = await listNotifications(user, "?unread=true");
+    assert.deepEqual(unread.body.data, []);
+    assert.equal(unread.body.unreadCount, 0);
+
+    await app.api
+      .patch(`/api/notifications/${notification.id}`)
+      .set("Authorization", user.auth)
+      .send({ read: false })
+      .expect(200);
+    const readAll = await app.api
+      .post("/api/notifications/read-all")
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.equal(readAll.body.data.updated, 1);
+
+    const stranger = await app.signup("reminder-stranger");
+    await app.api
+      .patch(`/api/notifications/${notification.id}`)
+      .set("Authorization", stranger.auth)
+      .send({ read: true })
+      .expect(404);
+    assert.deepEqual((await listNotifications(stranger)).body.data, []);
+  });
+
+  it("moves recurring reminders to their next occurrence", async () => {
+    const daily = await app.createNote(user, {
+      title: "Water the plants",
+      text: "Every morning",
+      reminderAt: "2024-01-01T09:00:00Z",
+      reminderRule: "FREQ=DAILY",
+    });
+    const ending = await app.createNote(user, {
+      title: "Course",
+      text: "Until March 10th",
+      reminderAt: "2024-03-01T09:00:00Z",
+      reminderRule: "FREQ=DAILY;UNTIL=20240310",
+    });
+
+    // Missed occurrences are skipped: each reminder fires once.
+    const now = new Date("2024-03-10T12:00:00Z");
+    assert.equal(await fireDueReminders(now), 2);
+    assert.equal(await fireDueReminders(now), 0);
+
+    const next = (await app.getNote(user, daily.id).expect(200)).body.data;
+    assert.equal(
+      new Date(next.reminder_at).toISOString(),
+      "2024-03-11T09:00:00.000Z"
+    );
+    assert.equal(next.reminder_rule, "FREQ=DAILY");
+    const ended = (await app.getNote(user, ending.id).expect(200)).body.data;
+    assert.equal(ended.reminder_at, null);
+    assert.equal(ended.reminder_rule, null);
+
+    await deliverNotifications();
+    const feed = await listNotifications(user, "?unread=true");
+    const dailyNotification = feed.body.data.find(
+      (notification) => notification.note_id === daily.id
+    );
+    assert.equal(
+      new Date(dailyNotification.data.next_reminder_at).toISOString(),
+      "2024-03-11T09:00:00.000Z"
+    );
+
+    await updateNote(user, daily.id, { reminderAt: null }).expect(200);
+  });
+});
+
+describe("Webhooks", () => {
+  let owner;
+  let receiver;
+  let url;
+  const received = [];
+  let responseStatus = 200;
+  // Bodies posted to "/healthy", which always accepts them.
+  const healthy = [];
+
+  before(async () => {
+    owner = await app.signup("webhook-owner");
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        if (req.url === "/healthy") {
+          healthy.push(body);
+          res.writeHead(200).end();
+          return;
+        }
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  it("adds, lists and deletes webhooks", async () => {
+    const invalid = await app.api
+      .post("/api/notifications/webhooks")
+      .set("Authorization", owner.auth)
+      .send({ url: "ftp://example.com/hooks" })
+      .expect(400);
+    assert.equal(invalid.body.message, "url must be an http or https URL.");
+
+    const created = await app.api
+      .post("/api/notifications/webhooks")
+      .set("Authorization", owner.auth)
+      .send({ url: "https://example.com/hooks" })
+      .expect(201);
+    assert.match(created.body.data.secret, /^[0-9a-f]{64}$/);
+
+    const list = await app.api
+      .get("/api/notifications/webhooks")
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.equal(list.body.data.length, 1);
+    assert.equal(list.body.data[0].url, "https://example.com/hooks");
+    assert.equal(list.body.data[0].secret, undefined);
+
+    await app.api
+      .delete(`/api/notifications/webhooks/${created.body.data.id}`)
+      .set("Authorization", user.auth)
+      .expect(404);
+    await app.api
+      .delete(`/api/notifications/webhooks/${created.body.data.id}`)
+      .set("Authorization", owner.auth)
+      .expect(204);
+  });
+
+  it("posts signed notifications and retries failed deliveries", async () => {
+    const webhook = await app.api
+      .post("/api/notifications/webhooks")
+      .set("Authorization", owner.auth)
+      .send({ url })
+      .expect(201);
+    const { secret } = webhook.body.data;
+    await app.api
+      .post("/api/notifications/webhooks")
+      .set("Authorization", owner.auth)
+      .send({ url: url.replace("/hooks", "/healthy") })
+      .expect(201);
+    const note = await app.createNote(owner, {
+      title: "Renew passport",
+      text: "Before the trip",
+      reminderAt: minutesAgo(5),
+    });
+
+    responseStatus = 500;
+    assert.equal(await fireDueReminders(), 1);
+    assert.deepEqual(await deliverNotifications(), {
+      delivered: 1,
+      failed: 1,
+    });
+    assert.equal(received.length, 1);
+
+    const [first] = received;
+    const body = JSON.parse(first.body);
+    assert.equal(body.type, "reminder");
+    assert.equal(body.note_id, note.id);
+    assert.equal(first.headers["x-notification-id"], body.id);
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${first.headers["x-webhook-timestamp"]}.${first.body}`)
+      .digest("hex");
+    assert.equal(first.headers["x-webhook-signature"], `sha256=${expected}`);
+
+    const failed = await app.api
+      .get("/api/notifications/webhooks")
+      .set("Authorization", owner.auth)
+      .expect(200);
+    assert.equal(failed.body.data[0].last_status, 500);
+    assert.equal(
+      failed.body.data[0].last_error,
+      "The webhook answered with status 500."
+    );
+
+    // The retry waits for its backoff.
+    responseStatus = 200;
+    assert.deepEqual(await deliverNotifications(), {
+      delivered: 0,
+      failed: 0,
+    });
+    const later = new Date(Date.now() + 10 * 60 * 1000);
+    assert.deepEqual(await deliverNotifications(later), {
+      delivered: 1,
+      failed: 0,
+    });
+    assert.equal(received.length, 2);
+    assert.equal(received[1].headers["x-notification-id"], body.id);
+    // The webhook that accepted the notification the first time is not posted to again.
+    assert.equal(healthy.length, 1);
+
+    // The feed still has the notification once.
+    const feed = await listNotifications(owner);
+    assert.equal(feed.body.data.length, 1);
+    assert.equal(feed.body.data[0].id, body.id);
+  });
+
+  it("refuses webhooks to local and private addresses", async () => {
+    const { isPrivateWebhookUrl } = await import(
+      "../notifications/webhookChannel.js"
+    );
+    for (const local of [
+      "http://localhost:8080/hooks",
+      "http://127.0.0.1/hooks",
+      "http://10.1.2.3/hooks",
+      "http://192.168.0.10/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hooks",
+      "http://[::ffff:127.0.0.1]/hooks",
+      "http://224.0.0.1/hooks",
+      "http://255.255.255.255/hooks",
+      "http://198.18.0.1/hooks",
+      "http://192.0.0.8/hooks",
+      "http://[64:ff9b::a9fe:a9fe]/hooks",
+      "http://[64:ff9b::10.0.0.1]/hooks",
+      "http://[2002:a9fe:a9fe::1]/hooks",
+      "http://[::127.0.0.1]/hooks",
+      "http://[fe80::1]/hooks",
+      "http://[ff02::1]/hooks",
+    ]) {
+      assert.equal(isPrivateWebhookUrl(local), true, local);
+    }
+    for (const remote of [
+      "https://example.com/hooks",
+      "http://8.8.8.8/hooks",
+      "http://172.32.0.1/hooks",
+      "http://198.20.0.1/hooks",
+      "http://192.0.1.1/hooks",
+      "http://[64:ff9b::808:808]/hooks",
+      "http://[2002:808:808::1]/hooks",
+      "http://[2606:4700::1111]/hooks",
+    ]) {
+      assert.equal(isPrivateWebhookUrl(remote), false, remote);
+    }
+  });
+
+  it("refuses host names that resolve to local addresses", async () => {
+    const { lookupPublicAddress } = await import(
+      "../notifications/webhookChannel.js"
+    );
+    const lookup = (hostname) =>
+      new Promise((resolve, reject) =>
+        lookupPublicAddress(hostname, {}, (error, address) =>
+          error ? reject(error) : resolve(address)
+        )
+      );
+    await assert.rejects(lookup("localhost"), {
+      message: /^localhost resolves to the local or private network address /,
+    });
+  });
+});
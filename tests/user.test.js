@@ -0,0 +1,545 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+import { totpCode, totpTimeStep } from "../utils/totp.js";
+import { setMailTransport } from "../mail/mailer.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+describe("POST /api/user/signup", () => {
+  it("creates a user and returns tokens", async () => {
+    const res = await app.api
+      .post("/api/user/signup")
+      .send({ username: "signup-user", password: "secret123" })
+      .expect(201);
+    assert.equal(res.body.data.username, "signup-user");
+    assert.ok(res.body.data.token);
+    assert.ok(res.body.data.refreshToken);
+  });
+
+  it("rejects a username that is taken", async () => {
+    await app.signup("taken-user");
+    const res = await app.api
+      .post("/api/user/signup")
+      .send({ username: "taken-user", password: "secret123" })
+      .expect(409);
+    assert.equal(res.body.message, "Username already exists.");
+  });
+
+  it("validates the username and password", async () => {
+    const short = await app.api
+      .post("/api/user/signup")
+      .send({ username: "ab", password: "secret123" })
+      .expect(400);
+    assert.match(short.body.message, /at least 3 characters/);
+
+    const weak = await app.api
+      .post("/api/user/signup")
+      .send({ username: "weak-user", password: "123" })
+      .expect(400);
+    assert.match(weak.body.message, /at least 6 characters/);
+
+    await app.api.post("/api/user/signup").send({}).expect(400);
+  });
+});
+
+describe("POST /api/user/login", () => {
+  before(() => app.signup("login-user"));
+
+  it("logs in with the right password", async () => {
+    const res = await app.api
+      .post("/api/user/login")
+      .send({ username: "login-user", password: "secret123" })
+      .expect(200);
+    assert.ok(res.body.data.token);
+    assert.ok(res.body.data.refreshToken);
+  });
+
+  it("rejects a wrong password or unknown user the same way", async () => {
+    const wrong = await app.api
+      .post("/api/user/login")
+      .send({ username: "login-user", password: "wrong-password" })
+      .expect(401);
+    const unknown = await app.api
+      .post("/api/user/login")
+      .send({ username: "nobody", password: "wrong-password" })
+      .expect(401);
+    assert.equal(wrong.body.message, unknown.body.message);
+  });
+
+  it("requires a username and password", async () => {
+    const res = await app.api
+      .post("/api/user/login")
+      .send({ username: "login-user" })
+      .expect(400);
+    assert.match(res.body.message, /Password is required/);
+  });
+});
+
+describe("POST /api/user/refresh", () => {
+  it("rotates the refresh token", async () => {
+    const user = await app.signup("refresh-user");
+    const res = await app.api
+      .post("/api/user/refresh")
+      .send({ refreshToken: user.refreshToken })
+      .expect(200);
+    assert.ok(res.body.data.token);
+    assert.notEqual(res.body.data.refreshToken, user.refreshToken);
+
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${res.body.data.token}`)
+      .expect(200);
+  });
+
+  it("revokes the session when a used refresh token is presented again", async () => {
+    const user = await app.signup("reuse-user");
+    const first = await app.api
+      .post("/api/user/refresh")
+      .send({ refreshToken: user.refreshToken })
+      .expect(200);
+
+    await app.api
+      .post("/api/user/refresh")
+      .send({ refreshToken: user.refreshToken })
+      .expect(401);
+
+    // The reuse ends the whole session, including the tokens the first refresh handed out.
+    await app.api
+      .post("/api/user/refresh")
+      .send({ refreshToken: first.body.data.refreshToken })
+      .expect(401);
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${first.body.data.token}`)
+      .expect(401);
+  });
+
+  it("rejects unknown and missing refresh tokens", async () => {
+    await app.api
+      .post("/api/user/refresh")
+      .send({ refreshToken: "unknown" })
+      .expect(401);
+    await app.api.post("/api/user/refresh").send({}).expect(400);
+  });
+});
+
+describe("POST /api/user/logout and /api/user/logout-all", () => {
+  it("logout ends only the current session", async () => {
+    const user = await app.signup("logout-user");
+    const other = await app.api
+      .post("/api/user/login")
+      .send({ username: "logout-user", password: "secret123" })
+      .expect(200);
+
+    await app.api
+      .post("/api/user/logout")
+      .set("Authorization", user.auth)
+      .expect(204);
+
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(401);
+    await app.api
+      .post("/api/user/refresh")
+      .send({ refreshToken: user.refreshToken })
+      .expect(401);
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${other.body.data.token}`)
+      .expect(200);
+  });
+
+  it("logout-all ends every session of the user", async () => {
+    const user = await app.signup("logout-all-user");
+    const other = await app.api
+      .post("/api/user/login")
+      .send({ username: "logout-all-user", password: "secret123" })
+      .expect(200);
+
+    await app.api
+      .post("/api/user/logout-all")
+      .set("Authorization", user.auth)
+      .expect(204);
+
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(401);
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${other.body.data.token}`)
+      .expect(401);
+  });
+
+  it("require authentication", async () => {
+    await app.api.post("/api/user/logout").expect(401);
+    await app.api.post("/api/user/logout-all").expect(401);
+  });
+});
+
+describe("GET and PATCH /api/user/me", () => {
+  let user;
+
+  before(async () => {
+    user = await app.signup("profile-user");
+  });
+
+  it("returns the profile without the password hash", async () => {
+    const res = await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(200);
+    assert.equal(res.body.data.id, user.id);
+    assert.equal(res.body.data.role, "user");
+    assert.equal(res.body.data.two_factor_enabled, false);
+    assert.equal(res.body.data.password_hash, undefined);
+  });
+
+  it("updates the username and email", async () => {
+    const res = await app.api
+      .patch("/api/user/me")
+      .set("Authorization", user.auth)
+      .send({ username: "profile-renamed", email: " Profile@Example.com " })
+      .expect(200);
+    assert.equal(res.body.data.username, "profile-renamed");
+    assert.equal(res.body.data.email, "profile@example.com");
+  });
+
+  it("rejects invalid and empty updates", async () => {
+    await app.api
+      .patch("/api/user/me")
+      .set("Authorization", user.auth)
+      .send({ email: "not-an-email" })
+      .expect(400);
+    await app.api
+      .patch("/api/user/me")
+      .set("Authorization", user.auth)
+      .send({})
+      .expect(400);
+  });
+
+  it("rejects a username or email that is taken", async () => {
+    await app.signup("profile-other");
+    await app.api
+      .patch("/api/user/me")
+      .set("Authorization", user.auth)
+      .send({ username: "profile-other" })
+      .expect(409);
+  });
+});
+
+describe("POST /api/user/change-password", () => {
+  it("changes the password and ends the other sessions", async () => {
+    const user = await app.signup("change-user");
+    const res = await app.api
+      .post("/api/user/change-password")
+      .set("Authorization", user.auth)
+      .send({ currentPassword: "secret123", newPassword: "new-secret" })
+      .expect(200);
+    assert.ok(res.body.data.token);
+
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(401);
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${res.body.data.token}`)
+      .expect(200);
+    await app.api
+      .post("/api/user/login")
+      .send({ username: "change-user", password: "new-secret" })
+      .expect(200);
+  });
+
+  it("rejects a wrong current password", async () => {
+    const user = await app.signup("change-wrong-user");
+    const res = await app.api
+      .post("/api/user/change-password")
+      .set("Authorization", user.auth)
+      .send({ currentPassword: "wrong-password", newPassword: "new-secret" })
+      .expect(401);
+    assert.equal(res.body.message, "Current password is incorrect.");
+  });
+
+  it("rejects a new password equal to the current one", async () => {
+    const user = await app.signup("change-same-user");
+    await app.api
+      .post("/api/user/change-password")
+      .set("Authorization", user.auth)
+      .send({ currentPassword: "secret123", newPassword: "secret123" })
+      .expect(400);
+  });
+});
+
+describe("password reset", () => {
+  let user;
+
+  before(async () => {
+    user = await app.signup("reset-user");
+    await app.api
+      .patch("/api/user/me")
+      .set("Authorization", user.auth)
+      .send({ email: "reset@example.com" })
+      .expect(200);
+  });
+
+  // Resolves to the next mail sent. Reset emails are sent after the response.
+  const nextMail = ({ delivered = Promise.resolve() } = {}) =>
+    new Promise((resolve) => {
+      setMailTransport({
+        send: async (message) => {
+          await delivered;
+          app.sentMail.push(message);
+          resolve(message);
+        },
+      });
+    });
+
+  // Requests a reset email and returns the token from it.
+  const requestResetToken = async (identifier) => {
+    const sent = nextMail();
+    await app.api
+      .post("/api/user/forgot-password")
+      .send(identifier)
+      .expect(202);
+    const mail = await sent;
+    assert.equal(mail.to, "reset@example.com");
+    return /\?token=(\S+)/.exec(mail.text)[1];
+  };
+
+  it("mails a token that sets a new password once", async () => {
+    const token = await requestResetToken({ email: "reset@example.com" });
+
+    await app.api
+      .post("/api/user/reset-password")
+      .send({ token, newPassword: "reset-secret" })
+      .expect(200);
+
+    // Resetting ends every session.
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", user.auth)
+      .expect(401);
+    await app.api
+      .post("/api/user/login")
+      .send({ username: "reset-user", password: "reset-secret" })
+      .expect(200);
+
+    await app.api
+      .post("/api/user/reset-password")
+      .send({ token, newPassword: "another-secret" })
+      .expect(400);
+  });
+
+  it("accepts a username as well", async () => {
+    const token = await requestResetToken({ username: "reset-user" });
+    assert.ok(token);
+  });
+
+  it("answers before the email is sent", { timeout: 5000 }, async () => {
+    let deliver;
+    const delivered = new Promise((resolve) => {
+      deliver = resolve;
+    });
+    const sent = nextMail({ delivered });
+    const before = app.sentMail.length;
+
+    await app.api
+      .post("/api/user/forgot-password")
+      .send({ username: "reset-user" })
+      .expect(202);
+    assert.equal(app.sentMail.length, before);
+
+    deliver();
+    assert.equal((await sent).to, "reset@example.com");
+  });
+
+  it("answers the same for unknown accounts, without sending mail", async () => {
+    const before = app.sentMail.length;
+    const res = await app.api
+      .post("/api/user/forgot-password")
+      .send({ email: "nobody@example.com" })
+      .expect(202);
+    assert.match(res.body.message, /If the account exists/);
+    assert.equal(app.sentMail.length, before);
+  });
+
+  it("validates the requests", async () => {
+    await app.api
+      .post("/api/user/forgot-password")
+      .send({ username: "reset-user", email: "reset@example.com" })
+      .expect(400);
+    await app.api
+      .post("/api/user/reset-password")
+      .send({ token: "unknown", newPassword: "reset-secret" })
+      .expect(400);
+    await app.api
+      .post("/api/user/reset-password")
+      .send({ token: "unknown", newPassword: "123" })
+      .expect(400);
+  });
+});
+
+describe("two-factor authentication", () => {
+  // Returns a code that is not valid for the secret in any time step the app accepts now.
+  const wrongCode = (secret) => {
+    const step = totpTimeStep();
+    const valid = [step - 1, step, step + 1].map((s) => totpCode(secret, s));
+    return ["000000", "111111", "222222", "333333"].find(
+      (code) => !valid.includes(code)
+    );
+  };
+
+  let user;
+  let secret;
+  let recoveryCodes;
+
+  before(async () => {
+    user = await app.signup("totp-user");
+  });
+
+  it("is set up with a secret and confirmed with a code", async () => {
+    const setup = await app.api
+      .post("/api/user/2fa/setup")
+      .set("Authorization", user.auth)
+      .expect(200);
+    secret = setup.body.data.secret;
+    assert.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+
+    await app.api
+      .post("/api/user/2fa/verify")
+      .set("Authorization", user.auth)
+      .send({ code: wrongCode(secret) })
+      .expect(400);
+
+    const verify = await app.api
+      .post("/api/user/2fa/verify")
+      .set("Authorization", user.auth)
+      .send({ code: totpCode(secret, totpTimeStep()) })
+      .expect(200);
+    recoveryCodes = verify.body.data.recoveryCodes;
+    assert.equal(recoveryCodes.length, 10);
+
+    await app.api
+      .post("/api/user/2fa/setup")
+      .set("Authorization", user.auth)
+      .expect(409);
+  });
+
+  it("makes login ask for a code", async () => {
+    const login = await app.api
+      .post("/api/user/login")
+      .send({ username: "totp-user", password: "secret123" })
+      .expect(200);
+    assert.equal(login.body.data.twoFactorRequired, true);
+    assert.equal(login.body.data.token, undefined);
+
+    // The challenge token is no access token.
+    await app.api
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${login.body.data.challengeToken}`)
+      .expect(401);
+
+    // The code that confirmed the setup is used up, so the code of the next time step is sent.
+    const res = await app.api
+      .post("/api/user/login/2fa")
+      .send({
+        challengeToken: login.body.data.challengeToken,
+        code: totpCode(secret, totpTimeStep() + 1),
+      })
+      .expect(200);
+    assert.ok(res.body.data.token);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const login = await app.api
+      .post("/api/user/login")
+      .send({ username: "totp-user", password: "secret123" })
+      .expect(200);
+    const { challengeToken } = login.body.data;
+
+    await app.api
+      .post("/api/user/login/2fa")
+      .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(200);
+    await app.api
+      .post("/api/user/login/2fa")
+      .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+      .expect(401);
+  });
+
+  it("validates the second login step", async () => {
+    await app.api
+      .post("/api/user/login/2fa")
+      .send({ challengeToken: user.token, code: "123456" })
+      .expect(401);
+    await app.api
+      .post("/api/user/login/2fa")
+      .send({ challengeToken: "token" })
+      .expect(400);
+    await app.api
+      .post("/api/user/login/2fa")
+      .send({ challengeToken: "token", code: "12345" })
+      .expect(400);
+  });
+
+  it("is disabled with the password", async () => {
+    await app.api
+      .post("/api/user/2fa/disable")
+      .set("Authorization", user.auth)
+      .send({ password: "wrong-password" })
+      .expect(401);
+    await app.api
+      .post("/api/user/2fa/disable")
+      .set("Authorization", user.auth)
+      .send({ password: "secret123" })
+      .expect(200);
+
+    const login = await app.api
+      .post("/api/user/login")
+      .send({ username: "totp-user", password: "secret123" })
+      .expect(200);
+    assert.ok(login.body.data.token);
+
+    await app.api
+      .post("/api/user/2fa/disable")
+      .set("Authorization", user.auth)
+      .send({ password: "secret123" })
+      .expect(400);
+  });
+});
+
+describe("DELETE /api/user/delete", () => {
+  it("deletes the account and its notes", async () => {
+    const user = await app.signup("delete-user");
+    await app.api
+      .post("/api/notes")
+      .set("Authorization", user.auth)
+      .send({ title: "Gone", text: "Deleted with the account" })
+      .expect(201);
+
+    await app.api
+      .delete("/api/user/delete")
+      .set("Authorization", user.auth)
+      .expect(204);
+
+    await app.api.get("/api/notes").set("Authorization", user.auth).expect(401);
+    await app.api
+      .post("/api/user/login")
+      .send({ username: "delete-user", password: "secret123" })
+      .expect(401);
+  });
+
+  it("requires authentication", async () => {
+    await app.api.delete("/api/user/delete").expect(401);
+  });
+});
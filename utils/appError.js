@@ -8,8 +8,11 @@ export class AppError extends Error {
    * Creates an instance of AppError.
    * @param {string} message - The error message that will be sent to the client.
    * @param {number} statusCode - The HTTP status code associated with this error (e.g., 400, 401, 404, 500).
+   * @param {object} [details] - Optional extra information for the client, sent as `details` in the error response.
+   * @param {string} [code] - Optional machine-readable error code (e.g., "ACCOUNT_TEMPORARILY_LOCKED"), sent as `code`
+   *                          in the error response, for errors clients need to tell apart from others with the same status.
    */
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details, code) {
     // Call the parent Error constructor with the message.
     super(message);
     // Store the HTTP status code.
@@ -18,6 +21,10 @@ export class AppError extends Error {
     this.status = `${statusCode}`.startsWith("4") ? "fail" : "error";
     // Mark this error as operational, meaning it's a predictable error and not a programming bug.
     this.isOperational = true;
+    // Store any extra information the client needs to handle the error (e.g., the current version of a resource).
+    this.details = details;
+    // Store the machine-readable error code, if any.
+    this.code = code;
     // Capture the stack trace, excluding the constructor call, to get cleaner error logs.
     Error.captureStackTrace(this, this.constructor);
   }
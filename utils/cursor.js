@@ -0,0 +1,29 @@
+import { AppError } from "./appError.js";
+
+/**
+ * Encodes pagination state into an opaque, URL-safe cursor string.
+ * @param {object} payload - The state to encode (e.g., sort field, order and position of the last item).
+ * @returns {string} The base64url encoded cursor.
+ */
+export const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+
+/**
+ * Decodes a cursor created by `encodeCursor`.
+ * @param {string} cursor - The cursor string received from the client.
+ * @returns {object} The decoded pagination state.
+ * @throws {AppError} If the cursor is malformed.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!payload || typeof payload !== "object") {
+      throw new Error("Cursor payload is not an object.");
+    }
+    return payload;
+  } catch (error) {
+    throw new AppError("Invalid pagination cursor.", 400);
+  }
+};
@@ -0,0 +1,132 @@
+// Largest number of inserted and deleted words the diff searches for. Texts that differ by more are
+// shown as a deletion of the old words followed by an insertion of the new ones, which keeps the
+// time and memory of a diff bounded for the longest Markdown notes.
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Computes a word-level diff between two strings.
+ * Whitespace is kept as separate tokens so the parts can be joined back into the original strings.
+ * Uses Myers' algorithm, which takes time and memory in proportion to the size of the change
+ * rather than the product of the lengths of the two strings.
+ * @param {string} before - The old string.
+ * @param {string} after - The new string.
+ * @returns {Array<object>} A list of `{ type, value }` parts, where type is "equal", "insert" or "delete".
+ */
+export const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  // The common start and end are equal whatever the diff finds in between.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  for (let i = 0; i < start; i++) {
+    push("equal", a[i]);
+  }
+  const edits = shortestEdit(a.slice(start, endA), b.slice(start, endB));
+  if (edits) {
+    for (const [type, value] of edits) {
+      push(type, value);
+    }
+  } else {
+    for (let i = start; i < endA; i++) {
+      push("delete", a[i]);
+    }
+    for (let j = start; j < endB; j++) {
+      push("insert", b[j]);
+    }
+  }
+  for (let i = endA; i < a.length; i++) {
+    push("equal", a[i]);
+  }
+
+  return parts;
+};
+
+/**
+ * Finds a shortest list of edits that turns `a` into `b`, deletions before insertions where both fit.
+ * @param {Array<string>} a - The old words.
+ * @param {Array<string>} b - The new words.
+ * @returns {Array<Array<string>>|null} `[type, word]` pairs in order, or null if more than
+ *                                      MAX_EDIT_DISTANCE words would have to be inserted or deleted.
+ */
+const shortestEdit = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = maxD + 1;
+
+  // v[k + offset] holds the furthest index reached in `a` on diagonal k (x - y = k). trace[d] is a
+  // copy of diagonals -d..d after d edits, which is what the path is walked back through.
+  const v = new Int32Array(2 * maxD + 3);
+  const trace = [];
+  let found = -1;
+  for (let d = 0; d <= maxD && found < 0; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  if (found < 0) {
+    return null;
+  }
+
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = (k) => previous[k + d - 1];
+    const k = x - y;
+    const previousK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      edits.push(["equal", a[--x]]);
+      y--;
+    }
+    if (x === previousX) {
+      edits.push(["insert", b[--y]]);
+    } else {
+      edits.push(["delete", a[--x]]);
+    }
+  }
+  while (x > 0 && y > 0) {
+    edits.push(["equal", a[--x]]);
+    y--;
+  }
+
+  return edits.reverse();
+};
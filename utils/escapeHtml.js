@@ -0,0 +1,15 @@
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes the characters that have a meaning in HTML, so the text can be inserted into a page as is.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+export const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ESCAPES[char]);
@@ -0,0 +1,27 @@
+/**
+ * Creates the ETag of a note from its version number.
+ * @param {object} note - The note object, with a `version` property.
+ * @returns {string} The quoted entity tag, e.g. `"3"`.
+ */
+export const toEtag = (note) => `"${note.version}"`;
+
+/**
+ * Parses an `If-Match` request header into the note versions it accepts.
+ * `If-Match` uses the strong comparison (RFC 9110), so weak tags (W/"3") never match, just like
+ * tags that are not note versions: a header containing only such tags never matches.
+ * @param {string | undefined} header - The raw `If-Match` header value.
+ * @returns {Array<number> | null} The accepted versions, or null if the header is absent or `*`.
+ */
+export const parseIfMatch = (header) => {
+  if (!header || header.trim() === "*") {
+    return null;
+  }
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => !tag.startsWith("W/"))
+    .map((tag) => tag.replace(/^"(.*)"$/, "$1"))
+    .filter((tag) => /^\d+$/.test(tag))
+    .map(Number);
+};
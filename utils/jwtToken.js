@@ -1,8 +1,10 @@
 import jwt from "jsonwebtoken";
 
 /**
- * Creates a JSON Web Token (JWT) for a given user ID.
+ * Creates a JSON Web Token (JWT) for a given user ID, bound to a login session.
  * @param {string} userId - The unique identifier of the user for whom the token is being created.
+ * @param {string} sessionId - The ID of the session the token belongs to. Revoking the session invalidates the token.
+ * @param {string} role - The role of the user ("user" or "admin"), used for authorization.
  * @param {string} secret - The secret key used to sign the token. This secret ensures the token's integrity and authenticity.
  * @param {string} expiresIn - A string indicating the token's expiration time.
  * @param {string} [algorithm="HS256"] - The algorithm used to sign the token.
@@ -10,14 +12,58 @@ import jwt from "jsonwebtoken";
  */
 export const createJwtToken = (
   userId,
+  sessionId,
+  role,
   secret,
   expiresIn,
   algorithm = "HS256"
 ) => {
-  // Sign the JWT with the user's ID as the payload.
+  // Sign the JWT with the user's ID, session ID and role as the payload.
   // The token is signed using the provided secret, configured with an expiration time and algorithm.
-  return jwt.sign({ id: userId }, secret, {
+  return jwt.sign({ id: userId, sid: sessionId, role }, secret, {
     expiresIn: expiresIn,
     algorithm: algorithm,
   });
 };
+
+/**
+ * Creates a short-lived challenge token for a user who entered the right password but still has to
+ * enter a two-factor authentication code. It carries no session, so it is not accepted as an access token.
+ * @param {string} userId - The ID of the user logging in.
+ * @param {string} secret - The secret key used to sign the token.
+ * @param {string} expiresIn - A string indicating the token's expiration time.
+ * @param {string} [algorithm="HS256"] - The algorithm used to sign the token.
+ * @returns {string} The generated JWT string.
+ */
+export const createTwoFactorChallengeToken = (
+  userId,
+  secret,
+  expiresIn,
+  algorithm = "HS256"
+) => {
+  return jwt.sign({ id: userId, purpose: "two_factor" }, secret, {
+    expiresIn: expiresIn,
+    algorithm: algorithm,
+  });
+};
+
+/**
+ * Verifies a two-factor challenge token.
+ * @param {string} token - The challenge token.
+ * @param {string} secret - The secret key the token was signed with.
+ * @param {string} [algorithm="HS256"] - The algorithm the token was signed with.
+ * @returns {string | null} The ID of the user logging in, or null if the token is invalid, expired or not a challenge token.
+ */
+export const verifyTwoFactorChallengeToken = (
+  token,
+  secret,
+  algorithm = "HS256"
+) => {
+  try {
+    const decoded = jwt.verify(token, secret, { algorithms: [algorithm] });
+    // Access tokens are signed with the same secret, so the purpose must be checked as well.
+    return decoded.purpose === "two_factor" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
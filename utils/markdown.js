@@ -0,0 +1,443 @@
+/**
+ * A small Markdown renderer for notes. It supports the common subset of CommonMark and GitHub Flavored Markdown
+ * people write notes in: ATX headings (`#`), paragraphs with hard line breaks, block quotes, thematic breaks,
+ * fenced code blocks, ordered and unordered lists (nested by indentation) with task list items (`- [ ]`),
+ * and inline code, emphasis, strong emphasis, strikethrough, links, images and autolinks.
+ *
+ * Raw HTML is not supported: every `<`, `>`, `&` and quote in the source is escaped, and only http(s), mailto
+ * and relative URLs become links, so the output is safe to insert into a page as is.
+ */
+
+import { escapeHtml } from "./escapeHtml.js";
+
+const UNESCAPES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+};
+
+// Schemes that may appear in links and images. URLs without a scheme are relative and allowed.
+const SAFE_SCHEMES = ["http", "https", "mailto"];
+
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCK_QUOTE = /^ {0,3}>/;
+const TASK = /^\[([ xX])\](?:[ \t]+|$)/;
+const BLANK = /^[ \t]*$/;
+// Block quotes and lists nested deeper than this are rendered as paragraphs, which bounds the recursion.
+const MAX_NESTING = 16;
+
+/**
+ * Makes a link or image URL safe to use: whitespace and control characters (which browsers ignore in
+ * schemes, as in "java\tscript:") are removed, and URLs with a scheme other than http(s) or mailto are refused.
+ * @param {string} url - The URL from the source.
+ * @returns {string | null} The URL, or null if it is not allowed.
+ */
+const toSafeUrl = (url) => {
+  const cleaned = url.replace(/[\u0000- \u007f]/g, "");
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(cleaned);
+  if (scheme && !SAFE_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return cleaned;
+};
+
+/**
+ * Converts rendered HTML back to plain text: tags are dropped, blocks and line breaks become newlines and
+ * entities are decoded. Exact for the output of this module, which never contains a literal `<` in text.
+ * @param {string} html - HTML produced by this module.
+ * @returns {string} The text.
+ */
+const htmlToText = (html) =>
+  html
+    .replace(/<br>|<\/(?:p|h[1-6]|li|blockquote|pre)>/g, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => UNESCAPES[entity])
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Renders a link and records it in the metadata.
+ * @param {string} url - The safe URL.
+ * @param {string} labelHtml - The rendered link text.
+ * @param {object} context - The metadata being collected, see `renderMarkdown`.
+ * @returns {string} The HTML of the link.
+ */
+const renderLink = (url, labelHtml, context) => {
+  context.links.push({ text: htmlToText(labelHtml), url });
+  return `<a href="${escapeHtml(
+    url
+  )}" rel="nofollow noopener noreferrer">${labelHtml}</a>`;
+};
+
+/**
+ * Turns bare web addresses ("https://…" or "www.…") in a piece of source text into links. Punctuation at the
+ * end of an address is taken to belong to the sentence.
+ * @param {string} text - The source text, with already rendered parts held as placeholders.
+ * @param {function(string): string} hold - Stores rendered HTML and returns its placeholder.
+ * @param {object} context - The metadata being collected, see `renderMarkdown`.
+ * @returns {string} The text with the addresses replaced by placeholders.
+ */
+const linkBareUrls = (text, hold, context) =>
+  text.replace(
+    /(^|[^\w/])((?:https?:\/\/|www\.)[^\s<\u0000]+)/gi,
+    (match, before, address) => {
+      const [, url, trailing] = /^(.*?)([.,:;!?'")\]]*)$/.exec(address);
+      const href = /^www\./i.test(url) ? `http://${url}` : url;
+      return `${before}${hold(
+        renderLink(href, escapeHtml(url), context)
+      )}${trailing}`;
+    }
+  );
+
+/**
+ * Renders the inline Markdown of a paragraph, heading or list item.
+ * Parts that must not be parsed further (code, links, escaped characters) are rendered first and held as
+ * placeholders, the rest is escaped and emphasis is applied, then the placeholders are put back.
+ * @param {string} source - The source text.
+ * @param {object} context - The metadata being collected, see `renderMarkdown`.
+ * @param {Array<string>} [held] - The held parts of an enclosing text, when rendering a link label. The label can
+ *                                 contain their placeholders, which are then kept rather than replaced.
+ * @returns {string} The HTML.
+ */
+const renderInline = (source, context, held) => {
+  let text = held ? source : source.replace(/\u0000/g, "\uFFFD");
+  held ??= [];
+  const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+  text = text.replace(
+    /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g,
+    (match, ticks, code) =>
+      hold(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, "$1"))}</code>`)
+  );
+  text = text.replace(/(?: {2,}|\\)\n/g, () => hold("<br>\n"));
+  text = text.replace(/\\([!-/:-@[-`{-~])/g, (match, char) =>
+    hold(escapeHtml(char))
+  );
+  text = text.replace(
+    /!\[([^\]\n]*)\]\([ \t]*<?([^\s<>()]*)>?(?:[ \t]+"([^"\n]*)")?[ \t]*\)/g,
+    (match, alt, src, title) => {
+      const url = toSafeUrl(src);
+      if (!url) {
+        return hold(escapeHtml(alt));
+      }
+      const titleAttribute = title ? ` title="${escapeHtml(title)}"` : "";
+      return hold(
+        `<img src="${escapeHtml(url)}" alt="${escapeHtml(
+          alt
+        )}"${titleAttribute}>`
+      );
+    }
+  );
+  text = text.replace(
+    /\[((?:[^[\]\n]|\[[^[\]\n]*\])*)\]\([ \t]*<?([^\s<>()]*)>?(?:[ \t]+"[^"\n]*")?[ \t]*\)/g,
+    (match, label, href) => {
+      const labelHtml = renderInline(label, { ...context, links: [] }, held);
+      const url = toSafeUrl(href);
+      return hold(url ? renderLink(url, labelHtml, context) : labelHtml);
+    }
+  );
+  text = text.replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) =>
+    hold(renderLink(url, escapeHtml(url), context))
+  );
+  text = linkBareUrls(text, hold, context);
+
+  // Emphasis does not span lines, which keeps unmatched markers cheap to scan.
+  const html = escapeHtml(text)
+    .replace(/\*\*\*(?=\S)([^\n]*?\S)\*\*\*/g, "<strong><em>$1</em></strong>")
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w])__(?=\S)([^\n]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+    .replace(/\*(?=\S)([^\n*]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([^\n_]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, "<del>$1</del>");
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+};
+
+const leadingSpaces = (text) => /^ */.exec(text)[0].length;
+
+/**
+ * Tells whether a line starts a block other than a paragraph, and so ends the paragraph before it.
+ * @param {string} text - The line.
+ * @returns {boolean} True for headings, fences, thematic breaks, block quotes and list items.
+ */
+const startsBlock = (text) =>
+  HEADING.test(text) ||
+  FENCE.test(text) ||
+  THEMATIC_BREAK.test(text) ||
+  BLOCK_QUOTE.test(text) ||
+  (LIST_ITEM.test(text) && leadingSpaces(text) <= 3);
+
+/**
+ * Collects the lines of one list item: its first line and every following line that is indented to its content,
+ * continues its paragraph, or is a blank line followed by such a line.
+ * @param {Array<object>} lines - The lines, as `{ text, line }`.
+ * @param {number} start - Index of the line with the list marker.
+ * @param {Array<string>} match - The `LIST_ITEM` match of that line.
+ * @returns {{ itemLines: Array<object>, end: number }} The lines of the item without its indentation, and the index
+ *          of the first line after it.
+ */
+const collectListItem = (lines, start, match) => {
+  const [, indent, marker, spacing, content] = match;
+  // Content indented by more than four spaces would be code in CommonMark; treat it as one space.
+  const offset =
+    indent.length +
+    marker.length +
+    (spacing.length > 4 ? 1 : spacing.length || 1);
+  const itemLines = [{ text: content, line: lines[start].line }];
+  let i = start + 1;
+
+  while (i < lines.length) {
+    const { text, line } = lines[i];
+    if (BLANK.test(text)) {
+      let next = i;
+      while (next < lines.length && BLANK.test(lines[next].text)) {
+        next++;
+      }
+      if (next < lines.length && leadingSpaces(lines[next].text) >= offset) {
+        for (; i < next; i++) {
+          itemLines.push({ text: "", line: lines[i].line });
+        }
+        continue;
+      }
+      break;
+    }
+    if (leadingSpaces(text) >= offset) {
+      itemLines.push({ text: text.slice(offset), line });
+    } else if (!startsBlock(text) && !BLANK.test(itemLines.at(-1).text)) {
+      // A lazy continuation line of the item's paragraph.
+      itemLines.push({ text: text.trim(), line });
+    } else {
+      break;
+    }
+    i++;
+  }
+  return { itemLines, end: i };
+};
+
+/**
+ * Renders a list starting at a line with a list marker. The list goes on while lines hold items with the same
+ * kind of marker (bullet or number); blank lines between items are allowed.
+ * @param {Array<object>} lines - The lines, as `{ text, line }`.
+ * @param {number} start - Index of the first item.
+ * @param {object} context - The metadata being collected, see `renderMarkdown`.
+ * @param {number} depth - How deep the list is nested in other lists and block quotes.
+ * @returns {{ html: string, end: number }} The HTML of the list and the index of the first line after it.
+ */
+const renderList = (lines, start, context, depth) => {
+  const first = LIST_ITEM.exec(lines[start].text);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = LIST_ITEM.exec(lines[i].text);
+    if (
+      !match ||
+      /\d/.test(match[2]) !== ordered ||
+      match[1].length > first[1].length + 3
+    ) {
+      break;
+    }
+    const { itemLines, end } = collectListItem(lines, i, match);
+    i = end;
+
+    const task = TASK.exec(itemLines[0].text);
+    let checkbox = "";
+    if (task) {
+      const done = task[1] !== " ";
+      itemLines[0] = {
+        ...itemLines[0],
+        text: itemLines[0].text.slice(task[0].length),
+      };
+      checkbox = `<input type="checkbox" disabled${done ? " checked" : ""}> `;
+      // The text is filled in once the item is rendered.
+      context.checklist.push({ text: "", done, line: itemLines[0].line });
+    }
+    const checklistItem = task ? context.checklist.at(-1) : null;
+
+    const blocks = renderBlocks(itemLines, context, depth + 1);
+    // Lists are rendered tight: the first paragraph of an item is not wrapped in <p>.
+    const content = blocks
+      .map((block, index) =>
+        index === 0 && block.type === "paragraph" ? block.inner : block.html
+      )
+      .join("\n");
+    if (checklistItem) {
+      checklistItem.text = htmlToText(
+        blocks[0]?.type === "paragraph" ? blocks[0].inner : ""
+      );
+    }
+    items.push(
+      task
+        ? `<li class="task-list-item">${checkbox}${content}</li>`
+        : `<li>${content}</li>`
+    );
+
+    let next = i;
+    while (next < lines.length && BLANK.test(lines[next].text)) {
+      next++;
+    }
+    if (next >= lines.length || !LIST_ITEM.test(lines[next].text)) {
+      break;
+    }
+    i = next;
+  }
+
+  const number = ordered ? parseInt(first[2], 10) : 1;
+  const open = ordered
+    ? `<ol${number !== 1 ? ` start="${number}"` : ""}>`
+    : "<ul>";
+  return {
+    html: `${open}\n${items.join("\n")}\n${ordered ? "</ol>" : "</ul>"}`,
+    end: i,
+  };
+};
+
+/**
+ * Renders a sequence of lines as blocks.
+ * @param {Array<object>} lines - The lines, as `{ text, line }` with the 1-based line number in the note.
+ * @param {object} context - The metadata being collected, see `renderMarkdown`.
+ * @param {number} [depth=0] - How deep the lines are nested in lists and block quotes.
+ * @returns {Array<object>} The blocks, each `{ type, html }`; paragraphs also have their `inner` HTML.
+ */
+const renderBlocks = (lines, context, depth = 0) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const { text, line } = lines[i];
+    let match;
+
+    if (BLANK.test(text)) {
+      i++;
+    } else if ((match = FENCE.exec(text))) {
+      const [, fence, language] = match;
+      const closing = new RegExp(
+        `^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`
+      );
+      const code = [];
+      for (i++; i < lines.length && !closing.test(lines[i].text); i++) {
+        code.push(lines[i].text);
+      }
+      i++;
+      const languageClass = /^[\w+-]+$/.test(language)
+        ? ` class="language-${language}"`
+        : "";
+      const content = code.length ? `${escapeHtml(code.join("\n"))}\n` : "";
+      blocks.push({
+        type: "code",
+        html: `<pre><code${languageClass}>${content}</code></pre>`,
+      });
+    } else if ((match = HEADING.exec(text))) {
+      const level = match[1].length;
+      const inner = renderInline(match[2] || "", context);
+      context.headings.push({ level, text: htmlToText(inner), line });
+      blocks.push({ type: "heading", html: `<h${level}>${inner}</h${level}>` });
+      i++;
+    } else if (THEMATIC_BREAK.test(text)) {
+      blocks.push({ type: "break", html: "<hr>" });
+      i++;
+    } else if (BLOCK_QUOTE.test(text) && depth < MAX_NESTING) {
+      const quoted = [];
+      for (; i < lines.length && BLOCK_QUOTE.test(lines[i].text); i++) {
+        quoted.push({
+          text: lines[i].text.replace(/^ {0,3}> ?/, ""),
+          line: lines[i].line,
+        });
+      }
+      const inner = renderBlocks(quoted, context, depth + 1)
+        .map((block) => block.html)
+        .join("\n");
+      blocks.push({
+        type: "quote",
+        html: `<blockquote>\n${inner}\n</blockquote>`,
+      });
+    } else if (
+      LIST_ITEM.test(text) &&
+      leadingSpaces(text) <= 3 &&
+      depth < MAX_NESTING
+    ) {
+      const list = renderList(lines, i, context, depth);
+      blocks.push({ type: "list", html: list.html });
+      i = list.end;
+    } else {
+      const paragraph = [text.trimStart()];
+      for (
+        i++;
+        i < lines.length &&
+        !BLANK.test(lines[i].text) &&
+        !startsBlock(lines[i].text);
+        i++
+      ) {
+        paragraph.push(lines[i].text.trimStart());
+      }
+      const inner = renderInline(paragraph.join("\n").trimEnd(), context);
+      blocks.push({ type: "paragraph", html: `<p>${inner}</p>`, inner });
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Splits a note into numbered lines.
+ * @param {string} source - The note text.
+ * @returns {Array<{ text: string, line: number }>} The lines, with 1-based line numbers.
+ */
+const toLines = (source) =>
+  source
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((text, index) => ({
+      text: text.replace(/\t/g, "    "),
+      line: index + 1,
+    }));
+
+/**
+ * Renders Markdown to sanitized HTML and extracts its outline.
+ * @param {string} source - The Markdown text.
+ * @returns {object} `{ html, text, headings, links, checklist }`: the HTML, the text without markup (for search),
+ *                   the headings as `{ level, text, line }`, the links as `{ text, url }` and the task list items as
+ *                   `{ text, done, line }`, all in document order. Lines are 1-based.
+ */
+export const renderMarkdown = (source) => {
+  const context = { headings: [], links: [], checklist: [] };
+  const html = renderBlocks(toLines(source), context)
+    .map((block) => block.html)
+    .join("\n");
+  return { html, text: htmlToText(html), ...context };
+};
+
+/**
+ * Renders plain text to HTML the same way: paragraphs split on blank lines, line breaks kept and web addresses
+ * turned into links. Headings and checklists do not exist in plain text.
+ * @param {string} source - The plain text.
+ * @returns {object} `{ html, text, headings, links, checklist }`, see `renderMarkdown`.
+ */
+export const renderPlainText = (source) => {
+  const context = { headings: [], links: [], checklist: [] };
+  const html = source
+    .replace(/\r\n?/g, "\n")
+    .split(/\n[ \t]*\n/)
+    .filter((paragraph) => !BLANK.test(paragraph))
+    .map((paragraph) => {
+      const held = [];
+      const hold = (part) => `\u0000${held.push(part) - 1}\u0000`;
+      const linked = linkBareUrls(
+        paragraph.trim().replace(/\u0000/g, "\uFFFD"),
+        hold,
+        context
+      );
+      const inner = escapeHtml(linked)
+        .replace(/\n/g, "<br>\n")
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+      return `<p>${inner}</p>`;
+    })
+    .join("\n");
+  return { html, text: source, ...context };
+};
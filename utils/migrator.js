@@ -0,0 +1,280 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { pool } from "../config/db.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory of the migration files. Each migration is a pair of `<version>_<name>.up.sql` and
+ * `<version>_<name>.down.sql` files; versions are zero-padded numbers and run in ascending order.
+ */
+export const MIGRATIONS_DIR = join(__dirname, "../migrations");
+
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Arbitrary key of the advisory lock that keeps two processes from migrating at the same time.
+const MIGRATION_LOCK_KEY = 72311506;
+
+/**
+ * Reads the migration files, sorted by version.
+ * @param {string} [directory=MIGRATIONS_DIR] - The directory to read from.
+ * @returns {Promise<Array<object>>} `{ version, name, up, down, checksum }` per migration, where `checksum`
+ *                                   is the SHA-256 hash of the up SQL.
+ * @throws {Error} If a migration is missing its up or down file, or two migrations share a version.
+ */
+export const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const files = await fs.readdir(directory);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(
+        `Migration version ${version} is used by both "${migration.name}" and "${name}".`
+      );
+    }
+    migration[direction] = await fs.readFile(join(directory, file), "utf8");
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file.`
+        );
+      }
+      return {
+        ...migration,
+        checksum: crypto
+          .createHash("sha256")
+          .update(migration.up)
+          .digest("hex"),
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Creates the table that records which migrations have been applied.
+ * @param {object} client - The client to run the query on.
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+/**
+ * Retrieves the applied migrations.
+ * @param {object} client - The client to run the query on.
+ * @returns {Promise<Map<string, object>>} The applied migrations (`{ version, name, checksum, applied_at }`) by version.
+ */
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version;`
+  );
+  return new Map(result.rows.map((row) => [row.version, row]));
+};
+
+/**
+ * Runs a callback on a dedicated client while holding the migration lock, so concurrent runs
+ * (e.g., several instances migrating on startup) wait for each other instead of colliding.
+ * @param {function(object): Promise<any>} callback - Receives the client.
+ * @returns {Promise<any>} The value the callback resolved to.
+ */
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1);", [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1);", [
+        MIGRATION_LOCK_KEY,
+      ]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Runs the SQL of one migration and records the change, in one transaction.
+ * @param {object} client - The client holding the migration lock.
+ * @param {string} sql - The SQL to run.
+ * @param {object} record - `{ query, values }` that records (or forgets) the migration in `schema_migrations`.
+ * @returns {Promise<void>}
+ */
+const runInTransaction = async (client, sql, record) => {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await client.query(record.query, record.values);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+};
+
+/**
+ * Applies every pending migration in version order. Each migration runs in its own transaction,
+ * so a failing migration is rolled back and the ones before it stay applied.
+ * Nothing is applied if the up file of an applied migration was edited since, because the database
+ * no longer matches what the migration files describe.
+ * @param {object} [options] - Options.
+ * @param {string} [options.directory=MIGRATIONS_DIR] - The directory of the migration files.
+ * @param {function(string): void} [options.log=console.log] - Receives a line per applied migration.
+ * @returns {Promise<Array<object>>} The applied migrations.
+ * @throws {Error} If an applied migration was changed, or a migration fails.
+ */
+export const migrateUp = async ({
+  directory = MIGRATIONS_DIR,
+  log = console.log,
+} = {}) => {
+  const migrations = await loadMigrations(directory);
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const changed = migrations.filter(
+      (migration) =>
+        applied.has(migration.version) &&
+        applied.get(migration.version).checksum !== migration.checksum
+    );
+    if (changed.length > 0) {
+      const names = changed
+        .map((migration) => `${migration.version}_${migration.name}`)
+        .join(", ");
+      throw new Error(
+        `Applied migrations were changed since they ran: ${names}. Restore their files, or add a new migration for the change.`
+      );
+    }
+
+    const pending = migrations.filter(
+      (migration) => !applied.has(migration.version)
+    );
+
+    for (const migration of pending) {
+      try {
+        await runInTransaction(client, migration.up, {
+          query: `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3);`,
+          values: [migration.version, migration.name, migration.checksum],
+        });
+      } catch (error) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} failed: ${error.message}`
+        );
+      }
+      log(`Applied ${migration.version}_${migration.name}`);
+    }
+    return pending;
+  });
+};
+
+/**
+ * Reverts the most recently applied migrations, newest first.
+ * @param {object} [options] - Options.
+ * @param {number} [options.steps=1] - Number of migrations to revert.
+ * @param {string} [options.directory=MIGRATIONS_DIR] - The directory of the migration files.
+ * @param {function(string): void} [options.log=console.log] - Receives a line per reverted migration.
+ * @returns {Promise<Array<object>>} The reverted migrations.
+ * @throws {Error} If an applied migration has no files any more, or reverting fails.
+ */
+export const migrateDown = async ({
+  steps = 1,
+  directory = MIGRATIONS_DIR,
+  log = console.log,
+} = {}) => {
+  const migrations = await loadMigrations(directory);
+  const byVersion = new Map(
+    migrations.map((migration) => [migration.version, migration])
+  );
+
+  return withMigrationLock(async (client) => {
+    const applied = [...(await getAppliedMigrations(client)).values()]
+      .sort((a, b) => Number(b.version) - Number(a.version))
+      .slice(0, steps);
+
+    const reverted = [];
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(
+          `Migration ${row.version}_${row.name} is applied but its files are missing.`
+        );
+      }
+      try {
+        await runInTransaction(client, migration.down, {
+          query: `DELETE FROM schema_migrations WHERE version = $1;`,
+          values: [migration.version],
+        });
+      } catch (error) {
+        throw new Error(
+          `Reverting ${migration.version}_${migration.name} failed: ${error.message}`
+        );
+      }
+      log(`Reverted ${migration.version}_${migration.name}`);
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+};
+
+/**
+ * Lists every migration with its state.
+ * @param {object} [options] - Options.
+ * @param {string} [options.directory=MIGRATIONS_DIR] - The directory of the migration files.
+ * @returns {Promise<Array<object>>} `{ version, name, state, applied_at }` per migration, where `state` is
+ *                                   "applied", "pending", "changed" (the up file was edited after it was applied)
+ *                                   or "missing" (applied, but the files are gone).
+ */
+export const getMigrationStatus = async ({
+  directory = MIGRATIONS_DIR,
+} = {}) => {
+  const migrations = await loadMigrations(directory);
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+
+    const status = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      let state = "pending";
+      if (row) {
+        state = row.checksum === migration.checksum ? "applied" : "changed";
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        state,
+        applied_at: row?.applied_at ?? null,
+      };
+    });
+
+    for (const row of applied.values()) {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        status.push({
+          version: row.version,
+          name: row.name,
+          state: "missing",
+          applied_at: row.applied_at,
+        });
+      }
+    }
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+  });
+};
@@ -0,0 +1,159 @@
+/**
+ * Recurrence rules of reminders, a subset of the RFC 5545 RRULE syntax:
+ * `FREQ=HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY`, an optional `INTERVAL` (1-1000, default 1) and an optional
+ * `UNTIL` (`20250131` or `20250131T090000Z`), e.g. `FREQ=WEEKLY;INTERVAL=2;UNTIL=20251231T235959Z`.
+ * Occurrences are computed in UTC.
+ */
+
+/**
+ * Length of a step of the frequencies with a fixed length, in milliseconds.
+ */
+const FIXED_STEPS = {
+  HOURLY: 60 * 60 * 1000,
+  DAILY: 24 * 60 * 60 * 1000,
+  WEEKLY: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Length of a step of the calendar frequencies, in months.
+ */
+const MONTH_STEPS = {
+  MONTHLY: 1,
+  YEARLY: 12,
+};
+
+const MAX_INTERVAL = 1000;
+
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+/**
+ * Parses the `UNTIL` part of a rule. A date without a time lasts until the end of that day.
+ * @param {string} value - `YYYYMMDD` or `YYYYMMDDTHHMMSSZ`.
+ * @returns {Date | null} The last moment an occurrence can fall on, or null if the value is not valid.
+ */
+const parseUntil = (value) => {
+  const match = UNTIL_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const [hours, minutes, seconds] = match[4]
+    ? match.slice(4, 7).map(Number)
+    : [23, 59, 59];
+  const until = new Date(
+    Date.UTC(year, month - 1, day, hours, minutes, seconds)
+  );
+  // Date.UTC rolls invalid dates over (e.g., February 30th), which the round trip catches.
+  return until.getUTCMonth() === month - 1 && until.getUTCDate() === day
+    ? until
+    : null;
+};
+
+/**
+ * Parses and checks a recurrence rule.
+ * @param {string} rule - The rule, optionally prefixed with `RRULE:`; keys and values are case-insensitive.
+ * @returns {object} `{ freq, interval, until, rule }`, where `until` is a Date or null and `rule` is the
+ *                   rule written in its normalized form.
+ * @throws {Error} With a message for the client if the rule is not valid.
+ */
+export const parseRecurrenceRule = (rule) => {
+  const parts = {};
+  const body = rule
+    .trim()
+    .toUpperCase()
+    .replace(/^RRULE:/, "");
+  for (const part of body.split(";")) {
+    const [key, value, ...rest] = part.split("=");
+    if (!key || !value || rest.length) {
+      throw new Error(`Recurrence rule part "${part}" must be KEY=VALUE.`);
+    }
+    if (!["FREQ", "INTERVAL", "UNTIL"].includes(key)) {
+      throw new Error(
+        `Recurrence rules only support FREQ, INTERVAL and UNTIL, not ${key}.`
+      );
+    }
+    if (parts[key] !== undefined) {
+      throw new Error(`Recurrence rules cannot repeat ${key}.`);
+    }
+    parts[key] = value;
+  }
+
+  const freq = parts.FREQ;
+  if (!FIXED_STEPS[freq] && !MONTH_STEPS[freq]) {
+    throw new Error(
+      "Recurrence rules need a FREQ of HOURLY, DAILY, WEEKLY, MONTHLY or YEARLY."
+    );
+  }
+  const interval = Number(parts.INTERVAL ?? 1);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new Error(
+      `The INTERVAL of a recurrence rule must be a whole number from 1 to ${MAX_INTERVAL}.`
+    );
+  }
+  const until = parts.UNTIL === undefined ? null : parseUntil(parts.UNTIL);
+  if (parts.UNTIL !== undefined && !until) {
+    throw new Error(
+      "The UNTIL of a recurrence rule must be a date like 20251231 or 20251231T235959Z."
+    );
+  }
+
+  const normalized = [`FREQ=${freq}`];
+  if (interval > 1) {
+    normalized.push(`INTERVAL=${interval}`);
+  }
+  if (parts.UNTIL !== undefined) {
+    normalized.push(`UNTIL=${parts.UNTIL}`);
+  }
+  return { freq, interval, until, rule: normalized.join(";") };
+};
+
+/**
+ * Adds calendar months to a time, keeping its time of day. Days that do not exist in the target month are
+ * moved to its last day (January 31st plus one month is February 28th or 29th).
+ * @param {Date} date - The time.
+ * @param {number} months - The number of months to add.
+ * @returns {Date} The new time.
+ */
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const result = new Date(date);
+  result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), lastDay));
+  return result;
+};
+
+/**
+ * Works out the next occurrence of a recurring reminder. Occurrences missed while no scheduler was running
+ * are skipped, so a reminder fires once and then at its next future occurrence.
+ * @param {string} rule - A rule accepted by `parseRecurrenceRule`.
+ * @param {Date} from - The occurrence that just fired, which the following ones are counted from.
+ * @param {Date} after - The time the next occurrence must be later than, usually now.
+ * @returns {Date | null} The next occurrence, or null if the rule ends before it.
+ * @throws {Error} If the rule is not valid.
+ */
+export const nextOccurrence = (rule, from, after) => {
+  const { freq, interval, until } = parseRecurrenceRule(rule);
+
+  let next;
+  if (FIXED_STEPS[freq]) {
+    const step = FIXED_STEPS[freq] * interval;
+    const steps = Math.max(1, Math.floor((after - from) / step) + 1);
+    next = new Date(from.getTime() + steps * step);
+  } else {
+    const step = MONTH_STEPS[freq] * interval;
+    const monthsBetween =
+      (after.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+      after.getUTCMonth() -
+      from.getUTCMonth();
+    // Start from the last step that cannot be past `after` and move on from there.
+    let steps = Math.max(1, Math.floor(monthsBetween / step));
+    next = addMonths(from, steps * step);
+    while (next <= after) {
+      steps += 1;
+      next = addMonths(from, steps * step);
+    }
+  }
+
+  return until && next > until ? null : next;
+};
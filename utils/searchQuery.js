@@ -0,0 +1,76 @@
+import { escapeHtml } from "./escapeHtml.js";
+
+/**
+ * Splits a raw piece of user input into plain words that are safe to embed in a tsquery.
+ * Everything that is not a letter, digit or underscore (including tsquery operators) is dropped.
+ * @param {string} input - The raw input to split.
+ * @returns {Array<string>} The words found in the input, in order.
+ */
+const toWords = (input) =>
+  input
+    .replace(/[^\p{L}\p{N}_]+/gu, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Builds a PostgreSQL `to_tsquery` expression from a user supplied search string.
+ * Supported syntax:
+ * - `word` matches notes containing the word (all words must match).
+ * - `"some phrase"` matches the words next to each other, in order.
+ * - `pre*` matches any word starting with the prefix.
+ * @param {string} searchTerm - The search string entered by the user.
+ * @returns {string | null} The tsquery expression, or null if the input has no searchable words.
+ */
+export const buildTsQuery = (searchTerm) => {
+  const terms = [];
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(searchTerm)) !== null) {
+    const [, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      // Quoted phrase: every word must follow the previous one directly.
+      const words = toWords(phrase);
+      if (words.length > 0) {
+        terms.push(words.length > 1 ? `(${words.join(" <-> ")})` : words[0]);
+      }
+      continue;
+    }
+
+    const isPrefix = word.endsWith("*");
+    const words = toWords(word);
+    if (words.length === 0) {
+      continue;
+    }
+    if (isPrefix) {
+      words[words.length - 1] = `${words[words.length - 1]}:*`;
+    }
+    // Words split by punctuation (e.g. "e-mail") are treated as a phrase.
+    terms.push(words.length > 1 ? `(${words.join(" <-> ")})` : words[0]);
+  }
+
+  return terms.length > 0 ? terms.join(" & ") : null;
+};
+
+/**
+ * Markers `ts_headline` is asked to put around matches, instead of the `<mark>` tags clients get. They are
+ * characters of the Unicode private use area, so the note content can be HTML-escaped before they are turned
+ * into tags. The search query removes them from the note content before highlighting it.
+ */
+export const HIGHLIGHT_START = "\uE000";
+export const HIGHLIGHT_STOP = "\uE001";
+
+/**
+ * Turns a `ts_headline` result highlighted with `HIGHLIGHT_START` and `HIGHLIGHT_STOP` into HTML: the content
+ * is escaped and matches are wrapped in `<mark>` tags, so markup in notes is shown as text and never runs.
+ * @param {string | null} headline - The highlighted text.
+ * @returns {string | null} The HTML, or null if there is no text.
+ */
+export const toHighlightHtml = (headline) =>
+  headline === null
+    ? null
+    : escapeHtml(headline)
+        .replaceAll(HIGHLIGHT_START, "<mark>")
+        .replaceAll(HIGHLIGHT_STOP, "</mark>");
@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+/**
+ * Generates a new opaque token, such as a refresh token or a password reset token.
+ * @returns {object} `{ token, hash }`, where `token` is sent to the client and only `hash` is stored.
+ */
+export const generateSecureToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, hash: hashSecureToken(token) };
+};
+
+/**
+ * Hashes an opaque token for storage and lookup.
+ * These tokens are long random strings, so a fast hash is enough (unlike passwords).
+ * @param {string} token - The token.
+ * @returns {string} The hex encoded SHA-256 hash of the token.
+ */
+export const hashSecureToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
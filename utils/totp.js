@@ -0,0 +1,160 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encodes bytes as unpadded base32 (RFC 4648), the format authenticator apps expect for secrets.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodes an unpadded base32 string (RFC 4648).
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ */
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input.toUpperCase().replace(/=+$/, "")) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character.");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret (160 bits, as recommended by RFC 4226).
+ * @returns {string} The base32 encoded secret.
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Returns the time step a point in time falls into.
+ * @param {number} [now=Date.now()] - The point in time, in milliseconds.
+ * @param {number} [period=30] - Length of a time step, in seconds.
+ * @returns {number} The time step.
+ */
+export const totpTimeStep = (now = Date.now(), period = 30) =>
+  Math.floor(now / 1000 / period);
+
+/**
+ * Computes the TOTP code of a time step (RFC 6238, HMAC-SHA1).
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} step - The time step.
+ * @param {number} [digits=6] - Number of digits of the code.
+ * @returns {string} The code, padded with leading zeros.
+ */
+export const totpCode = (secret, step, digits = 6) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation: four bytes at an offset given by the last nibble.
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Checks a TOTP code against the current time step and its neighbours, to allow for clock drift.
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code entered by the user.
+ * @param {object} [options] - Verification settings.
+ * @param {number} [options.window=1] - Number of time steps accepted before and after the current one.
+ * @param {number} [options.period=30] - Length of a time step, in seconds.
+ * @param {number} [options.digits=6] - Number of digits of the code.
+ * @returns {number | null} The time step the code belongs to, or null if it does not match.
+ */
+export const verifyTotp = (
+  secret,
+  code,
+  { window = 1, period = 30, digits = 6 } = {}
+) => {
+  const expected = Buffer.from(String(code));
+  const current = totpTimeStep(Date.now(), period);
+  for (let step = current - window; step <= current + window; step++) {
+    const candidate = Buffer.from(totpCode(secret, step, digits));
+    if (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {object} options - URI settings.
+ * @param {string} options.issuer - Name of the service shown in the app.
+ * @param {string} options.accountName - Name of the account shown in the app (e.g., the username).
+ * @param {string} options.secret - The base32 encoded secret.
+ * @param {number} [options.digits=6] - Number of digits of the codes.
+ * @param {number} [options.period=30] - Length of a time step, in seconds.
+ * @returns {string} The otpauth URI.
+ */
+export const buildOtpauthUri = ({
+  issuer,
+  accountName,
+  secret,
+  digits = 6,
+  period = 30,
+}) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(digits),
+    period: String(period),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Generates a one-time recovery code, formatted as two groups of five characters (e.g., "k3j9d-x2m4q").
+ * @returns {string} The recovery code.
+ */
+export const generateRecoveryCode = () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+/**
+ * Normalizes a recovery code as entered by a user, so case, spaces and dashes do not matter.
+ * @param {string} code - The recovery code.
+ * @returns {string} The normalized code.
+ */
+export const normalizeRecoveryCode = (code) =>
+  code.toLowerCase().replace(/[\s-]/g, "");
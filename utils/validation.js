@@ -1,5 +1,7 @@
 import Joi from "joi";
 import { AppError } from "./appError.js";
+import { noteConfig } from "../config/notes.js";
+import { parseRecurrenceRule } from "./recurrence.js";
 
 /**
  * Joi schema for validating user signup requests.
@@ -35,10 +37,237 @@ export const loginSchema = Joi.object({
   }),
 });
 
+/**
+ * Joi schema for validating access token refresh requests.
+ * Defines a rule for 'refreshToken' (required).
+ */
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    "string.empty": "Refresh token cannot be empty.",
+    "any.required": "Refresh token is required.",
+  }),
+});
+
+/**
+ * Joi rule for a new password, with the same length rule as at signup (min 6 characters).
+ */
+const newPasswordRule = Joi.string().min(6).required().messages({
+  "string.min": "New password must be at least 6 characters long.",
+  "string.empty": "New password cannot be empty.",
+  "any.required": "New password is required.",
+});
+
+/**
+ * Joi rule for an email address. Addresses are trimmed and stored in lower case.
+ */
+const emailRule = Joi.string().trim().lowercase().email().max(255).messages({
+  "string.email": "Email must be a valid email address.",
+  "string.max": "Email cannot exceed 255 characters.",
+  "string.empty": "Email cannot be empty.",
+});
+
+/**
+ * Joi schema for validating profile updates.
+ * Defines optional 'username' (min 3, max 50 characters) and 'email' (null removes it),
+ * requiring at least one of them.
+ */
+export const updateProfileSchema = Joi.object({
+  username: Joi.string().min(3).max(50).messages({
+    "string.min": "Username must be at least 3 characters long.",
+    "string.max": "Username cannot exceed 50 characters.",
+    "string.empty": "Username cannot be empty.",
+  }),
+  email: emailRule.allow(null),
+})
+  .min(1)
+  .messages({
+    "object.min": "No valid fields provided for update (username or email).",
+  });
+
+/**
+ * Joi schema for validating password change requests.
+ * Defines 'currentPassword' (required) and 'newPassword' (min 6 characters, different from the current one).
+ */
+export const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    "string.empty": "Current password cannot be empty.",
+    "any.required": "Current password is required.",
+  }),
+  newPassword: newPasswordRule.invalid(Joi.ref("currentPassword")).messages({
+    "any.invalid": "New password must be different from the current password.",
+  }),
+});
+
+/**
+ * Joi schema for validating password reset requests ("forgot password").
+ * Defines 'username' or 'email' to identify the account; exactly one of them is required.
+ */
+export const forgotPasswordSchema = Joi.object({
+  username: Joi.string().messages({
+    "string.empty": "Username cannot be empty.",
+  }),
+  email: emailRule,
+})
+  .xor("username", "email")
+  .messages({
+    "object.missing": "Username or email is required.",
+    "object.xor": "Provide either a username or an email, not both.",
+  });
+
+/**
+ * Joi schema for validating password resets with a reset token.
+ * Defines 'token' (required) and 'newPassword' (min 6 characters).
+ */
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "string.empty": "Reset token cannot be empty.",
+    "any.required": "Reset token is required.",
+  }),
+  newPassword: newPasswordRule,
+});
+
+/**
+ * Joi rule for a code from an authenticator app (6 digits). Spaces are ignored.
+ */
+const totpCodeRule = Joi.string()
+  .replace(/\s/g, "")
+  .pattern(/^\d{6}$/)
+  .messages({
+    "string.pattern.base": "Code must be 6 digits.",
+    "string.empty": "Code cannot be empty.",
+    "any.required": "Code is required.",
+  });
+
+/**
+ * Joi schema for validating the confirmation of a two-factor authentication setup.
+ * Defines 'code' (6 digits, required).
+ */
+export const verifyTwoFactorSchema = Joi.object({
+  code: totpCodeRule.required(),
+});
+
+/**
+ * Joi schema for validating requests to disable two-factor authentication.
+ * Defines 'password' (required).
+ */
+export const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "string.empty": "Password cannot be empty.",
+    "any.required": "Password is required.",
+  }),
+});
+
+/**
+ * Joi schema for validating the second step of a login with two-factor authentication.
+ * Defines 'challengeToken' (required) and either 'code' (6 digits) or 'recoveryCode'.
+ */
+export const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "string.empty": "Challenge token cannot be empty.",
+    "any.required": "Challenge token is required.",
+  }),
+  code: totpCodeRule,
+  recoveryCode: Joi.string().trim().max(20).messages({
+    "string.max": "Recovery code cannot exceed 20 characters.",
+    "string.empty": "Recovery code cannot be empty.",
+  }),
+})
+  .xor("code", "recoveryCode")
+  .messages({
+    "object.missing": "Code or recovery code is required.",
+    "object.xor": "Provide either a code or a recovery code, not both.",
+  });
+
+/**
+ * Joi rule for a single tag name.
+ * Tag names are trimmed and lowercased, 1-30 characters long and cannot contain commas
+ * (commas separate tags in the `tags` query parameter).
+ */
+const tagNameSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .min(1)
+  .max(30)
+  .pattern(/^[^,]+$/)
+  .messages({
+    "string.min": "Tag name must be at least 1 character long.",
+    "string.max": "Tag name cannot exceed 30 characters.",
+    "string.empty": "Tag name cannot be empty.",
+    "string.pattern.base": "Tag name cannot contain commas.",
+    "any.required": "Tag name is required.",
+  });
+
+/**
+ * Joi rule for the tags of a note: up to 20 unique tag names.
+ */
+const noteTagsSchema = Joi.array()
+  .items(tagNameSchema)
+  .max(20)
+  .unique()
+  .messages({
+    "array.base": "Tags must be an array of tag names.",
+    "array.max": "A note cannot have more than 20 tags.",
+    "array.unique": "Tags must be unique.",
+  });
+
+/**
+ * Joi rule for the notebook a note is placed in: a notebook ID, or null for the top level.
+ */
+const noteNotebookIdSchema = Joi.string().guid().allow(null).messages({
+  "string.guid": "Notebook ID must be a valid ID.",
+  "string.empty": "Notebook ID cannot be empty.",
+});
+
+/**
+ * Joi rule for the content format of a note: "plain" or "markdown".
+ */
+const noteContentFormatSchema = Joi.string()
+  .valid("plain", "markdown")
+  .messages({
+    "any.only": "Content format must be either 'plain' or 'markdown'.",
+  });
+
+/**
+ * Joi rule for the text of a note, at most `limit` characters long.
+ * @param {number} limit - The maximum length, see config/notes.js.
+ * @returns {object} The Joi rule.
+ */
+const noteTextSchema = (limit) =>
+  Joi.string().min(1).max(limit).messages({
+    "string.min": "Text must be at least 1 character long.",
+    "string.max": "Text cannot exceed {#limit} characters.",
+    "string.empty": "Text cannot be empty.",
+    "any.required": "Text is required.",
+  });
+
+/**
+ * Joi rule for the reminder time of a note: an ISO 8601 date, or null for no reminder.
+ */
+const noteReminderAtSchema = Joi.date().iso().allow(null).messages({
+  "date.format": "reminderAt must be an ISO 8601 date.",
+  "date.base": "reminderAt must be an ISO 8601 date.",
+});
+
+/**
+ * Joi rule for the recurrence rule of a reminder (see utils/recurrence.js), converted to its normalized form;
+ * null for a one-off reminder.
+ */
+const noteReminderRuleSchema = Joi.string()
+  .max(255)
+  .allow(null)
+  .custom((value) => parseRecurrenceRule(value).rule)
+  .messages({
+    "string.base": "reminderRule must be a string.",
+    "string.empty": "reminderRule cannot be empty.",
+    "string.max": "reminderRule cannot exceed 255 characters.",
+    "any.custom": "{#error.message}",
+  });
+
 /**
  * Joi schema for validating the creation of a new note.
- * Defines rules for 'title' (min 1, max 50 characters, required)
- * and 'text' (min 1, max 300 characters, required).
+ * Defines rules for 'title' (min 1, max 50 characters, required), 'contentFormat' ("plain" or "markdown",
+ * default "plain"), 'text' (required; Markdown notes may be longer than plain ones, see config/notes.js),
+ * optional 'tags', optional 'notebookId' and an optional reminder ('reminderAt' and 'reminderRule').
  */
 export const createNoteSchema = Joi.object({
   title: Joi.string().min(1).max(50).required().messages({
@@ -47,18 +276,26 @@ export const createNoteSchema = Joi.object({
     "string.empty": "Title cannot be empty.",
     "any.required": "Title is required.",
   }),
-  text: Joi.string().min(1).max(300).required().messages({
-    "string.min": "Text must be at least 1 character long.",
-    "string.max": "Text cannot exceed 300 characters.",
-    "string.empty": "Text cannot be empty.",
-    "any.required": "Text is required.",
+  contentFormat: noteContentFormatSchema.default("plain"),
+  text: Joi.when("contentFormat", {
+    is: "markdown",
+    then: noteTextSchema(noteConfig.maxMarkdownLength).required(),
+    otherwise: noteTextSchema(noteConfig.maxPlainTextLength).required(),
   }),
+  tags: noteTagsSchema,
+  notebookId: noteNotebookIdSchema,
+  reminderAt: noteReminderAtSchema,
+  reminderRule: noteReminderRuleSchema,
 });
 
 /**
  * Joi schema for validating updates to an existing note.
- * Defines optional rules for 'title' (min 1, max 50 characters)
- * and 'text' (min 1, max 300 characters).
+ * Defines optional rules for 'title' (min 1, max 50 characters), 'text', 'contentFormat'
+ * ("plain" or "markdown"), 'tags' (replaces all tags of the note),
+ * 'notebookId' (moves the note, null moves it to the top level), 'reminderAt' and 'reminderRule'
+ * (null removes the reminder or its recurrence).
+ * The text is only checked against the larger Markdown limit here; the limit of the format the note ends up
+ * with is checked when the update is applied, as the format may be the note's current one.
  * At least one field must be present for the update to be valid (`.min(1)`).
  */
 export const updateNoteSchema = Joi.object({
@@ -66,11 +303,588 @@ export const updateNoteSchema = Joi.object({
     "string.min": "Title must be at least 1 character long.",
     "string.max": "Title cannot exceed 50 characters.",
   }),
-  text: Joi.string().min(1).max(300).messages({
-    "string.min": "Text must be at least 1 character long.",
-    "string.max": "Text cannot exceed 300 characters.",
+  text: noteTextSchema(
+    Math.max(noteConfig.maxPlainTextLength, noteConfig.maxMarkdownLength)
+  ),
+  contentFormat: noteContentFormatSchema,
+  tags: noteTagsSchema,
+  notebookId: noteNotebookIdSchema,
+  reminderAt: noteReminderAtSchema,
+  reminderRule: noteReminderRuleSchema,
+}).min(1); // Ensures that at least one field is provided for update.
+
+/**
+ * Joi rules for the fields of a checklist item: 'text' (1-500 characters, trimmed), 'done',
+ * 'dueAt' (an ISO 8601 date, null for none) and 'position' (0 is the top; larger values put the item last).
+ */
+const noteItemKeys = {
+  text: Joi.string().trim().min(1).max(500).messages({
+    "string.min": "Item text must be at least 1 character long.",
+    "string.max": "Item text cannot exceed 500 characters.",
+    "string.empty": "Item text cannot be empty.",
+    "any.required": "Item text is required.",
+  }),
+  done: Joi.boolean().messages({
+    "boolean.base": "done must be true or false.",
+  }),
+  dueAt: Joi.date().iso().allow(null).messages({
+    "date.format": "dueAt must be an ISO 8601 date.",
+    "date.base": "dueAt must be an ISO 8601 date.",
+  }),
+  position: Joi.number().integer().min(0).messages({
+    "number.base": "Position must be a number.",
+    "number.integer": "Position must be an integer.",
+    "number.min": "Position cannot be negative.",
+  }),
+};
+
+/**
+ * Joi schema for validating the creation of a checklist item.
+ * Defines 'text' (required), 'done' (default false), an optional 'dueAt' and an optional 'position'
+ * (defaults to the end of the list).
+ */
+export const createNoteItemSchema = Joi.object({
+  ...noteItemKeys,
+  text: noteItemKeys.text.required(),
+  done: noteItemKeys.done.default(false),
+  dueAt: noteItemKeys.dueAt.default(null),
+});
+
+/**
+ * Joi schema for validating partial updates of a checklist item.
+ * Defines optional 'text', 'done', 'dueAt' (null removes the due date) and 'position' (moves the item);
+ * at least one of them is required.
+ */
+export const updateNoteItemSchema = Joi.object(noteItemKeys).min(1).messages({
+  "object.min":
+    "No valid fields provided for update (text, done, dueAt or position).",
+});
+
+/**
+ * Joi schema for validating a new order of the checklist items of a note.
+ * Defines 'itemIds' (the IDs of all items of the note in their new order, required).
+ */
+export const reorderNoteItemsSchema = Joi.object({
+  itemIds: Joi.array()
+    .items(
+      Joi.string().guid().messages({
+        "string.guid": "Item IDs must be valid IDs.",
+      })
+    )
+    .unique()
+    .required()
+    .messages({
+      "array.base": "itemIds must be an array of item IDs.",
+      "array.unique": "itemIds cannot list an item twice.",
+      "any.required": "itemIds is required.",
+    }),
+});
+
+/**
+ * Joi schema for validating the query parameters of a single note.
+ * Defines 'render' ("html" adds the note rendered as sanitized HTML to the response).
+ */
+export const getNoteQuerySchema = Joi.object({
+  render: Joi.string().valid("html").messages({
+    "any.only": "render must be 'html'.",
+  }),
+});
+
+/**
+ * Joi schema for validating a bulk note request.
+ * Defines 'operations' (1-100 items, required) and 'atomic' (defaults to false).
+ * The operations themselves are validated one by one with `bulkNoteOperationSchema`,
+ * so an invalid operation only fails itself.
+ */
+export const bulkNoteRequestSchema = Joi.object({
+  atomic: Joi.boolean().default(false).messages({
+    "boolean.base": "atomic must be true or false.",
+  }),
+  operations: Joi.array().min(1).max(100).required().messages({
+    "array.base": "Operations must be an array.",
+    "array.min": "At least one operation is required.",
+    "array.max": "A bulk request cannot have more than 100 operations.",
+    "any.required": "Operations are required.",
+  }),
+});
+
+/**
+ * Joi schema for validating a single operation of a bulk note request.
+ * Defines 'op' ("create", "update" or "delete", required), 'id' (required for updates and deletions),
+ * an optional 'ifMatch' ETag for updates and deletions, and 'note' (required for creations and updates).
+ * The note is validated with `createNoteSchema` or `updateNoteSchema` afterwards.
+ */
+export const bulkNoteOperationSchema = Joi.object({
+  op: Joi.string().valid("create", "update", "delete").required().messages({
+    "any.only": "op must be one of 'create', 'update' or 'delete'.",
+    "any.required": "op is required.",
+  }),
+  id: Joi.when("op", {
+    is: "create",
+    then: Joi.forbidden(),
+    otherwise: Joi.string().guid().required(),
+  }).messages({
+    "any.unknown": "id is not allowed when creating a note.",
+    "string.guid": "id must be a valid note ID.",
+    "any.required": "id is required to update or delete a note.",
+  }),
+  ifMatch: Joi.when("op", {
+    is: "create",
+    then: Joi.forbidden(),
+    otherwise: Joi.string(),
+  }).messages({
+    "any.unknown": "ifMatch is not allowed when creating a note.",
+    "string.empty": "ifMatch cannot be empty.",
   }),
-}).min(1); // Ensures that at least one field (title or text) is provided for update.
+  note: Joi.when("op", {
+    is: "delete",
+    then: Joi.forbidden(),
+    otherwise: Joi.object().required(),
+  }).messages({
+    "any.unknown": "note is not allowed when deleting a note.",
+    "object.base": "note must be an object.",
+    "any.required": "note is required to create or update a note.",
+  }),
+}).messages({
+  "object.base": "Each operation must be an object.",
+});
+
+/**
+ * Joi schema for validating the query parameters of a note export.
+ * Defines 'format' ("json", "markdown" or "csv", default "json").
+ */
+export const exportNotesQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid("json", "markdown", "csv")
+    .default("json")
+    .messages({
+      "any.only": "Format must be one of json, markdown or csv.",
+    }),
+});
+
+/**
+ * Joi schema for validating the form fields of a note import.
+ * Defines 'format' ("json", "markdown" or "enex"), which is only needed when the file name does not tell.
+ */
+export const importNotesSchema = Joi.object({
+  format: Joi.string().valid("json", "markdown", "enex").messages({
+    "any.only": "Format must be one of json, markdown or enex.",
+  }),
+});
+
+/**
+ * Joi schema for validating the query parameters of the note change feed.
+ * Defines 'since' (the sync token of an earlier response, omitted for a first sync)
+ * and 'limit' (1-500, default 100).
+ */
+export const noteChangesQuerySchema = Joi.object({
+  since: Joi.string().messages({
+    "string.empty": "since cannot be empty.",
+  }),
+  limit: Joi.number().integer().min(1).max(500).default(100).messages({
+    "number.base": "Limit must be a number.",
+    "number.integer": "Limit must be an integer.",
+    "number.min": "Limit must be at least 1.",
+    "number.max": "Limit cannot exceed 500.",
+  }),
+});
+
+/**
+ * Joi schema for validating a push of offline changes.
+ * Defines 'changes' (1-100 items, required). The changes themselves are validated one by one with
+ * `noteChangeSchema`, so an invalid change only fails itself.
+ */
+export const pushNoteChangesSchema = Joi.object({
+  changes: Joi.array().min(1).max(100).required().messages({
+    "array.base": "Changes must be an array.",
+    "array.min": "At least one change is required.",
+    "array.max": "A push cannot have more than 100 changes.",
+    "any.required": "Changes are required.",
+  }),
+});
+
+/**
+ * Joi schema for validating a single offline change to a note.
+ * Defines 'id' (required; generated by the client for new notes), the 'baseVersion' or 'baseModifiedAt'
+ * of the server's note the change was based on (omitted for new notes, required for deletions),
+ * 'deleted' (default false) and 'note' (required unless deleted). The note is validated with
+ * `createNoteSchema` for new notes and `updateNoteSchema` otherwise.
+ */
+export const noteChangeSchema = Joi.object({
+  id: Joi.string().guid().required().messages({
+    "string.guid": "id must be a valid note ID.",
+    "any.required": "id is required.",
+  }),
+  baseVersion: Joi.number().integer().min(1).messages({
+    "number.base": "baseVersion must be a number.",
+    "number.integer": "baseVersion must be an integer.",
+    "number.min": "baseVersion must be at least 1.",
+  }),
+  baseModifiedAt: Joi.date().iso().messages({
+    "date.format": "baseModifiedAt must be an ISO 8601 date.",
+  }),
+  deleted: Joi.boolean().default(false).messages({
+    "boolean.base": "deleted must be true or false.",
+  }),
+  note: Joi.when("deleted", {
+    is: true,
+    then: Joi.forbidden(),
+    otherwise: Joi.object().required(),
+  }).messages({
+    "any.unknown": "note is not allowed when deleting a note.",
+    "object.base": "note must be an object.",
+    "any.required": "note is required unless the note is deleted.",
+  }),
+})
+  .oxor("baseVersion", "baseModifiedAt")
+  .when(Joi.object({ deleted: Joi.valid(true).required() }).unknown(), {
+    then: Joi.object().or("baseVersion", "baseModifiedAt"),
+  })
+  .messages({
+    "object.base": "Each change must be an object.",
+    "object.oxor": "Provide either baseVersion or baseModifiedAt, not both.",
+    "object.missing":
+      "Deleting a note requires the baseVersion or baseModifiedAt it was based on.",
+  });
+
+/**
+ * Joi rules shared by the note list and search query parameters.
+ * Defines 'limit' (1-100, default 20), an opaque 'cursor' from a previous page,
+ * 'order' ("asc" or "desc", default "desc"), ISO 8601 date range filters and
+ * comma separated 'tags' matched in 'tagMode' ("any" or "all", default "any").
+ */
+const notePaginationKeys = {
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "Limit must be a number.",
+    "number.integer": "Limit must be an integer.",
+    "number.min": "Limit must be at least 1.",
+    "number.max": "Limit cannot exceed 100.",
+  }),
+  cursor: Joi.string().messages({
+    "string.empty": "Cursor cannot be empty.",
+  }),
+  order: Joi.string().valid("asc", "desc").default("desc").messages({
+    "any.only": "Order must be either 'asc' or 'desc'.",
+  }),
+  createdAfter: Joi.date().iso().messages({
+    "date.format": "createdAfter must be an ISO 8601 date.",
+  }),
+  createdBefore: Joi.date().iso().messages({
+    "date.format": "createdBefore must be an ISO 8601 date.",
+  }),
+  modifiedAfter: Joi.date().iso().messages({
+    "date.format": "modifiedAfter must be an ISO 8601 date.",
+  }),
+  modifiedBefore: Joi.date().iso().messages({
+    "date.format": "modifiedBefore must be an ISO 8601 date.",
+  }),
+  // Comma separated tag names, converted to an array of normalized names.
+  tags: Joi.string()
+    .custom((value) =>
+      value
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    )
+    .messages({
+      "string.empty": "Tags filter cannot be empty.",
+    }),
+  tagMode: Joi.string().valid("any", "all").default("any").messages({
+    "any.only": "Tag mode must be either 'any' or 'all'.",
+  }),
+};
+
+/**
+ * Joi schema for validating the query parameters of the note list.
+ * Adds 'sort' ("created_at", "modified_at" or "title", default "modified_at"), 'hasOpenItems'
+ * (notes with or without checklist items that are not done) and 'itemsDueBefore' (notes with open items
+ * due before an ISO 8601 date) to the shared pagination rules.
+ */
+export const listNotesSchema = Joi.object({
+  ...notePaginationKeys,
+  hasOpenItems: Joi.boolean().messages({
+    "boolean.base": "hasOpenItems must be true or false.",
+  }),
+  itemsDueBefore: Joi.date().iso().messages({
+    "date.format": "itemsDueBefore must be an ISO 8601 date.",
+    "date.base": "itemsDueBefore must be an ISO 8601 date.",
+  }),
+  sort: Joi.string()
+    .valid("created_at", "modified_at", "title")
+    .default("modified_at")
+    .messages({
+      "any.only": "Sort must be one of 'created_at', 'modified_at' or 'title'.",
+    }),
+});
+
+/**
+ * Joi schema for validating note search query parameters.
+ * Defines rules for 'q' (required, non-empty after trimming),
+ * 'mode' ("fulltext" or "substring", defaults to "fulltext") and 'sort'
+ * (defaults to "relevance" in fulltext mode and "modified_at" in substring mode),
+ * on top of the shared pagination rules.
+ */
+export const searchNotesSchema = Joi.object({
+  ...notePaginationKeys,
+  q: Joi.string().trim().required().messages({
+    "string.empty": "Search query (q) is required.",
+    "any.required": "Search query (q) is required.",
+  }),
+  mode: Joi.string()
+    .valid("fulltext", "substring")
+    .default("fulltext")
+    .messages({
+      "any.only": "Search mode must be either 'fulltext' or 'substring'.",
+    }),
+  sort: Joi.when("mode", {
+    is: "substring",
+    then: Joi.string()
+      .valid("created_at", "modified_at", "title")
+      .default("modified_at")
+      .messages({
+        "any.only":
+          "Sort must be one of 'created_at', 'modified_at' or 'title' in substring mode.",
+      }),
+    otherwise: Joi.string()
+      .valid("relevance", "created_at", "modified_at", "title")
+      .default("relevance")
+      .messages({
+        "any.only":
+          "Sort must be one of 'relevance', 'created_at', 'modified_at' or 'title'.",
+      }),
+  }),
+});
+
+/**
+ * Joi schema for validating a tag rename.
+ * Defines a rule for the new 'name'. Renaming to the name of another tag merges the two tags.
+ */
+export const renameTagSchema = Joi.object({
+  name: tagNameSchema.required(),
+});
+
+/**
+ * Joi schema for validating the query parameters of a revision diff.
+ * Defines rules for 'from' (required revision ID) and 'to'
+ * (optional revision ID, the current note is used when omitted).
+ */
+export const revisionDiffSchema = Joi.object({
+  from: Joi.string().guid().required().messages({
+    "string.guid": "'from' must be a valid revision ID.",
+    "string.empty": "'from' cannot be empty.",
+    "any.required": "'from' revision ID is required.",
+  }),
+  to: Joi.string().guid().messages({
+    "string.guid": "'to' must be a valid revision ID.",
+    "string.empty": "'to' cannot be empty.",
+  }),
+});
+
+/**
+ * Joi rule for the access level of a note share: "read" or "edit".
+ */
+const sharePermissionSchema = Joi.string().valid("read", "edit").messages({
+  "any.only": "Permission must be either 'read' or 'edit'.",
+  "string.empty": "Permission cannot be empty.",
+  "any.required": "Permission is required.",
+});
+
+/**
+ * Joi schema for validating a new note share.
+ * Defines rules for 'username' (the user to share with, required) and 'permission' (defaults to "read").
+ */
+export const createShareSchema = Joi.object({
+  username: Joi.string().required().messages({
+    "string.empty": "Username cannot be empty.",
+    "any.required": "Username is required.",
+  }),
+  permission: sharePermissionSchema.default("read"),
+});
+
+/**
+ * Joi schema for validating a change of share permission.
+ * Defines a rule for 'permission' (required).
+ */
+export const updateShareSchema = Joi.object({
+  permission: sharePermissionSchema.required(),
+});
+
+/**
+ * Joi schema for validating a new public link.
+ * Defines optional rules for 'expiresAt' (ISO 8601 date in the future) and 'password' (4-72 characters).
+ */
+export const createPublicLinkSchema = Joi.object({
+  expiresAt: Joi.date().iso().greater("now").messages({
+    "date.format": "expiresAt must be an ISO 8601 date.",
+    "date.greater": "expiresAt must be in the future.",
+  }),
+  password: Joi.string().min(4).max(72).messages({
+    "string.min": "Link password must be at least 4 characters long.",
+    "string.max": "Link password cannot exceed 72 characters.",
+    "string.empty": "Link password cannot be empty.",
+  }),
+});
+
+/**
+ * Joi rule for a notebook name: trimmed, 1-50 characters.
+ */
+const notebookNameSchema = Joi.string().trim().min(1).max(50).messages({
+  "string.min": "Notebook name must be at least 1 character long.",
+  "string.max": "Notebook name cannot exceed 50 characters.",
+  "string.empty": "Notebook name cannot be empty.",
+  "any.required": "Notebook name is required.",
+});
+
+/**
+ * Joi rule for the parent of a notebook: a notebook ID, or null for a top-level notebook.
+ */
+const notebookParentIdSchema = Joi.string().guid().allow(null).messages({
+  "string.guid": "Parent ID must be a valid notebook ID.",
+  "string.empty": "Parent ID cannot be empty.",
+});
+
+/**
+ * Joi schema for validating the creation of a notebook.
+ * Defines rules for 'name' (required) and 'parentId' (optional, defaults to the top level).
+ */
+export const createNotebookSchema = Joi.object({
+  name: notebookNameSchema.required(),
+  parentId: notebookParentIdSchema.default(null),
+});
+
+/**
+ * Joi schema for validating updates to a notebook.
+ * Defines optional rules for 'name' and 'parentId' (moves the notebook, null moves it to the top level).
+ * At least one field must be present for the update to be valid (`.min(1)`).
+ */
+export const updateNotebookSchema = Joi.object({
+  name: notebookNameSchema,
+  parentId: notebookParentIdSchema,
+})
+  .min(1)
+  .messages({
+    "object.min": "No valid fields provided for update (name or parentId).",
+  });
+
+/**
+ * Joi schema for validating the query parameters of a notebook's contents.
+ * Defines 'recursive' (boolean, default false) to include the contents of all sub-notebooks.
+ */
+export const notebookContentsSchema = Joi.object({
+  recursive: Joi.boolean().default(false).messages({
+    "boolean.base": "'recursive' must be either 'true' or 'false'.",
+  }),
+});
+
+/**
+ * Joi schema for validating the query parameters of a notebook deletion.
+ * Defines 'mode': "root" (default) moves the notebook's notes and sub-notebooks to the top level,
+ * "cascade" also deletes all sub-notebooks and moves every note inside them to the trash.
+ */
+export const deleteNotebookSchema = Joi.object({
+  mode: Joi.string().valid("root", "cascade").default("root").messages({
+    "any.only": "Mode must be either 'root' or 'cascade'.",
+  }),
+});
+
+/**
+ * Joi schema for validating the query parameters of the notifications feed.
+ * Defines 'unread' (true returns only unread notifications) on top of 'limit' and 'cursor'.
+ */
+export const listNotificationsSchema = Joi.object({
+  limit: notePaginationKeys.limit,
+  cursor: notePaginationKeys.cursor,
+  unread: Joi.boolean().messages({
+    "boolean.base": "'unread' must be either 'true' or 'false'.",
+  }),
+});
+
+/**
+ * Joi schema for validating a change to a notification.
+ * Defines 'read' (marks the notification read or unread, required).
+ */
+export const updateNotificationSchema = Joi.object({
+  read: Joi.boolean().required().messages({
+    "boolean.base": "read must be true or false.",
+    "any.required": "read is required.",
+  }),
+});
+
+/**
+ * Joi schema for validating a new webhook.
+ * Defines 'url' (an http or https URL of at most 2048 characters, required).
+ */
+export const createWebhookSchema = Joi.object({
+  url: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .max(2048)
+    .required()
+    .messages({
+      "string.uri": "url must be an http or https URL.",
+      "string.uriCustomScheme": "url must be an http or https URL.",
+      "string.max": "url cannot exceed 2048 characters.",
+      "string.empty": "url cannot be empty.",
+      "any.required": "url is required.",
+    }),
+});
+
+/**
+ * Shared 'limit' and 'cursor' rules of the admin listings.
+ */
+const adminPaginationKeys = {
+  limit: notePaginationKeys.limit,
+  cursor: notePaginationKeys.cursor,
+};
+
+/**
+ * Joi schema for validating the query parameters of the admin user listing.
+ * Defines 'search' (partial username match), 'role' ("user" or "admin") and 'locked' (boolean),
+ * on top of 'limit' and 'cursor'.
+ */
+export const adminListUsersSchema = Joi.object({
+  ...adminPaginationKeys,
+  search: Joi.string().trim().max(50).messages({
+    "string.empty": "Search cannot be empty.",
+    "string.max": "Search cannot exceed 50 characters.",
+  }),
+  role: Joi.string().valid("user", "admin").messages({
+    "any.only": "Role must be either 'user' or 'admin'.",
+  }),
+  locked: Joi.boolean().messages({
+    "boolean.base": "'locked' must be either 'true' or 'false'.",
+  }),
+});
+
+/**
+ * Joi schema for validating the query parameters of the admin usage statistics.
+ * Defines 'days' (1-365, default 7), the period counted as "recent".
+ */
+export const adminStatsSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(7).messages({
+    "number.base": "Days must be a number.",
+    "number.integer": "Days must be an integer.",
+    "number.min": "Days must be at least 1.",
+    "number.max": "Days cannot exceed 365.",
+  }),
+});
+
+/**
+ * Joi schema for validating the query parameters of the audit log listing.
+ * Defines optional 'action', 'actorId' and 'targetUserId' filters, on top of 'limit' and 'cursor'.
+ */
+export const auditLogQuerySchema = Joi.object({
+  ...adminPaginationKeys,
+  action: Joi.string().trim().max(50).messages({
+    "string.empty": "Action cannot be empty.",
+    "string.max": "Action cannot exceed 50 characters.",
+  }),
+  actorId: Joi.string().guid().messages({
+    "string.guid": "actorId must be a valid user ID.",
+  }),
+  targetUserId: Joi.string().guid().messages({
+    "string.guid": "targetUserId must be a valid user ID.",
+  }),
+});
 
 /**
  * A utility function to validate data against a given Joi schema.
@@ -0,0 +1,245 @@
+import zlib from "zlib";
+
+// Signatures of the zip records (APPNOTE.TXT, sections 4.3.7, 4.3.12 and 4.3.16).
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Version 2.0, the first with deflate and folders.
+const ZIP_VERSION = 20;
+// General purpose flag bit 11: file names are UTF-8.
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATE = 8;
+// Without the Zip64 extension, archives hold at most this many files and 4 GiB.
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum zip archives store for every file.
+ * @param {Buffer} buffer - The data.
+ * @returns {number} The checksum, as an unsigned 32-bit number.
+ */
+export const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Converts a date to the MS-DOS time and date fields of zip headers, in UTC and with two-second precision.
+ * @param {Date} date - The date.
+ * @returns {{ time: number, date: number }} The DOS time and date.
+ */
+const toDosDateTime = (date) => {
+  const year = Math.min(Math.max(date.getUTCFullYear(), 1980), 2107);
+  return {
+    time:
+      (date.getUTCHours() << 11) |
+      (date.getUTCMinutes() << 5) |
+      (date.getUTCSeconds() >> 1),
+    date:
+      ((year - 1980) << 9) |
+      ((date.getUTCMonth() + 1) << 5) |
+      date.getUTCDate(),
+  };
+};
+
+/**
+ * Creates a writer that streams a zip archive file by file, so archives of any number of files can be
+ * written without holding them in memory. Only the central directory (a few bytes per file) is kept
+ * until `finish`.
+ * @param {function(Buffer): Promise<void>} write - Writes a chunk of the archive and resolves once more can be written.
+ * @returns {{ addFile: function(string, (string|Buffer), Date=): Promise<void>, finish: function(): Promise<void> }}
+ *          `addFile(name, content, modifiedAt)` compresses and writes one file; `finish()` writes the central directory.
+ */
+export const createZipWriter = (write) => {
+  const entries = [];
+  let offset = 0;
+
+  const writeChunk = async (chunk) => {
+    await write(chunk);
+    offset += chunk.length;
+  };
+
+  const addFile = async (name, content, modifiedAt = new Date()) => {
+    if (entries.length >= MAX_ENTRIES) {
+      throw new Error(
+        `Zip archives cannot hold more than ${MAX_ENTRIES} files.`
+      );
+    }
+    if (offset > MAX_OFFSET) {
+      throw new Error("Zip archives cannot be larger than 4 GiB.");
+    }
+    const data = Buffer.isBuffer(content)
+      ? content
+      : Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, "utf8");
+    const entry = {
+      fileName,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset,
+      ...toDosDateTime(modifiedAt),
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    entries.push(entry);
+    await writeChunk(Buffer.concat([header, fileName, compressed]));
+  };
+
+  const finish = async () => {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      header.writeUInt16LE(ZIP_VERSION, 4);
+      header.writeUInt16LE(ZIP_VERSION, 6);
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      // Extra field and comment lengths, disk number and attributes stay zero.
+      header.writeUInt32LE(entry.offset, 42);
+      await writeChunk(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await writeChunk(end);
+  };
+
+  return { addFile, finish };
+};
+
+/**
+ * Reads the files of a zip archive (stored or deflated, without Zip64 or encryption) from its central directory.
+ * Folders are left out. The total uncompressed size is capped, so small archives that inflate to huge
+ * files (zip bombs) are rejected before they fill the memory.
+ * @param {Buffer} buffer - The archive.
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.maxTotalBytes=Infinity] - Maximum uncompressed size of all files together.
+ * @returns {Array<{ name: string, modifiedAt: Date, content: Buffer }>} The files, in archive order.
+ * @throws {Error} If the archive is malformed, uses unsupported features or exceeds `maxTotalBytes`.
+ */
+export const readZip = (buffer, { maxTotalBytes = Infinity } = {}) => {
+  // The end of central directory record is the last 22 bytes, unless the archive has a comment.
+  let end = buffer.length - 22;
+  const commentStart = Math.max(0, end - 0xffff);
+  while (
+    end >= commentStart &&
+    buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY
+  ) {
+    end--;
+  }
+  if (end < commentStart || end < 0) {
+    throw new Error("The file is not a zip archive.");
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = [];
+  let totalBytes = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error("The zip archive is damaged.");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const time = buffer.readUInt16LE(offset + 12);
+    const date = buffer.readUInt16LE(offset + 14);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Names are UTF-8 if flag bit 11 is set and CP437 otherwise, which matches UTF-8 for ASCII names.
+    const name = buffer
+      .subarray(offset + 46, offset + 46 + nameLength)
+      .toString(flags & UTF8_FLAG ? "utf8" : "latin1");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+    if (flags & 1) {
+      throw new Error(`"${name}" is encrypted.`);
+    }
+    if (method !== STORED && method !== DEFLATE) {
+      throw new Error(`"${name}" uses an unsupported compression method.`);
+    }
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw new Error("The zip archive is too large once uncompressed.");
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error("The zip archive is damaged.");
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const content =
+      method === STORED
+        ? data
+        : // The size in the header may lie; never inflate more than it claims.
+          zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`"${name}" is damaged.`);
+    }
+
+    files.push({
+      name,
+      modifiedAt: new Date(
+        Date.UTC(
+          (date >> 9) + 1980,
+          ((date >> 5) & 15) - 1,
+          date & 31,
+          time >> 11,
+          (time >> 5) & 63,
+          (time & 31) * 2
+        )
+      ),
+      content,
+    });
+  }
+  return files;
+};